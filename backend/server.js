@@ -4,6 +4,7 @@ import cors from "cors";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import XLSX from "xlsx";
 
@@ -14,12 +15,152 @@ import {
 } from "./utils/excel.js";
 
 import {
-  trainModelFromHistoricalFiles,
-  loadModel,
-  saveModel,
+  trainModelFromRows,
   forecastWaterLevels,
+  upstreamLinks,
+  FEATURES,
 } from "./utils/regression.js";
 
+import {
+  qualityControl,
+  fillFromUpstream,
+  qcSummary,
+  qcFlag,
+} from "./utils/qc.js";
+
+import {
+  parseThresholds,
+  annotateForecast,
+  thresholdsToJson,
+} from "./utils/thresholds.js";
+
+import {
+  processAlerts,
+  loadAlertConfig,
+  saveAlertConfig,
+  loadAlertState,
+  readAlertHistory,
+  validateAlertConfig,
+  redactAlertConfig,
+  restoreRedacted,
+  sendTestAlert,
+} from "./utils/alerts.js";
+
+import {
+  updateCapFeed,
+  listCapMessages,
+  readCapAlert,
+  buildAtomFeed,
+} from "./utils/cap.js";
+
+import { snowParams } from "./utils/snow.js";
+import {
+  runoffParams,
+  advanceBasinState,
+  loadBasinState,
+  saveBasinState,
+} from "./utils/runoff.js";
+
+import {
+  fitRatingCurve,
+  sampleRatingCurve,
+  parseRatingRows,
+  ratingToRows,
+} from "./utils/rating.js";
+
+import {
+  calibrateRoutingInWorker,
+  applyBasinCalibration,
+  loadCalibration,
+  saveCalibration,
+} from "./utils/calibration.js";
+
+import {
+  estimateCorrections,
+  applyCorrections,
+  normalizeMethod,
+  DEFAULT_ASSIMILATION,
+} from "./utils/assimilation.js";
+
+import { runEnsemble, attachBands } from "./utils/ensemble.js";
+
+import { runHindcast } from "./utils/hindcast.js";
+
+import { getLearner, listLearners } from "./utils/learners.js";
+
+import {
+  SCHEMAS,
+  validateWorkbook,
+  reportSummary,
+  unreadableReport,
+} from "./utils/schemas.js";
+import {
+  isWorkbookName,
+  convertToWorkbook,
+  detectInputType,
+  readZipEntries,
+} from "./utils/formats.js";
+
+import {
+  buildStationRegistry,
+  resolveStationId,
+  resolveStationRow,
+  noteUnresolved,
+  unresolvedToJson,
+  fixMojibake,
+  loadAliases,
+  saveAliases,
+} from "./utils/stations.js";
+
+import {
+  createVersion,
+  loadVersion,
+  listVersions,
+  activeVersion,
+  promoteVersion,
+  rollbackVersion,
+  importLegacyModel,
+  diffVersions,
+} from "./utils/registry.js";
+import {
+  emptyManifest,
+  loadState,
+  saveState,
+  saveLastForecast,
+} from "./utils/state.js";
+import {
+  OBS_VARIABLES,
+  OBS_ALIASES,
+  openObservationStore,
+  upsertObservations,
+  observationConflicts,
+  remapStations,
+  queryObservations,
+  observationHistories,
+  storeSummary,
+  latestHour,
+} from "./utils/observations.js";
+import {
+  listSources,
+  issueSourceKey,
+  removeSource,
+  authenticateSource,
+  noteSourcePush,
+  findBatch,
+  rememberBatch,
+  parseTelemetryCsv,
+  checkReadings,
+} from "./utils/telemetry.js";
+import { WATERML_SERIES, buildWaterML } from "./utils/waterml.js";
+import { stationFeature, reachFeature } from "./utils/geo.js";
+import {
+  STA_VERSION,
+  buildSensorThings,
+  staServiceRoot,
+  staResponse,
+} from "./utils/sensorthings.js";
+import { hourKey, toUtcMs } from "./utils/time.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -32,8 +173,31 @@ const DATA_DIR = path.join(__dirname, "data");
 const CURRENT_DIR = path.join(DATA_DIR, "current");
 const HIST_DIR = path.join(DATA_DIR, "historical");
 const META_DIR = path.join(DATA_DIR, "metadata");
+const ALIASES_PATH = path.join(META_DIR, "station_aliases.json");
 const HYDRO_DIR = path.join(DATA_DIR, "hydro");
+const FORECAST_DIR = path.join(DATA_DIR, "forecast");
+const ALERT_DIR = path.join(DATA_DIR, "alerts");
+const CAP_DIR = path.join(DATA_DIR, "cap");
+const QUARANTINE_DIR = path.join(DATA_DIR, "quarantine"); // rejected uploads
+const OBS_DIR = path.join(DATA_DIR, "observations"); // observation store
+const TELEMETRY_DIR = path.join(DATA_DIR, "telemetry"); // push sources + keys
+// observed hours per station in a WaterML document unless ?from= is given
+const EXPORT_OBSERVED_HOURS = Number(process.env.EXPORT_OBSERVED_HOURS) || 168;
+const CAP_SENDER = process.env.CAP_SENDER || "akvamanas@localhost";
+// token for issuing / removing telemetry source keys (X-Admin-Token); without
+// it those routes are refused
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const STATE_DIR = path.join(DATA_DIR, "state");
+const BASIN_STATE_PATH = path.join(STATE_DIR, "basins.json");
 const MODEL_DIR = path.join(__dirname, "model");
+const CALIBRATION_PATH = path.join(MODEL_DIR, "calibration.json");
+// upper bound on the objective evaluations of one routing calibration
+const CALIBRATION_MAX_EVALS =
+  Number(process.env.CALIBRATION_MAX_EVALS) || 10000;
+const REGISTRY_DIR = path.join(MODEL_DIR, "registry");
+const LEGACY_MODEL_PATH = path.join(MODEL_DIR, "model.json"); // pre-registry
+// observed hours before the forecast start used to estimate the error
+const ASSIMILATION_HOURS = Number(process.env.ASSIMILATION_HOURS) || 24;
 const OUT_DIR = path.join(__dirname, "output");
 
 [
@@ -42,30 +206,41 @@ const OUT_DIR = path.join(__dirname, "output");
   HIST_DIR,
   META_DIR,
   HYDRO_DIR,
+  FORECAST_DIR,
+  ALERT_DIR,
+  CAP_DIR,
+  QUARANTINE_DIR,
+  OBS_DIR,
+  TELEMETRY_DIR,
+  STATE_DIR,
   MODEL_DIR,
   OUT_DIR,
 ].forEach(ensureDir);
 
-const upload = multer({ dest: path.join(DATA_DIR, "__tmp") });
+const UPLOAD_TMP_DIR = path.join(DATA_DIR, "__tmp");
+const upload = multer({ dest: UPLOAD_TMP_DIR });
 
-// --- In-memory state / manifest
+// --- In-memory state / manifest (persisted in data/state, see persistState)
 const STATE = {
   // inputs presence/paths
-  manifest: {
-    metadata: null, // stations_metadata.xlsx
-    current: { water: null, precip: null, air: null },
-    historical: [], // array of files
-    hydro: { network: null, rating: null, basin: null },
-  },
+  manifest: emptyManifest(),
 
   // parsed/compiled data caches
   settings: [], // stations_meta rows
+  observations: null, // hourly observation store (utils/observations.js)
+  registry: null, // station identities (stations_meta + aliases), built on use
+  thresholds: new Map(), // station_code -> warning levels
   currentInputs: [], // merged current rows
   hydroAux: { network: [], rating: new Map(), basins: new Map() },
-  model: { stations: {}, trainedAt: null },
+  forcing: { precip: new Map(), air: new Map() },
+  model: { stations: {}, trainedAt: null }, // active registry version
+  modelVersion: null,
 
   lastForecastPath: null,
   lastForecastJson: null, // { daily, hourly, series }
+  forecasts: [], // history: { created_at, path, model_version, stations }
+  lastHindcast: null, // last /api/hindcast result
+  ratingFit: null, // last /api/calibrate/rating result awaiting adoption
 };
 
 // -------- Helpers: read sheets ----------
@@ -76,9 +251,234 @@ function readSheet(filePath, sheetName, defval = null) {
   return XLSX.utils.sheet_to_json(sheet, { defval });
 }
 
-// Merge current inputs from water/precip/air + stations metadata (by station_code)
-function buildCurrentInputs() {
+// -------- Persistent state ----------
+// The manifest and the forecast history are written after every change;
+// station metadata and thresholds are re-read from the manifest files and
+// the active model comes from the registry.
+function persistState() {
+  try {
+    saveState(STATE_DIR, __dirname, {
+      manifest: STATE.manifest,
+      forecasts: STATE.forecasts,
+    });
+  } catch (e) {
+    console.error("state:", e.message);
+  }
+}
+
+// Manifest of the files at their upload locations in data/ (no state file
+// yet, e.g. the first start after an update)
+function manifestFromDataDir() {
+  const found = (p) => (fs.existsSync(p) ? p : null);
+  const m = emptyManifest();
+  m.metadata = found(path.join(META_DIR, "stations_metadata.xlsx"));
+  m.thresholds = found(path.join(META_DIR, "stations_thresholds.xlsx"));
+  m.current.water = found(path.join(CURRENT_DIR, "current_water_levels.xlsx"));
+  m.current.precip = found(
+    path.join(CURRENT_DIR, "current_precipitation.xlsx")
+  );
+  m.current.air = found(path.join(CURRENT_DIR, "current_air_temperature.xlsx"));
+  m.hydro.network = found(path.join(HYDRO_DIR, "network_reaches.xlsx"));
+  m.hydro.rating = found(path.join(HYDRO_DIR, "rating_curves.xlsx"));
+  m.hydro.basin = found(path.join(HYDRO_DIR, "basin_params.xlsx"));
+  m.forecast.precip = found(
+    path.join(FORECAST_DIR, "forecast_precipitation_hourly.xlsx")
+  );
+  m.forecast.air = found(
+    path.join(FORECAST_DIR, "forecast_air_temperature_hourly.xlsx")
+  );
+  m.historical = fs
+    .readdirSync(HIST_DIR)
+    .filter((f) => /\.xlsx$/i.test(f))
+    .sort()
+    .map((f) => path.join(HIST_DIR, f));
+  return m;
+}
+
+function restoreState() {
+  const saved = loadState(STATE_DIR, __dirname);
+  STATE.manifest = saved?.manifest ?? manifestFromDataDir();
+  STATE.forecasts = saved?.forecasts ?? [];
+  if (saved?.dropped.length) {
+    console.error(`state: missing files dropped: ${saved.dropped.join(", ")}`);
+  }
+  STATE.lastForecastJson = saved?.lastForecast ?? null;
+  STATE.lastForecastPath = STATE.forecasts.at(-1)?.path ?? null;
+
+  STATE.settings = STATE.manifest.metadata
+    ? readSheet(STATE.manifest.metadata, "stations_meta")
+    : [];
+  STATE.observations = openObservationStore(OBS_DIR);
+  resetStationRegistry();
+  if (!STATE.observations.stations.size) ingestManifest();
+  if (saved?.dropped.length) persistState();
+  console.log(
+    `state: ${saved ? `restored (saved ${saved.saved_at})` : "rebuilt from data/"}; ` +
+      `${STATE.settings.length} stations, ` +
+      `${STATE.manifest.historical.length} historical files, ` +
+      `${STATE.observations.stations.size} stations with observations, ` +
+      `${STATE.forecasts.length} forecasts`
+  );
+}
+
+// -------- Station identity ----------
+// Registry over stations_meta and the saved aliases; dropped whenever either
+// changes so that the next read rebuilds it
+function stationRegistry() {
+  if (!STATE.registry) {
+    STATE.registry = buildStationRegistry(
+      STATE.settings || [],
+      loadAliases(ALIASES_PATH)
+    );
+  }
+  return STATE.registry;
+}
+
+// Rows of a sheet with station_code rewritten to the canonical code (files may
+// carry the kodas, the id, the name or an alias; historical files may name the
+// station only in their file name). Identifiers that do not resolve are noted
+// in `unresolved` under `source`.
+function readStationRows(filePath, sheetName, source, unresolved = null) {
+  const registry = stationRegistry();
+  const byFile = source === "historical" ? filePath : null;
+  return readSheet(filePath, sheetName).map((r) => {
+    const s = resolveStationRow(registry, r, byFile);
+    if (!s.resolved) noteUnresolved(unresolved, source, s.identifier, filePath);
+    return { ...r, station_code: s.code };
+  });
+}
+
+// Reaches with from_code / to_code resolved like the station rows
+function readReaches(filePath, unresolved = null) {
+  const registry = stationRegistry();
+  return readSheet(filePath, "reaches").map((r) => {
+    const out = { ...r };
+    for (const k of ["from_code", "to_code"]) {
+      const v = r[k];
+      if (v == null || !String(v).trim()) continue;
+      const code = resolveStationId(registry, v);
+      if (!code) {
+        noteUnresolved(unresolved, "network", String(v).trim(), filePath);
+      }
+      out[k] = code ?? String(v).trim();
+    }
+    return out;
+  });
+}
+
+// All station identifiers in the uploaded files that the registry does not
+// know, per source: { source: [{ identifier, rows, files }] }
+function unresolvedStations() {
+  const { manifest } = STATE;
+  const report = new Map();
+  const sources = [
+    [manifest.current.water, "water_levels", "current_water"],
+    [manifest.current.precip, "precip", "current_precip"],
+    [manifest.current.air, "air_temp", "current_air"],
+    [manifest.thresholds, "thresholds", "thresholds"],
+    [manifest.hydro.rating, "rating", "rating"],
+    [manifest.forecast.precip, "forecast_precip", "forecast_precip"],
+    [manifest.forecast.air, "forecast_air", "forecast_air"],
+    ...(manifest.historical || []).map((p) => [p, "historical", "historical"]),
+  ];
+  for (const [p, sheet, source] of sources) {
+    if (!p) continue;
+    try {
+      readStationRows(p, sheet, source, report);
+    } catch {
+      /* ignore unreadable files */
+    }
+  }
+  if (manifest.hydro.network) {
+    try {
+      readReaches(manifest.hydro.network, report);
+    } catch {
+      /* ignore unreadable files */
+    }
+  }
+  return unresolvedToJson(report);
+}
+
+// Unresolved identifiers of one uploaded file, for the upload response
+function fileUnresolved(filePath, sheetName, source) {
+  const report = new Map();
+  try {
+    if (source === "network") readReaches(filePath, report);
+    else readStationRows(filePath, sheetName, source, report);
+  } catch {
+    /* unreadable files are reported by their consumers */
+  }
+  return unresolvedToJson(report)[source] || [];
+}
+
+// Thresholds are keyed by canonical code, so they follow the registry
+function loadThresholds() {
+  STATE.thresholds = STATE.manifest.thresholds
+    ? parseThresholds(
+        readStationRows(STATE.manifest.thresholds, "thresholds", "thresholds")
+      )
+    : new Map();
+}
+
+function resetStationRegistry() {
+  STATE.registry = null;
+  loadThresholds();
+  // stored observations follow aliases added since they came in
+  if (STATE.observations) {
+    const registry = stationRegistry();
+    remapStations(STATE.observations, (c) => resolveStationId(registry, c));
+  }
+}
+
+// -------- Observation store ----------
+// Historical and current sheets are upserted into the store when uploaded
+// (by station and hour, so uploading a file again changes nothing); the
+// quality control, training and forecasting read the store.
+function ingestSheet(filePath, sheetName, source) {
+  const rows = readStationRows(filePath, sheetName, source);
+  return upsertObservations(
+    STATE.observations,
+    rows.map((r) => ({ ...r, t: toUtcMs(r.datetime_utc) })),
+    path.basename(filePath)
+  );
+}
+
+// Store filled from the files in the manifest (first start with a store);
+// the current files go last and win on overlapping hours
+function ingestManifest() {
   const { manifest } = STATE;
+  const sources = [
+    ...(manifest.historical || []).map((p) => [p, "historical", "historical"]),
+    [manifest.current.water, "water_levels", "current_water"],
+    [manifest.current.precip, "precip", "current_precip"],
+    [manifest.current.air, "air_temp", "current_air"],
+  ];
+  for (const [p, sheet, source] of sources) {
+    if (!p) continue;
+    try {
+      ingestSheet(p, sheet, source);
+    } catch (e) {
+      console.error(`observations: ${path.basename(p)}: ${e.message}`);
+    }
+  }
+}
+
+// Store contents as training rows, with the station files as sources
+function observationRows() {
+  const rows = [];
+  const files = [];
+  for (const [code, m] of rawStationHistory()) {
+    for (const [k, o] of m) {
+      rows.push({ station_code: code, datetime_utc: `${k}:00:00.000Z`, ...o });
+    }
+    files.push({ file: `observations/${code}.json`, rows: m.size });
+  }
+  return { rows, files };
+}
+
+// Latest observations per station (observation store) + stations metadata.
+// qc: checkedObservations(); values it rejected are not used, filled ones are
+function buildCurrentInputs(qc = checkedObservations()) {
   const md = STATE.settings || [];
 
   // map station_code -> metadata snippet
@@ -86,63 +486,41 @@ function buildCurrentInputs() {
     md.map((r) => [String(r.station_code ?? r.station_code).trim(), r])
   );
 
-  // Read each current file (hourly rows)
-  const water = manifest.current.water
-    ? readSheet(manifest.current.water, "water_levels")
-    : [];
-  const precip = manifest.current.precip
-    ? readSheet(manifest.current.precip, "precip")
-    : [];
-  const air = manifest.current.air
-    ? readSheet(manifest.current.air, "air_temp")
-    : [];
-
-  // latest (or matching hour) strategy — we’ll just attach same-hour by station_code if available;
-  // otherwise use per-station latest found
-  const latestByKey = (rows, keyCols) => {
-    const map = new Map();
-    for (const r of rows) {
-      const key =
-        keyCols.map((k) => String(r[k] ?? "")).join("|") ||
-        String(r.station_code ?? "");
-      const t = new Date(r.datetime_utc ?? r.forecast_datetime ?? 0).getTime();
-      const prev = map.get(key);
-      if (!prev || t >= prev._t) {
-        map.set(key, { ...r, _t: t });
-      }
+  // latest accepted value of a variable in a station history
+  const latest = (m, col) => {
+    let best = null;
+    for (const [k, o] of m) {
+      if (o[col] != null && (!best || k > best.k)) best = { k, v: o[col] };
     }
-    return map;
+    return best;
   };
 
-  const wLatest = latestByKey(water, ["station_code"]);
-  const pLatest = latestByKey(precip, ["station_code"]);
-  const aLatest = latestByKey(air, ["station_code"]);
-
-  // Build currentInputs array
-  const allCodes = new Set([
-    ...Array.from(wLatest.keys()),
-    ...Array.from(pLatest.keys()),
-    ...Array.from(aLatest.keys()),
-  ]);
-
   const out = [];
-  for (const code of allCodes) {
-    const w = wLatest.get(code) || {};
-    const p = pLatest.get(code) || {};
-    const a = aLatest.get(code) || {};
-    const m = mdByCode.get(String(code)) || {};
+  for (const [code, m] of qc.histories) {
+    const w = latest(m, "water_level_cm");
+    const p = latest(m, "precipitation_mm");
+    const a = latest(m, "air_temp_c");
+    if (!w && !p && !a) continue;
+    const meta = mdByCode.get(String(code)) || {};
+    const flag = (x, col) => (x ? qcFlag(qc, code, x.k, col) : null);
     out.push({
       station_code: String(code),
-      station_name: m.station_name || w.station_name || a.station_name || "",
-      river_name: m.river_name || w.river_name || "",
-      basin_name: m.basin_name || p.basin_name || "",
-      water_level_cm: toNum(w.water_level_cm),
-      precipitation_mm: toNum(p.precipitation_mm),
-      air_temp_c: toNum(a.air_temp_c),
+      station_name: meta.station_name || "",
+      river_name: meta.river_name || "",
+      basin_name: meta.basin_name || "",
+      water_level_cm: toNum(w?.v),
+      precipitation_mm: toNum(p?.v),
+      air_temp_c: toNum(a?.v),
       wind_speed_mps: toNum(null),
       wind_dir_deg: toNum(null),
       rh_pct: toNum(null),
-      roughness_n: toNum(m.roughness_n),
+      roughness_n: toNum(meta.roughness_n),
+      observed_at: w ? `${w.k}:00:00.000Z` : null,
+      qc: {
+        water_level_cm: flag(w, "water_level_cm"),
+        precipitation_mm: flag(p, "precipitation_mm"),
+        air_temp_c: flag(a, "air_temp_c"),
+      },
     });
   }
   return out;
@@ -155,27 +533,21 @@ function toNum(v) {
 }
 
 // Build hydro auxiliaries: network, rating curves, basins
-function buildHydroAux() {
+function buildHydroAux({ calibrated = true } = {}) {
   const { manifest } = STATE;
   const aux = { network: [], rating: new Map(), basins: new Map() };
 
   // network
   if (manifest.hydro.network) {
-    aux.network = readSheet(manifest.hydro.network, "reaches");
+    aux.network = readReaches(manifest.hydro.network);
   }
 
   // rating
   if (manifest.hydro.rating) {
-    const rows = readSheet(manifest.hydro.rating, "rating");
-    for (const r of rows) {
-      const code = String(r.station_code ?? "").trim();
-      if (!code) continue;
-      aux.rating.set(code, {
-        h0_cm: toNum(r.h0_cm),
-        a: toNum(r.a),
-        b: toNum(r.b),
-      });
-    }
+    // several rows per station = segments split by h_min_cm / h_max_cm
+    aux.rating = parseRatingRows(
+      readStationRows(manifest.hydro.rating, "rating", "rating")
+    );
   }
 
   // basins
@@ -187,22 +559,385 @@ function buildHydroAux() {
       aux.basins.set(name, {
         runoff_coeff: toNum(r.runoff_coeff),
         baseflow_cms: toNum(r.baseflow_cms),
+        snow: snowParams(r),
+        runoff: runoffParams(r),
       });
     }
   }
 
+  // routing calibration (K/X, carry-over, basin parameters), when present
+  if (calibrated) {
+    aux.calibration = loadCalibration(CALIBRATION_PATH);
+    aux.basins = applyBasinCalibration(aux.basins, aux.calibration);
+  }
+
   return aux;
 }
 
+// Hourly meteo forecasts: station_code -> Map(hourKey -> value)
+function buildForecastForcing() {
+  const { manifest } = STATE;
+  const forcing = { precip: new Map(), air: new Map() };
+
+  const index = (rows, col, target) => {
+    for (const r of rows) {
+      const code = String(r.station_code ?? "").trim();
+      const t = toUtcMs(r.datetime_utc ?? r.forecast_datetime);
+      const v = toNum(r[col]);
+      if (!code || t == null || v == null) continue;
+      if (!target.has(code)) target.set(code, new Map());
+      target.get(code).set(hourKey(t), v);
+    }
+  };
+
+  if (manifest.forecast.precip) {
+    index(
+      readStationRows(
+        manifest.forecast.precip,
+        "forecast_precip",
+        "forecast_precip"
+      ),
+      "precipitation_mm",
+      forcing.precip
+    );
+  }
+  if (manifest.forecast.air) {
+    index(
+      readStationRows(manifest.forecast.air, "forecast_air", "forecast_air"),
+      "air_temp_c",
+      forcing.air
+    );
+  }
+  return forcing;
+}
+
+// Observed hourly precip / air temperature per basin from the observation
+// store (precip: basin maximum, as in the forecast; temperature: basin mean)
+function buildObservedBasinForcing() {
+  const basinByCode = new Map(
+    (STATE.settings || []).map((m) => [
+      String(m.station_code ?? "").trim(),
+      String(m.basin_name ?? "").trim(),
+    ])
+  );
+  const acc = new Map(); // basin -> Map(hourKey -> { P, Tsum, Tn })
+  const slot = (basin, k) => {
+    if (!acc.has(basin)) acc.set(basin, new Map());
+    const m = acc.get(basin);
+    if (!m.has(k)) m.set(k, { P: null, Tsum: 0, Tn: 0 });
+    return m.get(k);
+  };
+
+  for (const [code, m] of rawStationHistory()) {
+    const basin = basinByCode.get(code);
+    if (!basin) continue;
+    for (const [k, o] of m) {
+      if (o.precipitation_mm != null) {
+        const s = slot(basin, k);
+        s.P =
+          s.P == null ? o.precipitation_mm : Math.max(s.P, o.precipitation_mm);
+      }
+      if (o.air_temp_c != null) {
+        const s = slot(basin, k);
+        s.Tsum += o.air_temp_c;
+        s.Tn++;
+      }
+    }
+  }
+
+  const out = new Map();
+  for (const [basin, m] of acc) {
+    out.set(
+      basin,
+      [...m.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([k, s]) => ({
+          t: `${k}:00:00.000Z`,
+          precipitation_mm: s.P ?? 0,
+          air_temp_c: s.Tn ? s.Tsum / s.Tn : null,
+        }))
+    );
+  }
+  return out;
+}
+
+// Stage–discharge pairs per station from the observation store
+function collectRatingPairs() {
+  const pairs = new Map();
+  const hist = observationHistories(STATE.observations, [
+    "water_level_cm",
+    "discharge_m3s",
+  ]);
+  for (const [code, m] of hist) {
+    for (const k of [...m.keys()].sort()) {
+      const { water_level_cm: h, discharge_m3s: q } = m.get(k);
+      if (h == null || q == null) continue;
+      if (!pairs.has(code)) pairs.set(code, []);
+      pairs.get(code).push({ t: `${k}:00:00.000Z`, h_cm: h, q });
+    }
+  }
+  return pairs;
+}
+
+// Observed basin forcing as Map(basin -> Map(hourKey -> { P, T })), the form
+// replayed by the calibration and the assimilation
+function observedForcingByHour() {
+  const out = new Map();
+  for (const [basin, list] of buildObservedBasinForcing()) {
+    out.set(
+      basin,
+      new Map(
+        list.map((o) => [
+          o.t.slice(0, 13),
+          { P: o.precipitation_mm, T: o.air_temp_c },
+        ])
+      )
+    );
+  }
+  return out;
+}
+
+// Observed hourly stage per station (observation store, as received)
+function collectObservedStages() {
+  return stagesOf(rawStationHistory());
+}
+
+// Observed stages for the assimilation window (baseTime − hours, baseTime]
+function collectRecentStages(baseTime, hours = ASSIMILATION_HOURS) {
+  const from = hourKey(baseTime.getTime() - hours * 3600 * 1000);
+  const to = hourKey(baseTime.getTime());
+  const all = stagesOf(stationHistory());
+  const out = new Map();
+  for (const [code, m] of all) {
+    const w = new Map([...m].filter(([k]) => k >= from && k <= to));
+    if (w.size) out.set(code, w);
+  }
+  return out;
+}
+
+// Observed hourly precip / air temperature per station (observation store) in
+// the form of buildForecastForcing, for replaying past forecasts
+function observedStationForcing() {
+  const forcing = { precip: new Map(), air: new Map() };
+  for (const [code, m] of rawStationHistory()) {
+    for (const [col, target] of [
+      ["precipitation_mm", forcing.precip],
+      ["air_temp_c", forcing.air],
+    ]) {
+      const byHour = new Map();
+      for (const [k, o] of m) if (o[col] != null) byHour.set(k, o[col]);
+      if (byHour.size) target.set(code, byHour);
+    }
+  }
+  return forcing;
+}
+
+// Observations per station for the regression features (lagged levels,
+// precipitation windows, temperature trend), as stored:
+// Map(code -> Map(hourKey -> { water_level_cm, precipitation_mm, air_temp_c }))
+function rawStationHistory() {
+  return observationHistories(STATE.observations, [
+    "water_level_cm",
+    "precipitation_mm",
+    "air_temp_c",
+  ]);
+}
+
+// Water-level range per station for the quality control: stations_meta
+// min_level_cm / max_level_cm, widened to the warning thresholds so that a
+// flood is never cut off
+function qcLimits() {
+  const out = new Map();
+  for (const m of STATE.settings || []) {
+    const code = String(m.station_code ?? "").trim();
+    const lo = toNum(m.min_level_cm);
+    const hi = toNum(m.max_level_cm);
+    if (!code || lo == null || hi == null) continue;
+    const th = STATE.thresholds.get(code) || {};
+    const tops = [
+      hi,
+      th.max_level_cm,
+      th.pavojingas,
+      th.stichinis,
+      th.katastrofinis,
+    ].filter((v) => v != null);
+    out.set(code, {
+      water_level_cm: [Math.min(lo, th.min_level_cm ?? lo), Math.max(...tops)],
+    });
+  }
+  return out;
+}
+
+// Station history after the quality control (utils/qc.js): rejected values
+// dropped, gaps filled by interpolation or from upstream gauges.
+// Returns { histories, flags, gaps, issues, issue_count }.
+function checkedObservations() {
+  const qc = qualityControl(rawStationHistory(), { limits: qcLimits() });
+  const reaches = STATE.manifest.hydro.network
+    ? readReaches(STATE.manifest.hydro.network)
+    : [];
+  if (reaches.length) {
+    fillFromUpstream(qc, upstreamLinks(reaches, qc.histories));
+  }
+  return qc;
+}
+
+function stationHistory() {
+  return checkedObservations().histories;
+}
+
+// Map(code -> Map(hourKey -> stage)) of a station history
+function stagesOf(history) {
+  const out = new Map();
+  for (const [code, m] of history) {
+    const st = new Map();
+    for (const [k, o] of m) {
+      if (o.water_level_cm != null) st.set(k, o.water_level_cm);
+    }
+    if (st.size) out.set(code, st);
+  }
+  return out;
+}
+
+// Assimilation method per station: stations_meta column `assimilation`,
+// overridden by the request (one method for all, or { code: method })
+function assimilationMethods(override) {
+  const methods = new Map();
+  for (const m of STATE.settings || []) {
+    const v = normalizeMethod(m.assimilation);
+    if (v) methods.set(String(m.station_code ?? "").trim(), v);
+  }
+  let fallback = DEFAULT_ASSIMILATION;
+  if (typeof override === "string") {
+    fallback = normalizeMethod(override) ?? fallback;
+    methods.clear();
+  } else if (override && typeof override === "object") {
+    for (const [code, v] of Object.entries(override)) {
+      const m = normalizeMethod(v);
+      if (m) methods.set(String(code).trim(), m);
+    }
+  }
+  return { methods, fallback };
+}
+
+// Forecast model per station: stations_meta column `model` ("auto",
+// "routing" or a learner name), overridden by the request (one model for
+// all, or { code: model }). Unknown names in the request are an error.
+function normalizeModel(v) {
+  const m = String(v ?? "")
+    .trim()
+    .toLowerCase();
+  return m === "auto" || m === "routing" || getLearner(m) ? m : null;
+}
+
+function forecastModels(override) {
+  const methods = new Map();
+  for (const m of STATE.settings || []) {
+    const v = normalizeModel(m.model);
+    if (v) methods.set(String(m.station_code ?? "").trim(), v);
+  }
+  const check = (v) => {
+    const m = normalizeModel(v);
+    if (!m) {
+      const err = new Error(`Unknown forecast model "${v}".`);
+      err.status = 400;
+      throw err;
+    }
+    return m;
+  };
+  let fallback = "auto";
+  if (typeof override === "string") {
+    fallback = check(override);
+    methods.clear();
+  } else if (override && typeof override === "object") {
+    for (const [code, v] of Object.entries(override)) {
+      methods.set(String(code).trim(), check(v));
+    }
+  }
+  return { methods, fallback };
+}
+
+// Stations whose requested learner was not trained for them and that ran on
+// their default one instead: [{ station_code, requested, used }]
+function learnerFallbacks(models) {
+  return Object.entries(models || {})
+    .filter(([, m]) => m.requested && getLearner(m.requested))
+    .map(([code, m]) => ({
+      station_code: code,
+      requested: m.requested,
+      used: m.model,
+    }));
+}
+
+// Carry each basin's state (snowpack, soil, groundwater) forward through the
+// observed hours before the forecast start (the first forecast step covers the
+// base hour itself) and persist it for the next run. A basin seen for the
+// first time is warmed up over all available history.
+function spinUpBasins(basins, baseTime) {
+  const states = loadBasinState(BASIN_STATE_PATH);
+  const obs = buildObservedBasinForcing();
+  const until = baseTime ? new Date(baseTime.getTime() - 3600 * 1000) : null;
+  for (const [basin, bp] of basins) {
+    states.set(
+      basin,
+      advanceBasinState(states.get(basin), obs.get(basin), bp, until)
+    );
+  }
+  saveBasinState(BASIN_STATE_PATH, states);
+  return states;
+}
+
+// Forecast starts at the hour of the latest water-level observation, so that
+// initial state and meteo forcing line up; falls back to the current hour.
+function forecastBaseTime(currentInputs) {
+  let latest = null;
+  for (const r of currentInputs) {
+    const t = toUtcMs(r.observed_at);
+    if (t != null && (latest == null || t > latest)) latest = t;
+  }
+  return latest != null ? new Date(latest) : null;
+}
+
+// Registry version -> STATE.model (the model used by default)
+function useModelVersion(id) {
+  promoteVersion(REGISTRY_DIR, id);
+  STATE.model = loadVersion(REGISTRY_DIR, id).model;
+  STATE.modelVersion = id;
+}
+
+// Model for a run: the requested registry version or the active one; throws
+// (status 404) for an unknown version
+function modelForRun(version) {
+  if (version == null || version === "" || version === STATE.modelVersion) {
+    return { model: STATE.model, version: STATE.modelVersion };
+  }
+  const doc = loadVersion(REGISTRY_DIR, version);
+  if (!doc) {
+    const err = new Error(`Unknown model version ${version}.`);
+    err.status = 404;
+    throw err;
+  }
+  return { model: doc.model, version: doc.version };
+}
+
 // Assemble context used by /api/forecast
 function assembleRunContext() {
-  STATE.currentInputs = buildCurrentInputs();
+  const qc = checkedObservations();
+  STATE.currentInputs = buildCurrentInputs(qc);
   STATE.hydroAux = buildHydroAux();
+  STATE.forcing = buildForecastForcing();
+  const baseTime = forecastBaseTime(STATE.currentInputs);
+  if (STATE.hydroAux.basins.size) {
+    STATE.hydroAux.basinState = spinUpBasins(STATE.hydroAux.basins, baseTime);
+  }
   return {
     currentInputs: STATE.currentInputs,
     settings: STATE.settings,
     model: STATE.model,
     hydroAux: STATE.hydroAux,
+    forcing: STATE.forcing,
+    history: qc.histories,
+    baseTime,
   };
 }
 
@@ -216,119 +951,1293 @@ app.get("/api/manifest", (req, res) => {
 });
 
 // -------- Uploads ----------
-app.post("/api/upload/metadata", upload.single("file"), (req, res) => {
-  const dst = path.join(META_DIR, "stations_metadata.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.metadata = dst;
+// Every upload is checked against its schema (utils/schemas.js) before it
+// replaces the previous file. A file with errors is moved to data/quarantine
+// together with its report and the request fails with 400; warnings are
+// returned with the accepted file. CSV / TSV / JSON files are converted into
+// the workbook the schema describes first (utils/formats.js); report.format
+// says what was detected.
+// A client-supplied file name (multer's originalname is not sanitised)
+// reduced to a plain name that is safe to join into a path: no directories,
+// no leading dots, only letters, digits and " ._()-".
+function safeFileName(name) {
+  const base = path.basename(String(name ?? "").replace(/\\/g, "/"));
+  const clean = base
+    .replace(/[^\p{L}\p{N} ._()-]/gu, "_")
+    .replace(/^[.\s]+/, "");
+  return clean || "upload";
+}
 
-  // load stations_meta
-  STATE.settings = readSheet(dst, "stations_meta");
+function quarantineUpload(tmpPath, report) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const dst = path.join(
+    QUARANTINE_DIR,
+    `${stamp}_${report.type}_${safeFileName(report.file)}`
+  );
+  fs.renameSync(tmpPath, dst);
+  fs.writeFileSync(`${dst}.report.json`, JSON.stringify(report, null, 2));
+  return dst;
+}
 
-  res.json({ ok: true, path: dst, rows: STATE.settings.length });
-});
+function rejectUpload(file, report) {
+  const err = new Error(`${reportSummary(report)}; the file was quarantined.`);
+  err.status = 400;
+  err.report = report;
+  err.quarantined = quarantineUpload(file.path, report);
+  return err;
+}
 
-app.post("/api/upload/current/water", upload.single("file"), (req, res) => {
-  const dst = path.join(CURRENT_DIR, "current_water_levels.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.current.water = dst;
-  res.json({ ok: true, path: dst });
-});
+// On success file.path points at the (converted) workbook
+function checkUpload(file, type) {
+  if (!file) {
+    const err = new Error("No file uploaded.");
+    err.status = 400;
+    throw err;
+  }
+  const name = safeFileName(fixMojibake(file.originalname || file.filename));
+  if (isWorkbookName(name)) {
+    const report = validateWorkbook(file.path, type, { fileName: name });
+    if (report.ok) return report;
+    throw rejectUpload(file, report);
+  }
 
-app.post("/api/upload/current/precip", upload.single("file"), (req, res) => {
-  const dst = path.join(CURRENT_DIR, "current_precipitation.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.current.precip = dst;
-  res.json({ ok: true, path: dst });
-});
+  // the original is kept for the quarantine until the workbook passes
+  const converted = `${file.path}.xlsx`;
+  let format;
+  try {
+    format = convertToWorkbook(file.path, name, SCHEMAS[type], converted);
+  } catch (e) {
+    throw rejectUpload(
+      file,
+      unreadableReport(type, name, `Not a readable file: ${e.message}`)
+    );
+  }
+  const report = validateWorkbook(converted, type, { fileName: name });
+  report.format = format;
+  if (!report.ok) {
+    fs.unlinkSync(converted);
+    throw rejectUpload(file, report);
+  }
+  fs.unlinkSync(file.path);
+  file.path = converted;
+  return report;
+}
+
+// Where each input goes and what loading it does: dst(fileName) -> path,
+// apply(dst) -> extra response fields. Used by the upload routes and the
+// bundle; the order is the order a bundle is applied in (stations first).
+const UPLOAD_SLOTS = {
+  metadata: {
+    dst: () => path.join(META_DIR, "stations_metadata.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.metadata = dst;
+      // load stations_meta
+      STATE.settings = readSheet(dst, "stations_meta");
+      resetStationRegistry();
+      return { rows: STATE.settings.length };
+    },
+  },
+  thresholds: {
+    dst: () => path.join(META_DIR, "stations_thresholds.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.thresholds = dst;
+      loadThresholds();
+      return {
+        rows: STATE.thresholds.size,
+        unresolved: fileUnresolved(dst, "thresholds", "thresholds"),
+      };
+    },
+  },
+  current_water: {
+    dst: () => path.join(CURRENT_DIR, "current_water_levels.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.current.water = dst;
+      return {
+        unresolved: fileUnresolved(dst, "water_levels", "current_water"),
+        stored: ingestSheet(dst, "water_levels", "current_water"),
+      };
+    },
+  },
+  current_precip: {
+    dst: () => path.join(CURRENT_DIR, "current_precipitation.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.current.precip = dst;
+      return {
+        unresolved: fileUnresolved(dst, "precip", "current_precip"),
+        stored: ingestSheet(dst, "precip", "current_precip"),
+      };
+    },
+  },
+  current_air: {
+    dst: () => path.join(CURRENT_DIR, "current_air_temperature.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.current.air = dst;
+      return {
+        unresolved: fileUnresolved(dst, "air_temp", "current_air"),
+        stored: ingestSheet(dst, "air_temp", "current_air"),
+      };
+    },
+  },
+  // Hydrology auxiliaries
+  network: {
+    dst: () => path.join(HYDRO_DIR, "network_reaches.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.hydro.network = dst;
+      return { unresolved: fileUnresolved(dst, "reaches", "network") };
+    },
+  },
+  rating: {
+    dst: () => path.join(HYDRO_DIR, "rating_curves.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.hydro.rating = dst;
+      return { unresolved: fileUnresolved(dst, "rating", "rating") };
+    },
+  },
+  basin: {
+    dst: () => path.join(HYDRO_DIR, "basin_params.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.hydro.basin = dst;
+      return {};
+    },
+  },
+  // Hourly meteorological forecasts (forcing for the 72 h run)
+  forecast_precip: {
+    dst: () => path.join(FORECAST_DIR, "forecast_precipitation_hourly.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.forecast.precip = dst;
+      return {
+        unresolved: fileUnresolved(dst, "forecast_precip", "forecast_precip"),
+      };
+    },
+  },
+  forecast_air: {
+    dst: () => path.join(FORECAST_DIR, "forecast_air_temperature_hourly.xlsx"),
+    apply: (dst) => {
+      STATE.manifest.forecast.air = dst;
+      return {
+        unresolved: fileUnresolved(dst, "forecast_air", "forecast_air"),
+      };
+    },
+  },
+  historical: {
+    // multer decodes the file name as latin1; the name may be the station's
+    // (converted files get the workbook extension)
+    dst: (fileName) => {
+      const name = safeFileName(fileName);
+      return path.join(
+        HIST_DIR,
+        isWorkbookName(name)
+          ? name
+          : `${path.basename(name, path.extname(name))}.xlsx`
+      );
+    },
+    apply: (dst) => {
+      // a file uploaded again replaces the earlier copy
+      if (!STATE.manifest.historical.includes(dst)) {
+        STATE.manifest.historical.push(dst);
+      }
+      return {
+        unresolved: fileUnresolved(dst, "historical", "historical"),
+        stored: ingestSheet(dst, "historical", "historical"),
+      };
+    },
+  },
+};
+
+// Checks file as `type` and puts it in its slot; throws like checkUpload
+function storeUpload(file, type) {
+  const report = checkUpload(file, type);
+  const slot = UPLOAD_SLOTS[type];
+  const dst = slot.dst(report.file);
+  fs.renameSync(file.path, dst);
+  return { path: dst, report, ...slot.apply(dst) };
+}
+
+function acceptUpload(req, res, type) {
+  try {
+    const out = storeUpload(req.file, type);
+    persistState();
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    console.error(e.message);
+    res.status(e.status || 500).json({
+      ok: false,
+      error: e.message,
+      report: e.report ?? null,
+      quarantined: e.quarantined ?? null,
+    });
+  }
+}
 
-app.post("/api/upload/current/air", upload.single("file"), (req, res) => {
-  const dst = path.join(CURRENT_DIR, "current_air_temperature.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.current.air = dst;
-  res.json({ ok: true, path: dst });
+// input schemas with their sheets, columns, units and ranges
+app.get("/api/schemas", (req, res) => {
+  res.json({ ok: true, schemas: SCHEMAS });
 });
 
+for (const [route, type] of [
+  ["metadata", "metadata"],
+  ["thresholds", "thresholds"],
+  ["current/water", "current_water"],
+  ["current/precip", "current_precip"],
+  ["current/air", "current_air"],
+  ["network", "network"],
+  ["rating", "rating"],
+  ["basin", "basin"],
+  ["forecast/precip", "forecast_precip"],
+  ["forecast/air", "forecast_air"],
+]) {
+  app.post(`/api/upload/${route}`, upload.single("file"), (req, res) =>
+    acceptUpload(req, res, type)
+  );
+}
+
+// Files are validated one by one: valid ones are kept even when others in
+// the same request are quarantined (rejected); 400 only if none is valid
 app.post("/api/upload/historical", upload.array("files"), (req, res) => {
   const saved = [];
-  for (const f of req.files) {
-    const dst = path.join(HIST_DIR, f.originalname || f.filename);
-    fs.renameSync(f.path, dst);
-    STATE.manifest.historical.push(dst);
-    saved.push(dst);
+  const unresolved = [];
+  const reports = [];
+  const rejected = [];
+  const stored = {
+    inserted: 0,
+    updated: 0,
+    conflicting: 0,
+    unchanged: 0,
+    skipped: 0,
+  };
+  const conflicts = [];
+  for (const f of req.files || []) {
+    try {
+      const out = storeUpload(f, "historical");
+      saved.push(out.path);
+      reports.push(out.report);
+      unresolved.push(...out.unresolved);
+      for (const k of Object.keys(stored)) stored[k] += out.stored[k];
+      conflicts.push(...out.stored.conflicts);
+    } catch (e) {
+      console.error(e.message);
+      rejected.push({
+        file: fixMojibake(f.originalname || f.filename),
+        error: e.message,
+        quarantined: e.quarantined ?? null,
+      });
+      if (e.report) reports.push(e.report);
+    }
   }
-  res.json({ ok: true, saved });
-});
-
-// Hydrology auxiliaries
-app.post("/api/upload/network", upload.single("file"), (req, res) => {
-  const dst = path.join(HYDRO_DIR, "network_reaches.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.hydro.network = dst;
-  res.json({ ok: true, path: dst });
-});
-app.post("/api/upload/rating", upload.single("file"), (req, res) => {
-  const dst = path.join(HYDRO_DIR, "rating_curves.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.hydro.rating = dst;
-  res.json({ ok: true, path: dst });
-});
-app.post("/api/upload/basin", upload.single("file"), (req, res) => {
-  const dst = path.join(HYDRO_DIR, "basin_params.xlsx");
-  fs.renameSync(req.file.path, dst);
-  STATE.manifest.hydro.basin = dst;
-  res.json({ ok: true, path: dst });
+  const ok = saved.length > 0;
+  if (ok) persistState();
+  res.status(ok ? 200 : 400).json({
+    ok,
+    ...(ok ? {} : { error: rejected[0]?.error ?? "No files uploaded." }),
+    saved,
+    rejected,
+    reports,
+    unresolved,
+    stored: { ...stored, conflicts },
+  });
 });
 
-// -------- Train ----------
-app.post("/api/train", async (req, res) => {
+// A ZIP with any of the inputs (xlsx, CSV, TSV or JSON): each file is
+// recognized by its name, sheet or columns and goes where its own upload
+// route would put it, station metadata first. Like the historical upload,
+// files are accepted one by one; 400 only if none is.
+app.post("/api/upload/bundle", upload.single("file"), (req, res) => {
+  const files = [];
+  const skipped = [];
   try {
-    const files = STATE.manifest.historical || [];
-    if (!files.length) {
-      return res
-        .status(400)
-        .json({ ok: false, error: "No historical files uploaded." });
+    if (!req.file) {
+      const err = new Error("No file uploaded.");
+      err.status = 400;
+      throw err;
     }
-    // Load existing model if present
-    const modelPath = path.join(MODEL_DIR, "model.json");
-    if (fs.existsSync(modelPath)) {
-      STATE.model = await loadModel(modelPath);
+    let entries;
+    try {
+      entries = readZipEntries(req.file.path);
+    } catch {
+      const err = new Error("Not a ZIP archive.");
+      err.status = 400;
+      throw err;
     }
 
-    STATE.model = await trainModelFromHistoricalFiles(files, STATE.model);
-    await saveModel(modelPath, STATE.model);
+    const order = Object.keys(UPLOAD_SLOTS);
+    const found = [];
+    entries.forEach((entry, i) => {
+      const name = safeFileName(entry.name);
+      const tmp = path.join(UPLOAD_TMP_DIR, `${req.file.filename}_${i}`);
+      fs.writeFileSync(tmp, entry.data);
+      const type = detectInputType(name, tmp);
+      if (type) found.push({ entry, name, tmp, type });
+      else {
+        fs.unlinkSync(tmp);
+        skipped.push({ file: entry.name, reason: "not recognized" });
+      }
+    });
+    found.sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
 
-    res.json({
-      ok: true,
-      trainedAt: STATE.model.trainedAt,
-      stations: Object.keys(STATE.model?.stations || {}).length,
+    for (const { entry, name, tmp, type } of found) {
+      const file = { path: tmp, originalname: name };
+      try {
+        files.push({
+          file: entry.name,
+          type,
+          ok: true,
+          ...storeUpload(file, type),
+        });
+      } catch (e) {
+        console.error(e.message);
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+        files.push({
+          file: entry.name,
+          type,
+          ok: false,
+          error: e.message,
+          report: e.report ?? null,
+          quarantined: e.quarantined ?? null,
+        });
+      }
+    }
+    const ok = files.some((f) => f.ok);
+    if (ok) persistState();
+    res.status(ok ? 200 : 400).json({
+      ok,
+      ...(ok
+        ? {}
+        : {
+            error: files[0]?.error ?? "No recognized input files in the ZIP.",
+          }),
+      files,
+      skipped,
     });
+  } catch (e) {
+    console.error(e.message);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  } finally {
+    if (req.file && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+  }
+});
+
+// -------- Quality control ----------
+// Flags of the uploaded observations: per station and variable the counts
+// per flag and the unfilled gaps, plus the rejected / filled values and the
+// values two files disagree on (?station=101 narrows the list)
+app.get("/api/qc", (req, res) => {
+  try {
+    const qc = checkedObservations();
+    const station = req.query.station ? String(req.query.station) : null;
+    const filled = [];
+    for (const [code, flags] of qc.flags) {
+      if (station && code !== station) continue;
+      for (const [k, f] of flags) {
+        for (const [variable, flag] of Object.entries(f)) {
+          if (flag !== "filled") continue;
+          filled.push({
+            station_code: code,
+            t: `${k}:00:00.000Z`,
+            variable,
+            value: qc.histories.get(code)?.get(k)?.[variable] ?? null,
+            flag,
+          });
+        }
+      }
+    }
+    res.json({
+      ok: true,
+      stations: qcSummary(qc),
+      issue_count: qc.issue_count,
+      issues: qc.issues.filter((i) => !station || i.station_code === station),
+      filled: filled.sort((a, b) => a.t.localeCompare(b.t)),
+      conflicts: observationConflicts(STATE.observations, station),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- Observations ----------
+// Stations in the observation store with their period and value counts
+app.get("/api/observations", (req, res) => {
+  res.json({ ok: true, stations: storeSummary(STATE.observations) });
+});
+
+// Stored hourly values of a station (any identifier the registry knows):
+// ?from=2025-11-03&to=2025-11-05T12:00Z&vars=water_level_cm,discharge
+app.get("/api/stations/:code/observations", (req, res) => {
+  try {
+    const code =
+      resolveStationId(stationRegistry(), req.params.code) ??
+      String(req.params.code).trim();
+    const vars = req.query.vars
+      ? String(req.query.vars)
+          .split(",")
+          .map((v) => v.trim())
+          .filter(Boolean)
+          .map((v) => OBS_ALIASES[v] ?? v)
+      : OBS_VARIABLES;
+    const unknown = vars.filter((v) => !OBS_VARIABLES.includes(v));
+    if (unknown.length) {
+      const err = new Error(
+        `Unknown variable(s): ${unknown.join(", ")}. Known: ${OBS_VARIABLES.join(", ")}.`
+      );
+      err.status = 400;
+      throw err;
+    }
+    const range = {};
+    for (const k of ["from", "to"]) {
+      if (req.query[k] == null || req.query[k] === "") continue;
+      range[k] = toUtcMs(req.query[k]);
+      if (range[k] == null) {
+        const err = new Error(`Invalid ${k}: ${req.query[k]}.`);
+        err.status = 400;
+        throw err;
+      }
+    }
+    if (!STATE.observations.stations.has(code)) {
+      const err = new Error(`No observations for station ${code}.`);
+      err.status = 404;
+      throw err;
+    }
+    const observations = queryObservations(STATE.observations, code, {
+      ...range,
+      vars,
+    });
+    res.json({
+      ok: true,
+      station_code: code,
+      vars,
+      from: range.from != null ? new Date(range.from).toISOString() : null,
+      to: range.to != null ? new Date(range.to).toISOString() : null,
+      count: observations.length,
+      observations,
+    });
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- Telemetry push ----------
+// Gauges push readings as JSON ({ readings: [...] } or an array) or CSV
+// (text/csv, header station_code,datetime_utc,variable,value,quality) with
+// the key of their data source in X-API-Key or "Authorization: Bearer".
+// Accepted readings are upserted into the observation store, so the next
+// forecast starts from them; readings for earlier hours fill in where they
+// belong (counted as late). An Idempotency-Key header replays the stored
+// result when a batch is sent again.
+function apiKeyOf(req) {
+  const auth = req.get("authorization") || "";
+  return req.get("x-api-key") || auth.replace(/^Bearer\s+/i, "") || null;
+}
+
+// source keys and the alert config are managed with the ADMIN_TOKEN of the
+// environment, sent as X-Admin-Token
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({
+      ok: false,
+      error: "Set ADMIN_TOKEN on the server to use this endpoint.",
+    });
+  }
+  const digest = (v) => crypto.createHash("sha256").update(String(v)).digest();
+  const token = req.get("x-admin-token");
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) {
+    return res
+      .status(401)
+      .json({ ok: false, error: "Missing or wrong admin token." });
+  }
+  next();
+}
+
+app.post(
+  "/api/telemetry",
+  express.raw({ type: ["text/csv", "text/plain"], limit: "10mb" }),
+  (req, res) => {
+    try {
+      const source = authenticateSource(TELEMETRY_DIR, apiKeyOf(req));
+      if (!source) {
+        return res
+          .status(401)
+          .json({ ok: false, error: "Missing or unknown API key." });
+      }
+      const idem = req.get("idempotency-key") || null;
+      const prev = idem ? findBatch(TELEMETRY_DIR, source.name, idem) : null;
+      if (prev) return res.json({ ...prev.result, replayed: true });
+
+      const readings = Buffer.isBuffer(req.body)
+        ? parseTelemetryCsv(req.body)
+        : Array.isArray(req.body)
+          ? req.body
+          : req.body?.readings;
+      if (!Array.isArray(readings) || !readings.length) {
+        const err = new Error("No readings in the request.");
+        err.status = 400;
+        throw err;
+      }
+      const registry = stationRegistry();
+      const { records, rejected, flagged, late } = checkReadings(readings, {
+        resolve: (id) => resolveStationId(registry, id),
+        stations: source.stations?.map(
+          (c) => resolveStationId(registry, c) ?? c
+        ),
+        latest: (code, variable) =>
+          latestHour(STATE.observations, code, variable),
+      });
+      const stored = upsertObservations(
+        STATE.observations,
+        records,
+        `telemetry:${source.name}`
+      );
+      const result = {
+        ok: true,
+        source: source.name,
+        received: readings.length,
+        accepted: records.length,
+        flagged_by_source: flagged,
+        late,
+        rejected,
+        stored,
+      };
+      if (idem) rememberBatch(TELEMETRY_DIR, source.name, idem, result);
+      noteSourcePush(TELEMETRY_DIR, source.name, records.length);
+      res.json(result);
+    } catch (e) {
+      if (!e.status) console.error(e);
+      res.status(e.status || 500).json({ ok: false, error: e.message });
+    }
+  }
+);
+
+// Data sources (without their keys)
+app.get("/api/telemetry/sources", requireAdmin, (req, res) => {
+  res.json({ ok: true, sources: listSources(TELEMETRY_DIR) });
+});
+
+// { name, stations? } -> a new source, or a new key for an existing one; the
+// key is shown only in this response
+app.post("/api/telemetry/sources", requireAdmin, (req, res) => {
+  try {
+    const stations = req.body?.stations ? [req.body.stations].flat() : null;
+    const registry = stationRegistry();
+    const unknown = (stations || []).filter(
+      (c) => !resolveStationId(registry, c)
+    );
+    if (unknown.length) {
+      const err = new Error(`Unknown station(s): ${unknown.join(", ")}.`);
+      err.status = 400;
+      throw err;
+    }
+    const issued = issueSourceKey(
+      TELEMETRY_DIR,
+      req.body?.name,
+      stations?.map((c) => resolveStationId(registry, c))
+    );
+    res.json({ ok: true, ...issued });
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/telemetry/sources/:name", requireAdmin, (req, res) => {
+  if (!removeSource(TELEMETRY_DIR, req.params.name)) {
+    return res.status(404).json({ ok: false, error: "Unknown source." });
+  }
+  res.json({ ok: true });
+});
+
+// -------- Station identity ----------
+// Known stations with their identifiers, and the saved aliases
+app.get("/api/stations/registry", (req, res) => {
+  res.json({
+    ok: true,
+    stations: stationRegistry().stations,
+    aliases: loadAliases(ALIASES_PATH),
+  });
+});
+
+// Identifiers in the uploaded files that match no station, per source
+app.get("/api/stations/unresolved", (req, res) => {
+  try {
+    res.json({ ok: true, unresolved: unresolvedStations() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Body: { alias, station_code } — the station may be given by any identifier
+app.post("/api/stations/aliases", (req, res) => {
+  try {
+    const alias = fixMojibake(req.body?.alias ?? "").trim();
+    if (!alias) {
+      const err = new Error("alias is required.");
+      err.status = 400;
+      throw err;
+    }
+    const registry = stationRegistry();
+    const code = resolveStationId(registry, req.body?.station_code);
+    if (!code) {
+      const err = new Error(`Unknown station: ${req.body?.station_code}.`);
+      err.status = 400;
+      throw err;
+    }
+    const aliases = loadAliases(ALIASES_PATH);
+    const current = resolveStationId(registry, alias);
+    if (current && current !== code && aliases[alias] == null) {
+      const err = new Error(`${alias} already identifies station ${current}.`);
+      err.status = 400;
+      throw err;
+    }
+    aliases[alias] = code;
+    saveAliases(ALIASES_PATH, aliases);
+    resetStationRegistry();
+    res.json({ ok: true, alias, station_code: code, aliases });
+  } catch (e) {
+    console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+app.delete("/api/stations/aliases/:alias", (req, res) => {
+  const aliases = loadAliases(ALIASES_PATH);
+  if (aliases[req.params.alias] == null) {
+    return res.status(404).json({ ok: false, error: "Unknown alias." });
+  }
+  delete aliases[req.params.alias];
+  saveAliases(ALIASES_PATH, aliases);
+  resetStationRegistry();
+  res.json({ ok: true, aliases });
+});
+
+// -------- Rating curve calibration ----------
+// Fits Q = a·(h − h0)^b per station from historical (water_level_cm,
+// discharge_m3s) pairs. The fit is kept for preview until it is adopted;
+// fits with a non-positive R² or an exponent stuck at its bound come back with
+// `rejected` reasons and are not adopted unless forced.
+app.post("/api/calibrate/rating", (req, res) => {
+  try {
+    const { stations, segments, breaks_cm, min_points } = req.body || {};
+    const pairs = collectRatingPairs();
+    if (!pairs.size) {
+      return res.status(400).json({
+        ok: false,
+        error: "No historical stage–discharge pairs (discharge_m3s) found.",
+      });
+    }
+    const wanted =
+      Array.isArray(stations) && stations.length
+        ? new Set(stations.map((c) => String(c).trim()))
+        : null;
+    const current = buildHydroAux().rating;
+
+    const results = [];
+    for (const [code, data] of pairs) {
+      if (wanted && !wanted.has(code)) continue;
+      const breaks = Array.isArray(breaks_cm)
+        ? breaks_cm
+        : (breaks_cm?.[code] ?? []);
+      const fit = fitRatingCurve(data, {
+        segments: toNum(segments) ?? 1,
+        breaks_cm: breaks.map(toNum),
+        minPoints: toNum(min_points) ?? undefined,
+      });
+      if (!fit) {
+        results.push({
+          station_code: code,
+          ok: false,
+          status: "no_fit",
+          n: data.length,
+          error: "Not enough valid pairs to fit a curve.",
+        });
+        continue;
+      }
+      const hs = data.map((d) => d.h_cm);
+      const hMin = Math.min(...hs),
+        hMax = Math.max(...hs);
+      const pad = Math.max((hMax - hMin) * 0.1, 5);
+      const prev = current.get(code) || null;
+      results.push({
+        station_code: code,
+        ok: true,
+        status: fit.rejected.length ? "rejected" : "accepted",
+        ...fit,
+        curve_points: sampleRatingCurve(fit.curve, hMin - pad, hMax + pad),
+        current: prev,
+        current_points: prev
+          ? sampleRatingCurve(prev, hMin - pad, hMax + pad)
+          : [],
+      });
+    }
+
+    STATE.ratingFit = {
+      fittedAt: new Date().toISOString(),
+      curves: new Map(
+        results.filter((r) => r.ok).map((r) => [r.station_code, r.curve])
+      ),
+      rejected: new Map(
+        results
+          .filter((r) => r.ok && r.rejected.length)
+          .map((r) => [r.station_code, r.rejected])
+      ),
+    };
+    // accepted | partly_rejected | rejected (nothing adoptable without force)
+    const fitted = results.filter((r) => r.ok);
+    const nRejected = fitted.filter((r) => r.rejected.length).length;
+    const status = !fitted.length
+      ? "no_fit"
+      : nRejected === 0
+        ? "accepted"
+        : nRejected < fitted.length
+          ? "partly_rejected"
+          : "rejected";
+    res.json({
+      ok: true,
+      status,
+      fittedAt: STATE.ratingFit.fittedAt,
+      results,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Adopt the last fit as the active rating set. Stations that were not
+// refitted keep their current curve; the previous file is kept as a backup.
+// Body: { stations, force } — rejected fits are skipped unless force is true.
+app.post("/api/calibrate/rating/adopt", (req, res) => {
+  try {
+    const fit = STATE.ratingFit;
+    if (!fit?.curves?.size) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "Run /api/calibrate/rating first." });
+    }
+    const only = Array.isArray(req.body?.stations)
+      ? new Set(req.body.stations.map((c) => String(c).trim()))
+      : null;
+
+    const force = req.body?.force === true;
+
+    const merged = new Map(buildHydroAux().rating);
+    const adopted = [];
+    const refused = [];
+    for (const [code, rc] of fit.curves) {
+      if (only && !only.has(code)) continue;
+      const reasons = fit.rejected.get(code);
+      if (reasons && !force) {
+        refused.push({ station_code: code, reasons });
+        continue;
+      }
+      merged.set(code, rc);
+      adopted.push(code);
+    }
+    if (!adopted.length) {
+      return res.status(400).json({
+        ok: false,
+        error: refused.length
+          ? "All fitted curves were rejected; pass force to adopt them anyway."
+          : "No fitted curve for the requested stations.",
+        refused,
+      });
+    }
+
+    const dst = path.join(HYDRO_DIR, "rating_curves.xlsx");
+    let backup = null;
+    if (fs.existsSync(dst)) {
+      const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+      backup = path.join(HYDRO_DIR, `rating_curves.${stamp}.xlsx`);
+      fs.copyFileSync(dst, backup);
+    }
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(ratingToRows(merged)),
+      "rating"
+    );
+    XLSX.writeFile(wb, dst);
+    STATE.manifest.hydro.rating = dst;
+    persistState();
+
+    res.json({ ok: true, path: dst, backup, adopted, refused });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- Routing calibration ----------
+// Replays the historical hours through the routing model and fits reach K/X,
+// basin runoff parameters and the carry-over coefficient. An improved result
+// is saved as model/calibration.json and picked up by every later forecast;
+// one that is "not_improved" or "rejected" (calibration.js) is returned with
+// 422 and not saved unless the body says force: true.
+app.get("/api/calibrate/routing", (req, res) => {
+  res.json({ ok: true, calibration: loadCalibration(CALIBRATION_PATH) });
+});
+
+let routingCalibration = null; // running worker job
+
+app.post("/api/calibrate/routing", async (req, res) => {
+  try {
+    const { manifest } = STATE;
+    if (!(manifest.historical || []).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "No historical files uploaded." });
+    }
+    if (!manifest.hydro.network || !manifest.hydro.rating) {
+      return res.status(400).json({
+        ok: false,
+        error: "River network and rating curves are required.",
+      });
+    }
+    if (routingCalibration) {
+      return res.status(409).json({
+        ok: false,
+        error: `A routing calibration is already running (since ${routingCalibration.startedAt}).`,
+      });
+    }
+    // reset: start from the sheet / celerity values instead of the current
+    // calibration
+    const { objective, max_evals, reset, force } = req.body || {};
+    const maxEvals = toNum(max_evals);
+    if (
+      maxEvals !== null &&
+      !(
+        Number.isInteger(maxEvals) &&
+        maxEvals >= 1 &&
+        maxEvals <= CALIBRATION_MAX_EVALS
+      )
+    ) {
+      return res.status(400).json({
+        ok: false,
+        error: `max_evals must be an integer between 1 and ${CALIBRATION_MAX_EVALS}.`,
+      });
+    }
+    const aux = buildHydroAux({ calibrated: !reset });
+
+    routingCalibration = { startedAt: new Date().toISOString() };
+    let calib;
+    try {
+      calib = await calibrateRoutingInWorker(
+        {
+          network: aux.network,
+          rating: aux.rating,
+          basins: aux.basins,
+          stations: STATE.settings || [],
+          obs: collectObservedStages(),
+          forcing: observedForcingByHour(),
+          calibration: aux.calibration ?? null,
+        },
+        { objective, maxEvals: maxEvals ?? undefined }
+      );
+    } finally {
+      routingCalibration = null;
+    }
+    if (calib.status !== "improved" && force !== true) {
+      return res.status(422).json({
+        ok: false,
+        error: `Calibration ${calib.status.replace("_", " ")} (${calib.reason}); not saved, pass force to save it anyway.`,
+        saved: false,
+        calibration: calib,
+      });
+    }
+    saveCalibration(CALIBRATION_PATH, calib);
+    res.json({
+      ok: true,
+      saved: true,
+      path: CALIBRATION_PATH,
+      calibration: calib,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// back to the uncalibrated (sheet / celerity) parameters
+app.delete("/api/calibrate/routing", (req, res) => {
+  try {
+    if (fs.existsSync(CALIBRATION_PATH)) fs.unlinkSync(CALIBRATION_PATH);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- Train ----------
+// A new immutable registry version trained from the observation store on top
+// of the active one (stations without observations keep their models).
+// opts: { learners, params, note, promote }; throws with status 400 when
+// there is nothing to train on.
+async function trainVersion({ learners = [], params, note, promote = true }) {
+  const { rows, files } = observationRows();
+  if (!rows.length) {
+    const err = new Error(
+      "No observations stored; upload historical files first."
+    );
+    err.status = 400;
+    throw err;
+  }
+  const unknown = learners.filter((l) => !getLearner(l));
+  if (unknown.length) {
+    const err = new Error(`Unknown learner(s): ${unknown.join(", ")}.`);
+    err.status = 400;
+    throw err;
+  }
+  const stationLearners = new Map();
+  for (const m of STATE.settings || []) {
+    const v = normalizeModel(m.model);
+    if (getLearner(v)) {
+      stationLearners.set(String(m.station_code ?? "").trim(), v);
+    }
+  }
+  const parent = activeVersion(REGISTRY_DIR);
+  // the reach network adds upstream levels as predictors
+  const reaches = STATE.manifest.hydro.network
+    ? readReaches(STATE.manifest.hydro.network)
+    : [];
+  const { training, ...model } = await trainModelFromRows(
+    rows,
+    parent?.model ?? STATE.model,
+    {
+      files,
+      reaches,
+      learners,
+      stationLearners,
+      params,
+      qcLimits: qcLimits(),
+    }
+  );
+  const doc = createVersion(REGISTRY_DIR, model, {
+    ...training,
+    parent: parent?.version ?? null,
+    note: note ?? null,
+  });
+  if (promote) useModelVersion(doc.version);
+  return doc;
+}
+
+// Body: { promote = true, note, params, learners }
+app.post("/api/train", async (req, res) => {
+  try {
+    const { promote = true, note, params } = req.body || {};
+    // learners: "gbt" or ["ridge", "gbt"] (the first is the default);
+    // stations_meta column `model` picks a station's own
+    const learners = [req.body?.learners ?? []].flat().map(String);
+    const doc = await trainVersion({ learners, params, note, promote });
+
+    res.json({
+      ok: true,
+      version: doc.version,
+      active: STATE.modelVersion,
+      trainedAt: doc.model.trainedAt,
+      stations: Object.keys(doc.model.stations || {}).length,
+      validation: doc.validation,
+    });
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// Training report of a version (?version=v3, the active one by default):
+// per station the chosen λ with its cross-validation errors, coefficients with
+// 95 % intervals and residual diagnostics per lead, and the usable rows.
+app.get("/api/train/report", (req, res) => {
+  const id = req.query.version || STATE.modelVersion;
+  const doc = loadVersion(REGISTRY_DIR, id);
+  if (!doc) {
+    return res.status(404).json({ ok: false, error: "Unknown model version." });
+  }
+  if (!doc.report) {
+    return res.status(404).json({
+      ok: false,
+      error: `Version ${doc.version} has no training report.`,
+    });
+  }
+  const stations = {};
+  for (const [code, r] of Object.entries(doc.report)) {
+    stations[code] = { ...r, validation: doc.validation?.[code] ?? null };
+  }
+  res.json({
+    ok: true,
+    version: doc.version,
+    createdAt: doc.createdAt,
+    period: doc.period,
+    rows: doc.rows,
+    hyperparameters: doc.hyperparameters,
+    stations,
+  });
+});
+
+// learners that /api/train and /api/forecast accept, with their defaults
+app.get("/api/learners", (req, res) => {
+  res.json({ ok: true, learners: listLearners() });
+});
+
+// -------- Model registry ----------
+app.get("/api/models", (req, res) => {
+  res.json({ ok: true, ...listVersions(REGISTRY_DIR) });
+});
+
+// ?from=v1&to=v2 (to defaults to the active version)
+app.get("/api/models/diff", (req, res) => {
+  const a = loadVersion(REGISTRY_DIR, req.query.from);
+  const b = loadVersion(REGISTRY_DIR, req.query.to ?? STATE.modelVersion);
+  if (!a || !b) {
+    return res
+      .status(404)
+      .json({ ok: false, error: "Unknown model version(s)." });
+  }
+  res.json({ ok: true, diff: diffVersions(a, b) });
+});
+
+app.get("/api/models/:version", (req, res) => {
+  const doc = loadVersion(REGISTRY_DIR, req.params.version);
+  if (!doc) {
+    return res.status(404).json({ ok: false, error: "Unknown model version." });
+  }
+  res.json({ ok: true, model: doc });
+});
+
+app.post("/api/models/:version/promote", (req, res) => {
+  try {
+    if (!loadVersion(REGISTRY_DIR, req.params.version)) {
+      return res
+        .status(404)
+        .json({ ok: false, error: "Unknown model version." });
+    }
+    useModelVersion(req.params.version);
+    res.json({ ok: true, active: STATE.modelVersion });
   } catch (e) {
     console.error(e);
     res.status(500).json({ ok: false, error: e.message });
   }
 });
 
+app.post("/api/models/rollback", (req, res) => {
+  try {
+    const index = rollbackVersion(REGISTRY_DIR);
+    STATE.model = loadVersion(REGISTRY_DIR, index.active).model;
+    STATE.modelVersion = index.active;
+    res.json({ ok: true, active: index.active });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
 // -------- Forecast ----------
 app.post("/api/forecast", async (req, res) => {
   try {
-    const ctx = assembleRunContext();
-    const { rows, table, series } = await forecastWaterLevels(
+    // optional { model_version: "v3" } instead of the active model
+    const run = modelForRun(req.body?.model_version);
+    // optional { model: "gbt" } or { model: { "101": "routing" } }
+    const ctx = {
+      ...assembleRunContext(),
+      model: run.model,
+      models: forecastModels(req.body?.model),
+    };
+    const { rows, table, series, models } = await forecastWaterLevels(
       ctx.currentInputs,
       ctx.settings,
       ctx.model,
-      ctx.hydroAux
+      ctx.hydroAux,
+      ctx.forcing,
+      { baseTime: ctx.baseTime, history: ctx.history, models: ctx.models }
     );
 
+    // error correction from the recent observed-minus-simulated stage
+    // (routing model only; station learners have nothing to replay)
+    let corrections = new Map();
+    if (
+      ctx.baseTime &&
+      ctx.hydroAux.network?.length &&
+      ctx.hydroAux.rating?.size
+    ) {
+      const { methods, fallback } = assimilationMethods(req.body?.assimilation);
+      corrections = estimateCorrections(
+        {
+          network: ctx.hydroAux.network,
+          rating: ctx.hydroAux.rating,
+          basins: ctx.hydroAux.basins,
+          stations: ctx.settings || [],
+          obs: collectRecentStages(ctx.baseTime),
+          forcing: observedForcingByHour(),
+          calibration: ctx.hydroAux.calibration,
+          basinState: ctx.hydroAux.basinState,
+        },
+        methods,
+        fallback
+      );
+      for (const code of corrections.keys()) {
+        if (models[code]?.model !== "routing") corrections.delete(code);
+      }
+    }
+    const assimilation = corrections.size
+      ? applyCorrections({ rows, table, series }, corrections)
+      : {};
+
+    // ensemble mode: { ensemble: true } or { ensemble: { members, seed } }
+    let ensemble = null;
+    if (req.body?.ensemble) {
+      const eo = typeof req.body.ensemble === "object" ? req.body.ensemble : {};
+      ensemble = await runEnsemble(ctx, {
+        members: eo.members,
+        seed: eo.seed,
+        corrections,
+        thresholds: STATE.thresholds,
+      });
+      attachBands(series, ensemble);
+    }
+
+    const exceedances = annotateForecast(
+      { rows, table, series },
+      STATE.thresholds
+    );
+    const thresholds = thresholdsToJson(STATE.thresholds);
+
+    // alert delivery problems must not fail the forecast itself
+    let alerts;
+    try {
+      alerts = await processAlerts(ALERT_DIR, exceedances);
+    } catch (e) {
+      console.error(e);
+      alerts = { events: [], deliveries: [], error: e.message };
+    }
+    // nor may writing the CAP feed
+    let cap;
+    try {
+      cap = {
+        messages: updateCapFeed(CAP_DIR, exceedances, STATE.settings, {
+          sender: CAP_SENDER,
+        }),
+      };
+    } catch (e) {
+      console.error(e);
+      cap = { messages: [], error: e.message };
+    }
+
     const outPath = timestampedOutPath(OUT_DIR, "forecast", "xlsx");
-    writeForecastWorkbook(outPath, table, rows);
+    writeForecastWorkbook(outPath, table, rows, exceedances, ensemble, models);
 
     STATE.lastForecastPath = outPath;
-    STATE.lastForecastJson = { daily: table, hourly: rows, series };
+    STATE.lastForecastJson = {
+      daily: table,
+      hourly: rows,
+      series,
+      exceedances,
+      thresholds,
+      assimilation,
+      ensemble,
+      model_version: run.version,
+      models,
+      learner_fallback: learnerFallbacks(models),
+    };
+    STATE.forecasts.push({
+      created_at: new Date().toISOString(),
+      path: outPath,
+      model_version: run.version,
+      stations: Object.keys(series),
+    });
+    try {
+      saveLastForecast(STATE_DIR, STATE.lastForecastJson);
+    } catch (e) {
+      console.error("state:", e.message);
+    }
+    persistState();
+
+    res.json({
+      ok: true,
+      table,
+      hourly: rows,
+      series,
+      exceedances,
+      thresholds,
+      alerts,
+      cap,
+      assimilation,
+      ensemble,
+      model_version: run.version,
+      models,
+      learner_fallback: STATE.lastForecastJson.learner_fallback,
+      calibration: ctx.hydroAux.calibration?.calibratedAt ?? null,
+      excel_path: outPath,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
 
-    res.json({ ok: true, table, hourly: rows, series, excel_path: outPath });
+// -------- Hindcast ----------
+// Re-issues forecasts from past hours of the historical record (every N hours,
+// only data known at the time) and scores them against the observed stages.
+// Body: { from, to, every, horizon, meteo: "none" | "observed", assimilation,
+// model_version, model }
+app.get("/api/hindcast", (req, res) => {
+  res.json({ ok: true, hindcast: STATE.lastHindcast });
+});
+
+app.post("/api/hindcast", async (req, res) => {
+  try {
+    if (!(STATE.manifest.historical || []).length) {
+      return res
+        .status(400)
+        .json({ ok: false, error: "No historical files uploaded." });
+    }
+    const {
+      from,
+      to,
+      every,
+      horizon,
+      meteo,
+      assimilation,
+      model_version,
+      model,
+    } = req.body || {};
+    const run = modelForRun(model_version);
+    const models = forecastModels(model);
+    const hydroAux = buildHydroAux();
+
+    // error correction only when asked for: the raw model is scored by default
+    let da = null;
+    if (assimilation && assimilation !== "none") {
+      da = {
+        ...assimilationMethods(
+          assimilation === true ? undefined : assimilation
+        ),
+        hours: ASSIMILATION_HOURS,
+      };
+    }
+
+    // replayed and scored on quality-controlled observations
+    const history = stationHistory();
+    const hindcast = await runHindcast(
+      {
+        settings: STATE.settings || [],
+        model: run.model,
+        hydroAux,
+        obs: stagesOf(history),
+        stationForcing: observedStationForcing(),
+        basinForcing: buildObservedBasinForcing(),
+        forcingByHour: observedForcingByHour(),
+        history,
+        thresholds: STATE.thresholds,
+      },
+      { from, to, every, horizon, meteo, assimilation: da, models }
+    );
+    // the choice of the request; stations[code].model is what ran
+    hindcast.model =
+      typeof model === "string" ? models.fallback : model ? "custom" : "auto";
+    hindcast.model_version = run.version;
+    STATE.lastHindcast = hindcast;
+    res.json({ ok: true, hindcast });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ ok: false, error: e.message });
+    res.status(e.status || 400).json({ ok: false, error: e.message });
   }
 });
 
@@ -337,6 +2246,314 @@ app.get("/api/forecast/hourly", (req, res) => {
   res.json({ ok: true, hourly: STATE.lastForecastJson?.hourly || [] });
 });
 
+// -------- Alerts ----------
+// channels and subscriptions; admin only, secrets are returned redacted
+app.get("/api/alerts/config", requireAdmin, (req, res) => {
+  res.json({
+    ok: true,
+    config: redactAlertConfig(loadAlertConfig(ALERT_DIR)),
+  });
+});
+
+app.put("/api/alerts/config", requireAdmin, (req, res) => {
+  const config = restoreRedacted(req.body || {}, loadAlertConfig(ALERT_DIR));
+  const errors = validateAlertConfig(config);
+  if (errors.length) return res.status(400).json({ ok: false, errors });
+  saveAlertConfig(ALERT_DIR, config);
+  res.json({ ok: true, config: redactAlertConfig(config) });
+});
+
+app.get("/api/alerts/state", (req, res) => {
+  res.json({ ok: true, state: loadAlertState(ALERT_DIR) });
+});
+
+app.get("/api/alerts/history", (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, 1000);
+  res.json({ ok: true, events: readAlertHistory(ALERT_DIR, limit) });
+});
+
+app.post("/api/alerts/test", async (req, res) => {
+  try {
+    const result = await sendTestAlert(ALERT_DIR, req.body?.channel || "log");
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- CAP 1.2 warnings (Atom index + documents) ----------
+app.get("/api/cap/feed", (req, res) => {
+  const baseUrl = `${req.protocol}://${req.get("host")}`;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  res.type("application/atom+xml");
+  res.send(
+    buildAtomFeed(listCapMessages(CAP_DIR, limit), {
+      baseUrl,
+      sender: CAP_SENDER,
+    })
+  );
+});
+
+app.get("/api/cap/alerts/:id", (req, res) => {
+  const xml = readCapAlert(CAP_DIR, req.params.id.replace(/\.xml$/, ""));
+  if (!xml) {
+    return res.status(404).json({ ok: false, error: "No such CAP alert." });
+  }
+  res.type("application/cap+xml");
+  res.send(xml);
+});
+
+// -------- Standard exports (WaterML 2.0, SensorThings API) ----------
+// Stations with their observed water levels (observation store, QC flag per
+// value) and the last forecast, for utils/waterml.js and
+// utils/sensorthings.js. opts: from / to (ms) limit the observed values;
+// without from, hours keeps only the last hours of each station's record.
+function exportSeries(opts = {}) {
+  const qc = checkedObservations();
+  const observed = new Map();
+  for (const code of STATE.observations.stations.keys()) {
+    let from = opts.from;
+    if (from == null && opts.hours) {
+      const last = latestHour(STATE.observations, code, "water_level_cm");
+      if (last) from = Date.parse(`${last}:00:00Z`) - (opts.hours - 1) * 3600e3;
+    }
+    const rows = queryObservations(STATE.observations, code, {
+      from,
+      to: opts.to,
+      vars: ["water_level_cm"],
+    });
+    if (!rows.length) continue;
+    // a rejected value QC replaced goes out as the replacement
+    observed.set(
+      code,
+      rows.map((r) => {
+        const k = r.t.slice(0, 13);
+        const flag = qcFlag(qc, code, k, "water_level_cm");
+        const value =
+          flag === "filled"
+            ? qc.histories.get(code).get(k).water_level_cm
+            : r.water_level_cm;
+        return { t: r.t, value, flag };
+      })
+    );
+  }
+
+  // the first point of a forecast series is the observed base hour
+  const last = STATE.lastForecastJson;
+  const forecast = new Map();
+  const names = new Map();
+  for (const [code, points] of Object.entries(last?.series || {})) {
+    const model = last.models?.[code]?.model ?? null;
+    const values = points.filter((p) => !p.observed && p.wl_cm != null);
+    if (!values.length) continue;
+    names.set(code, values[0]);
+    forecast.set(
+      code,
+      values.map((p) => ({
+        t: p.t,
+        value: p.wl_cm,
+        warning_level: p.warning_level ?? null,
+        model,
+      }))
+    );
+  }
+
+  const meta = new Map(
+    (STATE.settings || []).map((m) => [String(m.station_code ?? "").trim(), m])
+  );
+  const codes = [
+    ...new Set([...meta.keys(), ...observed.keys(), ...forecast.keys()]),
+  ]
+    .filter(Boolean)
+    .sort();
+  return {
+    stations: codes.map((code) => ({
+      station_name: names.get(code)?.station_name ?? null,
+      river_name: names.get(code)?.river_name ?? null,
+      ...meta.get(code),
+      station_code: code,
+    })),
+    observed,
+    forecast,
+    issued_at: STATE.forecasts.at(-1)?.created_at ?? null,
+    model_version: last?.model_version ?? null,
+  };
+}
+
+// WaterML 2.0 timeseries of all stations or one (any identifier the registry
+// knows): ?series=observed,forecast&from=&to= (from / to apply to the
+// observed values; by default the last EXPORT_OBSERVED_HOURS of each station)
+function sendWaterML(req, res, code = null) {
+  try {
+    const series = req.query.series
+      ? String(req.query.series)
+          .split(",")
+          .map((s) => s.trim())
+          .filter(Boolean)
+      : WATERML_SERIES;
+    const unknown = series.filter((s) => !WATERML_SERIES.includes(s));
+    if (unknown.length) {
+      const err = new Error(
+        `Unknown series: ${unknown.join(", ")}. Known: ${WATERML_SERIES.join(", ")}.`
+      );
+      err.status = 400;
+      throw err;
+    }
+    const range = {};
+    for (const k of ["from", "to"]) {
+      if (req.query[k] == null || req.query[k] === "") continue;
+      range[k] = toUtcMs(req.query[k]);
+      if (range[k] == null) {
+        const err = new Error(`Invalid ${k}: ${req.query[k]}.`);
+        err.status = 400;
+        throw err;
+      }
+    }
+    const data = exportSeries({ ...range, hours: EXPORT_OBSERVED_HOURS });
+    if (code) {
+      data.stations = data.stations.filter((st) => st.station_code === code);
+      if (!series.some((s) => data[s].has(code))) {
+        const err = new Error(`No ${series.join(" or ")} values for ${code}.`);
+        err.status = 404;
+        throw err;
+      }
+    }
+    res.type("application/xml");
+    res.send(buildWaterML(data, series));
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+}
+
+app.get("/api/waterml", (req, res) => sendWaterML(req, res));
+
+app.get("/api/waterml/:code", (req, res) =>
+  sendWaterML(
+    req,
+    res,
+    resolveStationId(stationRegistry(), req.params.code) ??
+      String(req.params.code).trim()
+  )
+);
+
+// OGC SensorThings API, read only: /api/sta/v1.1,
+// /api/sta/v1.1/Things('101')/Datastreams, ...Datastreams('101-forecast')/
+// Observations?$top=24
+const STA_ROOT = `/api/sta/${STA_VERSION}`;
+app.get([STA_ROOT, `${STA_ROOT}/*`], (req, res) => {
+  const base = `${req.protocol}://${req.get("host")}${STA_ROOT}`;
+  try {
+    const resourcePath = decodeURIComponent(req.params[0] || "");
+    if (!resourcePath) return res.json(staServiceRoot(base));
+    res.json(
+      staResponse(
+        buildSensorThings(exportSeries()),
+        resourcePath,
+        req.query,
+        base
+      )
+    );
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// -------- GeoJSON (stations, reaches) ----------
+// Coordinates converted from LKS-94 (x_coord / y_coord) to WGS84; features
+// without coordinates are listed in `skipped`.
+function sendGeoJson(res, features, skipped) {
+  res.type("application/geo+json");
+  res.send(JSON.stringify({ type: "FeatureCollection", features, skipped }));
+}
+
+// stations with the latest accepted water level and the last forecast's
+// peak and warning level
+app.get("/api/geo/stations", (req, res) => {
+  try {
+    if (!STATE.settings?.length) {
+      const err = new Error("No station metadata uploaded.");
+      err.status = 404;
+      throw err;
+    }
+    const current = new Map(
+      buildCurrentInputs().map((r) => [r.station_code, r])
+    );
+    const exceedances = new Map(
+      (STATE.lastForecastJson?.exceedances || []).map((e) => [
+        e.station_code,
+        e,
+      ])
+    );
+    const features = [];
+    const skipped = [];
+    for (const m of STATE.settings) {
+      const code = String(m.station_code ?? "").trim();
+      if (!code) continue;
+      const cur = current.get(code);
+      const ex = exceedances.get(code);
+      const f = stationFeature(
+        { ...m, station_code: code },
+        {
+          station_code: code,
+          station_name: m.station_name ?? null,
+          river_name: m.river_name ?? null,
+          station_kodas: m.station_kodas ?? null,
+          basin_name: m.basin_name ?? null,
+          x_coord: toNum(m.x_coord),
+          y_coord: toNum(m.y_coord),
+          observed_level_cm: cur?.water_level_cm ?? null,
+          observed_at: cur?.observed_at ?? null,
+          observed_qc: cur?.qc.water_level_cm ?? null,
+          forecast_peak_cm: ex?.peak_cm ?? null,
+          forecast_peak_time: ex?.peak_time ?? null,
+          warning_level: ex?.warning_level ?? null,
+        }
+      );
+      if (f) features.push(f);
+      else skipped.push(code);
+    }
+    sendGeoJson(res, features, skipped);
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
+// reaches of the river network as lines from their from_code station to
+// their to_code station
+app.get("/api/geo/reaches", (req, res) => {
+  try {
+    if (!STATE.manifest.hydro.network) {
+      const err = new Error("No river network uploaded.");
+      err.status = 404;
+      throw err;
+    }
+    const metaByCode = new Map(
+      (STATE.settings || []).map((m) => [
+        String(m.station_code ?? "").trim(),
+        m,
+      ])
+    );
+    const features = [];
+    const skipped = [];
+    for (const r of readReaches(STATE.manifest.hydro.network)) {
+      const f = reachFeature(r, metaByCode, {
+        ...r,
+        from_name: metaByCode.get(String(r.from_code))?.station_name ?? null,
+        to_name: metaByCode.get(String(r.to_code))?.station_name ?? null,
+      });
+      if (f) features.push(f);
+      else skipped.push(`${r.from_code ?? ""}-${r.to_code ?? ""}`);
+    }
+    sendGeoJson(res, features, skipped);
+  } catch (e) {
+    if (!e.status) console.error(e);
+    res.status(e.status || 500).json({ ok: false, error: e.message });
+  }
+});
+
 // -------- Download last Excel ----------
 app.get("/api/download/latest", (req, res) => {
   const p = STATE.lastForecastPath;
@@ -350,7 +2567,50 @@ app.get("/api/download/latest", (req, res) => {
   res.sendFile(p);
 });
 
+// forecast runs kept in the state, newest first
+app.get("/api/forecast/history", (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  res.json({
+    ok: true,
+    forecasts: STATE.forecasts
+      .slice(-limit)
+      .reverse()
+      .map(({ path: p, ...f }) => ({
+        ...f,
+        file: p ? path.basename(p) : null,
+      })),
+  });
+});
+
 // -------- Start ----------
+try {
+  restoreState();
+} catch (e) {
+  console.error("state:", e.message);
+}
+// active registry version (a pre-registry model.json is imported as v1)
+let imported = null;
+try {
+  imported = importLegacyModel(REGISTRY_DIR, LEGACY_MODEL_PATH, {
+    hyperparameters: { features: FEATURES },
+  });
+  const active = activeVersion(REGISTRY_DIR);
+  if (active) {
+    STATE.model = active.model;
+    STATE.modelVersion = active.version;
+  }
+} catch (e) {
+  console.error("model registry:", e.message);
+}
+// the imported model only predicts the next day (days 2 and 3 are
+// extrapolated from it); per-lead models are trained when the user asks for
+// them (POST /api/train), not as a side effect of starting the server
+if (imported) {
+  console.log(
+    `model registry: imported ${path.basename(LEGACY_MODEL_PATH)} as ${imported.version}; train per-lead models with POST /api/train`
+  );
+}
+
 const PORT = process.env.PORT || 4000;
 app.listen(PORT, () => {
   console.log(`AKVAMANAS backend on http://localhost:${PORT}`);
@@ -0,0 +1,88 @@
+// backend/test/alerts.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  evaluateAlerts,
+  redactAlertConfig,
+  restoreRedacted,
+  validateAlertConfig,
+} from "../utils/alerts.js";
+
+const ex = (code, level) => ({
+  station_code: code,
+  station_name: `Station ${code}`,
+  warning_level: level,
+});
+
+test("alert events follow the level transitions", () => {
+  const state = {
+    stations: {
+      101: { level: "pavojingas" },
+      102: { level: "stichinis" },
+      103: { level: "pavojingas" },
+    },
+  };
+  const events = evaluateAlerts(
+    [
+      ex("100", "pavojingas"),
+      ex("101", "stichinis"),
+      ex("102", "pavojingas"),
+      ex("103", "normal"),
+      ex("105", "normal"),
+    ],
+    state
+  );
+  assert.deepEqual(
+    events.map((e) => [e.station_code, e.type]),
+    [
+      ["100", "new"],
+      ["101", "escalated"],
+      ["102", "deescalated"],
+      ["103", "cleared"],
+    ]
+  );
+});
+
+test("a warned station missing from the forecast is cleared", () => {
+  const state = {
+    stations: {
+      104: { level: "katastrofinis", station_name: "Nemunaičiai" },
+      106: { level: "normal" },
+    },
+  };
+  const [ev, ...rest] = evaluateAlerts([], state);
+  assert.equal(rest.length, 0);
+  assert.equal(ev.type, "cleared");
+  assert.equal(ev.station_code, "104");
+  assert.equal(ev.station_name, "Nemunaičiai");
+  assert.equal(ev.previous_level, "katastrofinis");
+  assert.equal(ev.level, "normal");
+});
+
+test("secrets are redacted and kept when saved back", () => {
+  const stored = {
+    channels: {
+      mail: {
+        type: "smtp",
+        host: "smtp.example.org",
+        to: "duty@example.org",
+        auth: { user: "akva", pass: "s3cret" },
+      },
+      hook: {
+        type: "webhook",
+        url: "https://example.org/hook",
+        headers: { Authorization: "Bearer abc" },
+      },
+    },
+    subscriptions: [],
+  };
+  const shown = redactAlertConfig(stored);
+  assert.notEqual(shown.channels.mail.auth.pass, "s3cret");
+  assert.notEqual(shown.channels.hook.headers.Authorization, "Bearer abc");
+  assert.equal(stored.channels.mail.auth.pass, "s3cret");
+
+  const saved = restoreRedacted(structuredClone(shown), stored);
+  assert.deepEqual(saved, stored);
+  assert.deepEqual(validateAlertConfig(saved), []);
+});
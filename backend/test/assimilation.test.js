@@ -0,0 +1,89 @@
+// backend/test/assimilation.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  correctionAt,
+  correctionLimits,
+  applyCorrections,
+  MAX_REPLAY_RMSE_CM,
+} from "../utils/assimilation.js";
+
+const at = "2025-11-05T23";
+
+test("correction decays as phi^lead after the last error", () => {
+  const c = { method: "ar1", phi: 0.5, state_cm: 8, at };
+  assert.equal(correctionAt(c, "2025-11-05T23:00:00.000Z"), 8);
+  assert.equal(correctionAt(c, "2025-11-06T00:00:00.000Z"), 4);
+  assert.equal(correctionAt(c, "2025-11-06T02:00:00.000Z"), 1);
+  // times before the last error get the full correction
+  assert.equal(correctionAt(c, "2025-11-05T20:00:00.000Z"), 8);
+});
+
+test("no correction for method none or a skipped station", () => {
+  assert.equal(correctionAt({ method: "none", at }, `${at}:00:00Z`), 0);
+  assert.equal(
+    correctionAt({ method: "ar1", phi: 0.9, state_cm: null, at }, `${at}:00Z`),
+    0
+  );
+  assert.equal(correctionAt(undefined, `${at}:00:00Z`), 0);
+});
+
+test("corrections are capped at a multiple of the replay RMSE", () => {
+  const errors = [2, -2, 2, -2, 20];
+  const lim = correctionLimits(errors, { phi: 0.5, state_cm: 20 });
+  assert.equal(lim.status, "capped");
+  assert.ok(Math.abs(lim.state_cm - lim.limit) < 1e-9);
+  assert.ok(lim.limit < 20);
+
+  const ok = correctionLimits([3, 2, 1], { phi: 0.5, state_cm: 1 });
+  assert.equal(ok.status, "applied");
+  assert.equal(ok.state_cm, 1);
+});
+
+test("poor replays and non-decaying errors are not corrected", () => {
+  const big = correctionLimits([100, 110, 120], { phi: 0.5, state_cm: 120 });
+  assert.equal(big.status, "skipped");
+  assert.equal(big.state_cm, null);
+
+  const drift = correctionLimits([5, 6, 7], { phi: 0.98, state_cm: 7 });
+  assert.equal(drift.status, "skipped");
+  assert.equal(drift.state_cm, null);
+});
+
+test("summary reports the status of every station", () => {
+  const rows = [
+    {
+      station_code: "104",
+      forecast_date: "2025-11-06",
+      forecast_datetime: "2025-11-06T00:00:00.000Z",
+      forecast_water_level_cm: 200,
+    },
+  ];
+  const errors = [{ t: at, obs_cm: 300, sim_cm: 200, err_cm: 100 }];
+  const corrections = new Map([
+    [
+      "104",
+      {
+        method: "ar1",
+        phi: 0.5,
+        state_cm: null,
+        fitted_cm: 100,
+        status: "skipped",
+        reason: `replay RMSE 100 cm exceeds ${MAX_REPLAY_RMSE_CM} cm`,
+        rmse: 100,
+        limit: null,
+        at,
+        errors,
+      },
+    ],
+  ]);
+  const summary = applyCorrections(
+    { rows, table: [], series: {} },
+    corrections
+  );
+  assert.equal(rows[0].forecast_water_level_cm, 200);
+  assert.equal(summary["104"].status, "skipped");
+  assert.equal(summary["104"].fitted_cm, 100);
+  assert.equal(summary["104"].correction_cm, null);
+});
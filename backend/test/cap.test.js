@@ -0,0 +1,63 @@
+// backend/test/cap.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { updateCapFeed, capTime } from "../utils/cap.js";
+
+const ex = (code, level, first, last) => ({
+  station_code: code,
+  station_name: `Station ${code}`,
+  warning_level: level,
+  levels:
+    level === "normal"
+      ? {}
+      : { [level]: { first_exceedance: first, last_exceedance: last } },
+});
+
+test("CAP times use -00:00 for UTC", () => {
+  assert.equal(
+    capTime("2025-11-06T12:00:00.000Z"),
+    "2025-11-06T12:00:00-00:00"
+  );
+});
+
+test("CAP messages go Alert -> Update -> Cancel", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "akvamanas-cap-"));
+  try {
+    const run = (list, hour) =>
+      updateCapFeed(dir, list, [], {
+        sent: `2025-11-06T${hour}:00:00.000Z`,
+      }).map((m) => [m.station_code, m.msgType, m.level]);
+
+    const t1 = "2025-11-06T10:00:00.000Z";
+    const t2 = "2025-11-06T20:00:00.000Z";
+    assert.deepEqual(
+      run([ex("104", "pavojingas", t1, t2), ex("105", "normal")], "01"),
+      [["104", "Alert", "pavojingas"]]
+    );
+    // unchanged level and window: nothing new
+    assert.deepEqual(run([ex("104", "pavojingas", t1, t2)], "02"), []);
+    assert.deepEqual(run([ex("104", "stichinis", t1, t2)], "03"), [
+      ["104", "Update", "stichinis"],
+    ]);
+    assert.deepEqual(run([ex("104", "normal")], "04"), [
+      ["104", "Cancel", "stichinis"],
+    ]);
+
+    // a station that drops out of the forecast is cancelled too
+    run([ex("769", "katastrofinis", t1, t2)], "05");
+    assert.deepEqual(run([], "06"), [["769", "Cancel", "katastrofinis"]]);
+
+    const xml = fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith(".xml"))
+      .map((f) => fs.readFileSync(path.join(dir, f), "utf8"));
+    assert.equal(xml.length, 5);
+    assert.ok(xml.every((x) => !/\d{2}:\d{2}:\d{2}Z/.test(x)));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,58 @@
+// backend/test/geo.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  lks94ToWgs84,
+  stationLatLon,
+  stationFeature,
+  reachFeature,
+} from "../utils/geo.js";
+
+const close = (a, b, tol = 1e-5) =>
+  assert.ok(Math.abs(a - b) <= tol, `${a} is not within ${tol} of ${b}`);
+
+test("LKS-94 grid coordinates project to WGS84", () => {
+  const p = lks94ToWgs84(582000, 6061000);
+  close(p.lat, 54.678761);
+  close(p.lon, 25.27152);
+});
+
+test("the false easting lies on the 24° central meridian", () => {
+  const p = lks94ToWgs84(500000, 6000000);
+  close(p.lon, 24);
+  assert.ok(p.lat > 54 && p.lat < 54.2);
+});
+
+test("non-finite coordinates give null", () => {
+  assert.equal(lks94ToWgs84(NaN, 6061000), null);
+  assert.equal(lks94ToWgs84(582000, Infinity), null);
+  assert.equal(stationLatLon({ x_coord: null, y_coord: 6061000 }), null);
+  assert.equal(stationLatLon(null), null);
+});
+
+test("station metadata reads text coordinates", () => {
+  assert.deepEqual(stationLatLon({ x_coord: "582000", y_coord: "6061000" }), {
+    lat: 54.678761,
+    lon: 25.27152,
+  });
+});
+
+test("GeoJSON positions are [lon, lat]", () => {
+  const a = { station_code: 1, x_coord: 582000, y_coord: 6061000 };
+  const b = { station_code: 2, x_coord: 500000, y_coord: 6000000 };
+  const f = stationFeature(a, { name: "A" });
+  assert.equal(f.id, "1");
+  assert.deepEqual(f.geometry.coordinates, [25.27152, 54.678761]);
+  assert.equal(stationFeature({ station_code: 3 }), null);
+
+  const metaByCode = new Map([
+    ["1", a],
+    ["2", b],
+  ]);
+  const r = reachFeature({ from_code: 1, to_code: 2 }, metaByCode);
+  assert.equal(r.id, "1-2");
+  assert.equal(r.geometry.type, "LineString");
+  assert.deepEqual(r.geometry.coordinates[0], f.geometry.coordinates);
+  assert.equal(reachFeature({ from_code: 1, to_code: 9 }, metaByCode), null);
+});
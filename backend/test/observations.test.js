@@ -0,0 +1,117 @@
+// backend/test/observations.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  openObservationStore,
+  upsertObservations,
+  observationConflicts,
+} from "../utils/observations.js";
+
+function tmpStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "obs-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return openObservationStore(dir);
+}
+
+const T = "2025-11-06T10:00:00Z";
+
+test("a new upload inserts and a repeated one changes nothing", (t) => {
+  const store = tmpStore(t);
+  const rec = [{ station_code: "104", t: T, water_level_cm: 250 }];
+  const first = upsertObservations(store, rec, "a.xlsx");
+  assert.equal(first.inserted, 1);
+  assert.deepEqual(first.stations, ["104"]);
+
+  const again = upsertObservations(store, rec, "a.xlsx");
+  assert.equal(again.inserted, 0);
+  assert.equal(again.unchanged, 1);
+  assert.deepEqual(again.stations, []);
+});
+
+test("a new value from the same file is an update, not a conflict", (t) => {
+  const store = tmpStore(t);
+  upsertObservations(
+    store,
+    [{ station_code: "104", t: T, water_level_cm: 250 }],
+    "a.xlsx"
+  );
+  const r = upsertObservations(
+    store,
+    [{ station_code: "104", t: T, water_level_cm: 255 }],
+    "a.xlsx"
+  );
+  assert.equal(r.updated, 1);
+  assert.equal(r.conflicting, 0);
+  assert.deepEqual(observationConflicts(store), []);
+});
+
+test("another file's value for the same hour counts as a conflict", (t) => {
+  const store = tmpStore(t);
+  upsertObservations(
+    store,
+    [{ station_code: "104", t: T, water_level_cm: 250, discharge_m3s: 40 }],
+    "a.xlsx"
+  );
+  const r = upsertObservations(
+    store,
+    [
+      { station_code: "104", t: T, water_level_cm: 262, discharge_m3s: 40 },
+      { station_code: "104", t: "2025-11-06T11:00:00Z", water_level_cm: 263 },
+    ],
+    "b.xlsx"
+  );
+  assert.equal(r.conflicting, 1);
+  assert.equal(r.unchanged, 1);
+  assert.equal(r.inserted, 1);
+  assert.equal(r.updated, 0);
+  assert.deepEqual(r.conflicts, [
+    {
+      station_code: "104",
+      t: "2025-11-06T10:00:00.000Z",
+      variable: "water_level_cm",
+      value: 262,
+      file: "b.xlsx",
+      previous: 250,
+      previous_file: "a.xlsx",
+    },
+  ]);
+  // the later value is kept
+  assert.equal(
+    store.stations.get("104").get("2025-11-06T10").water_level_cm,
+    262
+  );
+});
+
+test("conflicts are kept once per hour and variable and survive a reopen", (t) => {
+  const store = tmpStore(t);
+  const at = (wl) => [{ station_code: "104", t: T, water_level_cm: wl }];
+  upsertObservations(store, at(250), "a.xlsx");
+  upsertObservations(store, at(262), "b.xlsx");
+  const r = upsertObservations(store, at(270), "c.xlsx");
+  assert.equal(r.conflicting, 1);
+
+  const stored = observationConflicts(store, "104");
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].value, 270);
+  assert.equal(stored[0].previous_file, "b.xlsx");
+
+  const reopened = openObservationStore(store.dir);
+  assert.deepEqual(observationConflicts(reopened), stored);
+  assert.deepEqual(observationConflicts(reopened, "769"), []);
+});
+
+test("records without a station or a valid time are skipped", (t) => {
+  const store = tmpStore(t);
+  const r = upsertObservations(store, [
+    { station_code: "", t: T, water_level_cm: 1 },
+    { station_code: "104", t: "not a time", water_level_cm: 1 },
+    { station_code: "104", t: T, water_level_cm: null },
+  ]);
+  assert.equal(r.skipped, 2);
+  assert.equal(r.inserted, 0);
+  assert.deepEqual(r.stations, []);
+});
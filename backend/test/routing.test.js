@@ -0,0 +1,87 @@
+// backend/test/routing.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  simulateNetwork,
+  lateralShares,
+  NODE_CARRY,
+} from "../utils/regression.js";
+import { basinStep, runoffParams } from "../utils/runoff.js";
+
+// A -> B -> C, all three in one lumped basin; C is the outlet
+const order = [
+  { from_code: "A", to_code: "B" },
+  { from_code: "B", to_code: "C" },
+];
+const segParams = new Map([
+  ["A->B", { K: 3 * 3600, X: 0.2 }],
+  ["B->C", { K: 5 * 3600, X: 0.1 }],
+]);
+const codes = ["A", "B", "C"];
+
+test("lateral shares of a basin sum to 1", () => {
+  const byBasin = new Map([["main", codes]]);
+  const equal = lateralShares(byBasin, () => null);
+  assert.deepEqual([...equal.values()], [1 / 3, 1 / 3, 1 / 3]);
+
+  const area = { A: 100, B: 300, C: 600 };
+  const weighted = lateralShares(byBasin, (c) => area[c]);
+  assert.deepEqual(
+    codes.map((c) => weighted.get(c)),
+    [0.1, 0.3, 0.6]
+  );
+});
+
+test("routed volume at the outlet equals the basin runoff volume", () => {
+  const bp = {
+    runoff: runoffParams({ area_km2: 500 }),
+    baseflow_cms: 0,
+  };
+  const shares = lateralShares(new Map([["main", codes]]), () => null);
+
+  // 24 h of 2 mm/h rain, then dry weather until the network has drained
+  const steps = 24 * 60;
+  const runoff = [];
+  let state = { slz_mm: 0 };
+  for (let t = 0; t < steps; t++) {
+    const st = basinStep(state, t < 24 ? 2 : 0, 10, bp);
+    state = st.state;
+    runoff.push(st.q_cms);
+  }
+
+  let routed = 0;
+  simulateNetwork({
+    order,
+    segParams,
+    Q0: new Map(codes.map((c) => [c, 0])),
+    codes,
+    carry: NODE_CARRY,
+    steps,
+    lateral: (code, t) => ({ lateralQ: runoff[t] * shares.get(code) }),
+    onStep: (t, code, Q) => {
+      if (code === "C") routed += Q;
+    },
+  });
+
+  // the last hours of runoff are still on their way: a small tail
+  const generated = runoff.reduce((a, b) => a + b, 0);
+  assert.ok(generated > 0);
+  assert.ok(
+    Math.abs(routed - generated) / generated < 0.01,
+    `routed ${routed} vs runoff ${generated}`
+  );
+});
+
+test("steady lateral inflow gives the same steady outflow", () => {
+  const Q = simulateNetwork({
+    order,
+    segParams,
+    Q0: new Map(codes.map((c) => [c, 0])),
+    codes,
+    carry: 0.5,
+    steps: 2000,
+    lateral: (code) => ({ lateralQ: code === "A" ? 10 : 0 }),
+  });
+  assert.ok(Math.abs(Q.get("C") - 10) < 1e-6);
+});
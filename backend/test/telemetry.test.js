@@ -0,0 +1,113 @@
+// backend/test/telemetry.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  checkReadings,
+  parseTelemetryCsv,
+  MAX_FUTURE_MS,
+} from "../utils/telemetry.js";
+import { toUtcMs } from "../utils/time.js";
+
+const now = Date.parse("2025-11-06T12:00:00Z");
+const known = new Set(["101", "104"]);
+const resolve = (id) => (known.has(String(id)) ? String(id) : null);
+const reading = (over = {}) => ({
+  station_code: "104",
+  datetime_utc: "2025-11-06 10:00:00",
+  variable: "water_level_cm",
+  value: 212.5,
+  ...over,
+});
+
+test("valid readings become records, oldest first", () => {
+  const out = checkReadings(
+    [
+      reading({ datetime_utc: "2025-11-06 11:00:00", variable: "level" }),
+      reading({ value: "212,5", quality: "good" }),
+    ],
+    { now, resolve }
+  );
+  assert.deepEqual(out.rejected, []);
+  assert.equal(out.flagged, 0);
+  assert.deepEqual(
+    out.records.map((r) => [r.station_code, r.water_level_cm]),
+    [
+      ["104", 212.5],
+      ["104", 212.5],
+    ]
+  );
+  assert.ok(out.records[0].t < out.records[1].t);
+});
+
+test("every reject path is reported with its index", () => {
+  const out = checkReadings(
+    [
+      "not a reading",
+      reading({ station_code: "999" }),
+      reading({ station_code: "101" }),
+      reading({ variable: "wind" }),
+      reading({ datetime_utc: "yesterday" }),
+      reading({ datetime_utc: new Date(now + 2 * MAX_FUTURE_MS) }),
+      reading({ value: "n/a" }),
+      reading({ value: "" }),
+    ],
+    { now, resolve, stations: ["104"] }
+  );
+  assert.deepEqual(
+    out.rejected.map((r) => r.index),
+    [0, 1, 2, 3, 4, 5, 6, 7]
+  );
+  assert.match(out.rejected[1].reason, /unknown station 999/);
+  assert.match(out.rejected[2].reason, /not allowed/);
+  assert.match(out.rejected[3].reason, /unknown variable/);
+  assert.match(out.rejected[4].reason, /invalid datetime_utc/);
+  assert.match(out.rejected[5].reason, /future/);
+  assert.match(out.rejected[6].reason, /invalid value/);
+  assert.equal(out.records.length, 0);
+});
+
+test("readings the source marks bad are flagged, not stored", () => {
+  const out = checkReadings(
+    [
+      reading({ quality: "BAD" }),
+      reading({ quality: "missing" }),
+      reading({ quality: "invalid" }),
+      reading({ quality: "estimated" }),
+    ],
+    { now, resolve }
+  );
+  assert.equal(out.flagged, 3);
+  assert.equal(out.rejected.length, 0);
+  assert.equal(out.records.length, 1);
+});
+
+test("readings before the latest stored hour count as late", () => {
+  const out = checkReadings([reading()], {
+    now,
+    resolve,
+    latest: () => "2025-11-06T11",
+  });
+  assert.equal(out.late, 1);
+  assert.equal(out.records.length, 1);
+});
+
+test("CSV pushes keep quoted separators", () => {
+  const rows = parseTelemetryCsv(
+    Buffer.from(
+      'station_code,datetime_utc,variable,value,quality\n104,2025-11-06 10:00:00,level,"212,5",good\n'
+    )
+  );
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].value, "212,5");
+});
+
+test("numeric datetime text is read as an Excel serial", () => {
+  assert.equal(toUtcMs("45967.5"), Date.parse("2025-11-06T12:00:00Z"));
+  assert.equal(toUtcMs(45967.5), Date.parse("2025-11-06T12:00:00Z"));
+  assert.equal(
+    toUtcMs("2025-11-06 12:00:00"),
+    Date.parse("2025-11-06T12:00:00Z")
+  );
+  assert.equal(toUtcMs("not a date"), null);
+});
@@ -0,0 +1,52 @@
+// backend/test/thresholds.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  longestRun,
+  summarizeExceedance,
+  classifyLevel,
+} from "../utils/thresholds.js";
+
+// hourly points from 2025-11-06T00 with the given levels
+const series = (levels) =>
+  levels.map((wl_cm, i) => ({
+    t: new Date(Date.parse("2025-11-06T00:00:00Z") + i * 3600000).toISOString(),
+    wl_cm,
+  }));
+
+test("longest run counts consecutive hours at or above the limit", () => {
+  assert.equal(longestRun(series([100, 300, 300, 100, 300, 300, 300]), 300), 3);
+  assert.equal(longestRun(series([100, 200]), 300), 0);
+  assert.equal(longestRun(series([300, 300, 300]), 300), 3);
+});
+
+test("a missing value or a gap in time ends the run", () => {
+  assert.equal(longestRun(series([300, null, 300, 300]), 300), 2);
+  const gap = series([300, 300, 300, 300]);
+  gap.splice(2, 1); // hour 02 missing
+  assert.equal(longestRun(gap, 300), 2);
+});
+
+test("the same hour twice (observed and forecast) counts once", () => {
+  const pts = series([300, 300, 300]);
+  pts.splice(1, 0, { ...pts[0] });
+  assert.equal(longestRun(pts, 300), 3);
+});
+
+test("the exceedance summary uses the longest run as duration", () => {
+  const th = { pavojingas: 250, stichinis: 400, katastrofinis: null };
+  const s = summarizeExceedance(
+    series([260, 260, 100, 260, 410, 420, 260]),
+    th
+  );
+  assert.equal(s.warning_level, "stichinis");
+  assert.equal(s.peak_cm, 420);
+  assert.equal(s.levels.pavojingas.duration_h, 4);
+  assert.equal(
+    s.levels.pavojingas.first_exceedance,
+    "2025-11-06T00:00:00.000Z"
+  );
+  assert.equal(s.levels.stichinis.duration_h, 2);
+  assert.equal(classifyLevel(399, th), "pavojingas");
+});
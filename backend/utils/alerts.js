@@ -0,0 +1,392 @@
+// backend/utils/alerts.js
+// Threshold alerts for the duty hydrologist: subscriptions, de-duplication,
+// escalation / de-escalation and delivery through pluggable channels.
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+import { WARNING_LEVELS, levelRank } from "./thresholds.js";
+
+/* ---------------- Files (inside the alerts directory) ---------------- */
+
+const CONFIG_FILE = "config.json"; // channels + subscriptions
+const STATE_FILE = "state.json"; // last alerted level per station
+const HISTORY_FILE = "history.jsonl"; // every dispatched event
+
+export const DEFAULT_ALERT_CONFIG = {
+  channels: {
+    log: { type: "log", file: "alerts.log" },
+  },
+  subscriptions: [
+    {
+      id: "all-stations-log",
+      stations: ["*"],
+      min_level: "pavojingas",
+      channels: ["log"],
+    },
+  ],
+};
+
+function readJson(p, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+function writeJson(p, obj) {
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+}
+
+export function loadAlertConfig(dir) {
+  return readJson(path.join(dir, CONFIG_FILE), DEFAULT_ALERT_CONFIG);
+}
+export function saveAlertConfig(dir, config) {
+  writeJson(path.join(dir, CONFIG_FILE), config);
+}
+export function loadAlertState(dir) {
+  return readJson(path.join(dir, STATE_FILE), { stations: {} });
+}
+export function saveAlertState(dir, state) {
+  writeJson(path.join(dir, STATE_FILE), state);
+}
+
+export function readAlertHistory(dir, limit = 100) {
+  const p = path.join(dir, HISTORY_FILE);
+  if (!fs.existsSync(p)) return [];
+  const lines = fs.readFileSync(p, "utf8").split("\n").filter(Boolean);
+  return lines
+    .slice(-limit)
+    .map((l) => readJsonLine(l))
+    .filter(Boolean)
+    .reverse();
+}
+function readJsonLine(l) {
+  try {
+    return JSON.parse(l);
+  } catch {
+    return null;
+  }
+}
+
+// a log channel writes only inside the alerts directory and never over its
+// own files; null for anything else
+function logFileName(name) {
+  const base = String(name ?? "").trim();
+  if (!base || base !== path.basename(base) || base.startsWith(".")) {
+    return null;
+  }
+  if ([CONFIG_FILE, STATE_FILE, HISTORY_FILE].includes(base)) return null;
+  return base;
+}
+
+// Returns a list of problems; empty when the config can be used.
+export function validateAlertConfig(config) {
+  const errors = [];
+  const channels = config?.channels || {};
+  for (const [name, ch] of Object.entries(channels)) {
+    if (!CHANNEL_TYPES[ch?.type]) {
+      errors.push(`channel "${name}": unknown type "${ch?.type}"`);
+    }
+    if (ch?.type === "log" && ch.file != null && !logFileName(ch.file)) {
+      errors.push(
+        `channel "${name}": log "file" must be a plain file name, not a path or an alerts file`
+      );
+    }
+    if (ch?.type === "webhook" && !ch.url) {
+      errors.push(`channel "${name}": webhook needs "url"`);
+    }
+    if (ch?.type === "smtp" && (!ch.host || !ch.to)) {
+      errors.push(`channel "${name}": smtp needs "host" and "to"`);
+    }
+  }
+  for (const [i, s] of (config?.subscriptions || []).entries()) {
+    const id = s.id || `#${i}`;
+    if (!WARNING_LEVELS.includes(s.min_level || "pavojingas")) {
+      errors.push(`subscription ${id}: unknown min_level "${s.min_level}"`);
+    }
+    for (const c of s.channels || []) {
+      if (!channels[c]) errors.push(`subscription ${id}: no channel "${c}"`);
+    }
+  }
+  return errors;
+}
+
+// Secrets (SMTP password, webhook headers) are not sent back to clients;
+// a config saved with the placeholder keeps the stored value.
+const REDACTED = "********";
+
+export function redactAlertConfig(config) {
+  const out = structuredClone(config || {});
+  for (const ch of Object.values(out.channels || {})) {
+    if (ch?.auth?.pass != null) ch.auth.pass = REDACTED;
+    for (const k of Object.keys(ch?.headers || {})) ch.headers[k] = REDACTED;
+  }
+  return out;
+}
+
+export function restoreRedacted(config, stored) {
+  for (const [name, ch] of Object.entries(config?.channels || {})) {
+    const old = stored?.channels?.[name];
+    if (ch?.auth?.pass === REDACTED) ch.auth.pass = old?.auth?.pass;
+    for (const [k, v] of Object.entries(ch?.headers || {})) {
+      if (v === REDACTED) ch.headers[k] = old?.headers?.[k];
+    }
+  }
+  return config;
+}
+
+/* ---------------- Evaluation ---------------- */
+
+// Compares each station's warning level with the last alerted one.
+// Same level -> nothing (de-duplication); otherwise one event of type
+// new | escalated | deescalated | cleared. A station under warning that is
+// missing from the forecast is cleared, as cap.js cancels its warning.
+export function evaluateAlerts(exceedances, state) {
+  const events = [];
+  const seen = new Set();
+  for (const e of exceedances || []) {
+    const code = String(e.station_code);
+    seen.add(code);
+    const prev = state.stations?.[code]?.level || "normal";
+    const next = e.warning_level || "normal";
+    const d = levelRank(next) - levelRank(prev);
+    if (d === 0) continue;
+
+    let type;
+    if (d > 0) type = prev === "normal" ? "new" : "escalated";
+    else type = next === "normal" ? "cleared" : "deescalated";
+
+    events.push({
+      type,
+      station_code: code,
+      station_name: e.station_name || "",
+      river_name: e.river_name || "",
+      previous_level: prev,
+      level: next,
+      peak_cm: e.peak_cm ?? null,
+      peak_time: e.peak_time ?? null,
+      first_exceedance: e.levels?.[next]?.first_exceedance ?? null,
+      duration_h: e.levels?.[next]?.duration_h ?? null,
+      threshold_cm: e.levels?.[next]?.threshold_cm ?? null,
+    });
+  }
+
+  for (const [code, prev] of Object.entries(state.stations || {})) {
+    if (seen.has(code) || levelRank(prev.level || "normal") === 0) continue;
+    events.push({
+      type: "cleared",
+      station_code: code,
+      station_name: prev.station_name || "",
+      river_name: prev.river_name || "",
+      previous_level: prev.level,
+      level: "normal",
+      reason: "station not in the forecast",
+      peak_cm: null,
+      peak_time: null,
+      first_exceedance: null,
+      duration_h: null,
+      threshold_cm: null,
+    });
+  }
+  return events;
+}
+
+// A subscription receives an event when the station matches and either side
+// of the transition reaches its min_level (so "cleared" reaches the same people).
+function matches(sub, ev) {
+  const stations = sub.stations || ["*"];
+  if (
+    !stations.includes("*") &&
+    !stations.map(String).includes(ev.station_code)
+  )
+    return false;
+  const min = levelRank(sub.min_level || "pavojingas");
+  return Math.max(levelRank(ev.level), levelRank(ev.previous_level)) >= min;
+}
+
+/* ---------------- Messages ---------------- */
+
+export function formatAlert(ev) {
+  const where = `${ev.station_name || ev.station_code} (${ev.station_code})${
+    ev.river_name ? `, ${ev.river_name}` : ""
+  }`;
+  const subject = `[AKVAMANAS] ${ev.type.toUpperCase()}: ${where} — ${
+    ev.level
+  }`;
+  const lines = [
+    `Station: ${where}`,
+    `Warning level: ${ev.previous_level} -> ${ev.level}`,
+  ];
+  if (ev.reason) lines.push(`Reason: ${ev.reason}`);
+  if (ev.threshold_cm != null) lines.push(`Threshold: ${ev.threshold_cm} cm`);
+  if (ev.first_exceedance)
+    lines.push(`First exceedance: ${ev.first_exceedance}`);
+  if (ev.duration_h != null) lines.push(`Duration: ${ev.duration_h} h`);
+  if (ev.peak_cm != null)
+    lines.push(`Forecast peak: ${ev.peak_cm} cm at ${ev.peak_time}`);
+  if (ev.run_at) lines.push(`Forecast run: ${ev.run_at}`);
+  return { subject, text: lines.join("\n") };
+}
+
+/* ---------------- Channels ---------------- */
+
+// Each channel type: (definition, alertsDir) => { send(event, message) }
+const CHANNEL_TYPES = {
+  log: (def, dir) => ({
+    async send(ev, msg) {
+      const name = logFileName(def.file ?? "alerts.log");
+      if (!name) throw new Error(`log file "${def.file}" is not allowed`);
+      const line = `${new Date().toISOString()} ${msg.subject}\n`;
+      fs.appendFileSync(path.join(dir, name), line, "utf8");
+    },
+  }),
+
+  webhook: (def) => ({
+    async send(ev, msg) {
+      const ctrl = new AbortController();
+      const timer = setTimeout(() => ctrl.abort(), def.timeout_ms ?? 10000);
+      try {
+        const r = await fetch(def.url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", ...def.headers },
+          body: JSON.stringify({ ...msg, event: ev }),
+          signal: ctrl.signal,
+        });
+        if (!r.ok) throw new Error(`webhook HTTP ${r.status}`);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  }),
+
+  smtp: (def) => {
+    const pass = def.auth?.pass_env
+      ? process.env[def.auth.pass_env]
+      : def.auth?.pass;
+    const transport = nodemailer.createTransport({
+      host: def.host,
+      port: def.port ?? 25,
+      secure: !!def.secure,
+      auth: def.auth?.user ? { user: def.auth.user, pass } : undefined,
+    });
+    return {
+      async send(ev, msg) {
+        await transport.sendMail({
+          from: def.from || "akvamanas@localhost",
+          to: [].concat(def.to).join(", "),
+          subject: msg.subject,
+          text: msg.text,
+        });
+      },
+    };
+  },
+};
+
+export function createChannel(def, dir) {
+  const make = CHANNEL_TYPES[def?.type];
+  if (!make) throw new Error(`Unknown alert channel type: ${def?.type}`);
+  return make(def, dir);
+}
+
+/* ---------------- Dispatch ---------------- */
+
+// Evaluates a forecast's exceedances, delivers events to subscribed channels
+// and advances the per-station state. A station whose delivery failed keeps
+// its previous level, so the event is raised again on the next run and sent
+// only to the channels that missed it.
+export async function processAlerts(dir, exceedances, { runAt } = {}) {
+  const config = loadAlertConfig(dir);
+  const state = loadAlertState(dir);
+  if (!state.stations) state.stations = {};
+  const events = evaluateAlerts(exceedances, state);
+
+  const channels = new Map();
+  const channelFor = (name) => {
+    if (!channels.has(name)) {
+      channels.set(name, createChannel(config.channels?.[name], dir));
+    }
+    return channels.get(name);
+  };
+
+  const deliveries = [];
+  for (const ev of events) {
+    ev.run_at = runAt || new Date().toISOString();
+    const msg = formatAlert(ev);
+    const targets = new Set();
+    for (const sub of config.subscriptions || []) {
+      if (!matches(sub, ev)) continue;
+      for (const c of sub.channels || []) targets.add(c);
+    }
+
+    // channels that already got this level on an earlier, partly failed run
+    const prev = state.stations[ev.station_code];
+    const done = new Set(
+      prev?.pending?.level === ev.level ? prev.pending.delivered : []
+    );
+
+    let failed = false;
+    ev.deliveries = [];
+    for (const name of targets) {
+      if (done.has(name)) continue;
+      try {
+        await channelFor(name).send(ev, msg);
+        ev.deliveries.push({ channel: name, ok: true });
+      } catch (err) {
+        failed = true;
+        ev.deliveries.push({ channel: name, ok: false, error: err.message });
+      }
+    }
+    deliveries.push(...ev.deliveries.map((d) => ({ ...d, ...pick(ev) })));
+
+    if (!failed) {
+      state.stations[ev.station_code] = {
+        level: ev.level,
+        station_name: ev.station_name,
+        river_name: ev.river_name,
+        peak_cm: ev.peak_cm,
+        first_exceedance: ev.first_exceedance,
+        alerted_at: ev.run_at,
+      };
+    } else {
+      for (const d of ev.deliveries) if (d.ok) done.add(d.channel);
+      state.stations[ev.station_code] = {
+        ...(prev || { level: ev.previous_level }),
+        pending: { level: ev.level, delivered: [...done] },
+      };
+    }
+    fs.appendFileSync(
+      path.join(dir, HISTORY_FILE),
+      JSON.stringify({ ...ev, subject: msg.subject }) + "\n",
+      "utf8"
+    );
+  }
+
+  state.updatedAt = new Date().toISOString();
+  saveAlertState(dir, state);
+  return { events, deliveries };
+}
+
+function pick(ev) {
+  return { type: ev.type, station_code: ev.station_code, level: ev.level };
+}
+
+// One-off message to check a channel's wiring.
+export async function sendTestAlert(dir, channelName) {
+  const config = loadAlertConfig(dir);
+  const def = config.channels?.[channelName];
+  if (!def) throw new Error(`No alert channel "${channelName}".`);
+  const ev = {
+    type: "test",
+    station_code: "000",
+    station_name: "Test",
+    river_name: "",
+    previous_level: "normal",
+    level: "normal",
+    run_at: new Date().toISOString(),
+  };
+  await createChannel(def, dir).send(ev, formatAlert(ev));
+  return { channel: channelName, ok: true };
+}
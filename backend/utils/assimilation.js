@@ -0,0 +1,246 @@
+// backend/utils/assimilation.js
+// Real-time error correction: the routing model is replayed one hour ahead
+// at a time over the hours just before the forecast start (each hour starting
+// from the observed stage, as the forecast does), the observed-minus-simulated
+// stage error is modelled per station and added to the forecast as a
+// correction that decays with lead time. Methods (per station, stations_meta column
+// `assimilation` or the request): "ar1", "kalman", "none".
+// The correction is limited to a multiple of the replay RMSE and skipped when
+// the replay is too poor to correct (see correctionLimits); the summary says
+// which, so a model error is not silently rewritten away.
+import { replayContext, replay } from "./calibration.js";
+
+export const ASSIMILATION_METHODS = ["ar1", "kalman", "none"];
+export const DEFAULT_ASSIMILATION = "ar1";
+const DEFAULT_PHI = 0.9; // error persistence per hour when it cannot be fitted
+const PHI_MAX = 0.98; // upper bound of the fitted persistence
+export const MAX_REPLAY_RMSE_CM = 30; // poorer replays are not corrected
+export const CORRECTION_RMSE_FACTOR = 2; // limit: this many times the RMSE
+
+function round(v, d = 1) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const f = Math.pow(10, d);
+  return Math.round(v * f) / f;
+}
+
+export function normalizeMethod(v) {
+  const m = String(v ?? "")
+    .trim()
+    .toLowerCase();
+  return ASSIMILATION_METHODS.includes(m) ? m : null;
+}
+
+/* ---------------- Error models ---------------- */
+
+// lag-1 autocorrelation of the error series, held in [0, PHI_MAX]
+function fitPhi(errors) {
+  if (errors.length < 3) return DEFAULT_PHI;
+  let num = 0,
+    den = 0;
+  for (let i = 1; i < errors.length; i++) {
+    num += errors[i] * errors[i - 1];
+    den += errors[i - 1] * errors[i - 1];
+  }
+  if (den <= 0) return DEFAULT_PHI;
+  return Math.min(Math.max(num / den, 0), PHI_MAX);
+}
+
+// AR(1): the latest error persists and decays as phi^lead
+function ar1(errors) {
+  const phi = fitPhi(errors);
+  return { phi, state_cm: errors[errors.length - 1] };
+}
+
+// Scalar Kalman filter on the error, x(t+1) = phi·x(t) + w, e(t) = x(t) + v.
+// The AR(1) residual variance is split evenly between process and
+// observation noise, so single noisy readings are smoothed rather than
+// carried forward in full.
+function kalman(errors) {
+  const phi = fitPhi(errors);
+  let v = 0;
+  for (let i = 1; i < errors.length; i++) {
+    v += (errors[i] - phi * errors[i - 1]) ** 2;
+  }
+  v = errors.length > 1 ? v / (errors.length - 1) : 1;
+  const q = Math.max(v / 2, 1e-6),
+    r = Math.max(v / 2, 1e-6);
+
+  let x = errors[0],
+    P = r,
+    K = 0;
+  for (let i = 1; i < errors.length; i++) {
+    x = phi * x;
+    P = phi * phi * P + q;
+    K = P / (P + r);
+    x += K * (errors[i] - x);
+    P = (1 - K) * P;
+  }
+  return { phi, state_cm: x, gain: K, variance: P };
+}
+
+/* ---------------- Corrections per station ---------------- */
+
+// Whether and how far a fitted error state may correct the forecast:
+// - skipped when the replay RMSE exceeds MAX_REPLAY_RMSE_CM (the model is
+//   too far off for an error model to mean anything) or when phi reaches
+//   PHI_MAX (the error does not decay: a drift rather than a transient);
+// - otherwise held within ± CORRECTION_RMSE_FACTOR × RMSE ("capped").
+export function correctionLimits(errors, fit) {
+  const rmse = Math.sqrt(errors.reduce((a, e) => a + e * e, 0) / errors.length);
+  const limit = CORRECTION_RMSE_FACTOR * rmse;
+  if (rmse > MAX_REPLAY_RMSE_CM) {
+    return {
+      status: "skipped",
+      reason: `replay RMSE ${round(rmse)} cm exceeds ${MAX_REPLAY_RMSE_CM} cm`,
+      rmse,
+      limit: null,
+      state_cm: null,
+    };
+  }
+  if (fit.phi >= PHI_MAX) {
+    return {
+      status: "skipped",
+      reason: `error does not decay (phi ${round(fit.phi, 3)})`,
+      rmse,
+      limit: null,
+      state_cm: null,
+    };
+  }
+  const state = Math.min(Math.max(fit.state_cm, -limit), limit);
+  return {
+    status: state === fit.state_cm ? "applied" : "capped",
+    reason:
+      state === fit.state_cm
+        ? null
+        : `limited to ±${round(limit)} cm (${CORRECTION_RMSE_FACTOR} × replay RMSE)`,
+    rmse,
+    limit,
+    state_cm: state,
+  };
+}
+
+// input: replayContext input restricted to the assimilation window (the
+// observed hours up to the forecast start), plus calibration and basinState
+// (the spun-up basin states, used for the whole window); methods:
+// Map(code -> method). Returns Map(code -> { method, phi, state_cm,
+// fitted_cm (before correctionLimits), status, reason, rmse, limit,
+// at (hourKey of the last error), errors: [{ t, obs_cm, sim_cm, err_cm }] }).
+export function estimateCorrections(input, methods, defaultMethod) {
+  const out = new Map();
+  let ctx;
+  try {
+    ctx = replayContext(input);
+  } catch {
+    return out;
+  }
+  const sim = replay(ctx, input.calibration || null, {
+    oneStep: true,
+    basinState: input.basinState,
+  });
+
+  for (const code of ctx.codes) {
+    const method = methods.get(code) ?? defaultMethod;
+    const obs = ctx.obs.get(code);
+    const errs = [];
+    sim.get(code).forEach((s, t) => {
+      const o = obs?.get(ctx.hours[t]);
+      if (o == null || !Number.isFinite(s)) return;
+      errs.push({ t: ctx.hours[t], obs_cm: o, sim_cm: s, err_cm: o - s });
+    });
+    if (!errs.length || method === "none") {
+      out.set(code, { method: errs.length ? "none" : method, errors: errs });
+      continue;
+    }
+    const e = errs.map((x) => x.err_cm);
+    const fit = method === "kalman" ? kalman(e) : ar1(e);
+    out.set(code, {
+      method,
+      ...fit,
+      fitted_cm: fit.state_cm,
+      ...correctionLimits(e, fit),
+      at: errs[errs.length - 1].t,
+      errors: errs,
+    });
+  }
+  return out;
+}
+
+// correction (cm) at an ISO time: state_cm decaying as phi^lead hours after
+// the last error
+export function correctionAt(c, iso) {
+  if (!c || c.method === "none" || c.state_cm == null) return 0;
+  const lead = Math.max(
+    Math.round((Date.parse(iso) - Date.parse(`${c.at}:00:00Z`)) / 3600000),
+    0
+  );
+  return c.state_cm * Math.pow(c.phi, lead);
+}
+
+/* ---------------- Applying to a forecast ---------------- */
+
+// Corrects { rows, table, series } in place. Raw values stay available as
+// raw_water_level_cm (rows) and wl_raw_cm (series points); the daily table
+// is rebuilt from the corrected end-of-day rows. Returns a summary per station.
+export function applyCorrections({ rows, table, series }, corrections) {
+  const summary = {};
+  for (const r of rows) {
+    const raw = r.forecast_water_level_cm;
+    const c = corrections.get(String(r.station_code));
+    r.raw_water_level_cm = raw;
+    // hours up to the last error are observed, not forecast
+    const last = c?.at ? Date.parse(`${c.at}:00:00Z`) : -Infinity;
+    if (raw == null || Date.parse(r.forecast_datetime) <= last) continue;
+    r.forecast_water_level_cm = round(
+      raw + correctionAt(c, r.forecast_datetime)
+    );
+  }
+
+  for (const [code, points] of Object.entries(series || {})) {
+    const c = corrections.get(code);
+    for (const p of points) {
+      p.wl_raw_cm = p.wl_cm;
+      if (p.observed || p.wl_cm == null) continue;
+      p.wl_cm = round(p.wl_cm + correctionAt(c, p.t));
+    }
+  }
+
+  // daily snapshots follow the forecast: last hour (23:00) of each day
+  const keys = ["wl_today_cm", "wl_tomorrow_cm", "wl_day_after_cm"];
+  const days = [...new Set(rows.map((r) => r.forecast_date))].sort();
+  for (const t of table || []) {
+    keys.forEach((k, i) => {
+      const eod = rows.find(
+        (r) =>
+          String(r.station_code) === String(t.station_code) &&
+          r.forecast_date === days[i] &&
+          new Date(r.forecast_datetime).getUTCHours() === 23
+      );
+      if (eod && t[k] != null) {
+        t[k.replace(/_cm$/, "_raw_cm")] = t[k];
+        t[k] = eod.forecast_water_level_cm;
+      }
+    });
+  }
+
+  for (const [code, c] of corrections) {
+    summary[code] = {
+      method: c.method,
+      phi: round(c.phi, 3),
+      correction_cm: round(c.state_cm),
+      fitted_cm: round(c.fitted_cm),
+      status: c.status ?? (c.method === "none" ? "none" : null),
+      reason: c.reason ?? null,
+      rmse_cm: round(c.rmse),
+      limit_cm: round(c.limit),
+      at: c.at ? `${c.at}:00:00.000Z` : null,
+      gain: round(c.gain, 3),
+      errors: c.errors.map((e) => ({
+        t: `${e.t}:00:00.000Z`,
+        obs_cm: round(e.obs_cm),
+        sim_cm: round(e.sim_cm),
+        err_cm: round(e.err_cm),
+      })),
+    };
+  }
+  return summary;
+}
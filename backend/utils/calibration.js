@@ -0,0 +1,504 @@
+// backend/utils/calibration.js
+// Calibration of the routing model against history: per-reach Muskingum K/X,
+// per-basin runoff parameters and the node carry-over coefficient, fitted by
+// replaying observed hourly forcing and comparing simulated with observed
+// stage. Derivative-free (Nelder–Mead on bounded, logit-transformed
+// parameters). The result lives in model/calibration.json next to model.json.
+import fs from "fs";
+import { Worker, isMainThread, parentPort, workerData } from "worker_threads";
+
+import {
+  NODE_CARRY,
+  reachParams,
+  simulateNetwork,
+  lateralShares,
+  buildGraph,
+  topoOrDepthFirst,
+} from "./regression.js";
+import { basinStep, RUNOFF_DEFAULTS } from "./runoff.js";
+import { stageToQ_cm, qToStage_cm } from "./rating.js";
+import { hourKey } from "./time.js";
+
+/* ---------------- Parameter space ---------------- */
+
+// [lo, hi] per calibrated quantity
+export const CALIBRATION_BOUNDS = {
+  carry: [0, 0.9],
+  K_h: [1, 120],
+  X: [0, 0.5],
+  fc_mm: [50, 500],
+  beta: [1, 6],
+  k1_d: [0.01, 0.5],
+  k2_d: [0.001, 0.1],
+  perc_mm_d: [0.1, 6],
+  runoff_coeff: [0.01, 0.9],
+};
+// HBV parameters calibrated per basin (the rest keep their sheet values)
+const BASIN_KEYS = ["fc_mm", "beta", "k1_d", "k2_d", "perc_mm_d"];
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+function toUnbounded(v, [lo, hi]) {
+  const u = Math.min(Math.max((v - lo) / (hi - lo), 1e-4), 1 - 1e-4);
+  return Math.log(u / (1 - u));
+}
+function toBounded(x, [lo, hi]) {
+  return lo + (hi - lo) * sigmoid(x);
+}
+
+// Parameter vector layout: [{ kind, id, key }] with starting values
+function parameterLayout(segParams, basins, calib) {
+  const layout = [];
+  layout.push({
+    kind: "carry",
+    key: "carry",
+    start: calib?.carry ?? NODE_CARRY,
+  });
+  for (const [edge, p] of segParams) {
+    layout.push({ kind: "reach", id: edge, key: "K_h", start: p.K / 3600 });
+    layout.push({ kind: "reach", id: edge, key: "X", start: p.X });
+  }
+  for (const [name, bp] of basins) {
+    if (bp.runoff) {
+      for (const key of BASIN_KEYS) {
+        layout.push({
+          kind: "basin",
+          id: name,
+          key,
+          start: bp.runoff[key] ?? RUNOFF_DEFAULTS[key],
+        });
+      }
+    } else {
+      layout.push({
+        kind: "basin",
+        id: name,
+        key: "runoff_coeff",
+        start: bp.runoff_coeff ?? 0.2,
+      });
+    }
+  }
+  return layout;
+}
+
+function decode(layout, x) {
+  const calib = { carry: NODE_CARRY, reaches: {}, basins: {} };
+  layout.forEach((p, i) => {
+    const v = toBounded(x[i], CALIBRATION_BOUNDS[p.key]);
+    if (p.kind === "carry") calib.carry = v;
+    else if (p.kind === "reach") {
+      calib.reaches[p.id] = { ...calib.reaches[p.id], [p.key]: v };
+    } else {
+      calib.basins[p.id] = { ...calib.basins[p.id], [p.key]: v };
+    }
+  });
+  return calib;
+}
+
+// Basin parameters with calibrated values merged in (runoff params for HBV
+// basins, runoff_coeff for the legacy ones)
+export function applyBasinCalibration(basins, calib) {
+  if (!calib?.basins) return basins;
+  const out = new Map();
+  for (const [name, bp] of basins) {
+    const c = calib.basins[name];
+    if (!c) {
+      out.set(name, bp);
+      continue;
+    }
+    const next = { ...bp };
+    if (bp.runoff) {
+      next.runoff = { ...bp.runoff };
+      for (const key of BASIN_KEYS) {
+        if (c[key] != null) next.runoff[key] = c[key];
+      }
+    } else if (c.runoff_coeff != null) {
+      next.runoff_coeff = c.runoff_coeff;
+    }
+    out.set(name, next);
+  }
+  return out;
+}
+
+/* ---------------- Nelder–Mead ---------------- */
+
+// Minimizes f over R^n from x0; dimension-adaptive coefficients (Gao & Han
+// 2012) keep it usable for a few dozen parameters.
+export function nelderMead(f, x0, opts = {}) {
+  const n = x0.length;
+  const maxEvals = opts.maxEvals ?? 200 * n;
+  const tol = opts.tol ?? 1e-6;
+  const step = opts.step ?? 0.5;
+  const alpha = 1,
+    beta = 1 + 2 / n,
+    gamma = 0.75 - 1 / (2 * n),
+    delta = 1 - 1 / n;
+
+  let evals = 0;
+  const fx = (x) => {
+    evals++;
+    const v = f(x);
+    return Number.isFinite(v) ? v : Infinity;
+  };
+
+  let simplex = [{ x: x0.slice(), v: fx(x0) }];
+  for (let i = 0; i < n; i++) {
+    const x = x0.slice();
+    x[i] += step;
+    simplex.push({ x, v: fx(x) });
+  }
+
+  while (evals < maxEvals) {
+    simplex.sort((a, b) => a.v - b.v);
+    const best = simplex[0],
+      worst = simplex[n];
+    if (Math.abs(worst.v - best.v) <= tol * (Math.abs(best.v) + tol)) break;
+
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) centroid[j] += simplex[i].x[j] / n;
+    }
+    const along = (c) => centroid.map((v, j) => v + c * (v - worst.x[j]));
+
+    const xr = along(alpha);
+    const vr = fx(xr);
+    if (vr < best.v) {
+      const xe = along(beta);
+      const ve = fx(xe);
+      simplex[n] = ve < vr ? { x: xe, v: ve } : { x: xr, v: vr };
+    } else if (vr < simplex[n - 1].v) {
+      simplex[n] = { x: xr, v: vr };
+    } else {
+      const outside = vr < worst.v;
+      const xc = along(outside ? gamma : -gamma);
+      const vc = fx(xc);
+      if (vc < (outside ? vr : worst.v)) {
+        simplex[n] = { x: xc, v: vc };
+      } else {
+        // shrink towards the best vertex
+        for (let i = 1; i <= n; i++) {
+          const x = best.x.map((b, j) => b + delta * (simplex[i].x[j] - b));
+          simplex[i] = { x, v: fx(x) };
+        }
+      }
+    }
+  }
+  simplex.sort((a, b) => a.v - b.v);
+  return { x: simplex[0].x, value: simplex[0].v, evals };
+}
+
+/* ---------------- Replay of history ---------------- */
+
+// ctx from replayContext; Q0 is the state one hour before hours[0].
+// Returns Map(code -> [stage_cm per hour]).
+// opts.oneStep: every hour starts again from the observed stage of the
+// previous hour (where there is one), giving one-hour-ahead simulations;
+// opts.basinState: initial basin states (default: cold start).
+export function replay(ctx, calib, opts = {}) {
+  const basins = applyBasinCalibration(ctx.basins, calib);
+  const segParams = reachParams(ctx.graph, ctx.Q0, ctx.rating, calib);
+  const codesByBasin = new Map();
+  for (const code of ctx.codes) {
+    const b = ctx.basinOf.get(code) || "";
+    if (!codesByBasin.has(b)) codesByBasin.set(b, []);
+    codesByBasin.get(b).push(code);
+  }
+  const shares = lateralShares(codesByBasin, (c) => ctx.localArea.get(c));
+
+  // basin model advanced once per basin and hour
+  const state = new Map(opts.basinState || []);
+  const byHour = new Map();
+  const lateral = (code, t) => {
+    const basin = ctx.basinOf.get(code) || "";
+    const key = `${t}|${basin}`;
+    if (!byHour.has(key)) {
+      const f = ctx.forcing.get(basin)?.get(ctx.hours[t]) || {};
+      const bp = basins.get(basin) || {};
+      const st = basinStep(state.get(basin), f.P ?? 0, f.T ?? null, bp);
+      state.set(basin, st.state);
+      byHour.set(key, st);
+    }
+    const st = byHour.get(key);
+    return {
+      lateralQ: st.lumped ? st.q_cms * (shares.get(code) ?? 1) : st.q_cms,
+      f: null,
+    };
+  };
+
+  const sim = new Map(ctx.codes.map((c) => [c, []]));
+  const run = (Q0, steps, offset) =>
+    simulateNetwork({
+      order: ctx.order,
+      segParams,
+      Q0,
+      codes: ctx.codes,
+      carry: calib?.carry ?? NODE_CARRY,
+      steps,
+      lateral: (code, t) => lateral(code, t + offset),
+      onStep: (t, code, Q) => {
+        sim.get(code).push(qToStage_cm(Q, ctx.rating.get(code)));
+      },
+    });
+
+  if (!opts.oneStep) {
+    run(ctx.Q0, ctx.steps, 0);
+    return sim;
+  }
+  let Q = new Map(ctx.Q0);
+  for (let t = 0; t < ctx.steps; t++) {
+    const prevHour = t ? ctx.hours[t - 1] : ctx.hour0;
+    for (const code of ctx.codes) {
+      const o = ctx.obs.get(code)?.get(prevHour);
+      if (o != null) Q.set(code, stageToQ_cm(o, ctx.rating.get(code)));
+    }
+    Q = run(Q, 1, t);
+  }
+  return sim;
+}
+
+/* ---------------- Scores ---------------- */
+
+function stationScores(ctx, sim) {
+  const out = {};
+  for (const code of ctx.codes) {
+    const obsByHour = ctx.obs.get(code);
+    const pairs = [];
+    sim.get(code).forEach((s, t) => {
+      const o = obsByHour?.get(ctx.hours[t]);
+      if (o != null && Number.isFinite(s)) pairs.push([o, s]);
+    });
+    if (!pairs.length) continue;
+    const mean = pairs.reduce((a, [o]) => a + o, 0) / pairs.length;
+    let se = 0,
+      st = 0;
+    for (const [o, s] of pairs) {
+      se += (s - o) ** 2;
+      st += (o - mean) ** 2;
+    }
+    out[code] = {
+      n: pairs.length,
+      sse: se,
+      rmse_cm: Math.sqrt(se / pairs.length),
+      nse: st > 0 ? 1 - se / st : null,
+    };
+  }
+  return out;
+}
+
+// objective "rmse": pooled RMSE (cm) over all stations;
+// "nse": 1 − mean station NSE (both minimized)
+function objectiveValue(scores, objective) {
+  const list = Object.values(scores);
+  if (!list.length) return Infinity;
+  if (objective === "nse") {
+    const nses = list.map((s) => s.nse).filter((v) => v != null);
+    if (!nses.length) return Infinity;
+    return 1 - nses.reduce((a, b) => a + b, 0) / nses.length;
+  }
+  const n = list.reduce((a, s) => a + s.n, 0);
+  return Math.sqrt(list.reduce((a, s) => a + s.sse, 0) / n);
+}
+
+function round(v, d) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const f = Math.pow(10, d);
+  return Math.round(v * f) / f;
+}
+
+function scoreSummary(scores) {
+  const out = {};
+  for (const [code, s] of Object.entries(scores)) {
+    out[code] = { n: s.n, rmse_cm: round(s.rmse_cm, 2), nse: round(s.nse, 3) };
+  }
+  return out;
+}
+
+/* ---------------- Replay context ---------------- */
+
+// input: { network, rating, basins, stations (metadata rows),
+//          obs: Map(code -> Map(hourKey -> h_cm)),
+//          forcing: Map(basin -> Map(hourKey -> { P, T })) }
+// The replay covers every hour between the first and last observation;
+// stations are the observed ones with a rating curve, started from their
+// first observed stage. Also used by the assimilation (assimilation.js).
+export function replayContext(input) {
+  const graph = buildGraph(input.network || []);
+  const order = topoOrDepthFirst(graph);
+  const basinOf = new Map(
+    (input.stations || []).map((m) => [
+      String(m.station_code ?? "").trim(),
+      String(m.basin_name ?? "").trim(),
+    ])
+  );
+  const localArea = new Map(
+    (input.stations || []).map((m) => [
+      String(m.station_code ?? "").trim(),
+      m.local_area_km2 ?? null,
+    ])
+  );
+
+  const allHours = new Set();
+  for (const m of input.obs.values()) for (const k of m.keys()) allHours.add(k);
+  const sorted = [...allHours].sort();
+  if (sorted.length < 2) {
+    throw new Error("Not enough observed hours to replay.");
+  }
+  const t0 = Date.parse(`${sorted[0]}:00:00Z`);
+  const t1 = Date.parse(`${sorted[sorted.length - 1]}:00:00Z`);
+  const hours = [];
+  for (let t = t0 + 3600 * 1000; t <= t1; t += 3600 * 1000) {
+    hours.push(hourKey(t));
+  }
+
+  const codes = [];
+  const Q0 = new Map();
+  for (const [code, m] of input.obs) {
+    const rc = input.rating.get(code);
+    if (!rc || !m.size) continue;
+    const first = [...m.keys()].sort()[0];
+    codes.push(code);
+    Q0.set(code, stageToQ_cm(m.get(first), rc));
+  }
+  if (!codes.length) {
+    throw new Error("No observed station has a rating curve.");
+  }
+
+  return {
+    graph,
+    order,
+    rating: input.rating,
+    basins: input.basins,
+    basinOf,
+    localArea,
+    obs: input.obs,
+    forcing: input.forcing,
+    codes,
+    Q0,
+    hour0: sorted[0],
+    hours,
+    steps: hours.length,
+    period: {
+      from: `${sorted[0]}:00:00.000Z`,
+      to: `${sorted[sorted.length - 1]}:00:00.000Z`,
+    },
+  };
+}
+
+/* ---------------- Calibration job ---------------- */
+
+// Whether a calibration is worth using: "not_improved" when the objective did
+// not go down, "rejected" when no station simulates better than its observed
+// mean (NSE ≤ 0 everywhere), "improved" otherwise.
+function calibrationVerdict(scoreBefore, scoreAfter, after) {
+  if (!(scoreAfter < scoreBefore)) {
+    return {
+      status: "not_improved",
+      reason: `objective ${round(scoreBefore, 4)} → ${round(scoreAfter, 4)}`,
+    };
+  }
+  const nses = Object.values(after).map((s) => s.nse);
+  if (!nses.some((v) => v != null && v > 0)) {
+    return {
+      status: "rejected",
+      reason: "no station has a positive NSE after calibration",
+    };
+  }
+  return { status: "improved", reason: null };
+}
+
+// input: see replayContext, plus calibration (current, optional)
+// opts: { objective: "rmse" | "nse", maxEvals }
+export function calibrateRouting(input, opts = {}) {
+  const objective = opts.objective === "nse" ? "nse" : "rmse";
+  const ctx = replayContext(input);
+  if (ctx.steps < 2) {
+    throw new Error("Not enough observed hours to calibrate.");
+  }
+  const { graph, Q0 } = ctx;
+
+  const startCalib = input.calibration || null;
+  const layout = parameterLayout(
+    reachParams(graph, Q0, input.rating, startCalib),
+    applyBasinCalibration(input.basins, startCalib),
+    startCalib
+  );
+  const x0 = layout.map((p) => toUnbounded(p.start, CALIBRATION_BOUNDS[p.key]));
+  const f = (x) =>
+    objectiveValue(
+      stationScores(ctx, replay(ctx, decode(layout, x))),
+      objective
+    );
+
+  const before = stationScores(ctx, replay(ctx, decode(layout, x0)));
+  const res = nelderMead(f, x0, { maxEvals: opts.maxEvals ?? 3000 });
+  const calib = decode(layout, res.x);
+  const after = stationScores(ctx, replay(ctx, calib));
+
+  // tidy numbers for the saved file
+  calib.carry = round(calib.carry, 4);
+  for (const r of Object.values(calib.reaches)) {
+    r.K_h = round(r.K_h, 3);
+    r.X = round(r.X, 4);
+  }
+  for (const b of Object.values(calib.basins)) {
+    for (const k of Object.keys(b)) b[k] = round(b[k], 5);
+  }
+
+  const scoreBefore = objectiveValue(before, objective);
+  const scoreAfter = objectiveValue(after, objective);
+  return {
+    calibratedAt: new Date().toISOString(),
+    objective,
+    period: ctx.period,
+    evaluations: res.evals,
+    ...calibrationVerdict(scoreBefore, scoreAfter, after),
+    score: {
+      before: round(scoreBefore, 4),
+      after: round(scoreAfter, 4),
+    },
+    stations: { before: scoreSummary(before), after: scoreSummary(after) },
+    ...calib,
+  };
+}
+
+// The replay loop is CPU-bound for seconds; run it in a worker thread so the
+// server keeps answering. Same input / opts as calibrateRouting (plain data and
+// Maps only).
+export function calibrateRoutingInWorker(input, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), {
+      workerData: { input, opts },
+    });
+    worker.once("message", (msg) =>
+      msg.ok ? resolve(msg.calibration) : reject(new Error(msg.error))
+    );
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`Calibration worker exited (${code}).`));
+    });
+  });
+}
+
+if (!isMainThread && workerData?.input) {
+  try {
+    parentPort.postMessage({
+      ok: true,
+      calibration: calibrateRouting(workerData.input, workerData.opts),
+    });
+  } catch (e) {
+    parentPort.postMessage({ ok: false, error: e.message });
+  }
+}
+
+/* ---------------- Persistence ---------------- */
+
+export function loadCalibration(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export function saveCalibration(filePath, calib) {
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(calib, null, 2), "utf8");
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
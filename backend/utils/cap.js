@@ -0,0 +1,297 @@
+// backend/utils/cap.js
+// Common Alerting Protocol (CAP 1.2) messages for threshold exceedances,
+// plus the Atom index that partners poll.
+import fs from "fs";
+import path from "path";
+
+import { levelRank } from "./thresholds.js";
+import { stationLatLon } from "./geo.js";
+
+const CAP_NS = "urn:oasis:names:tc:emergency:cap:1.2";
+const INDEX_FILE = "index.json";
+
+// warning level -> CAP <severity>
+const SEVERITY = {
+  pavojingas: "Moderate",
+  stichinis: "Severe",
+  katastrofinis: "Extreme",
+};
+
+/* ---------------- Small helpers ---------------- */
+
+function esc(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// CAP dateTime: no fractional seconds and an explicit offset; "Z" is not
+// allowed and UTC is written "-00:00"
+export function capTime(t) {
+  return new Date(t).toISOString().replace(/\.\d{3}Z$/, "-00:00");
+}
+
+function compactTime(t) {
+  return new Date(t).toISOString().replace(/[-:.]/g, "");
+}
+
+function readIndex(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), "utf8"));
+  } catch {
+    return { active: {}, messages: [] };
+  }
+}
+function writeIndex(dir, index) {
+  const p = path.join(dir, INDEX_FILE);
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify(index, null, 2), "utf8");
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+/* ---------------- <alert> document ---------------- */
+
+// msg: { identifier, sender, sent, msgType, references, level, station, exceedance, onset, expires }
+export function buildCapAlert(msg) {
+  const { station: st, exceedance: ex } = msg;
+  const where = `${st.station_name || st.station_code}${
+    st.river_name ? ` (${st.river_name})` : ""
+  }`;
+  const lvl = ex?.levels?.[msg.level];
+  const pos = stationLatLon(st);
+
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<alert xmlns="${CAP_NS}">`,
+    `  <identifier>${esc(msg.identifier)}</identifier>`,
+    `  <sender>${esc(msg.sender)}</sender>`,
+    `  <sent>${capTime(msg.sent)}</sent>`,
+    `  <status>Actual</status>`,
+    `  <msgType>${msg.msgType}</msgType>`,
+    `  <scope>Public</scope>`,
+  ];
+  if (msg.references) {
+    lines.push(`  <references>${esc(msg.references)}</references>`);
+  }
+
+  const cancel = msg.msgType === "Cancel";
+  const headline = cancel
+    ? `Water level warning lifted: ${where}`
+    : `${msg.level} water level forecast: ${where}`;
+  const description = cancel
+    ? `The latest forecast no longer exceeds the warning thresholds at ${where}.`
+    : [
+        `Forecast water level at ${where} reaches the ${msg.level} threshold` +
+          (lvl?.threshold_cm != null ? ` (${lvl.threshold_cm} cm)` : "") +
+          (lvl?.first_exceedance ? ` from ${lvl.first_exceedance}` : "") +
+          (lvl?.duration_h != null ? ` for ${lvl.duration_h} h` : "") +
+          ".",
+        ex?.peak_cm != null
+          ? `Forecast peak ${ex.peak_cm} cm at ${ex.peak_time}.`
+          : "",
+      ]
+        .filter(Boolean)
+        .join(" ");
+
+  lines.push(
+    `  <info>`,
+    `    <language>en-US</language>`,
+    `    <category>Met</category>`,
+    `    <event>River flood warning</event>`,
+    `    <responseType>${cancel ? "AllClear" : "Monitor"}</responseType>`,
+    `    <urgency>${cancel ? "Past" : "Expected"}</urgency>`,
+    `    <severity>${cancel ? "Minor" : SEVERITY[msg.level] || "Unknown"}</severity>`,
+    `    <certainty>${cancel ? "Observed" : "Likely"}</certainty>`,
+    `    <eventCode><valueName>warning_level</valueName><value>${esc(
+      msg.level
+    )}</value></eventCode>`
+  );
+  if (msg.onset) lines.push(`    <onset>${capTime(msg.onset)}</onset>`);
+  if (msg.expires) lines.push(`    <expires>${capTime(msg.expires)}</expires>`);
+  lines.push(
+    `    <senderName>AKVAMANAS</senderName>`,
+    `    <headline>${esc(headline)}</headline>`,
+    `    <description>${esc(description)}</description>`
+  );
+  if (!cancel && ex?.peak_cm != null) {
+    lines.push(
+      `    <parameter><valueName>peak_level_cm</valueName><value>${ex.peak_cm}</value></parameter>`,
+      `    <parameter><valueName>peak_time</valueName><value>${esc(
+        ex.peak_time
+      )}</value></parameter>`
+    );
+  }
+  lines.push(`    <area>`, `      <areaDesc>${esc(where)}</areaDesc>`);
+  if (pos) lines.push(`      <circle>${pos.lat},${pos.lon} 5</circle>`);
+  lines.push(
+    `      <geocode><valueName>station_code</valueName><value>${esc(
+      st.station_code
+    )}</value></geocode>`
+  );
+  if (st.station_kodas) {
+    lines.push(
+      `      <geocode><valueName>station_kodas</valueName><value>${esc(
+        st.station_kodas
+      )}</value></geocode>`
+    );
+  }
+  lines.push(`    </area>`, `  </info>`, `</alert>`, ``);
+  return lines.join("\n");
+}
+
+/* ---------------- Feed state ---------------- */
+
+// onset = first hour at the current level; expires = last exceeding hour
+// plus a six-hour margin
+function warningWindow(ex, level) {
+  const lvl = ex?.levels?.[level];
+  const onset = lvl?.first_exceedance || null;
+  const last = lvl?.last_exceedance || null;
+  const expires = last
+    ? new Date(new Date(last).getTime() + 6 * 3600 * 1000).toISOString()
+    : null;
+  return { onset, expires };
+}
+
+// Issues Alert / Update / Cancel messages for changes since the previous run.
+// stationsMeta: stations_meta rows (coordinates, kodas); returns the new messages.
+export function updateCapFeed(dir, exceedances, stationsMeta, opts = {}) {
+  const sender = opts.sender || "akvamanas@localhost";
+  const sent = opts.sent || new Date().toISOString();
+  const index = readIndex(dir);
+  const metaByCode = new Map(
+    (stationsMeta || []).map((m) => [String(m.station_code ?? "").trim(), m])
+  );
+
+  const issued = [];
+  const issue = (code, msgType, level, ex, prev) => {
+    const identifier = `LT-AKVAMANAS-${code}-${compactTime(sent)}`;
+    const { onset, expires } =
+      msgType === "Cancel"
+        ? { onset: null, expires: null }
+        : warningWindow(ex, level);
+    const station = {
+      station_code: code,
+      station_name: ex?.station_name || prev?.station_name || "",
+      river_name: ex?.river_name || prev?.river_name || "",
+      ...metaByCode.get(code),
+    };
+    const xml = buildCapAlert({
+      identifier,
+      sender,
+      sent,
+      msgType,
+      references: prev
+        ? `${prev.sender},${prev.identifier},${capTime(prev.sent)}`
+        : null,
+      level,
+      station,
+      exceedance: ex,
+      onset,
+      expires,
+    });
+    fs.writeFileSync(path.join(dir, `${identifier}.xml`), xml, "utf8");
+
+    const entry = {
+      identifier,
+      sender,
+      sent,
+      msgType,
+      level,
+      station_code: code,
+      station_name: station.station_name,
+      river_name: station.river_name,
+      onset,
+      expires,
+    };
+    index.messages.push(entry);
+    issued.push(entry);
+    if (msgType === "Cancel") delete index.active[code];
+    else index.active[code] = entry;
+  };
+
+  const seen = new Set();
+  for (const ex of exceedances || []) {
+    const code = String(ex.station_code);
+    seen.add(code);
+    const level = ex.warning_level || "normal";
+    const prev = index.active[code];
+    const warn = levelRank(level) > 0;
+
+    if (!prev && warn) {
+      issue(code, "Alert", level, ex, null);
+    } else if (prev && !warn) {
+      issue(code, "Cancel", prev.level, ex, prev);
+    } else if (prev && warn) {
+      const w = warningWindow(ex, level);
+      if (
+        prev.level !== level ||
+        prev.onset !== w.onset ||
+        prev.expires !== w.expires
+      ) {
+        issue(code, "Update", level, ex, prev);
+      }
+    }
+  }
+
+  // stations that dropped out of the forecast: their warning is not
+  // confirmed any more, so it is cancelled rather than left active
+  for (const [code, prev] of Object.entries(index.active)) {
+    if (!seen.has(code)) issue(code, "Cancel", prev.level, null, prev);
+  }
+
+  // keep the index bounded; the XML files stay on disk
+  index.messages = index.messages.slice(-500);
+  index.updatedAt = sent;
+  writeIndex(dir, index);
+  return issued;
+}
+
+export function listCapMessages(dir, limit = 50) {
+  return readIndex(dir).messages.slice(-limit).reverse();
+}
+
+export function readCapAlert(dir, identifier) {
+  if (!/^[\w.-]+$/.test(identifier)) return null;
+  const p = path.join(dir, `${identifier}.xml`);
+  return fs.existsSync(p) ? fs.readFileSync(p, "utf8") : null;
+}
+
+/* ---------------- Atom index ---------------- */
+
+export function buildAtomFeed(messages, { baseUrl, sender }) {
+  const updated = messages[0]?.sent || new Date().toISOString();
+  const lines = [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<feed xmlns="http://www.w3.org/2005/Atom">`,
+    `  <id>${esc(`${baseUrl}/api/cap/feed`)}</id>`,
+    `  <title>AKVAMANAS hydrological warnings (CAP 1.2)</title>`,
+    `  <updated>${new Date(updated).toISOString()}</updated>`,
+    `  <author><name>${esc(sender)}</name></author>`,
+    `  <link rel="self" href="${esc(`${baseUrl}/api/cap/feed`)}"/>`,
+  ];
+  for (const m of messages) {
+    const href = `${baseUrl}/api/cap/alerts/${encodeURIComponent(
+      m.identifier
+    )}`;
+    lines.push(
+      `  <entry>`,
+      `    <id>${esc(m.identifier)}</id>`,
+      `    <title>${esc(
+        `${m.msgType}: ${m.level} — ${m.station_name || m.station_code}`
+      )}</title>`,
+      `    <updated>${new Date(m.sent).toISOString()}</updated>`,
+      `    <link rel="alternate" type="application/cap+xml" href="${esc(
+        href
+      )}"/>`,
+      `    <summary>${esc(
+        `${m.river_name || ""} ${m.station_name || ""} (${m.station_code})`.trim()
+      )}</summary>`,
+      `  </entry>`
+    );
+  }
+  lines.push(`</feed>`, ``);
+  return lines.join("\n");
+}
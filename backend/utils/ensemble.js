@@ -0,0 +1,257 @@
+// backend/utils/ensemble.js
+// Ensemble forecasts: forecastWaterLevels is run N times with perturbed
+// precipitation forcing, initial states (stage, basin storages) and
+// routing / rating parameters; the members are summarized as hourly
+// quantiles and threshold exceedance probabilities per station.
+import { forecastWaterLevels } from "./regression.js";
+import { applyCorrections } from "./assimilation.js";
+import { WARNING_LEVELS } from "./thresholds.js";
+
+export const ENSEMBLE_QUANTILES = [0.05, 0.25, 0.5, 0.75, 0.95];
+export const MAX_MEMBERS = 200;
+
+// standard deviations of the perturbations (multiplicative ones in log space)
+export const ENSEMBLE_SPREAD = {
+  precip: 0.35, // per member and basin
+  precip_hourly: 0.25, // per hour on top of that
+  stage_cm: 3, // initial observed stage
+  state: 0.15, // basin storages (snow, soil, groundwater)
+  rating_a: 0.08, // rating curve coefficient a
+  reach_k: 0.2, // Muskingum K per reach
+};
+
+/* ---------------- Random numbers ---------------- */
+
+// mulberry32: small seeded PRNG so that a run can be repeated
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// mean-preserving log-normal factor
+function lognormal(rng, sigma) {
+  return Math.exp(sigma * gaussian(rng) - (sigma * sigma) / 2);
+}
+
+/* ---------------- Perturbed inputs ---------------- */
+
+function scaleRating(rc, f) {
+  if (!rc) return rc;
+  if (rc.segments?.length) {
+    return {
+      segments: rc.segments.map((s) => ({ ...s, a: (s.a ?? 0.03) * f })),
+    };
+  }
+  return { ...rc, a: (rc.a ?? 0.03) * f };
+}
+
+const STORAGES = ["swe_mm", "liquid_mm", "sm_mm", "suz_mm", "slz_mm"];
+
+function perturbMember(ctx, rng, spread) {
+  const basinOf = new Map(
+    (ctx.settings || []).map((m) => [
+      String(m.station_code ?? "").trim(),
+      String(m.basin_name ?? "").trim(),
+    ])
+  );
+
+  const currentInputs = ctx.currentInputs.map((r) =>
+    r.water_level_cm == null
+      ? r
+      : {
+          ...r,
+          water_level_cm: r.water_level_cm + spread.stage_cm * gaussian(rng),
+        }
+  );
+
+  // precipitation: one factor per basin and member, plus hourly noise
+  const basinFactor = new Map();
+  const factorFor = (code) => {
+    const b = basinOf.get(code) || code;
+    if (!basinFactor.has(b)) basinFactor.set(b, lognormal(rng, spread.precip));
+    return basinFactor.get(b);
+  };
+  let forcing = ctx.forcing;
+  if (ctx.forcing?.precip) {
+    const precip = new Map();
+    for (const [code, hours] of ctx.forcing.precip) {
+      const f = factorFor(code);
+      precip.set(
+        code,
+        new Map(
+          [...hours].map(([k, v]) => [
+            k,
+            v == null ? v : v * f * lognormal(rng, spread.precip_hourly),
+          ])
+        )
+      );
+    }
+    forcing = { ...ctx.forcing, precip };
+  }
+
+  const hydroAux = { ...ctx.hydroAux };
+  if (ctx.hydroAux?.rating) {
+    hydroAux.rating = new Map(
+      [...ctx.hydroAux.rating].map(([code, rc]) => [
+        code,
+        scaleRating(rc, lognormal(rng, spread.rating_a)),
+      ])
+    );
+  }
+  if (ctx.hydroAux?.basinState) {
+    hydroAux.basinState = new Map(
+      [...ctx.hydroAux.basinState].map(([basin, s]) => {
+        const f = lognormal(rng, spread.state);
+        const next = { ...s };
+        for (const k of STORAGES) if (next[k] != null) next[k] *= f;
+        return [basin, next];
+      })
+    );
+  }
+
+  const reachFactor = new Map();
+  const opts = {
+    baseTime: ctx.baseTime,
+    history: ctx.history,
+    models: ctx.models,
+    reachFactor: (key) => {
+      if (!reachFactor.has(key)) {
+        reachFactor.set(key, lognormal(rng, spread.reach_k));
+      }
+      return reachFactor.get(key);
+    },
+  };
+  return { currentInputs, forcing, hydroAux, opts };
+}
+
+/* ---------------- Summary ---------------- */
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i),
+    hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+export function quantileKey(q) {
+  return `q${String(Math.round(q * 100)).padStart(2, "0")}`;
+}
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+const round3 = (v) => Math.round(v * 1000) / 1000;
+
+// memberSeries: [series per member]; series = { code: [{ t, wl_cm, observed? }] }
+function summarize(memberSeries, thresholds) {
+  const levels = WARNING_LEVELS.filter((l) => l !== "normal");
+  const n = memberSeries.length;
+  const stations = {};
+  const codes = new Set(memberSeries.flatMap((s) => Object.keys(s)));
+  for (const code of codes) {
+    const th = thresholds?.get(code);
+    const byHour = new Map();
+    const peaks = [];
+    for (const s of memberSeries) {
+      let peak = -Infinity;
+      for (const p of s[code] || []) {
+        if (p.observed || p.wl_cm == null) continue;
+        if (!byHour.has(p.t)) byHour.set(p.t, []);
+        byHour.get(p.t).push(p.wl_cm);
+        peak = Math.max(peak, p.wl_cm);
+      }
+      peaks.push(peak);
+    }
+
+    const hourly = [...byHour.keys()].sort().map((t) => {
+      const vals = byHour.get(t).sort((a, b) => a - b);
+      const row = { t };
+      for (const q of ENSEMBLE_QUANTILES) {
+        row[quantileKey(q)] = round1(quantile(vals, q));
+      }
+      for (const l of levels) {
+        if (th?.[l] == null) continue;
+        row[`p_${l}`] = round3(
+          vals.filter((v) => v >= th[l]).length / vals.length
+        );
+      }
+      return row;
+    });
+
+    // chance of reaching each level at any time within the horizon
+    const exceedance = {};
+    for (const l of levels) {
+      if (th?.[l] == null) continue;
+      exceedance[l] = round3(peaks.filter((v) => v >= th[l]).length / n);
+    }
+    stations[code] = { hourly, exceedance };
+  }
+  return stations;
+}
+
+/* ---------------- Run ---------------- */
+
+// ctx: run context from the server (currentInputs, settings, model, hydroAux,
+// forcing, history, baseTime, models). opts: { members, seed, spread, corrections, thresholds }
+export async function runEnsemble(ctx, opts = {}) {
+  const members = Math.min(
+    Math.max(Math.round(Number(opts.members) || 30), 2),
+    MAX_MEMBERS
+  );
+  const seed = Number.isFinite(Number(opts.seed))
+    ? Number(opts.seed)
+    : Math.floor(Math.random() * 2 ** 31);
+  const spread = { ...ENSEMBLE_SPREAD, ...(opts.spread || {}) };
+  const rng = seededRandom(seed);
+
+  const memberSeries = [];
+  for (let m = 0; m < members; m++) {
+    const p = perturbMember(ctx, rng, spread);
+    const out = await forecastWaterLevels(
+      p.currentInputs,
+      ctx.settings,
+      ctx.model,
+      p.hydroAux,
+      p.forcing,
+      p.opts
+    );
+    // members get the same error correction as the deterministic run
+    if (opts.corrections?.size) applyCorrections(out, opts.corrections);
+    memberSeries.push(out.series);
+  }
+
+  return {
+    members,
+    seed,
+    spread,
+    quantiles: ENSEMBLE_QUANTILES.map(quantileKey),
+    stations: summarize(memberSeries, opts.thresholds),
+  };
+}
+
+// Copies the bands onto the deterministic series points for charting:
+// band_90 = [q05, q95], band_50 = [q25, q75], wl_median_cm = q50.
+export function attachBands(series, ensemble) {
+  for (const [code, points] of Object.entries(series || {})) {
+    const hourly = ensemble?.stations?.[code]?.hourly || [];
+    const byT = new Map(hourly.map((h) => [h.t, h]));
+    for (const p of points) {
+      const h = byT.get(p.t);
+      if (!h || p.observed) continue;
+      p.band_90 = [h.q05, h.q95];
+      p.band_50 = [h.q25, h.q75];
+      p.wl_median_cm = h.q50;
+    }
+  }
+}
@@ -10,7 +10,10 @@ export function ensureDir(p) {
 export function writeForecastWorkbook(
   filePath,
   dailyTable = [],
-  hourlyRows = []
+  hourlyRows = [],
+  exceedances = [],
+  ensemble = null,
+  models = null
 ) {
   const wb = XLSX.utils.book_new();
 
@@ -22,6 +25,10 @@ export function writeForecastWorkbook(
     "wl_today_cm",
     "wl_tomorrow_cm",
     "wl_day_after_cm",
+    "warning_level",
+    "peak_cm",
+    "peak_time",
+    "model",
   ];
   const dailySheet = XLSX.utils.json_to_sheet(
     dailyTable.map((r) => Object.fromEntries(dailyCols.map((k) => [k, r[k]]))),
@@ -37,6 +44,9 @@ export function writeForecastWorkbook(
     "station_name",
     "river_name",
     "forecast_water_level_cm",
+    "raw_water_level_cm", // before assimilation
+    "warning_level",
+    "model",
   ];
   const hourlySheet = XLSX.utils.json_to_sheet(
     hourlyRows.map((r) => Object.fromEntries(hourlyCols.map((k) => [k, r[k]]))),
@@ -44,6 +54,83 @@ export function writeForecastWorkbook(
   );
   XLSX.utils.book_append_sheet(wb, hourlySheet, "hourly_utc");
 
+  // EXCEEDANCES sheet (one row per station and reached warning level)
+  if (exceedances.length) {
+    const exRows = [];
+    for (const e of exceedances) {
+      const base = {
+        station_code: e.station_code,
+        station_name: e.station_name,
+        river_name: e.river_name,
+        peak_cm: e.peak_cm,
+        peak_time: e.peak_time,
+      };
+      const levels = Object.entries(e.levels || {});
+      if (!levels.length) exRows.push({ ...base, warning_level: "normal" });
+      for (const [level, x] of levels) {
+        exRows.push({
+          ...base,
+          warning_level: level,
+          threshold_cm: x.threshold_cm,
+          first_exceedance: x.first_exceedance,
+          last_exceedance: x.last_exceedance,
+          duration_h: x.duration_h,
+        });
+      }
+    }
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(exRows),
+      "exceedances"
+    );
+  }
+
+  // ENSEMBLE sheets: hourly quantile band per station (columns q05..q95,
+  // to be charted as shaded areas) and exceedance probabilities
+  if (ensemble?.stations) {
+    const bandRows = [];
+    const probRows = [];
+    for (const [code, st] of Object.entries(ensemble.stations)) {
+      for (const { t, ...h } of st.hourly) {
+        bandRows.push({ station_code: code, forecast_datetime: t, ...h });
+      }
+      probRows.push({ station_code: code, ...st.exceedance });
+    }
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(bandRows),
+      "ensemble"
+    );
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(
+        probRows.map((r) => ({
+          ...r,
+          members: ensemble.members,
+          seed: ensemble.seed,
+        }))
+      ),
+      "ensemble_probability"
+    );
+  }
+
+  // MODELS sheet: the model that produced each station's forecast and its
+  // parameters
+  if (models) {
+    XLSX.utils.book_append_sheet(
+      wb,
+      XLSX.utils.json_to_sheet(
+        Object.entries(models).map(([code, m]) => ({
+          station_code: code,
+          model: m.model,
+          requested: m.requested ?? null,
+          params: JSON.stringify(m.params ?? {}),
+        }))
+      ),
+      "models"
+    );
+  }
+
   XLSX.writeFile(wb, filePath, { bookType: "xlsx" });
 }
 
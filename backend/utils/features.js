@@ -0,0 +1,87 @@
+// backend/utils/features.js
+// Feature rows for the direct multi-horizon regression: the station's level
+// and its lags, accumulated precipitation windows and the air temperature
+// trend at the issue hour. Training and forecasting build them the same way.
+import { hourKey, toUtcMs } from "./time.js";
+
+export const LEVEL_LAGS_H = [1, 3, 6, 12];
+export const PRECIP_WINDOWS_H = [3, 6, 24];
+export const TEMP_TREND_H = 24;
+// lead times with their own model; hours in between are interpolated
+export const LEADS_H = [
+  1, 2, 3, 4, 5, 6, 9, 12, 18, 24, 30, 36, 42, 48, 54, 60, 66, 72,
+];
+
+export const LAG_FEATURES = [
+  "intercept",
+  "wl_cm",
+  ...LEVEL_LAGS_H.map((l) => `wl_lag${l}h_cm`),
+  ...PRECIP_WINDOWS_H.map((w) => `precip_${w}h_mm`),
+  "air_temp_c",
+  `air_temp_trend_${TEMP_TREND_H}h_c`,
+];
+
+const H = 3600 * 1000;
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// rows of one station -> Map(hourKey -> { water_level_cm, precipitation_mm,
+// air_temp_c }); later rows fill values missing in earlier ones
+export function hourlyHistory(rows) {
+  const out = new Map();
+  for (const r of rows) {
+    const t = toUtcMs(r.datetime_utc ?? r.date);
+    if (t == null) continue;
+    const k = hourKey(t);
+    const prev = out.get(k) || {};
+    out.set(k, {
+      water_level_cm: num(r.water_level_cm) ?? prev.water_level_cm ?? null,
+      precipitation_mm:
+        num(r.precipitation_mm) ?? prev.precipitation_mm ?? null,
+      air_temp_c: num(r.air_temp_c) ?? prev.air_temp_c ?? null,
+    });
+  }
+  return out;
+}
+
+// Feature row at hour t0 (ms) from the station history; `current` (the
+// currentInputs row) overrides the values at t0. Missing lags are taken as
+// "no change" (the t0 level), missing precipitation hours as dry. Returns null
+// without a level at t0.
+export function lagFeatureRow(history, t0, current = null) {
+  const at = (dt) => history?.get(hourKey(t0 - dt * H)) || null;
+  const h0 = num(current?.water_level_cm) ?? at(0)?.water_level_cm ?? null;
+  if (h0 == null) return null;
+
+  const lags = LEVEL_LAGS_H.map((l) => at(l)?.water_level_cm ?? h0);
+
+  const precip = PRECIP_WINDOWS_H.map((w) => {
+    let s = 0;
+    for (let i = 0; i < w; i++) {
+      const v =
+        i === 0
+          ? (num(current?.precipitation_mm) ?? at(0)?.precipitation_mm)
+          : at(i)?.precipitation_mm;
+      s += v ?? 0;
+    }
+    return s;
+  });
+
+  const T0 = num(current?.air_temp_c) ?? at(0)?.air_temp_c ?? null;
+  let tSum = 0,
+    tN = 0;
+  for (let i = 1; i <= TEMP_TREND_H; i++) {
+    const v = at(i)?.air_temp_c;
+    if (v != null) {
+      tSum += v;
+      tN++;
+    }
+  }
+  const trend = T0 != null && tN ? T0 - tSum / tN : 0;
+
+  return [1, h0, ...lags, ...precip, T0 ?? 0, trend];
+}
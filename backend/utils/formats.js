@@ -0,0 +1,268 @@
+// backend/utils/formats.js
+// Input files other than xlsx: CSV / TSV (delimiter, decimal comma and
+// encoding detected, so Lithuanian exports in windows-1257 with ";" and "1,5"
+// read as they are) and JSON, converted into a workbook with the sheet the
+// schema expects; everything downstream keeps reading xlsx. Also: ZIP bundles
+// and recognizing the input type of a file by its name, sheet or columns.
+import fs from "fs";
+import path from "path";
+import XLSX from "xlsx";
+
+import { SCHEMAS } from "./schemas.js";
+
+const WORKBOOK_RE = /\.(xlsx|xlsm|xls|ods)$/i;
+
+export function isWorkbookName(name) {
+  return WORKBOOK_RE.test(String(name ?? ""));
+}
+
+/* ---------------- Text ---------------- */
+
+// BOM first; otherwise UTF-8 if the bytes are valid UTF-8, else the Baltic
+// code page Lithuanian Windows exports use
+export function decodeText(buf) {
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+    return { text: buf.subarray(3).toString("utf8"), encoding: "utf-8" };
+  }
+  if (buf[0] === 0xff && buf[1] === 0xfe) {
+    return { text: buf.subarray(2).toString("utf16le"), encoding: "utf-16le" };
+  }
+  if (buf[0] === 0xfe && buf[1] === 0xff) {
+    const le = Buffer.from(buf.subarray(2));
+    le.swap16();
+    return { text: le.toString("utf16le"), encoding: "utf-16be" };
+  }
+  try {
+    const text = new TextDecoder("utf-8", { fatal: true }).decode(buf);
+    return { text, encoding: "utf-8" };
+  } catch {
+    const text = new TextDecoder("windows-1257").decode(buf);
+    return { text, encoding: "windows-1257" };
+  }
+}
+
+// fields of a delimited line; "" inside quotes is a quote
+function splitLine(line, sep) {
+  const out = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === sep) {
+      out.push(cur);
+      cur = "";
+    } else cur += c;
+  }
+  out.push(cur);
+  return out.map((v) => v.trim());
+}
+
+// the candidate splitting the header into the most fields wins
+function detectDelimiter(header) {
+  let best = ",";
+  let bestN = 1;
+  for (const sep of ["\t", ";", ",", "|"]) {
+    const n = splitLine(header, sep).length;
+    if (n > bestN) {
+      best = sep;
+      bestN = n;
+    }
+  }
+  return best;
+}
+
+// { delimiter, rows }: rows keyed by the (trimmed, lowercase) header;
+// cells stay strings
+export function parseDelimited(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) return { delimiter: null, rows: [] };
+  const delimiter = detectDelimiter(lines[0]);
+  const header = splitLine(lines[0], delimiter).map((h) => h.toLowerCase());
+  const rows = lines.slice(1).map((l) => {
+    const cells = splitLine(l, delimiter);
+    return Object.fromEntries(
+      header.map((h, i) => [h, cells[i] === "" ? null : (cells[i] ?? null)])
+    );
+  });
+  return { delimiter, rows };
+}
+
+// rows of a JSON document: an array of rows, { <sheet>: [...] },
+// { rows: [...] } or { data: [...] }
+export function jsonRows(text, sheetName) {
+  const doc = JSON.parse(text);
+  const rows = Array.isArray(doc)
+    ? doc
+    : (doc?.[sheetName] ?? doc?.rows ?? doc?.data);
+  if (!Array.isArray(rows)) {
+    throw new Error(
+      `JSON must be an array of rows or have "${sheetName}", "rows" or "data".`
+    );
+  }
+  return rows.map((r) =>
+    Object.fromEntries(
+      Object.entries(r || {}).map(([k, v]) => [k.trim().toLowerCase(), v])
+    )
+  );
+}
+
+/* ---------------- Numbers ---------------- */
+
+// "1,5", "1 234,5", "1.234,5" -> number; anything else is returned unchanged
+// for the validator to report
+function parseNumber(v) {
+  if (typeof v === "number" || v === null || v === undefined) return v;
+  let s = String(v).replace(/\s/g, "");
+  if (!s) return null;
+  const comma = s.lastIndexOf(",");
+  const dot = s.lastIndexOf(".");
+  if (comma > dot) s = s.replace(/\./g, "").replace(",", ".");
+  else if (comma >= 0) s = s.replace(/,/g, "");
+  const n = Number(s);
+  return Number.isFinite(n) ? n : v;
+}
+
+// number columns of the schema parsed (decimal comma included);
+// decimal_comma tells whether any cell used one
+function coerceRows(rows, schema) {
+  const numeric = Object.entries(schema.columns)
+    .filter(([, c]) => c.type === "number")
+    .map(([k]) => k);
+  let decimalComma = false;
+  const out = rows.map((r) => {
+    const o = { ...r };
+    for (const k of numeric) {
+      if (typeof o[k] === "string" && /\d,\d/.test(o[k])) decimalComma = true;
+      o[k] = parseNumber(o[k]);
+    }
+    return o;
+  });
+  return { rows: out, decimal_comma: decimalComma };
+}
+
+/* ---------------- Conversion ---------------- */
+
+// Reads a CSV / TSV / JSON file as rows of the schema's sheet and writes them
+// as a workbook to outPath. Returns what was detected: { format, encoding,
+// delimiter, decimal_comma, rows }.
+export function convertToWorkbook(srcPath, fileName, schema, outPath) {
+  const { text, encoding } = decodeText(fs.readFileSync(srcPath));
+  const ext = path.extname(String(fileName)).toLowerCase();
+  const isJson = ext === ".json" || /^\s*[[{]/.test(text);
+  let rows;
+  let delimiter = null;
+  if (isJson) rows = jsonRows(text, schema.sheet);
+  else ({ delimiter, rows } = parseDelimited(text));
+  const coerced = coerceRows(rows, schema);
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.json_to_sheet(coerced.rows),
+    schema.sheet
+  );
+  XLSX.writeFile(wb, outPath, { bookType: "xlsx" });
+  return {
+    format: isJson ? "json" : delimiter === "\t" ? "tsv" : "csv",
+    encoding,
+    delimiter,
+    decimal_comma: coerced.decimal_comma,
+    rows: coerced.rows.length,
+  };
+}
+
+/* ---------------- Recognizing inputs ---------------- */
+
+// file names as exported by the project and its data sources
+const NAME_PATTERNS = [
+  ["forecast_precip", /forecast.*precip|precip.*forecast|kritul.*prognoz/],
+  ["forecast_air", /forecast.*(air|temp)|(air|temp).*forecast|temp.*prognoz/],
+  ["thresholds", /threshold|slenkst/],
+  ["current_water", /current.*water|water_levels|vandens_lyg/],
+  ["current_precip", /current.*precip|krituliai/],
+  ["current_air", /current.*(air|temp)|oro_temp/],
+  ["metadata", /stations?_?(meta|template)|stotys/],
+  ["network", /network|reach/],
+  ["rating", /rating/],
+  ["basin", /basin|basein/],
+  ["historical", /histor/],
+];
+
+// Columns of a flat file against every schema: all required ones and at
+// least one known column present, then the most known minus unknown columns
+// (ties: SCHEMAS order)
+function typeByColumns(columns) {
+  const cols = new Set(columns);
+  let best = null;
+  for (const [type, s] of Object.entries(SCHEMAS)) {
+    const required = Object.entries(s.columns)
+      .filter(([, c]) => c.required)
+      .map(([k]) => k);
+    if (!required.every((k) => cols.has(k))) continue;
+    if (s.anyOf && !s.anyOf.some((k) => cols.has(k))) continue;
+    const known = columns.filter((c) => s.columns[c]).length;
+    if (!known) continue;
+    const score = known - (columns.length - known);
+    if (!best || score > best.score) best = { type, score };
+  }
+  return best?.type ?? null;
+}
+
+// Input type of a file: by its name, then by a sheet named as a schema's
+// (workbooks) or by its columns (CSV / JSON). null when nothing fits.
+export function detectInputType(fileName, filePath) {
+  const base = path.basename(String(fileName)).toLowerCase();
+  for (const [type, re] of NAME_PATTERNS) if (re.test(base)) return type;
+
+  if (isWorkbookName(fileName)) {
+    try {
+      const names = XLSX.readFile(filePath, { bookSheets: true }).SheetNames;
+      for (const [type, s] of Object.entries(SCHEMAS)) {
+        if (names.includes(s.sheet)) return type;
+      }
+    } catch {
+      /* not a workbook */
+    }
+    return null;
+  }
+  try {
+    const { text } = decodeText(fs.readFileSync(filePath));
+    let rows;
+    try {
+      rows = /^\s*[[{]/.test(text) ? jsonRows(text, null) : null;
+    } catch {
+      rows = null;
+    }
+    const columns = rows
+      ? Object.keys(rows[0] || {})
+      : Object.keys(parseDelimited(text).rows[0] || {});
+    return typeByColumns(columns);
+  } catch {
+    return null;
+  }
+}
+
+/* ---------------- ZIP bundles ---------------- */
+
+// Files of a ZIP archive: [{ name (path inside the archive), data }];
+// folders, hidden files and macOS metadata are left out
+export function readZipEntries(filePath) {
+  const zip = XLSX.CFB.read(fs.readFileSync(filePath), { type: "buffer" });
+  const out = [];
+  zip.FileIndex.forEach((entry, i) => {
+    if (entry.type !== 2 || !entry.content?.length) return;
+    const name = zip.FullPaths[i].replace(/^Root Entry\//, "");
+    const base = path.basename(name);
+    if (name.startsWith("__MACOSX/") || base.startsWith(".")) return;
+    if (base === "\u0001Sh33tJ5") return; // marker SheetJS adds
+    out.push({ name, data: Buffer.from(entry.content) });
+  });
+  return out;
+}
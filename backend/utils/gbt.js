@@ -0,0 +1,160 @@
+// backend/utils/gbt.js
+// Gradient-boosted regression trees (squared error) in plain JS. Feature
+// values are binned once (quantile edges), so every split search is a
+// histogram pass over the node's samples. The trees fit the change from an
+// anchor column (the current level), which keeps forecasts near the observed
+// stage instead of snapping to the training mean.
+
+export const GBT_DEFAULTS = {
+  trees: 100,
+  depth: 3,
+  learning_rate: 0.1,
+  min_leaf: 4,
+  bins: 16,
+};
+
+const LIMITS = {
+  trees: [1, 1000],
+  depth: [1, 6],
+  learning_rate: [0.001, 1],
+  min_leaf: [1, 1000],
+  bins: [2, 64],
+};
+
+// defaults merged with the given parameters, clamped to sane ranges
+export function gbtParams(params = {}) {
+  const out = {};
+  for (const [k, d] of Object.entries(GBT_DEFAULTS)) {
+    const v = Number(params[k]);
+    const [lo, hi] = LIMITS[k];
+    out[k] = Number.isFinite(v) ? Math.min(Math.max(v, lo), hi) : d;
+    if (k !== "learning_rate") out[k] = Math.round(out[k]);
+  }
+  return out;
+}
+
+/* ---------------- Binning ---------------- */
+
+// split thresholds per feature: midpoints between the distinct values, or
+// quantiles of them when there are more than `bins`
+function binEdges(X, bins) {
+  const p = X[0].length;
+  const edges = [];
+  for (let j = 0; j < p; j++) {
+    const vals = [...new Set(X.map((r) => r[j]))].sort((a, b) => a - b);
+    const e = [];
+    if (vals.length <= bins) {
+      for (let i = 1; i < vals.length; i++) e.push((vals[i - 1] + vals[i]) / 2);
+    } else {
+      for (let b = 1; b < bins; b++) {
+        const i = Math.floor((b * vals.length) / bins);
+        const v = (vals[i - 1] + vals[i]) / 2;
+        if (!e.length || v > e[e.length - 1]) e.push(v);
+      }
+    }
+    edges.push(e);
+  }
+  return edges;
+}
+
+// index of the first edge >= v (values <= edges[k] fall in bins 0..k)
+function binOf(edges, v) {
+  let lo = 0,
+    hi = edges.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (edges[mid] < v) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/* ---------------- Trees ---------------- */
+
+// Nodes are serialized as a leaf value (number) or [feature, threshold,
+// left, right]; x[feature] <= threshold goes left.
+function growTree(B, edges, r, idx, depth, p, gain) {
+  let sum = 0;
+  for (const i of idx) sum += r[i];
+  const leaf = (sum / idx.length) * p.learning_rate;
+  if (depth === 0 || idx.length < 2 * p.min_leaf) return leaf;
+
+  const total = (sum * sum) / idx.length;
+  let best = null;
+  for (let j = 0; j < edges.length; j++) {
+    const nb = edges[j].length + 1;
+    if (nb < 2) continue;
+    const hs = new Float64Array(nb),
+      hn = new Int32Array(nb);
+    for (const i of idx) {
+      hs[B[i][j]] += r[i];
+      hn[B[i][j]]++;
+    }
+    let ls = 0,
+      ln = 0;
+    for (let k = 0; k < nb - 1; k++) {
+      ls += hs[k];
+      ln += hn[k];
+      const rn = idx.length - ln;
+      if (ln < p.min_leaf || rn < p.min_leaf) continue;
+      const rs = sum - ls;
+      const g = (ls * ls) / ln + (rs * rs) / rn - total;
+      if (g > 1e-12 && (!best || g > best.g)) best = { j, k, g };
+    }
+  }
+  if (!best) return leaf;
+
+  gain[best.j] += best.g;
+  const left = [],
+    right = [];
+  for (const i of idx) (B[i][best.j] <= best.k ? left : right).push(i);
+  return [
+    best.j,
+    edges[best.j][best.k],
+    growTree(B, edges, r, left, depth - 1, p, gain),
+    growTree(B, edges, r, right, depth - 1, p, gain),
+  ];
+}
+
+function treeValue(node, x) {
+  let n = node;
+  while (Array.isArray(n)) n = (x[n[0]] ?? 0) <= n[1] ? n[2] : n[3];
+  return n;
+}
+
+/* ---------------- Fit / predict ---------------- */
+
+// X: feature rows, y: targets, anchor: column the trees are relative to
+// (null: fit y itself). Returns { anchor, base, trees, importance }.
+export function trainGbt(X, y, params = {}, anchor = null) {
+  const p = gbtParams(params);
+  const n = X.length;
+  const target = y.map((v, i) => v - (anchor != null ? X[i][anchor] : 0));
+  const base = target.reduce((a, v) => a + v, 0) / n;
+
+  const edges = binEdges(X, p.bins);
+  const B = X.map((row) => row.map((v, j) => binOf(edges[j], v)));
+  const pred = new Array(n).fill(base);
+  const gain = new Array(edges.length).fill(0);
+  const idx = [...Array(n).keys()];
+  const trees = [];
+  for (let m = 0; m < p.trees; m++) {
+    const r = target.map((v, i) => v - pred[i]);
+    const tree = growTree(B, edges, r, idx, p.depth, p, gain);
+    trees.push(tree);
+    for (let i = 0; i < n; i++) pred[i] += treeValue(tree, X[i]);
+  }
+  const g = gain.reduce((a, v) => a + v, 0);
+  return {
+    anchor,
+    base,
+    trees,
+    importance: gain.map((v) => (g > 0 ? v / g : 0)),
+  };
+}
+
+export function predictGbt(model, x) {
+  let v = model.base;
+  for (const t of model.trees) v += treeValue(t, x);
+  return v + (model.anchor != null ? (x[model.anchor] ?? 0) : 0);
+}
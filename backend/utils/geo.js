@@ -0,0 +1,106 @@
+// backend/utils/geo.js
+// LKS-94 / Lithuania TM (EPSG:3346) -> WGS84 (EPSG:4326).
+// LKS-94 is a transverse Mercator grid on GRS80; the ETRS89 datum it uses
+// differs from WGS84 by well under a metre, so no datum shift is applied.
+
+const A = 6378137.0; // GRS80 semi-major axis
+const F = 1 / 298.257222101;
+const K0 = 0.9998;
+const LON0 = (24 * Math.PI) / 180;
+const FALSE_EASTING = 500000;
+const FALSE_NORTHING = 0;
+
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+const N1 = F / (2 - F); // third flattening
+
+// rectifying radius and inverse (footpoint latitude) series, Krüger form
+const A_RECT = (A / (1 + N1)) * (1 + (N1 * N1) / 4 + (N1 * N1 * N1 * N1) / 64);
+const BETA = [
+  (3 / 2) * N1 - (27 / 32) * N1 ** 3,
+  (21 / 16) * N1 ** 2 - (55 / 32) * N1 ** 4,
+  (151 / 96) * N1 ** 3,
+  (1097 / 512) * N1 ** 4,
+];
+
+// x = easting (x_coord), y = northing (y_coord), metres -> { lat, lon } degrees
+export function lks94ToWgs84(x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  const mu = (y - FALSE_NORTHING) / K0 / A_RECT;
+  let phi1 = mu;
+  for (let i = 0; i < BETA.length; i++) {
+    phi1 += BETA[i] * Math.sin(2 * (i + 1) * mu);
+  }
+
+  const sin1 = Math.sin(phi1);
+  const cos1 = Math.cos(phi1);
+  const tan1 = Math.tan(phi1);
+  const C1 = EP2 * cos1 * cos1;
+  const T1 = tan1 * tan1;
+  const N = A / Math.sqrt(1 - E2 * sin1 * sin1);
+  const R = (A * (1 - E2)) / Math.pow(1 - E2 * sin1 * sin1, 1.5);
+  const D = (x - FALSE_EASTING) / (N * K0);
+
+  const lat =
+    phi1 -
+    ((N * tan1) / R) *
+      ((D * D) / 2 -
+        ((5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * EP2) * D ** 4) / 24 +
+        ((61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * EP2 - 3 * C1 * C1) *
+          D ** 6) /
+          720);
+  const lon =
+    LON0 +
+    (D -
+      ((1 + 2 * T1 + C1) * D ** 3) / 6 +
+      ((5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * EP2 + 24 * T1 * T1) * D ** 5) /
+        120) /
+      cos1;
+
+  return {
+    lat: Math.round(((lat * 180) / Math.PI) * 1e6) / 1e6,
+    lon: Math.round(((lon * 180) / Math.PI) * 1e6) / 1e6,
+  };
+}
+
+// station metadata row -> { lat, lon } or null when coordinates are missing
+export function stationLatLon(meta) {
+  const x = Number(meta?.x_coord);
+  const y = Number(meta?.y_coord);
+  if (!meta || meta.x_coord == null || meta.y_coord == null) return null;
+  return lks94ToWgs84(x, y);
+}
+
+/* ---------------- GeoJSON ---------------- */
+
+// RFC 7946 positions are [lon, lat]
+function position(meta) {
+  const p = stationLatLon(meta);
+  return p ? [p.lon, p.lat] : null;
+}
+
+// station metadata row -> Point feature, or null without coordinates
+export function stationFeature(meta, properties = {}) {
+  const coordinates = position(meta);
+  if (!coordinates) return null;
+  return {
+    type: "Feature",
+    id: String(meta.station_code),
+    geometry: { type: "Point", coordinates },
+    properties,
+  };
+}
+
+// reach row -> LineString from its from_code station to its to_code station,
+// or null when either end has no coordinates; metaByCode: Map(code -> row)
+export function reachFeature(reach, metaByCode, properties = {}) {
+  const from = position(metaByCode.get(String(reach.from_code ?? "")));
+  const to = position(metaByCode.get(String(reach.to_code ?? "")));
+  if (!from || !to) return null;
+  return {
+    type: "Feature",
+    id: `${reach.from_code}-${reach.to_code}`,
+    geometry: { type: "LineString", coordinates: [from, to] },
+    properties,
+  };
+}
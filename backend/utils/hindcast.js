@@ -0,0 +1,382 @@
+// backend/utils/hindcast.js
+// Hindcast / backtesting: forecasts are re-issued from past hours through
+// forecastWaterLevels using only what was known at the issue time (observed
+// stage at that hour, basin states spun up to it, meteo up to it) and scored
+// against the observed stages by lead time: NSE, KGE, RMSE, bias, peak timing
+// and threshold hit / miss / false-alarm counts per station.
+import { forecastWaterLevels } from "./regression.js";
+import { advanceBasinState } from "./runoff.js";
+import { estimateCorrections, applyCorrections } from "./assimilation.js";
+import { WARNING_LEVELS } from "./thresholds.js";
+import { hourKey } from "./time.js";
+
+export const HINDCAST_HORIZON = 72;
+export const MAX_ISSUES = 500;
+// meteo during the forecast hours: "none" = only what was observed up to the
+// issue hour (as in operation without a meteo forecast), "observed" = the
+// later observations as a perfect forecast
+export const HINDCAST_METEO = ["none", "observed"];
+
+const H = 3600 * 1000;
+// latest stage accepted as "current" at an issue hour
+const MAX_STAGE_AGE_H = 6;
+// verified hours needed before peak timing is scored for an issue
+const MIN_PEAK_HOURS = 6;
+
+function keyMs(k) {
+  return Date.parse(`${k}:00:00Z`);
+}
+
+function round(v, d = 1) {
+  if (v == null || !Number.isFinite(v)) return null;
+  const f = Math.pow(10, d);
+  return Math.round(v * f) / f;
+}
+
+/* ---------------- Skill scores ---------------- */
+
+// pairs: [{ sim, obs }] -> { n, nse, kge, rmse_cm, bias_cm }
+export function skillScores(pairs) {
+  const n = pairs.length;
+  if (!n) return { n: 0, nse: null, kge: null, rmse_cm: null, bias_cm: null };
+  let so = 0,
+    ss = 0;
+  for (const p of pairs) {
+    so += p.obs;
+    ss += p.sim;
+  }
+  const mo = so / n,
+    ms = ss / n;
+  let sse = 0,
+    vo = 0,
+    vs = 0,
+    cov = 0;
+  for (const p of pairs) {
+    sse += (p.sim - p.obs) ** 2;
+    vo += (p.obs - mo) ** 2;
+    vs += (p.sim - ms) ** 2;
+    cov += (p.obs - mo) * (p.sim - ms);
+  }
+  let kge = null;
+  if (n > 1 && vo > 0 && vs > 0 && mo !== 0) {
+    const r = cov / Math.sqrt(vo * vs);
+    const alpha = Math.sqrt(vs / vo);
+    const beta = ms / mo;
+    kge = 1 - Math.sqrt((r - 1) ** 2 + (alpha - 1) ** 2 + (beta - 1) ** 2);
+  }
+  return {
+    n,
+    nse: n > 1 && vo > 0 ? round(1 - sse / vo, 3) : null,
+    kge: round(kge, 3),
+    rmse_cm: round(Math.sqrt(sse / n), 2),
+    bias_cm: round(ms - mo, 2),
+  };
+}
+
+function contingency(c) {
+  const { hits, misses, false_alarms } = c;
+  const ratio = (a, b) => (a + b > 0 ? round(a / (a + b), 3) : null);
+  return {
+    ...c,
+    pod: ratio(hits, misses),
+    far: ratio(false_alarms, hits),
+    csi:
+      hits + misses + false_alarms > 0
+        ? round(hits / (hits + misses + false_alarms), 3)
+        : null,
+  };
+}
+
+/* ---------------- Issue inputs ---------------- */
+
+// currentInputs as buildCurrentInputs would have produced them at the issue
+// hour: latest stage not older than MAX_STAGE_AGE_H, meteo of that hour
+function inputsAt(input, t0) {
+  const out = [];
+  for (const m of input.settings || []) {
+    const code = String(m.station_code ?? "").trim();
+    const stages = input.obs.get(code);
+    if (!code || !stages) continue;
+    let h = null,
+      at = null;
+    for (let i = 0; i <= MAX_STAGE_AGE_H; i++) {
+      const k = hourKey(t0 - i * H);
+      if (stages.has(k)) {
+        h = stages.get(k);
+        at = keyMs(k);
+        break;
+      }
+    }
+    if (h == null) continue;
+    const k0 = hourKey(t0);
+    out.push({
+      station_code: code,
+      station_name: m.station_name || "",
+      river_name: m.river_name || "",
+      basin_name: m.basin_name || "",
+      water_level_cm: h,
+      precipitation_mm:
+        input.stationForcing?.precip?.get(code)?.get(k0) ?? null,
+      air_temp_c: input.stationForcing?.air?.get(code)?.get(k0) ?? null,
+      wind_speed_mps: null,
+      wind_dir_deg: null,
+      rh_pct: null,
+      roughness_n: m.roughness_n ?? null,
+      observed_at: new Date(at).toISOString(),
+    });
+  }
+  return out;
+}
+
+// station meteo cut at the issue hour unless meteo = "observed"
+function forcingAt(stationForcing, t0, meteo) {
+  if (!stationForcing || meteo === "observed") return stationForcing || null;
+  const k0 = hourKey(t0);
+  const cut = (m) =>
+    new Map(
+      [...(m || new Map())].map(([code, hours]) => [
+        code,
+        new Map([...hours].filter(([k]) => k <= k0)),
+      ])
+    );
+  return { precip: cut(stationForcing.precip), air: cut(stationForcing.air) };
+}
+
+function restrictObs(obs, fromMs, toMs) {
+  const from = hourKey(fromMs),
+    to = hourKey(toMs);
+  const out = new Map();
+  for (const [code, m] of obs) {
+    const w = new Map([...m].filter(([k]) => k >= from && k <= to));
+    if (w.size) out.set(code, w);
+  }
+  return out;
+}
+
+/* ---------------- Run ---------------- */
+
+// input: { settings, model, hydroAux, obs: Map(code -> Map(hourKey -> cm)),
+//   stationForcing: { precip, air } (Map(code -> Map(hourKey -> v))),
+//   basinForcing: Map(basin -> [{ t, precipitation_mm, air_temp_c }]),
+//   forcingByHour: Map(basin -> Map(hourKey -> { P, T })),
+//   history: Map(code -> Map(hourKey -> values)) (regression features), thresholds }
+// opts: { from, to, every, horizon, meteo, assimilation: { methods,
+//   fallback, hours } | null, models: { methods, fallback } (model per station,
+//   see forecastWaterLevels) }
+export async function runHindcast(input, opts = {}) {
+  const horizon = Math.min(
+    Math.max(Math.round(Number(opts.horizon) || HINDCAST_HORIZON), 1),
+    HINDCAST_HORIZON
+  );
+  const every = Math.max(Math.round(Number(opts.every) || 6), 1);
+  const meteo = HINDCAST_METEO.includes(opts.meteo) ? opts.meteo : "none";
+
+  const allHours = [
+    ...new Set([...input.obs.values()].flatMap((m) => [...m.keys()])),
+  ].sort();
+  if (allHours.length < 2) {
+    throw new Error("Hindcast needs at least two observed hours.");
+  }
+  const first = keyMs(allHours[0]),
+    last = keyMs(allHours[allHours.length - 1]);
+  const from = opts.from ? Date.parse(opts.from) : first;
+  // the last issue still needs one verifying hour
+  const to = Math.min(opts.to ? Date.parse(opts.to) : last, last - H);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to < from) {
+    throw new Error("Invalid hindcast period.");
+  }
+
+  const issues = [];
+  for (let t = Math.ceil(from / H) * H; t <= to; t += every * H) {
+    issues.push(t);
+  }
+  if (!issues.length) throw new Error("Invalid hindcast period.");
+  if (issues.length > MAX_ISSUES) {
+    throw new Error(
+      `Too many forecast issues (${issues.length}); increase "every" or shorten the period (max ${MAX_ISSUES}).`
+    );
+  }
+
+  const hydroAux = input.hydroAux || {};
+  const basinStates = new Map();
+  const levels = WARNING_LEVELS.filter((l) => l !== "normal");
+
+  // code -> { byLead: Map(lead -> [{sim, obs}]), peaks: [], events: {level: counts} }
+  const acc = new Map();
+  const slot = (code) => {
+    if (!acc.has(code)) {
+      const events = {};
+      for (const l of levels) {
+        events[l] = {
+          hits: 0,
+          misses: 0,
+          false_alarms: 0,
+          correct_negatives: 0,
+        };
+      }
+      acc.set(code, { byLead: new Map(), peaks: [], events, issues: 0 });
+    }
+    return acc.get(code);
+  };
+
+  let issued = 0;
+  for (const t0 of issues) {
+    const currentInputs = inputsAt(input, t0);
+    if (!currentInputs.length) continue;
+
+    // basin states carried through the observed hours before the issue
+    let aux = hydroAux;
+    if (hydroAux.basins?.size) {
+      for (const [basin, bp] of hydroAux.basins) {
+        basinStates.set(
+          basin,
+          advanceBasinState(
+            basinStates.get(basin),
+            input.basinForcing?.get(basin),
+            bp,
+            new Date(t0 - H)
+          )
+        );
+      }
+      aux = { ...hydroAux, basinState: new Map(basinStates) };
+    }
+
+    const out = await forecastWaterLevels(
+      currentInputs,
+      input.settings || [],
+      input.model || { stations: {} },
+      aux,
+      forcingAt(input.stationForcing, t0, meteo),
+      // features only look back from the issue hour, so the full history
+      // does not leak later observations
+      { baseTime: new Date(t0), history: input.history, models: opts.models }
+    );
+
+    if (
+      opts.assimilation &&
+      hydroAux.network?.length &&
+      hydroAux.rating?.size
+    ) {
+      const window = (opts.assimilation.hours || 24) * H;
+      const corrections = estimateCorrections(
+        {
+          network: hydroAux.network,
+          rating: hydroAux.rating,
+          basins: hydroAux.basins,
+          stations: input.settings || [],
+          obs: restrictObs(input.obs, t0 - window, t0),
+          forcing: input.forcingByHour,
+          calibration: hydroAux.calibration || null,
+          basinState: aux.basinState,
+        },
+        opts.assimilation.methods || new Map(),
+        opts.assimilation.fallback
+      );
+      // error models describe the routing simulation only
+      for (const code of corrections.keys()) {
+        if (out.models?.[code]?.model !== "routing") corrections.delete(code);
+      }
+      if (corrections.size) applyCorrections(out, corrections);
+    }
+    issued++;
+
+    for (const [code, points] of Object.entries(out.series || {})) {
+      const stages = input.obs.get(code);
+      if (!stages) continue;
+      const s = slot(code);
+      s.issues++;
+      s.model = out.models?.[code]?.model ?? s.model;
+      const verified = [];
+      for (const p of points) {
+        if (p.observed || p.wl_cm == null) continue;
+        const lead = Math.round((Date.parse(p.t) - t0) / H);
+        if (lead < 1 || lead > horizon) continue;
+        const o = stages.get(p.t.slice(0, 13));
+        if (o == null) continue;
+        if (!s.byLead.has(lead)) s.byLead.set(lead, []);
+        s.byLead.get(lead).push({ sim: p.wl_cm, obs: o });
+        verified.push({ lead, sim: p.wl_cm, obs: o });
+      }
+      if (!verified.length) continue;
+
+      // peak within the verified part of the horizon; timing > 0 = late
+      const pk = (k) =>
+        verified.reduce((best, v) => (v[k] > best[k] ? v : best));
+      const po = pk("obs"),
+        ps = pk("sim");
+      if (verified.length >= MIN_PEAK_HOURS) {
+        s.peaks.push({
+          timing_h: ps.lead - po.lead,
+          error_cm: ps.sim - po.obs,
+        });
+      }
+
+      // threshold events: level reached at any verified hour
+      const th = input.thresholds?.get(code);
+      for (const l of levels) {
+        if (th?.[l] == null) continue;
+        const o = po.obs >= th[l],
+          f = ps.sim >= th[l];
+        const c = s.events[l];
+        if (o && f) c.hits++;
+        else if (o) c.misses++;
+        else if (f) c.false_alarms++;
+        else c.correct_negatives++;
+      }
+    }
+  }
+
+  const names = new Map(
+    (input.settings || []).map((m) => [String(m.station_code ?? "").trim(), m])
+  );
+  const stations = {};
+  for (const [code, s] of [...acc].sort(([a], [b]) => a.localeCompare(b))) {
+    const leads = [...s.byLead.keys()].sort((a, b) => a - b);
+    const th = input.thresholds?.get(code);
+    const peaks = s.peaks;
+    stations[code] = {
+      station_name: names.get(code)?.station_name || "",
+      river_name: names.get(code)?.river_name || "",
+      model: s.model ?? null,
+      issues: s.issues,
+      overall: skillScores(leads.flatMap((l) => s.byLead.get(l))),
+      by_lead: leads.map((l) => ({
+        lead_h: l,
+        ...skillScores(s.byLead.get(l)),
+      })),
+      peak: {
+        n: peaks.length,
+        mean_timing_h: peaks.length
+          ? round(peaks.reduce((a, p) => a + p.timing_h, 0) / peaks.length)
+          : null,
+        mean_abs_timing_h: peaks.length
+          ? round(
+              peaks.reduce((a, p) => a + Math.abs(p.timing_h), 0) / peaks.length
+            )
+          : null,
+        mean_error_cm: peaks.length
+          ? round(peaks.reduce((a, p) => a + p.error_cm, 0) / peaks.length)
+          : null,
+      },
+      contingency: Object.fromEntries(
+        levels
+          .filter((l) => th?.[l] != null)
+          .map((l) => [l, contingency(s.events[l])])
+      ),
+    };
+  }
+
+  return {
+    ranAt: new Date().toISOString(),
+    period: {
+      from: new Date(issues[0]).toISOString(),
+      to: new Date(issues[issues.length - 1]).toISOString(),
+    },
+    every_h: every,
+    horizon_h: horizon,
+    meteo,
+    assimilation: opts.assimilation ? opts.assimilation.fallback : "none",
+    issues: issued,
+    stations,
+  };
+}
@@ -0,0 +1,106 @@
+// backend/utils/learners.js
+// Station model plugins for the data-driven forecast path. A learner is
+//   { name, label,
+//     configure(params) -> params        defaults merged, values checked
+//     select?(sets, params, opts) -> { params, info }
+//                                       per-station tuning on [{ samples, leadMs }]
+//     train(X, y, params, { features }) -> state     one lead time
+//     predict(state, x) -> stage (cm)
+//     serialize(state) -> JSON          stored in the lead's horizon entry
+//     deserialize(json) -> state
+//     describe?(state, features) -> {}  extra training report fields }
+// and is chosen per station (stations_meta column `model`) or per request.
+import { gbtParams, predictGbt, trainGbt } from "./gbt.js";
+import {
+  coefficientIntervals,
+  fitRidge,
+  LAMBDA_GRID,
+  selectLambda,
+} from "./ridge.js";
+
+export const DEFAULT_LEARNER = "ridge";
+
+const LEARNERS = new Map();
+
+export function registerLearner(learner) {
+  for (const k of ["train", "predict", "serialize", "deserialize"]) {
+    if (typeof learner?.[k] !== "function") {
+      throw new Error(`Learner ${learner?.name ?? "?"} has no ${k}().`);
+    }
+  }
+  LEARNERS.set(learner.name, learner);
+  return learner;
+}
+
+export function getLearner(name) {
+  return LEARNERS.get(name) || null;
+}
+
+export function listLearners() {
+  return [...LEARNERS.values()].map((l) => ({
+    name: l.name,
+    label: l.label || l.name,
+    defaults: l.configure ? l.configure({}) : {},
+  }));
+}
+
+/* ---------------- Built-in learners ---------------- */
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++)
+    s += (a[i] ?? 0) * (b[i] ?? 0);
+  return s;
+}
+
+// standardized ridge, λ per station by blocked time-series CV unless given
+registerLearner({
+  name: "ridge",
+  label: "Ridge regression",
+  configure: (params = {}) => {
+    const l = Number(params.lambda);
+    return { lambda: Number.isFinite(l) && l >= 0 ? l : null };
+  },
+  select: (sets, params, opts = {}) => {
+    if (params.lambda != null) return { params, info: { cv: null } };
+    const { lambda, cv } = selectLambda(sets, opts.minTrain, LAMBDA_GRID);
+    return { params: { ...params, lambda }, info: { cv } };
+  },
+  train: (X, y, params) => fitRidge(X, y, params.lambda, { stats: true }),
+  predict: (state, x) => dot(state.coef, x),
+  serialize: (state) => ({ coef: state.coef }),
+  deserialize: (json) => json,
+  describe: (state, features) => ({
+    df: state.df,
+    sigma_cm: state.sigma_cm,
+    coefficients: coefficientIntervals(features, state),
+  }),
+});
+
+// gradient-boosted trees on the change from the current level
+registerLearner({
+  name: "gbt",
+  label: "Gradient-boosted trees",
+  configure: gbtParams,
+  train: (X, y, params, { features } = {}) => {
+    const anchor = features?.indexOf("wl_cm") ?? -1;
+    return trainGbt(X, y, params, anchor >= 0 ? anchor : null);
+  },
+  predict: predictGbt,
+  serialize: (state) => ({
+    anchor: state.anchor,
+    base: state.base,
+    trees: state.trees,
+  }),
+  deserialize: (json) => json,
+  describe: (state, features) => ({
+    trees: state.trees.length,
+    feature_importance: state.importance
+      .map((v, i) => ({
+        feature: features[i] ?? `x${i}`,
+        importance: Math.round(v * 1000) / 1000,
+      }))
+      .filter((f) => f.importance > 0)
+      .sort((a, b) => b.importance - a.importance),
+  }),
+});
@@ -0,0 +1,276 @@
+// backend/utils/observations.js
+// Observation store: hourly values per station in data/observations/<code>.json
+// ({ station_code, updated_at, hours: { "YYYY-MM-DDTHH": { variable: value } },
+// sources: { "YYYY-MM-DDTHH": { variable: file } }, conflicts: [...] }).
+// Uploads are upserted by station and hour, so ingesting the same sheet again
+// changes nothing and a later value for an hour replaces the earlier one. When
+// the earlier value came from another file the two disagree: the replacement
+// is kept as a conflict (both values and files) instead of counting as an
+// update. Values are stored as received; the quality control runs on read.
+import fs from "fs";
+import path from "path";
+
+import { hourKey } from "./time.js";
+
+export const OBS_VARIABLES = [
+  "water_level_cm",
+  "discharge_m3s",
+  "precipitation_mm",
+  "air_temp_c",
+];
+
+// short names accepted by the query API
+export const OBS_ALIASES = {
+  level: "water_level_cm",
+  water_level: "water_level_cm",
+  discharge: "discharge_m3s",
+  precipitation: "precipitation_mm",
+  precip: "precipitation_mm",
+  temperature: "air_temp_c",
+  air_temp: "air_temp_c",
+};
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* ---------------- Files ---------------- */
+
+// station codes are identifiers from the uploads; keep them file-name safe
+function stationFile(dir, code) {
+  return path.join(dir, `${encodeURIComponent(code)}.json`);
+}
+
+function writeStation(store, code) {
+  const hours = store.stations.get(code);
+  const p = stationFile(store.dir, code);
+  if (!hours?.size) {
+    if (fs.existsSync(p)) fs.unlinkSync(p);
+    return;
+  }
+  const sorted = [...hours].sort(([a], [b]) => a.localeCompare(b));
+  fs.writeFileSync(
+    `${p}.tmp`,
+    JSON.stringify({
+      station_code: code,
+      updated_at: new Date().toISOString(),
+      hours: Object.fromEntries(sorted),
+      sources: Object.fromEntries(store.sources.get(code) || []),
+      conflicts: store.conflicts.get(code) || [],
+    }),
+    "utf8"
+  );
+  fs.renameSync(`${p}.tmp`, p);
+}
+
+// store: { dir, stations: Map(code -> Map(hourKey -> { variable: value })),
+// sources: Map(code -> Map(hourKey -> { variable: file })),
+// conflicts: Map(code -> [{ t, variable, value, file, previous, previous_file }]) }
+export function openObservationStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stations = new Map();
+  const sources = new Map();
+  const conflicts = new Map();
+  for (const f of fs.readdirSync(dir)) {
+    if (!f.endsWith(".json")) continue;
+    try {
+      const doc = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+      const code = String(doc.station_code ?? "").trim();
+      if (!code) continue;
+      stations.set(code, new Map(Object.entries(doc.hours || {})));
+      sources.set(code, new Map(Object.entries(doc.sources || {})));
+      if (doc.conflicts?.length) conflicts.set(code, doc.conflicts);
+    } catch (e) {
+      console.error(`observations: ${f} unreadable (${e.message})`);
+    }
+  }
+  return { dir, stations, sources, conflicts };
+}
+
+/* ---------------- Upsert ---------------- */
+
+// keep the latest conflicts per station
+const MAX_CONFLICTS = 1000;
+
+// records: [{ station_code, t (ms or ISO), variable: value, ... }]; values
+// that are null / missing leave the stored ones alone; file is where they come
+// from (upload file name, telemetry source). Returns counts of
+// { inserted, updated, conflicting, unchanged, skipped } values, the
+// conflicts with values of other files and the touched stations.
+export function upsertObservations(store, records, file = null) {
+  const out = {
+    inserted: 0,
+    updated: 0,
+    conflicting: 0,
+    unchanged: 0,
+    skipped: 0,
+  };
+  const conflicts = [];
+  const touched = new Set();
+  for (const r of records || []) {
+    const code = String(r.station_code ?? "").trim();
+    const t = typeof r.t === "number" ? r.t : Date.parse(r.t ?? "");
+    if (!code || !Number.isFinite(t)) {
+      out.skipped++;
+      continue;
+    }
+    if (!store.stations.has(code)) store.stations.set(code, new Map());
+    if (!store.sources.has(code)) store.sources.set(code, new Map());
+    const hours = store.stations.get(code);
+    const k = hourKey(t);
+    const o = { ...(hours.get(k) || {}) };
+    const src = { ...(store.sources.get(code).get(k) || {}) };
+    let changed = false;
+    for (const v of OBS_VARIABLES) {
+      const x = num(r[v]);
+      if (x == null) continue;
+      if (o[v] == null) out.inserted++;
+      else if (o[v] === x) {
+        out.unchanged++;
+        continue;
+      } else if (file && src[v] && src[v] !== file) {
+        out.conflicting++;
+        conflicts.push({
+          station_code: code,
+          t: `${k}:00:00.000Z`,
+          variable: v,
+          value: x,
+          file,
+          previous: o[v],
+          previous_file: src[v],
+        });
+      } else out.updated++;
+      o[v] = x;
+      if (file) src[v] = file;
+      changed = true;
+    }
+    if (changed) {
+      hours.set(k, o);
+      store.sources.get(code).set(k, src);
+      touched.add(code);
+    }
+  }
+  for (const c of conflicts) {
+    const { station_code, ...rest } = c;
+    const list = (store.conflicts.get(station_code) || []).filter(
+      (x) => x.t !== c.t || x.variable !== c.variable
+    );
+    list.push(rest);
+    store.conflicts.set(station_code, list.slice(-MAX_CONFLICTS));
+  }
+  for (const code of touched) writeStation(store, code);
+  return { ...out, conflicts, stations: [...touched].sort() };
+}
+
+// stored conflicts (latest value replaced one of another file) in time order,
+// optionally of one station
+export function observationConflicts(store, code = null) {
+  const out = [];
+  for (const [c, list] of store.conflicts) {
+    if (code && c !== code) continue;
+    for (const x of list) out.push({ station_code: c, ...x });
+  }
+  return out.sort(
+    (a, b) =>
+      a.t.localeCompare(b.t) || a.station_code.localeCompare(b.station_code)
+  );
+}
+
+// Station codes rewritten by resolve(code) (an alias added to the registry
+// after the data came in); merged hours keep the values of the canonical code
+export function remapStations(store, resolve) {
+  for (const code of [...store.stations.keys()]) {
+    const to = resolve(code);
+    if (!to || to === code) continue;
+    const from = store.stations.get(code);
+    if (!store.stations.has(to)) store.stations.set(to, new Map());
+    if (!store.sources.has(to)) store.sources.set(to, new Map());
+    const hours = store.stations.get(to);
+    const sources = store.sources.get(to);
+    for (const [k, o] of from) hours.set(k, { ...o, ...(hours.get(k) || {}) });
+    for (const [k, o] of store.sources.get(code) || []) {
+      sources.set(k, { ...o, ...(sources.get(k) || {}) });
+    }
+    if (store.conflicts.has(code)) {
+      store.conflicts.set(to, [
+        ...(store.conflicts.get(to) || []),
+        ...store.conflicts.get(code),
+      ]);
+    }
+    store.stations.delete(code);
+    store.sources.delete(code);
+    store.conflicts.delete(code);
+    writeStation(store, code);
+    writeStation(store, to);
+  }
+}
+
+/* ---------------- Read ---------------- */
+
+// [{ t, variable: value }] of one station in time order; from / to are ms
+// (inclusive), vars the variables to return (all by default). Hours without
+// any of the requested variables are left out.
+export function queryObservations(store, code, opts = {}) {
+  const hours = store.stations.get(code);
+  if (!hours) return [];
+  const vars = opts.vars?.length ? opts.vars : OBS_VARIABLES;
+  const from = opts.from != null ? hourKey(opts.from) : null;
+  const to = opts.to != null ? hourKey(opts.to) : null;
+  const out = [];
+  for (const k of [...hours.keys()].sort()) {
+    if ((from && k < from) || (to && k > to)) continue;
+    const o = hours.get(k);
+    if (!vars.some((v) => o[v] != null)) continue;
+    const row = { t: `${k}:00:00.000Z` };
+    for (const v of vars) row[v] = o[v] ?? null;
+    out.push(row);
+  }
+  return out;
+}
+
+// last hour key with a value of the variable, or null
+export function latestHour(store, code, variable) {
+  let last = null;
+  for (const [k, o] of store.stations.get(code) || []) {
+    if (o[variable] != null && (!last || k > last)) last = k;
+  }
+  return last;
+}
+
+// Map(code -> Map(hourKey -> { variable: value | null })) over the given
+// variables, for the station histories of training and forecasting
+export function observationHistories(store, vars = OBS_VARIABLES) {
+  const out = new Map();
+  for (const [code, hours] of store.stations) {
+    const m = new Map();
+    for (const [k, o] of hours) {
+      if (!vars.some((v) => o[v] != null)) continue;
+      m.set(k, Object.fromEntries(vars.map((v) => [v, o[v] ?? null])));
+    }
+    if (m.size) out.set(code, m);
+  }
+  return out;
+}
+
+// per station: hours stored, first / last hour and the values per variable
+export function storeSummary(store) {
+  const out = [];
+  for (const [code, hours] of store.stations) {
+    const keys = [...hours.keys()].sort();
+    if (!keys.length) continue;
+    const counts = Object.fromEntries(OBS_VARIABLES.map((v) => [v, 0]));
+    for (const o of hours.values()) {
+      for (const v of OBS_VARIABLES) if (o[v] != null) counts[v]++;
+    }
+    out.push({
+      station_code: code,
+      hours: keys.length,
+      from: `${keys[0]}:00:00.000Z`,
+      to: `${keys[keys.length - 1]}:00:00.000Z`,
+      values: counts,
+    });
+  }
+  return out.sort((a, b) => a.station_code.localeCompare(b.station_code));
+}
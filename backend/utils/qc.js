@@ -0,0 +1,354 @@
+// backend/utils/qc.js
+// Quality control of hourly observations. Every value of a station history
+// (Map(hourKey -> { water_level_cm, precipitation_mm, air_temp_c })) gets a
+// flag:
+//   good     passed the range, rate-of-change and flatline checks
+//   filled   missing or rejected, replaced by interpolation or from an
+//            upstream gauge
+//   suspect  spike, step or flatline
+//   bad      outside the physical or station range
+//   missing  hour inside the record without a usable value
+// Only good and filled values are passed on to training and forecasting.
+import { hourKey } from "./time.js";
+
+export const QC_FLAGS = ["good", "filled", "suspect", "bad", "missing"];
+export const ACCEPTED_FLAGS = new Set(["good", "filled"]);
+
+export const QC_VARIABLES = [
+  "water_level_cm",
+  "precipitation_mm",
+  "air_temp_c",
+];
+
+// range: physical limits; spike: rate (per hour) against both neighbours;
+// step: rate from the previous value alone (a jump that does not return);
+// flatline_h: identical consecutive values (nonzero_flat: zeros are fine);
+// interpolate_h: longest gap filled linearly
+export const QC_LIMITS = {
+  water_level_cm: {
+    range: [-500, 2000],
+    spike: 30,
+    step: 50,
+    flatline_h: 12,
+    interpolate_h: 6,
+  },
+  precipitation_mm: {
+    range: [0, 100],
+    spike: null,
+    step: null,
+    flatline_h: 6,
+    nonzero_flat: true, // dry hours repeat 0 by nature
+    interpolate_h: 0,
+  },
+  air_temp_c: {
+    range: [-50, 45],
+    spike: 8,
+    step: 10,
+    flatline_h: 12,
+    interpolate_h: 6,
+  },
+};
+
+// water-level gaps longer than interpolate_h are filled from an upstream
+// gauge up to this length, when the relation is close enough
+export const UPSTREAM_FILL_H = 48;
+const UPSTREAM_MIN_CORR = 0.8;
+const UPSTREAM_MIN_PAIRS = 24;
+
+// flagged values listed per run (the counts are always complete)
+const MAX_ISSUES = 500;
+
+const H = 3600 * 1000;
+const timeOf = (k) => Date.parse(`${k}:00:00Z`);
+const round2 = (v) => Math.round(v * 100) / 100;
+
+/* ---------------- Checks ---------------- */
+
+// values: [{ t, v }] in time order -> Map(t -> { flag, test }) of the
+// rejected ones
+function checkSeries(values, lim) {
+  const out = new Map();
+  const [lo, hi] = lim.range;
+  for (const p of values) {
+    if (p.v < lo || p.v > hi) out.set(p.t, { flag: "bad", test: "range" });
+  }
+  const ok = values.filter((p) => !out.has(p.t));
+
+  // a spike leaves and returns: steep in opposite directions on both sides
+  if (lim.spike != null) {
+    for (let i = 1; i < ok.length - 1; i++) {
+      const a = ok[i - 1],
+        p = ok[i],
+        b = ok[i + 1];
+      const r1 = (p.v - a.v) / ((p.t - a.t) / H);
+      const r2 = (p.v - b.v) / ((b.t - p.t) / H);
+      if (
+        Math.abs(r1) > lim.spike &&
+        Math.abs(r2) > lim.spike &&
+        Math.sign(r1) === Math.sign(r2)
+      ) {
+        out.set(p.t, { flag: "suspect", test: "spike" });
+      }
+    }
+  }
+  if (lim.step != null) {
+    for (let i = 1; i < ok.length; i++) {
+      const a = ok[i - 1],
+        p = ok[i];
+      const rate = Math.abs(p.v - a.v) / ((p.t - a.t) / H);
+      if (rate > lim.step && !out.has(p.t) && !out.has(a.t)) {
+        out.set(p.t, { flag: "suspect", test: "step" });
+      }
+    }
+  }
+
+  // flatline: the sensor repeats its last reading; the first one stays
+  if (lim.flatline_h) {
+    let start = 0;
+    for (let i = 1; i <= ok.length; i++) {
+      const same =
+        i < ok.length &&
+        ok[i].v === ok[i - 1].v &&
+        ok[i].t - ok[i - 1].t === H &&
+        !(lim.nonzero_flat && ok[i].v === 0);
+      if (same) continue;
+      if (i - start >= lim.flatline_h) {
+        for (let j = start + 1; j < i; j++) {
+          if (!out.has(ok[j].t)) {
+            out.set(ok[j].t, { flag: "suspect", test: "flatline" });
+          }
+        }
+      }
+      start = i;
+    }
+  }
+  return out;
+}
+
+/* ---------------- Run ---------------- */
+
+// histories: Map(code -> Map(hourKey -> values)); opts.limits:
+// Map(code -> { variable: [min, max] }) narrows the range per station.
+// Returns { histories, flags, gaps, issues, issue_count }:
+//   histories  the same shape with accepted values only (filled ones added)
+//   flags      Map(code -> Map(hourKey -> { variable: flag }))
+//   gaps       Map(code -> { variable: [{ from, to, hours }] }) left unfilled
+//   issues     [{ station_code, t, variable, value, flag, test }] (not good)
+export function qualityControl(histories, opts = {}) {
+  const qc = {
+    histories: new Map(),
+    flags: new Map(),
+    gaps: new Map(),
+    issues: [],
+    issue_count: 0,
+  };
+  for (const [code, hist] of histories || []) {
+    const keys = [...hist.keys()].sort();
+    if (!keys.length) continue;
+    const first = timeOf(keys[0]),
+      last = timeOf(keys[keys.length - 1]);
+    const clean = new Map();
+    const flags = new Map();
+    const slot = (m, k, init) => {
+      if (!m.has(k)) m.set(k, init());
+      return m.get(k);
+    };
+    for (let t = first; t <= last; t += H) {
+      slot(clean, hourKey(t), () => ({
+        water_level_cm: null,
+        precipitation_mm: null,
+        air_temp_c: null,
+      }));
+    }
+    qc.gaps.set(code, {});
+
+    for (const variable of QC_VARIABLES) {
+      const station = opts.limits?.get(code)?.[variable];
+      const lim = {
+        ...QC_LIMITS[variable],
+        ...(station ? { range: station } : {}),
+      };
+      const values = keys
+        .map((k) => ({ t: timeOf(k), v: hist.get(k)?.[variable] }))
+        .filter((p) => p.v != null && Number.isFinite(p.v));
+      if (!values.length) continue;
+      const rejected = checkSeries(values, lim);
+
+      for (const p of values) {
+        const k = hourKey(p.t);
+        const r = rejected.get(p.t);
+        slot(flags, k, () => ({}))[variable] = r?.flag ?? "good";
+        if (r) noteIssue(qc, code, k, variable, p.v, r.flag, r.test);
+        else clean.get(k)[variable] = p.v;
+      }
+
+      // gaps between accepted values: short ones interpolated
+      const gaps = [];
+      let prev = null;
+      for (let t = first; t <= last; t += H) {
+        const k = hourKey(t);
+        const v = clean.get(k)[variable];
+        if (v != null) {
+          if (prev && t - prev.t > H) {
+            const hours = (t - prev.t) / H - 1;
+            if (hours <= lim.interpolate_h) {
+              for (let u = prev.t + H; u < t; u += H) {
+                const f = (u - prev.t) / (t - prev.t);
+                const uk = hourKey(u);
+                clean.get(uk)[variable] = round2(prev.v + (v - prev.v) * f);
+                slot(flags, uk, () => ({}))[variable] = "filled";
+              }
+            } else {
+              gaps.push({
+                from: hourKey(prev.t + H),
+                to: hourKey(t - H),
+                hours,
+              });
+            }
+          }
+          prev = { t, v };
+        }
+      }
+      // missing hours of the remaining gaps
+      for (const g of gaps) {
+        for (let u = timeOf(g.from); u <= timeOf(g.to); u += H) {
+          const f = slot(flags, hourKey(u), () => ({}));
+          if (!f[variable]) f[variable] = "missing";
+        }
+      }
+      qc.gaps.get(code)[variable] = gaps;
+    }
+    qc.histories.set(code, clean);
+    qc.flags.set(code, flags);
+  }
+  return qc;
+}
+
+function noteIssue(qc, code, k, variable, value, flag, test) {
+  qc.issue_count++;
+  if (qc.issues.length >= MAX_ISSUES) return;
+  qc.issues.push({
+    station_code: code,
+    t: `${k}:00:00.000Z`,
+    variable,
+    value,
+    flag,
+    test,
+  });
+}
+
+// Water-level gaps left by qualityControl filled from an upstream gauge:
+// level = a + b · upstream(t − lag), fitted on the hours where both are
+// accepted. links: Map(code -> [{ code, lag_h }]) (regression.js
+// upstreamLinks); the link with the closest relation is used.
+export function fillFromUpstream(qc, links) {
+  for (const [code, gauges] of links || []) {
+    const clean = qc.histories.get(code);
+    const gaps = qc.gaps.get(code)?.water_level_cm;
+    if (!clean || !gaps?.length) continue;
+    const level = (c, t) =>
+      qc.histories.get(c)?.get(hourKey(t))?.water_level_cm ?? null;
+
+    let best = null;
+    for (const g of gauges) {
+      const xs = [],
+        ys = [];
+      for (const [k, o] of clean) {
+        const x = level(g.code, timeOf(k) - g.lag_h * H);
+        if (o.water_level_cm != null && x != null) {
+          xs.push(x);
+          ys.push(o.water_level_cm);
+        }
+      }
+      const fit = linearFit(xs, ys);
+      if (
+        fit &&
+        xs.length >= UPSTREAM_MIN_PAIRS &&
+        Math.abs(fit.r) >= UPSTREAM_MIN_CORR &&
+        (!best || Math.abs(fit.r) > Math.abs(best.fit.r))
+      ) {
+        best = { gauge: g, fit };
+      }
+    }
+    if (!best) continue;
+
+    const left = [];
+    for (const gap of gaps) {
+      if (gap.hours > UPSTREAM_FILL_H) {
+        left.push(gap);
+        continue;
+      }
+      let filled = 0;
+      for (let u = timeOf(gap.from); u <= timeOf(gap.to); u += H) {
+        const x = level(best.gauge.code, u - best.gauge.lag_h * H);
+        if (x == null) continue;
+        const k = hourKey(u);
+        clean.get(k).water_level_cm = round2(best.fit.a + best.fit.b * x);
+        qc.flags.get(code).get(k).water_level_cm = "filled";
+        filled++;
+      }
+      if (filled < gap.hours) left.push({ ...gap, hours: gap.hours - filled });
+    }
+    qc.gaps.get(code).water_level_cm = left;
+    qc.upstream_fill = qc.upstream_fill || {};
+    qc.upstream_fill[code] = {
+      from: best.gauge.code,
+      lag_h: best.gauge.lag_h,
+      a: round2(best.fit.a),
+      b: Math.round(best.fit.b * 10000) / 10000,
+      r: Math.round(best.fit.r * 1000) / 1000,
+    };
+  }
+  return qc;
+}
+
+function linearFit(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mx = xs.reduce((a, v) => a + v, 0) / n;
+  const my = ys.reduce((a, v) => a + v, 0) / n;
+  let sxy = 0,
+    sxx = 0,
+    syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  if (!sxx || !syy) return null;
+  const b = sxy / sxx;
+  return { a: my - b * mx, b, r: sxy / Math.sqrt(sxx * syy) };
+}
+
+/* ---------------- Summary ---------------- */
+
+// per station and variable: flag counts and the unfilled gaps
+export function qcSummary(qc) {
+  const out = {};
+  for (const [code, flags] of qc.flags) {
+    const counts = {};
+    for (const variable of QC_VARIABLES) {
+      counts[variable] = Object.fromEntries(QC_FLAGS.map((f) => [f, 0]));
+    }
+    for (const f of flags.values()) {
+      for (const [variable, flag] of Object.entries(f)) {
+        counts[variable][flag]++;
+      }
+    }
+    out[code] = Object.fromEntries(
+      QC_VARIABLES.map((v) => [
+        v,
+        { ...counts[v], gaps: qc.gaps.get(code)?.[v] ?? [] },
+      ])
+    );
+    if (qc.upstream_fill?.[code]) {
+      out[code].upstream_fill = qc.upstream_fill[code];
+    }
+  }
+  return out;
+}
+
+// flag of a value; hours QC has not seen count as good
+export function qcFlag(qc, code, k, variable) {
+  return qc?.flags.get(code)?.get(k)?.[variable] ?? "good";
+}
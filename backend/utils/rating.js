@@ -0,0 +1,318 @@
+// backend/utils/rating.js
+// Stage–discharge rating curves Q = a · (h − h0)^b (h in cm, Q in m³/s),
+// optionally split into segments by stage range, and their calibration from
+// historical (water_level_cm, discharge_m3s) pairs.
+
+/* ---------------- Evaluation ---------------- */
+
+// rc: { h0_cm, a, b } or { segments: [{ h_min_cm, h_max_cm, h0_cm, a, b }] }
+function segmentForStage(rc, h_cm) {
+  const segs = rc?.segments;
+  if (!segs?.length) return rc;
+  for (const s of segs) {
+    if (s.h_max_cm == null || h_cm < s.h_max_cm) return s;
+  }
+  return segs[segs.length - 1];
+}
+
+function powerQ(h_cm, s) {
+  const h = Math.max((h_cm ?? 0) - (s?.h0_cm ?? 0), 0);
+  return (s?.a ?? 0.03) * Math.pow(h, s?.b ?? 1.6);
+}
+
+function powerStage(Q, s) {
+  const a = s.a ?? 0.03,
+    b = s.b ?? 1.6,
+    h0 = s.h0_cm ?? 0;
+  if (a <= 0 || b <= 0) return h0;
+  return h0 + Math.pow(Math.max(Q, 0) / a, 1 / b);
+}
+
+export function stageToQ_cm(h_cm, rc) {
+  if (!rc) return 0;
+  return powerQ(h_cm, segmentForStage(rc, h_cm ?? 0));
+}
+
+export function qToStage_cm(Q, rc) {
+  if (!rc) return 0;
+  const segs = rc.segments;
+  if (!segs?.length) return powerStage(Q, rc);
+  // segment whose discharge range contains Q; the outer ones extrapolate
+  for (const s of segs) {
+    if (s.h_max_cm == null || Q < powerQ(s.h_max_cm, s)) {
+      return powerStage(Q, s);
+    }
+  }
+  return powerStage(Q, segs[segs.length - 1]);
+}
+
+/* ---------------- Fitting ---------------- */
+
+// exponent range of natural channel / weir controls; keeps the curve
+// invertible (qToStage_cm) when stage and discharge barely correlate
+const B_MIN = 0.8;
+const B_MAX = 3.5;
+
+// a fit explaining less of the discharge variance than its mean is rejected
+const R2_MIN = 0;
+
+// Least squares of ln Q = ln a + b ln(h − h0) for a fixed h0, with b held
+// inside [B_MIN, B_MAX]. With an anchor { h_cm, q } the curve is forced
+// through that point (the upper end of the segment below), so only b is fitted.
+function fitForH0(pairs, h0, anchor = null) {
+  const dA = anchor ? anchor.h_cm - h0 : null;
+  if (anchor && dA <= 0) return null;
+  let n = 0,
+    sx = 0,
+    sy = 0,
+    sxx = 0,
+    sxy = 0;
+  for (const p of pairs) {
+    const d = p.h_cm - h0;
+    if (d <= 0 || p.q <= 0) return null;
+    const x = Math.log(d) - (anchor ? Math.log(dA) : 0),
+      y = Math.log(p.q) - (anchor ? Math.log(anchor.q) : 0);
+    n++;
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    sxy += x * y;
+  }
+  if (n < 3) return null;
+  const den = anchor ? sxx : n * sxx - sx * sx;
+  const num = anchor ? sxy : n * sxy - sx * sy;
+  const bLs = Math.abs(den) < 1e-12 ? B_MIN : num / den;
+  const b = Math.min(Math.max(bLs, B_MIN), B_MAX);
+  const a = anchor ? anchor.q / Math.pow(dA, b) : Math.exp((sy - b * sx) / n);
+  if (!(a > 0)) return null;
+  return { h0_cm: h0, a, b, clamped: b !== bLs };
+}
+
+function sse(pairs, s) {
+  let e = 0;
+  for (const p of pairs) e += (p.q - powerQ(p.h_cm, s)) ** 2;
+  return e;
+}
+
+// Grid search on h0 below the lowest observed stage (and the anchor), refined
+// once around the best value; the best curve minimizes the squared error in
+// discharge.
+function fitSegment(pairs, anchor = null) {
+  const hs = pairs.map((p) => p.h_cm);
+  const hMin = Math.min(...hs, anchor?.h_cm ?? Infinity),
+    hMax = Math.max(...hs);
+  const span = Math.max(hMax - hMin, 10);
+  let best = null;
+  const scan = (lo, hi, steps) => {
+    for (let i = 0; i <= steps; i++) {
+      const h0 = lo + ((hi - lo) * i) / steps;
+      if (h0 >= hMin) continue;
+      const s = fitForH0(pairs, h0, anchor);
+      if (!s) continue;
+      const e = sse(pairs, s);
+      if (!best || e < best.e) best = { ...s, e };
+    }
+  };
+  scan(hMin - 5 * span, hMin - 0.5, 200);
+  if (best) {
+    const step = (5 * span) / 200;
+    scan(best.h0_cm - step, Math.min(best.h0_cm + step, hMin - 0.01), 50);
+  }
+  if (!best) return null;
+  const { e, ...curve } = best;
+  return curve;
+}
+
+function quantile(sorted, q) {
+  const i = (sorted.length - 1) * q;
+  const lo = Math.floor(i),
+    hi = Math.ceil(i);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo);
+}
+
+function round(v, d) {
+  const f = Math.pow(10, d);
+  return Math.round(v * f) / f;
+}
+
+// pairs: [{ h_cm, q }]. opts.segments (1..4) splits at stage quantiles,
+// opts.breaks_cm gives the split stages explicitly. Segments with fewer than
+// opts.minPoints pairs are merged into their neighbour; each segment above the
+// first starts where the one below ends, so Q(h) has no jump at a break.
+// The result lists why it should not be adopted in `rejected` (empty = fine).
+export function fitRatingCurve(pairs, opts = {}) {
+  const data = pairs
+    .filter((p) => Number.isFinite(p.h_cm) && Number.isFinite(p.q) && p.q > 0)
+    .sort((x, y) => x.h_cm - y.h_cm);
+  const minPoints = opts.minPoints ?? 5;
+  if (data.length < minPoints) return null;
+
+  let breaks = (opts.breaks_cm || [])
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+  if (!breaks.length && (opts.segments ?? 1) > 1) {
+    const n = Math.min(opts.segments, 4);
+    const hs = data.map((p) => p.h_cm);
+    for (let i = 1; i < n; i++) breaks.push(round(quantile(hs, i / n), 1));
+  }
+
+  // group pairs by stage range, merging groups that are too small
+  const edges = [-Infinity, ...breaks, Infinity];
+  let groups = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    groups.push({
+      h_min_cm: edges[i],
+      h_max_cm: edges[i + 1],
+      pairs: data.filter((p) => p.h_cm >= edges[i] && p.h_cm < edges[i + 1]),
+    });
+  }
+  groups = groups.reduce((acc, g) => {
+    const prev = acc[acc.length - 1];
+    if (prev && (prev.pairs.length < minPoints || g.pairs.length < minPoints)) {
+      prev.h_max_cm = g.h_max_cm;
+      prev.pairs = prev.pairs.concat(g.pairs);
+    } else acc.push({ ...g });
+    return acc;
+  }, []);
+
+  const segments = [];
+  const rejected = [];
+  for (const g of groups) {
+    const prev = segments[segments.length - 1];
+    const anchor = prev
+      ? { h_cm: g.h_min_cm, q: powerQ(g.h_min_cm, prev) }
+      : null;
+    const s = fitSegment(g.pairs, anchor?.q > 0 ? anchor : null);
+    if (!s) return null;
+    const seg = {
+      h_min_cm: Number.isFinite(g.h_min_cm) ? g.h_min_cm : null,
+      h_max_cm: Number.isFinite(g.h_max_cm) ? g.h_max_cm : null,
+      h0_cm: round(s.h0_cm, 2),
+      a: Number(s.a.toPrecision(6)),
+      b: round(s.b, 4),
+      n: g.pairs.length,
+    };
+    // a from the rounded h0 / b, so the break stays continuous
+    if (anchor?.q > 0) {
+      seg.a = Number(
+        (anchor.q / Math.pow(anchor.h_cm - seg.h0_cm, seg.b)).toPrecision(6)
+      );
+    }
+    if (s.clamped) {
+      const range =
+        seg.h_min_cm != null
+          ? ` above ${seg.h_min_cm} cm`
+          : seg.h_max_cm != null
+            ? ` below ${seg.h_max_cm} cm`
+            : "";
+      rejected.push(
+        `exponent b${range} hit its limit (${B_MIN}–${B_MAX}): stage and discharge do not follow a power law`
+      );
+    }
+    segments.push(seg);
+  }
+  const rc = segments.length === 1 ? { ...segments[0] } : { segments };
+
+  // diagnostics in discharge space
+  const mean = data.reduce((s, p) => s + p.q, 0) / data.length;
+  let ssRes = 0,
+    ssTot = 0;
+  const residuals = data.map((p) => {
+    const qFit = stageToQ_cm(p.h_cm, rc);
+    ssRes += (p.q - qFit) ** 2;
+    ssTot += (p.q - mean) ** 2;
+    return {
+      t: p.t ?? null,
+      h_cm: p.h_cm,
+      q_obs: p.q,
+      q_fit: round(qFit, 3),
+      resid: round(p.q - qFit, 3),
+    };
+  });
+
+  const r2 = ssTot > 0 ? round(1 - ssRes / ssTot, 4) : null;
+  if (r2 === null || r2 <= R2_MIN) {
+    rejected.unshift(
+      `R² ${r2 ?? "—"}: the curve explains discharge no better than its mean`
+    );
+  }
+
+  return {
+    curve: rc,
+    segments,
+    rejected,
+    n: data.length,
+    r2,
+    rmse_cms: round(Math.sqrt(ssRes / data.length), 3),
+    bias_cms: round(
+      residuals.reduce((s, r) => s + r.resid, 0) / data.length,
+      3
+    ),
+    residuals,
+  };
+}
+
+// Sampled fitted curve for plotting against the observed scatter.
+export function sampleRatingCurve(rc, hMin, hMax, steps = 40) {
+  const out = [];
+  for (let i = 0; i <= steps; i++) {
+    const h = hMin + ((hMax - hMin) * i) / steps;
+    out.push({ h_cm: round(h, 1), q_fit: round(stageToQ_cm(h, rc), 3) });
+  }
+  return out;
+}
+
+/* ---------------- Sheet rows <-> curves ---------------- */
+
+// rows of sheet "rating" (one row per station, or one per segment with
+// h_min_cm / h_max_cm) -> Map(station_code -> rc)
+export function parseRatingRows(rows) {
+  const num = (v) =>
+    v === null || v === undefined || v === "" || !Number.isFinite(Number(v))
+      ? null
+      : Number(v);
+  const byCode = new Map();
+  for (const r of rows) {
+    const code = String(r.station_code ?? "").trim();
+    if (!code) continue;
+    if (!byCode.has(code)) byCode.set(code, []);
+    byCode.get(code).push({
+      h_min_cm: num(r.h_min_cm),
+      h_max_cm: num(r.h_max_cm),
+      h0_cm: num(r.h0_cm),
+      a: num(r.a),
+      b: num(r.b),
+    });
+  }
+  const out = new Map();
+  for (const [code, segs] of byCode) {
+    if (segs.length === 1) {
+      const { h0_cm, a, b } = segs[0];
+      out.set(code, { h0_cm, a, b });
+    } else {
+      segs.sort(
+        (x, y) => (x.h_min_cm ?? -Infinity) - (y.h_min_cm ?? -Infinity)
+      );
+      out.set(code, { segments: segs });
+    }
+  }
+  return out;
+}
+
+export function ratingToRows(ratings) {
+  const rows = [];
+  for (const [code, rc] of ratings) {
+    const segs = rc.segments?.length ? rc.segments : [rc];
+    for (const s of segs) {
+      rows.push({
+        station_code: code,
+        h_min_cm: s.h_min_cm ?? null,
+        h_max_cm: s.h_max_cm ?? null,
+        h0_cm: s.h0_cm,
+        a: s.a,
+        b: s.b,
+      });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,237 @@
+// backend/utils/registry.js
+// Model registry: every training run is stored as an immutable version
+// (versions/<id>.json with the model, training files, period, row counts,
+// hyperparameters and validation metrics); registry.json holds the active
+// version and the promotion history that rollback walks back through.
+import fs from "fs";
+import path from "path";
+
+const INDEX_FILE = "registry.json";
+const VERSION_RE = /^v\d+$/;
+
+function versionsDir(dir) {
+  return path.join(dir, "versions");
+}
+
+function versionPath(dir, id) {
+  return path.join(versionsDir(dir), `${id}.json`);
+}
+
+function writeJsonAtomic(filePath, body) {
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(body, null, 2), "utf8");
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
+
+function readIndex(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, INDEX_FILE), "utf8"));
+  } catch {
+    return { active: null, history: [] };
+  }
+}
+
+function versionIds(dir) {
+  if (!fs.existsSync(versionsDir(dir))) return [];
+  return fs
+    .readdirSync(versionsDir(dir))
+    .map((f) => path.basename(f, ".json"))
+    .filter((id) => VERSION_RE.test(id))
+    .sort((a, b) => Number(a.slice(1)) - Number(b.slice(1)));
+}
+
+/* ---------------- Versions ---------------- */
+
+export function loadVersion(dir, id) {
+  if (!VERSION_RE.test(String(id ?? ""))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(versionPath(dir, id), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// model: { trainedAt, stations }; meta: model.training (including the
+// training report) plus parent / note.
+// The file is created exclusively and made read-only: versions never change.
+export function createVersion(dir, model, meta = {}) {
+  fs.mkdirSync(versionsDir(dir), { recursive: true });
+  const ids = versionIds(dir);
+  const last = ids.length ? Number(ids[ids.length - 1].slice(1)) : 0;
+  const id = `v${last + 1}`;
+  const doc = {
+    version: id,
+    createdAt: new Date().toISOString(),
+    parent: meta.parent ?? null,
+    note: meta.note ?? null,
+    files: meta.files || [],
+    rows: meta.rows ?? null,
+    period: meta.period ?? null,
+    hyperparameters: meta.hyperparameters || {},
+    validation: meta.validation || {},
+    report: meta.report ?? null,
+    model: { trainedAt: model.trainedAt ?? null, stations: model.stations },
+  };
+  const p = versionPath(dir, id);
+  fs.writeFileSync(p, JSON.stringify(doc, null, 2), {
+    encoding: "utf8",
+    flag: "wx",
+  });
+  fs.chmodSync(p, 0o444);
+  return doc;
+}
+
+// mean held-out RMSE over the stations that have one
+function meanValidationRmse(validation) {
+  const v = Object.values(validation || {})
+    .map((x) => x.rmse_cm)
+    .filter((x) => x != null);
+  return v.length
+    ? Math.round((v.reduce((a, b) => a + b, 0) / v.length) * 100) / 100
+    : null;
+}
+
+export function listVersions(dir) {
+  const { active, history } = readIndex(dir);
+  const versions = [];
+  for (const id of versionIds(dir)) {
+    const doc = loadVersion(dir, id);
+    if (!doc) continue;
+    versions.push({
+      version: id,
+      createdAt: doc.createdAt,
+      parent: doc.parent,
+      note: doc.note,
+      files: doc.files.length,
+      rows: doc.rows,
+      period: doc.period,
+      stations: Object.keys(doc.model?.stations || {}).length,
+      validation_rmse_cm: meanValidationRmse(doc.validation),
+      active: id === active,
+    });
+  }
+  return { active, history, versions };
+}
+
+/* ---------------- Active version ---------------- */
+
+export function activeVersion(dir) {
+  const { active } = readIndex(dir);
+  return active ? loadVersion(dir, active) : null;
+}
+
+export function promoteVersion(dir, id, action = "promote") {
+  if (!loadVersion(dir, id)) throw new Error(`Unknown model version ${id}.`);
+  const index = readIndex(dir);
+  index.history.push({
+    at: new Date().toISOString(),
+    action,
+    version: id,
+    previous: index.active,
+  });
+  index.active = id;
+  fs.mkdirSync(dir, { recursive: true });
+  writeJsonAtomic(path.join(dir, INDEX_FILE), index);
+  return index;
+}
+
+// Back to the version that was active before the current one. The history
+// is read as a stack: promotions push, rollbacks pop, so repeated rollbacks
+// keep walking back instead of toggling between two versions.
+export function rollbackVersion(dir) {
+  const index = readIndex(dir);
+  const stack = [];
+  for (const h of index.history) {
+    if (h.action === "rollback") stack.pop();
+    else stack.push(h.version);
+  }
+  const target = stack[stack.length - 2];
+  if (!target) throw new Error("No earlier active version.");
+  return promoteVersion(dir, target, "rollback");
+}
+
+// A model.json from before the registry becomes the first (active) version;
+// meta describes it (e.g. hyperparameters.features).
+export function importLegacyModel(dir, legacyPath, meta = {}) {
+  if (versionIds(dir).length || !fs.existsSync(legacyPath)) return null;
+  let model;
+  try {
+    model = JSON.parse(fs.readFileSync(legacyPath, "utf8"));
+  } catch {
+    return null;
+  }
+  if (!model?.stations) return null;
+  const doc = createVersion(dir, model, {
+    ...meta,
+    note: `imported from ${path.basename(legacyPath)}`,
+  });
+  promoteVersion(dir, doc.version, "import");
+  return doc;
+}
+
+/* ---------------- Comparison ---------------- */
+
+// Named coefficients of a station model: one set per lead time
+// ({ features, horizons }) or the single next-row set of older versions.
+// Learners without coefficients (trees) have none to compare.
+function coefEntries(st, features) {
+  if (st?.horizons) {
+    const names = st.features || features;
+    return st.horizons.flatMap((h) =>
+      (h.coef || []).map((v, i) => [`+${h.lead_h}h ${names[i] ?? `x${i}`}`, v])
+    );
+  }
+  return (st?.coef || []).map((v, i) => [features[i] ?? `x${i}`, v]);
+}
+
+function learnerOf(st) {
+  return st.horizons ? (st.learner ?? "ridge") : "legacy";
+}
+
+// Coefficient and validation differences per station from version a to b.
+export function diffVersions(a, b) {
+  const sa = a.model?.stations || {},
+    sb = b.model?.stations || {};
+  const codes = [...new Set([...Object.keys(sa), ...Object.keys(sb)])].sort();
+  const stations = {};
+  for (const code of codes) {
+    const ea = new Map(
+      coefEntries(sa[code], a.hyperparameters?.features || [])
+    );
+    const eb = new Map(
+      coefEntries(sb[code], b.hyperparameters?.features || [])
+    );
+    const status = !sa[code] ? "added" : !sb[code] ? "removed" : "changed";
+    const learner = {
+      from: sa[code] ? learnerOf(sa[code]) : null,
+      to: sb[code] ? learnerOf(sb[code]) : null,
+    };
+    const coef = [...new Set([...ea.keys(), ...eb.keys()])].map((feature) => {
+      const from = ea.get(feature) ?? null,
+        to = eb.get(feature) ?? null;
+      return {
+        feature,
+        from,
+        to,
+        delta: from != null && to != null ? to - from : null,
+      };
+    });
+    stations[code] = {
+      status:
+        status === "changed" &&
+        learner.from === learner.to &&
+        coef.every((c) => c.delta === 0) &&
+        (coef.length ||
+          JSON.stringify(sa[code].horizons) ===
+            JSON.stringify(sb[code].horizons))
+          ? "unchanged"
+          : status,
+      learner,
+      coef,
+      validation_rmse_cm: {
+        from: a.validation?.[code]?.rmse_cm ?? null,
+        to: b.validation?.[code]?.rmse_cm ?? null,
+      },
+    };
+  }
+  return { from: a.version, to: b.version, stations };
+}
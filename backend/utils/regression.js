@@ -1,18 +1,32 @@
 // backend/utils/regression.js
 import XLSX from "xlsx";
-import { create, all } from "mathjs";
-import fs from "fs";
+import path from "path";
 
-const math = create(all, {});
-
-/* ---------------- I/O ---------------- */
-
-export async function loadModel(modelPath) {
-  return JSON.parse(fs.readFileSync(modelPath, "utf8"));
-}
-export async function saveModel(modelPath, model) {
-  fs.writeFileSync(modelPath, JSON.stringify(model, null, 2), "utf8");
-}
+import { basinStep } from "./runoff.js";
+import { stageToQ_cm, qToStage_cm } from "./rating.js";
+import {
+  LAG_FEATURES,
+  LEADS_H,
+  LEVEL_LAGS_H,
+  PRECIP_WINDOWS_H,
+  hourlyHistory,
+  lagFeatureRow,
+} from "./features.js";
+import { hourKey } from "./time.js";
+import {
+  CV_FOLDS,
+  LAMBDA_GRID,
+  errorStats,
+  residualDiagnostics,
+} from "./ridge.js";
+import { DEFAULT_LEARNER, getLearner } from "./learners.js";
+import {
+  fillFromUpstream,
+  qcSummary,
+  qualityControl,
+  QC_LIMITS,
+  UPSTREAM_FILL_H,
+} from "./qc.js";
 
 /* ---------------- Small helpers ---------------- */
 
@@ -49,85 +63,540 @@ function designRow(r) {
 
 /* ---------------- Training: ridge regression per station ---------------- */
 
-export async function trainModelFromHistoricalFiles(filePaths, model) {
+// columns of designRow, the single next-row model of earlier versions (still
+// read for models that have station.coef instead of station.horizons)
+export const FEATURES = [
+  "intercept",
+  "water_level_cm",
+  "precipitation_mm",
+  "air_temp_c",
+  "wind_speed_mps",
+  "wind_dir_deg",
+  "rh_pct",
+  "roughness_n",
+];
+// latest share of each station's samples held out for validation
+const HOLDOUT = 0.2;
+// samples needed before a lead time gets its own model
+const MIN_SAMPLES = LAG_FEATURES.length + 1;
+// training samples needed by a cross-validation fold or the held-out fit
+const MIN_FOLD_TRAIN = 12;
+
+// Returns a new model (the given one is not modified) with the stations found
+// in the files retrained, plus model.training: files, row counts, period,
+// hyperparameters, validation metrics and the training report (per station:
+// learner parameters, coefficients or feature importance, residual
+// diagnostics, usable rows) of the run. opts.reaches (sheet "reaches" of
+// network_reaches.xlsx) adds upstream levels as predictors; opts.learners,
+// opts.stationLearners and opts.params choose the models (learners.js);
+// opts.resolveStation(row, filePath) maps rows to canonical station codes.
+export async function trainModelFromHistoricalFiles(
+  filePaths,
+  model,
+  opts = {}
+) {
   let all = [];
+  const files = [];
   for (const p of filePaths) {
     try {
       const wb = XLSX.readFile(p);
-      const rows = XLSX.utils.sheet_to_json(wb.Sheets["historical"] || {}, {
+      let rows = XLSX.utils.sheet_to_json(wb.Sheets["historical"] || {}, {
         defval: null,
       });
+      // station_code may be a kodas / id, or missing (file named after the station)
+      if (opts.resolveStation) {
+        rows = rows.map((r) => ({
+          ...r,
+          station_code: opts.resolveStation(r, p),
+        }));
+      }
       all = all.concat(rows);
+      files.push({ file: path.basename(p), rows: rows.length });
     } catch {
       /* ignore unreadable files */
     }
   }
-  return trainFromRows(all, model);
+  return trainModelFromRows(all, model, { ...opts, files });
+}
+
+// Same as trainModelFromHistoricalFiles on rows { station_code, datetime_utc,
+// water_level_cm, precipitation_mm, air_temp_c } (the observation store);
+// opts.files lists the sources for model.training.
+export async function trainModelFromRows(all, model, opts = {}) {
+  const files = opts.files || [];
+  const next = structuredClone(model || { stations: {} });
+  delete next.training;
+  const { validation, report } = trainFromRows(all, next, opts);
+
+  const times = all
+    .map((r) => new Date(r.datetime_utc || r.date || NaN).getTime())
+    .filter(Number.isFinite);
+  next.training = {
+    files,
+    rows: all.length,
+    period: times.length
+      ? {
+          from: new Date(Math.min(...times)).toISOString(),
+          to: new Date(Math.max(...times)).toISOString(),
+        }
+      : null,
+    hyperparameters: {
+      learners: opts.learners?.length ? opts.learners : [DEFAULT_LEARNER],
+      station_learners: Object.fromEntries(opts.stationLearners || []),
+      params: opts.params || {},
+      ridge: {
+        standardized: true,
+        lambda: "per station, blocked time-series cross-validation",
+        lambda_grid: LAMBDA_GRID,
+        cv_folds: CV_FOLDS,
+      },
+      holdout: HOLDOUT,
+      features: LAG_FEATURES,
+      leads_h: LEADS_H,
+      level_lags_h: LEVEL_LAGS_H,
+      precip_windows_h: PRECIP_WINDOWS_H,
+      qc: {
+        limits: QC_LIMITS,
+        station_ranges: Object.fromEntries(opts.qcLimits || []),
+        upstream_fill_h: UPSTREAM_FILL_H,
+      },
+      upstream: opts.reaches?.length
+        ? `reach network, lag by cross-correlation (0–${MAX_UPSTREAM_LAG_H} h, r ≥ ${MIN_XCORR}) or celerity`
+        : null,
+      target: "water_level_cm at issue hour + lead",
+    },
+    validation,
+    report,
+  };
+  return next;
+}
+
+/* ----- upstream gauges as predictors ----- */
+
+// travel times searched by cross-correlation, and the weakest accepted one
+const MAX_UPSTREAM_LAG_H = 24;
+const MIN_XCORR = 0.3;
+const MIN_XCORR_SAMPLES = 12;
+
+const levelAt = (history, t) =>
+  history?.get(hourKey(t))?.water_level_cm ?? null;
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, v) => a + v, 0) / n,
+    my = ys.reduce((a, v) => a + v, 0) / n;
+  let sxy = 0,
+    sxx = 0,
+    syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : null;
 }
 
-function trainFromRows(hist, model) {
+// lag (h) at which hourly level changes upstream best match those downstream
+function crossCorrelationLag(up, down) {
+  const changes = (history) => {
+    const out = new Map();
+    for (const k of history.keys()) {
+      const t = Date.parse(`${k}:00:00Z`);
+      const h = levelAt(history, t),
+        prev = levelAt(history, t - 3600 * 1000);
+      if (h != null && prev != null) out.set(t, h - prev);
+    }
+    return out;
+  };
+  const du = changes(up),
+    dd = changes(down);
+  let best = null;
+  for (let lag = 0; lag <= MAX_UPSTREAM_LAG_H; lag++) {
+    const xs = [],
+      ys = [];
+    for (const [t, y] of dd) {
+      const x = du.get(t - lag * 3600 * 1000);
+      if (x == null) continue;
+      xs.push(x);
+      ys.push(y);
+    }
+    if (xs.length < MIN_XCORR_SAMPLES) continue;
+    const r = pearson(xs, ys);
+    if (r != null && (!best || r > best.corr)) best = { lag_h: lag, corr: r };
+  }
+  return best;
+}
+
+// Upstream gauges of every station with their travel time: from the
+// cross-correlation of the records, or from reach length / wave celerity when
+// the records are too short or too weakly correlated.
+// Map(code -> [{ code, lag_h, method, corr }])
+export function upstreamLinks(reaches, histories) {
+  const out = new Map();
+  for (const e of buildGraph(reaches || [])) {
+    const up = histories.get(e.from_code),
+      down = histories.get(e.to_code);
+    if (!up || !down) continue;
+    const xc = crossCorrelationLag(up, down);
+    const corr = xc ? Math.round(xc.corr * 1000) / 1000 : null;
+    let link;
+    if (xc && xc.corr >= MIN_XCORR) {
+      link = { code: e.from_code, lag_h: xc.lag_h, method: "xcorr", corr };
+    } else {
+      const c = celerity_mps(
+        null,
+        num(e.width_m) ?? 40,
+        num(e.depth_m) ?? 3,
+        Math.max(num(e.slope_m_m) ?? 1e-4, 1e-6),
+        num(e.n_mann) ?? 0.035
+      );
+      const lag_h = Math.min(
+        Math.round(((num(e.length_km) ?? 1) * 1000) / c / 3600),
+        MAX_UPSTREAM_LAG_H
+      );
+      link = { code: e.from_code, lag_h, method: "celerity", corr };
+    }
+    if (!out.has(e.to_code)) out.set(e.to_code, []);
+    out.get(e.to_code).push(link);
+  }
+  return out;
+}
+
+// One learner on all lead times of a station: parameters (tuned on the
+// samples before the held-out tail when the learner has select()), the
+// serialized model per lead, and validation / report entries per lead.
+function fitLearner(learner, sets, features, userParams = {}) {
+  let params = learner.configure
+    ? learner.configure(userParams?.[learner.name] || {})
+    : { ...(userParams?.[learner.name] || {}) };
+  let info = {};
+  if (learner.select) {
+    ({ params, info } = learner.select(
+      sets.map((s) => ({ samples: s.fit, leadMs: s.leadMs })),
+      params,
+      { minTrain: MIN_FOLD_TRAIN }
+    ));
+  }
+  const ctx = { features };
+  const errors = (state, samples) =>
+    samples.map((s) => learner.predict(state, s.x) - s.y);
+
+  const horizons = [];
+  const heldOut = [];
+  const byLead = [];
+  const reportLeads = [];
+  for (const { lead, leadMs, samples, fit, test } of sets) {
+    const full = learner.train(
+      samples.map((s) => s.x),
+      samples.map((s) => s.y),
+      params,
+      ctx
+    );
+    horizons.push({
+      lead_h: lead,
+      n: samples.length,
+      ...learner.serialize(full),
+    });
+
+    // held out: fit on the earlier samples whose targets end before the tail
+    const train = test.length
+      ? fit.filter((s) => s.t + leadMs < test[0].t)
+      : [];
+    const res = errors(full, samples);
+    const state =
+      test.length && train.length >= MIN_FOLD_TRAIN
+        ? learner.train(
+            train.map((s) => s.x),
+            train.map((s) => s.y),
+            params,
+            ctx
+          )
+        : null;
+    if (state) heldOut.push({ lead_h: lead, state });
+    byLead.push({
+      lead_h: lead,
+      n: samples.length,
+      n_test: test.length,
+      fit_rmse_cm: errorStats(res).rmse_cm,
+      ...(state
+        ? errorStats(errors(state, test))
+        : { rmse_cm: null, mae_cm: null, bias_cm: null }),
+    });
+    reportLeads.push({
+      lead_h: lead,
+      n: samples.length,
+      ...(learner.describe ? learner.describe(full, features) : {}),
+      residuals: residualDiagnostics(res),
+    });
+  }
+
+  // mean over the leads with a held-out score
+  const scored = byLead.filter((v) => v.rmse_cm != null);
+  return {
+    name: learner.name,
+    params,
+    info,
+    horizons,
+    heldOut,
+    byLead,
+    reportLeads,
+    rmse_cm: scored.length
+      ? Math.round(
+          (scored.reduce((a, v) => a + v.rmse_cm, 0) / scored.length) * 100
+        ) / 100
+      : null,
+  };
+}
+
+// Fits one model per lead time (LEADS_H) and station into
+// model.stations[code] = { features, upstream, learner, params,
+// horizons: [{ lead_h, n, ...serialized model }], alternatives },
+// each predicting the level `lead_h` hours after the issue hour from the
+// feature row at that hour (features.js) plus, per upstream gauge, its level
+// at issue + lead − travel time (observed here; forecast when that hour lies
+// ahead, see the fallback path). opts: { reaches, learners (names, the first
+// is the default), stationLearners: Map(code -> name), params: { name: {} },
+// qcLimits: Map(code -> { variable: [min, max] }) (qc.js) }. Only values that
+// pass the quality control are used. Returns { validation, report }:
+// metrics per station and lead (fit on the earlier samples, scored on the
+// held-out latest ones; the stored coefficients use all samples) and the
+// training report. Training uses the observed upstream levels; the held-out
+// samples get, like a forecast run, the upstream station's own (held-out)
+// prediction for the hours after the issue hour.
+function trainFromRows(hist, model, opts = {}) {
+  const learners = opts.learners?.length ? opts.learners : [DEFAULT_LEARNER];
   const byStation = new Map();
   for (const r of hist) {
     const code = String(r.station_code || "").trim();
     if (!code) continue;
     if (!byStation.has(code)) byStation.set(code, []);
-    byStation.get(code).push({
-      date: r.datetime_utc || r.date || null,
-      station_code: code,
-      water_level_cm: num(r.water_level_cm),
-      precipitation_mm: num(r.precipitation_mm),
-      air_temp_c: num(r.air_temp_c),
-      wind_speed_mps: null,
-      wind_dir_deg: null,
-      rh_pct: null,
-      roughness_n: null,
-    });
+    byStation.get(code).push(r);
   }
 
-  for (const [code, rows] of byStation.entries()) {
-    const X = [],
-      y = [];
-    rows.sort((a, b) => new Date(a.date) - new Date(b.date));
-    for (let i = 0; i < rows.length - 1; i++) {
-      const today = rows[i],
-        tomorrow = rows[i + 1];
-      if (
-        String(today.station_code).trim() !==
-        String(tomorrow.station_code).trim()
-      )
-        continue;
-      const xi = designRow(today);
-      const yi = num(tomorrow.water_level_cm);
-      if (yi == null) continue;
-      X.push(xi);
-      y.push([yi]);
+  // quality control: rejected values are dropped, gaps filled where possible
+  const qc = qualityControl(
+    new Map([...byStation].map(([code, rows]) => [code, hourlyHistory(rows)])),
+    { limits: opts.qcLimits }
+  );
+  const histories = qc.histories;
+  const links = upstreamLinks(opts.reaches, histories);
+  fillFromUpstream(qc, links);
+  const qcStations = qcSummary(qc);
+
+  // upstream stations first, so that their held-out models exist when a
+  // downstream station is scored
+  const order = [];
+  const seen = new Set();
+  const visit = (code) => {
+    if (seen.has(code) || !byStation.has(code)) return;
+    seen.add(code);
+    for (const l of links.get(code) || []) visit(l.code);
+    order.push(code);
+  };
+  for (const code of byStation.keys()) visit(code);
+
+  // held-out model per trained station: { learner, heldOut, upstream }
+  const heldOutModels = new Map();
+  const curveMemo = new Map();
+  const steps = LEADS_H[LEADS_H.length - 1] + 1;
+  // stage curve of a station's held-out models issued at t (null without
+  // them), its upstream inputs chained the same way
+  const heldOutCurve = (code, t) => {
+    const memoKey = `${code} ${t}`;
+    if (curveMemo.has(memoKey)) return curveMemo.get(memoKey);
+    const m = heldOutModels.get(code);
+    const history = histories.get(code);
+    const h0 = levelAt(history, t);
+    const x = m?.heldOut.length ? lagFeatureRow(history, t) : null;
+    const curve =
+      x && h0 != null
+        ? horizonCurve(
+            m.heldOut,
+            (h) => {
+              const ups = m.upstream.map((l) =>
+                issuedLevel(l.code, t, h.lead_h - l.lag_h)
+              );
+              if (ups.some((v) => v == null)) return null;
+              return m.learner.predict(h.state, [...x, ...ups]);
+            },
+            h0,
+            steps
+          )
+        : null;
+    curveMemo.set(memoKey, curve);
+    return curve;
+  };
+  // level at t + offset hours as known when issuing at t (forecast's
+  // upstreamLevel): observed up to t, predicted after it, the level at t when
+  // neither is known
+  const issuedLevel = (code, t, offset) => {
+    const history = histories.get(code);
+    const now = levelAt(history, t);
+    if (offset > 0) {
+      const c = heldOutCurve(code, t);
+      return c ? c[Math.min(offset, c.length - 1)] : now;
     }
-    if (X.length < 5) continue;
+    return levelAt(history, t + offset * 3600 * 1000) ?? now;
+  };
 
-    const XT = math.transpose(X);
-    const XT_X = math.multiply(XT, X);
-    const pDim = Array.isArray(XT_X) ? XT_X.length : XT_X.size()[0];
-    const lambda = 0.001;
-    const I = math.identity(pDim).toArray();
+  const validation = {};
+  const report = {};
+  for (const code of order) {
+    const history = histories.get(code);
+    const hours = [...history.keys()].sort();
+    const upstream = links.get(code) || [];
 
-    let inv;
-    try {
-      inv = math.inv(math.add(XT_X, math.multiply(lambda, I)));
-    } catch {
-      inv = math.inv(math.add(XT_X, math.multiply(lambda + 1e-6, I)));
+    // feature rows once per issue hour
+    const issues = [];
+    for (const k of hours) {
+      const t = Date.parse(`${k}:00:00Z`);
+      const x = lagFeatureRow(history, t);
+      if (x) issues.push({ t, x });
     }
 
-    const XT_y = math.multiply(XT, y);
-    const beta = math.multiply(inv, XT_y);
-    const coef = (Array.isArray(beta) ? beta : beta.toArray()).map((v) =>
-      Array.isArray(v) ? v[0] : v
-    );
+    // samples per lead in issue-time order; features include the upstream
+    // levels, so samples without them are skipped
+    const features = [
+      ...LAG_FEATURES,
+      ...upstream.map((l) => `up_${l.code}_lag${l.lag_h}h_cm`),
+    ];
+    const sets = [];
+    for (const lead of LEADS_H) {
+      const samples = [];
+      for (const { t, x } of issues) {
+        const target = levelAt(history, t + lead * 3600 * 1000);
+        if (target == null) continue;
+        const ups = upstream.map((l) =>
+          levelAt(histories.get(l.code), t + (lead - l.lag_h) * 3600 * 1000)
+        );
+        if (ups.some((v) => v == null)) continue;
+        samples.push({ t, x: [...x, ...ups], y: target, lags: x });
+      }
+      if (samples.length >= MIN_SAMPLES) {
+        const nTest = Math.floor(samples.length * HOLDOUT);
+        const test = [];
+        for (const s of samples.slice(samples.length - nTest)) {
+          const ups = upstream.map((l) =>
+            issuedLevel(l.code, s.t, lead - l.lag_h)
+          );
+          if (ups.some((v) => v == null)) continue;
+          test.push({ ...s, x: [...s.lags, ...ups] });
+        }
+        sets.push({
+          lead,
+          leadMs: lead * 3600 * 1000,
+          samples,
+          fit: samples.slice(0, samples.length - nTest),
+          test,
+        });
+      }
+    }
+    if (!sets.length) continue;
+
+    const usable_rows = {
+      rows: byStation.get(code).length,
+      hours: history.size,
+      qc: qcStations[code],
+      issue_hours: issues.length,
+      by_lead: Object.fromEntries(sets.map((s) => [s.lead, s.samples.length])),
+    };
+
+    // the station's own learner first (stations_meta column `model`), then
+    // the requested ones; the first is the one forecasts use by default
+    const fits = [...new Set([opts.stationLearners?.get(code), ...learners])]
+      .filter((name) => getLearner(name))
+      .map((name) => fitLearner(getLearner(name), sets, features, opts.params));
+    if (!fits.length) continue;
+    const [main, ...others] = fits;
+    heldOutModels.set(code, {
+      learner: getLearner(main.name),
+      heldOut: main.heldOut,
+      upstream,
+    });
+
     if (!model.stations) model.stations = {};
-    model.stations[code] = { coef };
+    model.stations[code] = {
+      features,
+      upstream,
+      learner: main.name,
+      params: main.params,
+      horizons: main.horizons,
+      ...(others.length
+        ? {
+            alternatives: Object.fromEntries(
+              others.map((f) => [
+                f.name,
+                { params: f.params, horizons: f.horizons },
+              ])
+            ),
+          }
+        : {}),
+    };
+
+    validation[code] = {
+      n: issues.length,
+      leads: main.horizons.length,
+      max_lead_h: main.horizons[main.horizons.length - 1].lead_h,
+      learner: main.name,
+      params: main.params,
+      upstream,
+      rmse_cm: main.rmse_cm,
+      by_lead: main.byLead,
+      ...(others.length
+        ? {
+            alternatives: Object.fromEntries(
+              others.map((f) => [
+                f.name,
+                { params: f.params, rmse_cm: f.rmse_cm, by_lead: f.byLead },
+              ])
+            ),
+          }
+        : {}),
+    };
+    report[code] = {
+      learner: main.name,
+      params: main.params,
+      ...main.info,
+      usable_rows,
+      by_lead: main.reportLeads,
+      ...(others.length
+        ? {
+            alternatives: Object.fromEntries(
+              others.map((f) => [
+                f.name,
+                { params: f.params, ...f.info, by_lead: f.reportLeads },
+              ])
+            ),
+          }
+        : {}),
+    };
   }
 
   model.trainedAt = new Date().toISOString();
-  return model;
+  return { validation, report };
+}
+
+// Stage at every hour 0..steps-1 after the issue hour from the per-lead
+// predictions: linear between the trained leads, starting from the current
+// level at lead 0 and held after the last trained lead. predictAt(horizon)
+// returns the stage for a lead, or null when its features cannot be built.
+function horizonCurve(horizons, predictAt, h0, steps) {
+  const pts = [[0, h0]];
+  for (const h of [...horizons].sort((a, b) => a.lead_h - b.lead_h)) {
+    const v = predictAt(h);
+    if (v != null) pts.push([h.lead_h, v]);
+  }
+  const out = [];
+  let j = 0;
+  for (let t = 0; t < steps; t++) {
+    while (j < pts.length - 2 && pts[j + 1][0] < t) j++;
+    const [t0, v0] = pts[j],
+      [t1, v1] = pts[Math.min(j + 1, pts.length - 1)];
+    out.push(
+      t >= t1 || t1 === t0 ? v1 : v0 + ((v1 - v0) * (t - t0)) / (t1 - t0)
+    );
+  }
+  return out;
 }
 
 /* ---------------- Hydrologic core (Manning + Muskingum-lite) ----------------
@@ -136,19 +605,6 @@ function trainFromRows(hist, model) {
    - linear routing between stations along network with (K, X)
 ----------------------------------------------------------------- */
 
-function stageToQ_cm(h_cm, rc) {
-  const h = Math.max((h_cm ?? 0) - (rc?.h0_cm ?? 0), 0);
-  return rc ? (rc.a ?? 0.03) * Math.pow(h, rc.b ?? 1.6) : 0;
-}
-function qToStage_cm(Q, rc) {
-  if (!rc) return 0;
-  const a = rc.a ?? 0.03,
-    b = rc.b ?? 1.6,
-    h0 = rc.h0_cm ?? 0;
-  if (a <= 0 || b <= 0) return h0;
-  return h0 + Math.pow(Math.max(Q, 0) / a, 1 / b);
-}
-
 // wide-channel Manning velocity + gravity term (very simplified)
 function celerity_mps(Q, width, depth, slope, n) {
   const R = (width * depth) / (width + 2 * depth);
@@ -174,7 +630,7 @@ function keyEdge(a, b) {
   return `${String(a).trim()}->${String(b).trim()}`;
 }
 
-function buildGraph(reaches) {
+export function buildGraph(reaches) {
   return reaches
     .map((r) => ({
       from_code: String(r.from_code || "").trim(),
@@ -188,7 +644,7 @@ function buildGraph(reaches) {
     .filter((e) => e.from_code && e.to_code);
 }
 
-function topoOrDepthFirst(reaches) {
+export function topoOrDepthFirst(reaches) {
   const indeg = new Map();
   for (const e of reaches) {
     indeg.set(e.to_code, (indeg.get(e.to_code) || 0) + 1);
@@ -215,6 +671,109 @@ function topoOrDepthFirst(reaches) {
   return ordered;
 }
 
+// share of a node's outflow held back to the next hour (0..1); calibrated
+// with K/X. The node acts as a linear reservoir, so held-back water arrives
+// later but is never counted twice.
+export const NODE_CARRY = 0.2;
+
+// Segment parameters (K in s, X) per reach, from celerity and length unless
+// the calibration (model/calibration.json) gives K_h / X for the reach.
+export function reachParams(graph, Qnow, rating, calib = null) {
+  const segParams = new Map();
+  for (const e of graph) {
+    const width = e.width_m ?? 40;
+    const depth = e.depth_m ?? 3;
+    const n = e.n_mann ?? 0.035;
+    const slope = Math.max(e.slope_m_m ?? 1e-4, 1e-6);
+    const L = (e.length_km ?? 1) * 1000;
+    const c = celerity_mps(Qnow.get(e.from_code) ?? 10, width, depth, slope, n);
+    const key = keyEdge(e.from_code, e.to_code);
+    const cal = calib?.reaches?.[key];
+    const K = Math.max(cal?.K_h != null ? cal.K_h * 3600 : L / c, 3600); // ≥ 1 h
+    const X = cal?.X ?? 0.2; // 0..0.5
+    segParams.set(key, {
+      K,
+      X,
+      width,
+      depth,
+      rc_to: rating?.get(e.to_code),
+    });
+  }
+  return segParams;
+}
+
+// Hourly network simulation shared by the forecast and the calibration:
+// Muskingum routing along `order`, then each node's outflow is
+// carry × its previous outflow + (1 − carry) × (routed + lateral inflow).
+// lateral(code, t) -> { lateralQ, f }; onStep(t, code, Q, f) sees every node.
+export function simulateNetwork({
+  order,
+  segParams,
+  Q0,
+  codes,
+  carry = NODE_CARRY,
+  steps,
+  lateral,
+  onStep,
+  dt = 3600,
+}) {
+  const prev = new Map();
+  for (const e of order)
+    prev.set(keyEdge(e.from_code, e.to_code), {
+      in: Q0.get(e.from_code) || 0,
+      out: Q0.get(e.to_code) || 0,
+    });
+
+  let Qstate = new Map(Q0);
+  for (let t = 0; t < steps; t++) {
+    // route upstream -> downstream
+    const QinAtNode = new Map();
+    for (const e of order) {
+      const edgeKey = keyEdge(e.from_code, e.to_code);
+      const prm = segParams.get(edgeKey);
+      const Qin_up = Qstate.get(e.from_code) ?? 0;
+      const prevEdge = prev.get(edgeKey) || {
+        in: Qin_up,
+        out: Qstate.get(e.to_code) ?? 0,
+      };
+      const Qout = muskingumStep(Qin_up, prevEdge, prm.K, prm.X, dt);
+      prev.set(edgeKey, { in: Qin_up, out: Qout });
+      QinAtNode.set(e.to_code, (QinAtNode.get(e.to_code) || 0) + Qout);
+    }
+
+    const nextQ = new Map(Qstate);
+    for (const code of codes) {
+      const { lateralQ, f } = lateral(code, t);
+      const routedIn = QinAtNode.get(code) || 0;
+      const selfCarry = Qstate.get(code) || 0;
+      const Qnext = Math.max(
+        0,
+        carry * selfCarry + (1 - carry) * (routedIn + lateralQ)
+      );
+      nextQ.set(code, Qnext);
+      onStep?.(t, code, Qnext, f);
+    }
+    Qstate = nextQ;
+  }
+  return Qstate;
+}
+
+// Share of its basin's lumped outflow that enters the network at each node:
+// the node's local_area_km2 (station metadata) over the basin total when
+// every node of the basin gives one, equal shares otherwise. The shares of a
+// basin sum to 1, so its outflow enters the network once.
+// codesByBasin: Map(basin -> [code]); areaOf(code) -> km² or null.
+export function lateralShares(codesByBasin, areaOf) {
+  const shares = new Map();
+  for (const codes of codesByBasin.values()) {
+    const areas = codes.map((c) => Number(areaOf(c)));
+    const known = areas.every((a) => Number.isFinite(a) && a > 0);
+    const total = known ? areas.reduce((a, b) => a + b, 0) : codes.length;
+    codes.forEach((c, i) => shares.set(c, (known ? areas[i] : 1) / total));
+  }
+  return shares;
+}
+
 function aggregateLatestPrecip(currentInputs) {
   const byBasin = new Map();
   for (const r of currentInputs) {
@@ -227,13 +786,45 @@ function aggregateLatestPrecip(currentInputs) {
   return byBasin;
 }
 
+/* ----- hourly meteo forcing (forecast files) ----- */
+
+// forcing = { precip: Map(code -> Map(hourKey -> mm)), air: Map(code -> Map(hourKey -> °C)) }
+// Precipitation follows aggregateLatestPrecip: basin maximum first, then the station itself.
+function forcingAt(forcing, code, basinCodes, tDate) {
+  const key = hourKey(tDate.getTime());
+  let precip = null;
+  for (const c of basinCodes || [code]) {
+    const v = forcing?.precip?.get(c)?.get(key);
+    if (v != null) precip = precip == null ? v : Math.max(precip, v);
+  }
+  if (precip == null) precip = forcing?.precip?.get(code)?.get(key) ?? null;
+  const air = forcing?.air?.get(code)?.get(key) ?? null;
+  return { precipitation_mm: precip, air_temp_c: air };
+}
+
+function meanForcingTemp(forcing, code, from, hours) {
+  let s = 0,
+    n = 0;
+  for (let i = 0; i < hours; i++) {
+    const t = new Date(from.getTime() + i * 3600 * 1000);
+    const v = forcingAt(forcing, code, null, t).air_temp_c;
+    if (v != null) {
+      s += v;
+      n++;
+    }
+  }
+  return n ? s / n : null;
+}
+
 /* ---------------- Forecast (returns rows, daily table, hourly series) ---------------- */
 
 export async function forecastWaterLevels(
   currentInputs,
   settings,
   model,
-  hydroAux
+  hydroAux,
+  forcing = null,
+  opts = {}
 ) {
   const settingsByCode = new Map(
     settings.map((s) => [String(s.station_code || "").trim(), s])
@@ -245,260 +836,370 @@ export async function forecastWaterLevels(
     nowByCode.set(code, r);
   }
 
-  // Build 72 hourly timestamps starting from current hour
+  // Build 72 hourly timestamps starting from the base hour (default: current
+  // hour); dates[0] is the last observed hour, dates[t] is t hours ahead
   const dates = [];
-  const base = new Date();
-  base.setMinutes(0, 0, 0);
+  const base = opts.baseTime ? new Date(opts.baseTime) : new Date();
+  base.setUTCMinutes(0, 0, 0);
   for (let i = 0; i < 72; i++)
     dates.push(new Date(base.getTime() + i * 3600 * 1000));
 
   // per-station hourly series (for charting)
   const series = {};
-  const pushPoint = (code, r, tDate, stage_cm) => {
+  const pushPoint = (code, r, tDate, stage_cm, f = null) => {
     if (!series[code]) series[code] = [];
     series[code].push({
       t: tDate.toISOString(),
-      hour: String(tDate.getHours()).padStart(2, "0") + ":00",
+      hour: String(tDate.getUTCHours()).padStart(2, "0") + ":00",
       wl_cm: Math.round(stage_cm * 10) / 10,
+      precip_mm: f?.precipitation_mm ?? null,
+      air_temp_c: f?.air_temp_c ?? null,
+      snow_swe_mm:
+        f?.snow_swe_mm != null ? Math.round(f.snow_swe_mm * 10) / 10 : null,
+      soil_moisture_mm:
+        f?.soil_moisture_mm != null
+          ? Math.round(f.soil_moisture_mm * 10) / 10
+          : null,
+      ...(f?.observed ? { observed: true } : {}),
       river_name: r.river_name || settingsByCode.get(code)?.river_name || "",
       station_name:
         r.station_name || settingsByCode.get(code)?.station_name || "",
     });
   };
 
-  /* ---------- Hydrologic routing path ---------- */
-  if (
+  const rows = [],
+    table = [];
+  const day0 = dates[0].toISOString().slice(0, 10);
+  const day1 = new Date(dates[0].getTime() + 24 * 3600 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  // forecast stage per station and hour (index = hours after the base hour)
+  const curves = new Map();
+
+  /* ---------- Model per station ---------- */
+  // opts.models = { methods: Map(code -> name), fallback }: "auto" (routing
+  // when network, rating curves and basins are available, otherwise the
+  // station's trained learner), "routing" or a learner name (learners.js).
+  // A learner the station was not trained with falls back to its default.
+  const routingReady = Boolean(
     hydroAux?.network?.length &&
     hydroAux?.rating?.size &&
     hydroAux?.basins?.size
-  ) {
+  );
+  const stationModel = (code, name) => {
+    const st = model.stations?.[code];
+    if (!st?.horizons?.length) {
+      return { model: st?.coef ? "legacy" : "persistence", params: {} };
+    }
+    const main = st.learner || DEFAULT_LEARNER;
+    if (name && name !== main && st.alternatives?.[name]) {
+      return { model: name, params: st.alternatives[name].params ?? {} };
+    }
+    return { model: main, params: st.params ?? {} };
+  };
+  const models = {};
+  for (const code of nowByCode.keys()) {
+    const want =
+      opts.models?.methods?.get(code) ?? opts.models?.fallback ?? "auto";
+    const m =
+      (want === "auto" || want === "routing") && routingReady
+        ? {
+            model: "routing",
+            params: {
+              carry: hydroAux.calibration?.carry ?? NODE_CARRY,
+              calibrated_at: hydroAux.calibration?.calibratedAt ?? null,
+            },
+          }
+        : stationModel(code, want);
+    models[code] =
+      want === "auto" || want === m.model ? m : { ...m, requested: want };
+  }
+  const routed = (code) => models[code]?.model === "routing";
+
+  /* ---------- Hydrologic routing path ---------- */
+  // the whole network is simulated; stations on another model only take
+  // part as upstream inflow
+  if (routingReady && Object.keys(models).some(routed)) {
     const graph = buildGraph(hydroAux.network);
     const order = topoOrDepthFirst(graph);
 
-    // initialize Q at stations from current stage via rating & add first series point for "current"
+    // rows, series point and end-of-day snapshot of a routed station at
+    // dates[t]
+    const tableAcc = new Map();
+    const record = (code, t, stage_cm, f) => {
+      const r = nowByCode.get(code);
+      if (!curves.has(code)) curves.set(code, []);
+      curves.get(code)[t] = stage_cm;
+
+      const dayStr = dates[t].toISOString().slice(0, 10);
+
+      // hourly rows (Excel)
+      rows.push({
+        forecast_date: dayStr,
+        forecast_datetime: dates[t].toISOString(),
+        station_code: code,
+        station_name: r.station_name || "",
+        river_name: r.river_name || "",
+        forecast_water_level_cm: Math.round(stage_cm * 10) / 10,
+        model: "routing",
+      });
+
+      // series (for charts)
+      pushPoint(code, r, dates[t], stage_cm, f);
+
+      // daily table snapshots
+      if (dates[t].getUTCHours() === 23) {
+        const idx = dayStr === day0 ? 0 : dayStr === day1 ? 1 : 2;
+        if (!tableAcc.has(code)) tableAcc.set(code, [null, null, null]);
+        tableAcc.get(code)[idx] = Math.round(stage_cm * 10) / 10;
+      }
+    };
+
+    // initialize Q at stations from current stage via rating; the current
+    // stage is the first point of the routed stations
     const Qnow = new Map();
     for (const [code, r] of nowByCode) {
       const rc = hydroAux.rating.get(code);
       const Q = stageToQ_cm(r.water_level_cm, rc);
       Qnow.set(code, Q);
-      pushPoint(code, r, dates[0], r.water_level_cm ?? 0);
+      if (routed(code)) {
+        record(code, 0, r.water_level_cm ?? 0, { observed: true });
+      }
     }
 
-    // lateral inflow (precip+baseflow)
+    // lateral inflow (precip+baseflow); the latest observed precip is used
+    // for hours that the meteo forecast does not cover
     const PmmByBasin = aggregateLatestPrecip(currentInputs);
-    const lateralByCode = new Map();
+    const codesByBasin = new Map();
     for (const [code, r] of nowByCode) {
       const basin = (r.basin_name || "").trim();
-      const bp = hydroAux.basins.get(basin);
-      const runoffCoeff = bp?.runoff_coeff ?? 0.2;
-      const baseflow = bp?.baseflow_cms ?? 0;
-      const Pmm = PmmByBasin.get(basin) ?? r.precipitation_mm ?? 0;
-      const lateralQ = baseflow + Math.max(Pmm, 0) * runoffCoeff; // calibration knob
-      lateralByCode.set(code, lateralQ);
+      if (!basin) continue;
+      if (!codesByBasin.has(basin)) codesByBasin.set(basin, []);
+      codesByBasin.get(basin).push(code);
     }
-
-    // segment parameters (K, X) from celerity and length
-    const segParams = new Map();
-    for (const e of graph) {
-      const width = e.width_m ?? 40;
-      const depth = e.depth_m ?? 3;
-      const n = e.n_mann ?? 0.035;
-      const slope = Math.max(e.slope_m_m ?? 1e-4, 1e-6);
-      const L = (e.length_km ?? 1) * 1000;
-      const c = celerity_mps(
-        Qnow.get(e.from_code) ?? 10,
-        width,
-        depth,
-        slope,
-        n
-      );
-      const K = Math.max(L / c, 3600); // ≥ 1 h
-      const X = 0.2; // 0..0.5
-      segParams.set(keyEdge(e.from_code, e.to_code), {
-        K,
-        X,
-        width,
-        depth,
-        rc_to: hydroAux.rating.get(e.to_code),
-      });
-    }
-
-    const dt = 3600; // 1 h
-    const rows = [];
-    const tableAcc = new Map();
-    const prev = new Map();
-    for (const e of graph)
-      prev.set(keyEdge(e.from_code, e.to_code), {
-        in: Qnow.get(e.from_code) || 0,
-        out: Qnow.get(e.to_code) || 0,
-      });
-
-    let Qstate = new Map(Qnow);
-    const day0 = dates[0].toISOString().slice(0, 10);
-    const day1 = new Date(dates[0].getTime() + 24 * 3600 * 1000)
-      .toISOString()
-      .slice(0, 10);
-    const day2 = new Date(dates[0].getTime() + 48 * 3600 * 1000)
-      .toISOString()
-      .slice(0, 10);
-
-    for (let t = 0; t < dates.length; t++) {
-      const isEndOfDay = dates[t].getHours() === 23;
-
-      // route upstream -> downstream
-      const QinAtNode = new Map();
-      for (const e of order) {
-        const edgeKey = keyEdge(e.from_code, e.to_code);
-        const prm = segParams.get(edgeKey);
-        const Qin_up = Qstate.get(e.from_code) ?? 0;
-        const prevEdge = prev.get(edgeKey) || {
-          in: Qin_up,
-          out: Qstate.get(e.to_code) ?? 0,
-        };
-        const Qout = muskingumStep(Qin_up, prevEdge, prm.K, prm.X, dt);
-        prev.set(edgeKey, { in: Qin_up, out: Qout });
-        QinAtNode.set(e.to_code, (QinAtNode.get(e.to_code) || 0) + Qout);
+    // basin air temperature: mean over the basin's stations
+    const basinTemp = (basin, code, r, tDate) => {
+      let s = 0,
+        n = 0;
+      for (const c of codesByBasin.get(basin) || [code]) {
+        const v =
+          forcingAt(forcing, c, null, tDate).air_temp_c ??
+          nowByCode.get(c)?.air_temp_c;
+        if (v != null) {
+          s += v;
+          n++;
+        }
       }
+      return n ? s / n : (r.air_temp_c ?? null);
+    };
 
-      const nextQ = new Map(Qstate);
-      for (const [code, r] of nowByCode) {
-        const lateral = lateralByCode.get(code) || 0;
-        const routedIn = QinAtNode.get(code) || 0;
-        const selfCarry = Qstate.get(code) || 0;
-        const Qnext = Math.max(0, 0.2 * selfCarry + routedIn + lateral);
-        nextQ.set(code, Qnext);
-
-        const rc = hydroAux.rating.get(code);
-        const stage_cm = qToStage_cm(Qnext, rc);
-
-        const dayStr = dates[t].toISOString().slice(0, 10);
-
-        // hourly rows (Excel)
-        rows.push({
-          forecast_date: dayStr,
-          forecast_datetime: dates[t].toISOString(),
-          station_code: code,
-          station_name: r.station_name || "",
-          river_name: r.river_name || "",
-          forecast_water_level_cm: Math.round(stage_cm * 10) / 10,
-        });
+    // basin model (snow + soil/groundwater, runoff.js) is advanced once per
+    // basin and hour; the cache is reset at the start of every hour
+    const basinState = new Map(hydroAux.basinState || []);
+    let basinHour = new Map();
+    const basinAt = (basin, code, r, tDate) => {
+      if (basin && basinHour.has(basin)) return basinHour.get(basin);
+      const f = forcingAt(forcing, code, codesByBasin.get(basin), tDate);
+      const P =
+        f.precipitation_mm ?? PmmByBasin.get(basin) ?? r.precipitation_mm ?? 0;
+      const T = basinTemp(basin, code, r, tDate);
+      const bp = hydroAux.basins.get(basin) || {};
+      const st = basinStep(basinState.get(basin), P, T, bp);
+      if (basin) basinState.set(basin, st.state);
+      const out = { ...st, f: { precipitation_mm: P, air_temp_c: T } };
+      if (basin) basinHour.set(basin, out);
+      return out;
+    };
 
-        // series (for charts)
-        pushPoint(code, r, dates[t], stage_cm);
+    // lateral inflow at a station node; a lumped basin outflow is split
+    // over the basin's stations (lateralShares)
+    const shares = lateralShares(
+      codesByBasin,
+      (c) => settingsByCode.get(c)?.local_area_km2
+    );
+    const lateralAt = (code, r, tDate) => {
+      const basin = (r.basin_name || "").trim();
+      const b = basinAt(basin, code, r, tDate);
+      return {
+        lateralQ: b.lumped ? b.q_cms * (shares.get(code) ?? 1) : b.q_cms,
+        f: {
+          ...b.f,
+          air_temp_c:
+            forcingAt(forcing, code, null, tDate).air_temp_c ?? b.f.air_temp_c,
+          snow_swe_mm: b.state.swe_mm,
+          soil_moisture_mm: b.lumped ? b.state.sm_mm : null,
+        },
+      };
+    };
 
-        // daily table snapshots
-        if (isEndOfDay) {
-          const idx = dayStr === day0 ? 0 : dayStr === day1 ? 1 : 2;
-          if (idx >= 0 && idx <= 2) {
-            if (!tableAcc.has(code)) tableAcc.set(code, [null, null, null]);
-            const arr = tableAcc.get(code);
-            arr[idx] = Math.round(stage_cm * 10) / 10;
-          }
-        }
+    // segment parameters (K, X) and node carry-over, calibrated when
+    // model/calibration.json exists
+    const calib = hydroAux.calibration || null;
+    const segParams = reachParams(graph, Qnow, hydroAux.rating, calib);
+    // ensemble members scale K per reach (ensemble.js)
+    if (opts.reachFactor) {
+      for (const [key, p] of segParams) {
+        p.K = Math.max(p.K * opts.reachFactor(key), 3600);
       }
-      Qstate = nextQ;
     }
 
+    // step t routes the hour from dates[t] to dates[t + 1]
+    let lastT = -1;
+    simulateNetwork({
+      order,
+      segParams,
+      Q0: Qnow,
+      codes: [...nowByCode.keys()],
+      carry: calib?.carry ?? NODE_CARRY,
+      steps: dates.length - 1,
+      lateral: (code, t) => {
+        if (t !== lastT) {
+          basinHour = new Map();
+          lastT = t;
+        }
+        return lateralAt(code, nowByCode.get(code), dates[t]);
+      },
+      onStep: (t, code, Qnext, f) => {
+        if (!routed(code)) return;
+        const stage_cm = qToStage_cm(Qnext, hydroAux.rating.get(code));
+        record(code, t + 1, stage_cm, f);
+      },
+    });
+
     // daily table
-    const table = [];
     const sByCode = new Map(settings.map((s) => [s.station_code, s]));
     for (const [code, vals] of tableAcc) {
       const s = sByCode.get(code) || {};
       const r = nowByCode.get(code) || {};
       table.push({
+        station_code: code,
         river: s.river_name || r.river_name || "",
         station: s.station_name || r.station_name || "",
         date_today: dates[0].toISOString().slice(0, 10),
         wl_today_cm: vals[0],
         wl_tomorrow_cm: vals[1],
         wl_day_after_cm: vals[2],
+        model: "routing",
       });
     }
-    table.sort(
-      (a, b) =>
-        a.river.localeCompare(b.river) || a.station.localeCompare(b.station)
-    );
-
-    // sort rows for Excel
-    rows.sort(
-      (a, b) =>
-        String(a.station_code).localeCompare(String(b.station_code)) ||
-        a.forecast_datetime.localeCompare(b.forecast_datetime)
-    );
-
-    return { rows, table, series };
   }
 
-  /* ---------- Fallback: regression per-station (still provides hourly series) ---------- */
-  const rows = [],
-    table = [];
-  // NOTE: reuse the 'series' defined above; DO NOT redeclare it here.
-
-  const dayStarts = [];
-  const today = new Date();
-  today.setMinutes(0, 0, 0);
-  for (let d = 0; d < 3; d++)
-    dayStarts.push(
-      new Date(today.getFullYear(), today.getMonth(), today.getDate() + d)
+  /* ---------- Station models: learners per station (still provides hourly series) ---------- */
+  // upstream gauges first, so that downstream models can use their forecasts
+  // (routed stations are already in `curves`)
+  const order = [];
+  const seen = new Set();
+  const visit = (code) => {
+    if (seen.has(code) || !nowByCode.has(code) || routed(code)) return;
+    seen.add(code);
+    for (const l of model.stations?.[code]?.upstream || []) visit(l.code);
+    order.push(code);
+  };
+  for (const code of nowByCode.keys()) visit(code);
+
+  // upstream level at base + offset hours: forecast ahead of the base hour,
+  // observed before it; the current level when neither is known
+  const upstreamLevel = (code, offset) => {
+    const now = nowByCode.get(code)?.water_level_cm ?? null;
+    if (offset > 0) {
+      const c = curves.get(code);
+      return c ? c[Math.min(offset, c.length - 1)] : now;
+    }
+    if (offset === 0) return now;
+    return (
+      levelAt(opts.history?.get(code), base.getTime() + offset * 3600 * 1000) ??
+      now
     );
+  };
 
-  for (const [code, r] of nowByCode) {
+  for (const code of order) {
+    const r = nowByCode.get(code);
     const s = settingsByCode.get(code) || {};
-    const coef = model.stations?.[code]?.coef || null;
-    const x0 = designRow(r);
-    const preds = !coef
-      ? (() => {
-          const wl = clamp(
-            (r.water_level_cm ?? 0) + (s.datum_offset_cm ?? 0),
-            s.min_level_cm,
-            s.max_level_cm
-          );
-          return [wl, wl, wl];
-        })()
-      : (() => {
-          const p1 = dot(coef, x0),
-            p2 = p1 * 0.98 + (r.air_temp_c ?? 0) * 0.1,
-            p3 = p2 * 0.98;
-          return [p1, p2, p3].map((v) =>
-            clamp(v + (s.datum_offset_cm ?? 0), s.min_level_cm, s.max_level_cm)
-          );
-        })();
+    const st = model.stations?.[code] || null;
+    const h0 = r.water_level_cm ?? 0;
+    const adjust = (v) =>
+      clamp(v + (s.datum_offset_cm ?? 0), s.min_level_cm, s.max_level_cm);
 
-    // daily table & rows (end-of-day timestamps)
-    for (let i = 0; i < 3; i++) {
+    // stage for every forecast hour (index = hours after the base hour)
+    let curve;
+    const learner = getLearner(models[code].model);
+    if (learner && st?.horizons?.length) {
+      // direct per-lead models on lagged features (opts.history: recent
+      // observations per station, Map(code -> Map(hourKey -> values)))
+      const x = lagFeatureRow(opts.history?.get(code), base.getTime(), r);
+      const upstream = st.upstream || [];
+      const horizons =
+        models[code].model === (st.learner || DEFAULT_LEARNER)
+          ? st.horizons
+          : st.alternatives[models[code].model].horizons;
+      const predictAt = (h) => {
+        const ups = upstream.map((l) =>
+          upstreamLevel(l.code, h.lead_h - l.lag_h)
+        );
+        if (!x || ups.some((v) => v == null)) return null;
+        return learner.predict(learner.deserialize(h), [...x, ...ups]);
+      };
+      curve = horizonCurve(horizons, predictAt, h0, dates.length).map((v, t) =>
+        t === 0 ? h0 : adjust(v)
+      );
+    } else {
+      // single next-row model of older versions, held per day; days 2 and 3
+      // are only extrapolated from it (the rows say model "legacy")
+      const preds = !st?.coef
+        ? [h0, h0, h0].map(adjust)
+        : (() => {
+            // day-2 temperature: mean of the forecast hours when available
+            const T2 =
+              meanForcingTemp(forcing, code, dates[24], 24) ??
+              r.air_temp_c ??
+              0;
+            const p1 = dot(st.coef, designRow(r)),
+              p2 = p1 * 0.98 + T2 * 0.1,
+              p3 = p2 * 0.98;
+            return [p1, p2, p3].map(adjust);
+          })();
+      curve = dates.map((_, t) => (t === 0 ? h0 : preds[Math.floor(t / 24)]));
+    }
+    curves.set(code, curve);
+
+    pushPoint(code, r, dates[0], h0, { observed: true });
+    const snaps = [null, null, null];
+    curve.forEach((v, t) => {
+      const stage_cm = Math.round(v * 10) / 10;
+      const dayStr = dates[t].toISOString().slice(0, 10);
       rows.push({
-        forecast_date: dayStarts[i].toISOString().slice(0, 10),
-        forecast_datetime: new Date(
-          dayStarts[i].getTime() + 23 * 3600 * 1000
-        ).toISOString(),
+        forecast_date: dayStr,
+        forecast_datetime: dates[t].toISOString(),
         station_code: code,
         station_name: r.station_name || s.station_name || "",
         river_name: r.river_name || s.river_name || "",
-        forecast_water_level_cm: Math.round((preds[i] ?? 0) * 10) / 10,
+        forecast_water_level_cm: stage_cm,
+        model: models[code].model,
       });
-    }
+      if (t > 0) {
+        pushPoint(
+          code,
+          r,
+          dates[t],
+          v,
+          forcingAt(forcing, code, null, dates[t])
+        );
+      }
+      if (dates[t].getUTCHours() === 23) {
+        snaps[dayStr === day0 ? 0 : dayStr === day1 ? 1 : 2] = stage_cm;
+      }
+    });
+
     table.push({
+      station_code: code,
       river: r.river_name || s.river_name || "",
       station: r.station_name || s.station_name || "",
-      date_today: dayStarts[0].toISOString().slice(0, 10),
-      wl_today_cm: Math.round((preds[0] ?? 0) * 10) / 10,
-      wl_tomorrow_cm: Math.round((preds[1] ?? 0) * 10) / 10,
-      wl_day_after_cm: Math.round((preds[2] ?? 0) * 10) / 10,
+      date_today: day0,
+      wl_today_cm: snaps[0],
+      wl_tomorrow_cm: snaps[1],
+      wl_day_after_cm: snaps[2],
+      model: models[code].model,
     });
-
-    // hourly series (flat between days in fallback)
-    series[code] = [];
-    for (let i = 0; i < 72; i++) {
-      const t = new Date(today.getTime() + i * 3600 * 1000);
-      const which = i < 24 ? 0 : i < 48 ? 1 : 2;
-      series[code].push({
-        t: t.toISOString(),
-        hour: String(t.getHours()).padStart(2, "0") + ":00",
-        wl_cm: Math.round((preds[which] ?? 0) * 10) / 10,
-        river_name: r.river_name || s.river_name || "",
-        station_name: r.station_name || s.station_name || "",
-      });
-    }
   }
 
   rows.sort(
@@ -510,5 +1211,5 @@ export async function forecastWaterLevels(
     (a, b) =>
       a.river.localeCompare(b.river) || a.station.localeCompare(b.station)
   );
-  return { rows, table, series };
+  return { rows, table, series, models };
 }
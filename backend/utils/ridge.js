@@ -0,0 +1,240 @@
+// backend/utils/ridge.js
+// Ridge regression on standardized predictors with the intercept left
+// unpenalized, blocked time-series cross-validation for the penalty, and the
+// statistics of the training report (coefficient intervals, residuals).
+// Design rows start with the intercept column (1); coefficients are returned
+// on the original scale so that prediction stays dot(coef, x).
+import { create, all } from "mathjs";
+
+const math = create(all, {});
+
+// penalties tried per station, weakest first
+export const LAMBDA_GRID = [0.01, 0.1, 1, 10, 100, 1000];
+export const DEFAULT_LAMBDA = 1;
+export const CV_FOLDS = 4;
+
+const round = (v, d = 2) =>
+  v == null ? null : Math.round(v * 10 ** d) / 10 ** d;
+
+/* ---------------- Fit ---------------- */
+
+// column means and standard deviations (intercept and constant columns get
+// sd 0 and are left out of the penalized fit)
+function scaling(X) {
+  const p = X[0].length,
+    n = X.length;
+  const mean = new Array(p).fill(0),
+    sd = new Array(p).fill(0);
+  for (let j = 1; j < p; j++) {
+    let s = 0;
+    for (const r of X) s += r[j];
+    mean[j] = s / n;
+    let ss = 0;
+    for (const r of X) ss += (r[j] - mean[j]) ** 2;
+    sd[j] = Math.sqrt(ss / n);
+    if (sd[j] < 1e-9) sd[j] = 0;
+  }
+  return { mean, sd };
+}
+
+// X: rows [1, x1, ...], y: targets. Returns { coef, lambda }; with
+// opts.stats also se (standard errors on the original scale, from the
+// sandwich covariance of the ridge estimate), df, sigma_cm and the residuals.
+export function fitRidge(X, y, lambda, opts = {}) {
+  const n = X.length,
+    p = X[0].length;
+  const { mean, sd } = scaling(X);
+  const cols = [];
+  for (let j = 1; j < p; j++) if (sd[j] > 0) cols.push(j);
+  const yMean = y.reduce((a, v) => a + v, 0) / n;
+
+  const coef = new Array(p).fill(0);
+  coef[0] = yMean;
+  if (!cols.length) {
+    return finish({ coef, X, y, n, lambda, mean, sd, cols, opts });
+  }
+
+  const Z = X.map((r) => cols.map((j) => (r[j] - mean[j]) / sd[j]));
+  const yc = y.map((v) => v - yMean);
+  const ZT = math.transpose(Z);
+  const ZTZ = math.multiply(ZT, Z);
+  const A = math.add(ZTZ, math.multiply(lambda, math.identity(cols.length)));
+  let Ainv;
+  try {
+    Ainv = math.inv(A);
+  } catch {
+    Ainv = math.inv(
+      math.add(A, math.multiply(1e-6, math.identity(cols.length)))
+    );
+  }
+  Ainv = Array.isArray(Ainv) ? Ainv : Ainv.toArray();
+  const b = math.multiply(Ainv, math.multiply(ZT, yc));
+
+  cols.forEach((j, k) => {
+    coef[j] = b[k] / sd[j];
+    coef[0] -= (b[k] * mean[j]) / sd[j];
+  });
+  return finish({ coef, X, y, n, lambda, mean, sd, cols, Ainv, ZTZ, opts });
+}
+
+function finish({ coef, X, y, n, lambda, mean, sd, cols, Ainv, ZTZ, opts }) {
+  if (!opts.stats) return { coef, lambda };
+
+  // effective degrees of freedom: 1 (intercept) + trace((Z'Z + λI)^-1 Z'Z)
+  const AinvZTZ = cols.length ? math.multiply(Ainv, ZTZ) : [];
+  let df = 1;
+  for (let k = 0; k < cols.length; k++) df += AinvZTZ[k][k];
+  const res = residuals(X, y, coef);
+  const sse = res.reduce((a, v) => a + v * v, 0);
+  const sigma2 = n > df ? sse / (n - df) : null;
+
+  const se = new Array(coef.length).fill(null);
+  if (sigma2 != null) {
+    // Cov(b) = σ² (Z'Z + λI)^-1 Z'Z (Z'Z + λI)^-1 on the standardized scale
+    const cov = cols.length
+      ? math.multiply(sigma2, math.multiply(AinvZTZ, Ainv))
+      : [];
+    cols.forEach((j, k) => {
+      se[j] = Math.sqrt(Math.max(cov[k][k], 0)) / sd[j];
+    });
+    // intercept = ȳ − Σ b_k m_k / s_k, with ȳ independent of the centered fit
+    let v0 = sigma2 / n;
+    cols.forEach((j, k) => {
+      cols.forEach((i, l) => {
+        v0 += (mean[j] / sd[j]) * (mean[i] / sd[i]) * cov[k][l];
+      });
+    });
+    se[0] = Math.sqrt(Math.max(v0, 0));
+  }
+  return {
+    coef,
+    lambda,
+    se,
+    df: round(df),
+    sigma_cm: sigma2 != null ? round(Math.sqrt(sigma2)) : null,
+    residuals: res,
+  };
+}
+
+/* ---------------- Errors ---------------- */
+
+export function residuals(X, y, coef) {
+  return X.map((r, i) => {
+    let s = 0;
+    for (let j = 0; j < r.length; j++) s += (coef[j] ?? 0) * r[j];
+    return s - y[i];
+  });
+}
+
+// residuals -> rmse / mae / bias
+export function errorStats(res) {
+  const n = res.length;
+  return {
+    rmse_cm: round(Math.sqrt(res.reduce((a, v) => a + v * v, 0) / n)),
+    mae_cm: round(res.reduce((a, v) => a + Math.abs(v), 0) / n),
+    bias_cm: round(res.reduce((a, v) => a + v, 0) / n),
+  };
+}
+
+// Residuals in time order (predicted − observed): spread, shape and serial
+// correlation. Durbin–Watson near 2 means no lag-1 autocorrelation.
+export function residualDiagnostics(res) {
+  const n = res.length;
+  if (!n) return null;
+  const mean = res.reduce((a, v) => a + v, 0) / n;
+  const m2 = res.reduce((a, v) => a + (v - mean) ** 2, 0) / n;
+  const m3 = res.reduce((a, v) => a + (v - mean) ** 3, 0) / n;
+  const m4 = res.reduce((a, v) => a + (v - mean) ** 4, 0) / n;
+  let num = 0,
+    dw = 0;
+  for (let i = 1; i < n; i++) {
+    num += (res[i] - mean) * (res[i - 1] - mean);
+    dw += (res[i] - res[i - 1]) ** 2;
+  }
+  const ss = m2 * n;
+  return {
+    n,
+    mean_cm: round(mean),
+    sd_cm: round(Math.sqrt(m2)),
+    max_abs_cm: round(Math.max(...res.map(Math.abs))),
+    skewness: m2 > 0 ? round(m3 / m2 ** 1.5, 3) : null,
+    excess_kurtosis: m2 > 0 ? round(m4 / m2 ** 2 - 3, 3) : null,
+    lag1_autocorr: ss > 0 ? round(num / ss, 3) : null,
+    durbin_watson: ss > 0 ? round(dw / ss, 3) : null,
+  };
+}
+
+// 95 % intervals (normal approximation around the ridge estimate, which is
+// shrunk towards zero, so they are indicative rather than exact)
+export function coefficientIntervals(features, fit) {
+  return fit.coef.map((c, i) => {
+    const se = fit.se?.[i] ?? null;
+    return {
+      feature: features[i] ?? `x${i}`,
+      coef: c,
+      se,
+      ci95: se != null ? [c - 1.96 * se, c + 1.96 * se] : null,
+    };
+  });
+}
+
+/* ---------------- Blocked time-series cross-validation ---------------- */
+
+// Samples { t, x, y } sorted by issue time are cut into folds + 1 contiguous
+// blocks; fold k trains on blocks 0..k and scores block k + 1. Training
+// samples whose target hour (t + leadMs) reaches into the scored block are
+// dropped so that no fold sees the hours it is scored on.
+export function blockedFolds(samples, leadMs, folds = CV_FOLDS, minTrain = 1) {
+  const out = [];
+  const size = samples.length / (folds + 1);
+  for (let k = 0; k < folds; k++) {
+    const start = Math.round((k + 1) * size),
+      end = Math.round((k + 2) * size);
+    const test = samples.slice(start, end);
+    if (!test.length) continue;
+    const train = samples
+      .slice(0, start)
+      .filter((s) => s.t + leadMs < test[0].t);
+    if (train.length < minTrain) continue;
+    out.push({ train, test });
+  }
+  return out;
+}
+
+// Mean squared error per λ over all (lead, fold) pairs of a station.
+// sets: [{ samples, leadMs }]. Returns { lambda, cv: [{ lambda, rmse_cm, n }] }
+// with the λ of the lowest error (DEFAULT_LAMBDA when no fold could be
+// scored).
+export function selectLambda(sets, minTrain, grid = LAMBDA_GRID) {
+  const cv = grid.map((lambda) => {
+    let se = 0,
+      n = 0;
+    for (const { samples, leadMs } of sets) {
+      for (const { train, test } of blockedFolds(
+        samples,
+        leadMs,
+        CV_FOLDS,
+        minTrain
+      )) {
+        const fit = fitRidge(
+          train.map((s) => s.x),
+          train.map((s) => s.y),
+          lambda
+        );
+        for (const r of residuals(
+          test.map((s) => s.x),
+          test.map((s) => s.y),
+          fit.coef
+        )) {
+          se += r * r;
+          n++;
+        }
+      }
+    }
+    return { lambda, rmse_cm: n ? round(Math.sqrt(se / n)) : null, n };
+  });
+  const scored = cv.filter((c) => c.rmse_cm != null);
+  if (!scored.length) return { lambda: DEFAULT_LAMBDA, cv: null };
+  const best = scored.reduce((a, c) => (c.rmse_cm < a.rmse_cm ? c : a));
+  return { lambda: best.lambda, cv };
+}
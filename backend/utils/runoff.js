@@ -0,0 +1,185 @@
+// backend/utils/runoff.js
+// Lumped HBV-style rainfall-runoff model per basin: snow (snow.js) -> soil
+// moisture -> upper / lower groundwater reservoirs -> outflow in m³/s.
+// Basin state (snow + storages) is carried between hourly steps and between
+// forecast runs (data/state/basins.json).
+import fs from "fs";
+
+import { snowStep, frozenRunoffCoeff, emptySnowState } from "./snow.js";
+
+/* ---------------- Parameters (basin_params.xlsx, optional columns) ---------------- */
+
+// Recession coefficients are per day, as usually quoted for HBV; they are
+// converted to the model step internally.
+export const RUNOFF_DEFAULTS = {
+  fc_mm: 150, // soil field capacity
+  beta: 2.0, // shape of the recharge curve
+  lp: 0.7, // fraction of FC above which ET is at its potential rate
+  k0_d: 0.3, // quick flow above uzl_mm
+  k1_d: 0.1, // interflow
+  k2_d: 0.02, // baseflow
+  uzl_mm: 20, // upper-zone threshold for quick flow
+  perc_mm_d: 1.5, // percolation upper -> lower zone
+  pet_mm_c_d: 0.15, // potential ET per °C above zero
+};
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// null when the basin has no area: the forecast then keeps the simple
+// baseflow + runoff_coeff × P inflow for it
+export function runoffParams(row) {
+  const area = num(row?.area_km2);
+  if (area == null || area <= 0) return null;
+  const p = { ...RUNOFF_DEFAULTS, area_km2: area };
+  for (const k of Object.keys(RUNOFF_DEFAULTS)) {
+    const v = num(row?.[k]);
+    if (v != null) p[k] = v;
+  }
+  return p;
+}
+
+// daily recession coefficient -> per step of dt_h hours
+function perStep(k_d, dt_h) {
+  return 1 - Math.pow(1 - Math.min(Math.max(k_d, 0), 0.999), dt_h / 24);
+}
+
+// mm over dt_h on area_km2 <-> m³/s
+export function mmToCms(mm, area_km2, dt_h = 1) {
+  return (mm * area_km2 * 1000) / (dt_h * 3600);
+}
+function cmsToMm(q, area_km2, dt_h = 1) {
+  return (q * dt_h * 3600) / (area_km2 * 1000);
+}
+
+/* ---------------- State ---------------- */
+
+// Cold start: soil at 60 % of FC, lower zone in equilibrium with baseflow_cms.
+export function initialBasinState(bp) {
+  const s = emptySnowState();
+  const prm = bp?.runoff;
+  if (prm) {
+    s.sm_mm = 0.6 * prm.fc_mm;
+    s.suz_mm = 0;
+    const q2 = cmsToMm(bp.baseflow_cms ?? 0, prm.area_km2);
+    s.slz_mm = q2 / perStep(prm.k2_d, 1);
+  }
+  return s;
+}
+
+/* ---------------- One time step ---------------- */
+
+function hbvStep(s, water, T, frozen, prm, frozenShare, dt_h) {
+  // frozen ground: part of the water bypasses the soil
+  const direct = water * frozenShare * frozen;
+  const infil = water - direct;
+
+  // soil moisture accounting
+  const ratio = Math.min(s.sm_mm / prm.fc_mm, 1);
+  let recharge = infil * Math.pow(ratio, prm.beta);
+  s.sm_mm += infil - recharge;
+  if (s.sm_mm > prm.fc_mm) {
+    recharge += s.sm_mm - prm.fc_mm;
+    s.sm_mm = prm.fc_mm;
+  }
+  const pet = (prm.pet_mm_c_d * Math.max(T ?? 0, 0) * dt_h) / 24;
+  const et = Math.min(
+    pet * Math.min(s.sm_mm / (prm.lp * prm.fc_mm), 1),
+    s.sm_mm
+  );
+  s.sm_mm -= et;
+
+  // response function
+  s.suz_mm += recharge + direct;
+  const perc = Math.min((prm.perc_mm_d * dt_h) / 24, s.suz_mm);
+  s.suz_mm -= perc;
+  s.slz_mm += perc;
+
+  const q0 = perStep(prm.k0_d, dt_h) * Math.max(s.suz_mm - prm.uzl_mm, 0);
+  s.suz_mm -= q0;
+  const q1 = perStep(prm.k1_d, dt_h) * s.suz_mm;
+  s.suz_mm -= q1;
+  const q2 = perStep(prm.k2_d, dt_h) * s.slz_mm;
+  s.slz_mm -= q2;
+
+  return { q_mm: q0 + q1 + q2, et_mm: et };
+}
+
+// P (mm), T (°C) for one step. Returns the new state and the basin outflow:
+// - with runoff params: lumped HBV outflow for the whole basin (lumped: true)
+// - without: the legacy baseflow + runoff_coeff × (rain + melt) per station
+export function basinStep(state, P, T, bp, dt_h = 1) {
+  const s = { ...initialBasinState(bp), ...state };
+  let water = Math.max(P ?? 0, 0);
+  let frozen = 0;
+  if (bp?.snow && T != null) {
+    const st = snowStep(s, P, T, bp.snow, dt_h);
+    Object.assign(s, st.state);
+    water = st.water_mm;
+    frozen = st.frozen_fraction;
+  }
+
+  if (!bp?.runoff) {
+    const rc = bp?.snow
+      ? frozenRunoffCoeff(bp?.runoff_coeff, frozen, bp.snow)
+      : (bp?.runoff_coeff ?? 0.2);
+    return {
+      state: s,
+      water_mm: water,
+      frozen,
+      q_cms: (bp?.baseflow_cms ?? 0) + water * rc, // calibration knob
+      lumped: false,
+    };
+  }
+
+  const frozenShare = bp.snow?.frozen_runoff_max ?? 0;
+  const h = hbvStep(s, water, T, frozen, bp.runoff, frozenShare, dt_h);
+  return {
+    state: s,
+    water_mm: water,
+    frozen,
+    q_mm: h.q_mm,
+    q_cms: mmToCms(h.q_mm, bp.runoff.area_km2, dt_h),
+    lumped: true,
+  };
+}
+
+/* ---------------- Warm-up over observed hours ---------------- */
+
+// obs: [{ t (ISO hour), precipitation_mm, air_temp_c }] ascending.
+// Steps only through hours after state.t and up to `until` (inclusive); a
+// basin without state starts cold at the first observed hour.
+export function advanceBasinState(state, obs, bp, until = null) {
+  let s = { ...initialBasinState(bp), ...state };
+  const last = s.t ? Date.parse(s.t) : -Infinity;
+  const stop = until ? new Date(until).getTime() : Infinity;
+  for (const o of obs || []) {
+    const t = Date.parse(o.t);
+    if (!(t > last) || t > stop) continue;
+    s = { ...basinStep(s, o.precipitation_mm, o.air_temp_c, bp).state, t: o.t };
+  }
+  return s;
+}
+
+/* ---------------- Persistence ---------------- */
+
+export function loadBasinState(filePath) {
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return new Map(Object.entries(raw.basins || {}));
+  } catch {
+    return new Map();
+  }
+}
+
+export function saveBasinState(filePath, states) {
+  const body = {
+    updatedAt: new Date().toISOString(),
+    basins: Object.fromEntries(states),
+  };
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(body, null, 2), "utf8");
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
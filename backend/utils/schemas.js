@@ -0,0 +1,426 @@
+// backend/utils/schemas.js
+// Input schemas of the upload routes and the validator that checks a
+// workbook against them. A schema names the sheet and its columns:
+//   { type: "string" | "number" | "datetime", required, unit,
+//     min / max     hard limits (errors: impossible values),
+//     plausible     [lo, hi] (warnings: possible, but probably a unit or typo) }
+// `station` says how rows identify their station: "row" (station_code,
+// station_kodas, station_id or station_name) or "row_or_file" (historical
+// files may be named after the station instead).
+import XLSX from "xlsx";
+import path from "path";
+
+const STATION_IDS = [
+  "station_code",
+  "station_kodas",
+  "station_id",
+  "station_name",
+];
+
+// reported issues per severity; the counts are always complete
+export const MAX_ISSUES = 100;
+
+const text = { type: "string" };
+const num = (extra = {}) => ({ type: "number", ...extra });
+
+const stationCols = {
+  station_code: text,
+  station_kodas: text,
+  station_id: text,
+  station_name: text,
+};
+const time = { type: "datetime", required: true, unit: "UTC" };
+const level = num({ required: true, unit: "cm", plausible: [-500, 2000] });
+const precip = num({ unit: "mm/h", min: 0, plausible: [0, 100] });
+const airTemp = num({ unit: "°C", plausible: [-50, 45] });
+const thresholdLevel = num({ unit: "cm", plausible: [-500, 2000] });
+
+export const SCHEMAS = {
+  metadata: {
+    label: "Station metadata",
+    sheet: "stations_meta",
+    key: ["station_code"],
+    columns: {
+      station_code: { type: "string", required: true },
+      station_kodas: text,
+      station_id: text,
+      station_name: text,
+      river_name: text,
+      basin_name: text,
+      x_coord: num({ unit: "m (LKS-94)", plausible: [300000, 700000] }),
+      y_coord: num({ unit: "m (LKS-94)", plausible: [5950000, 6300000] }),
+      roughness_n: num({ min: 0, plausible: [0.01, 0.2] }),
+      local_area_km2: num({ unit: "km²", min: 0, plausible: [1, 100000] }),
+      datum_offset_cm: num({ unit: "cm", plausible: [-1000, 1000] }),
+      min_level_cm: thresholdLevel,
+      max_level_cm: thresholdLevel,
+      assimilation: text,
+      model: text,
+      aliases: text,
+    },
+  },
+  thresholds: {
+    label: "Warning thresholds",
+    sheet: "thresholds",
+    station: "row",
+    key: ["station_code"],
+    columns: {
+      ...stationCols,
+      river_name: text,
+      avg_level_cm: thresholdLevel,
+      min_level_cm: thresholdLevel,
+      max_level_cm: thresholdLevel,
+      pavojingas_level_cm: thresholdLevel,
+      stichinis_level_cm: thresholdLevel,
+      katastrofinis_level_cm: thresholdLevel,
+      katastrovinis_level_cm: thresholdLevel, // as spelled in the shipped file
+    },
+  },
+  current_water: {
+    label: "Current water levels",
+    sheet: "water_levels",
+    station: "row",
+    key: ["station_code", "datetime_utc"],
+    columns: {
+      ...stationCols,
+      river_name: text,
+      datetime_utc: time,
+      water_level_cm: level,
+    },
+  },
+  current_precip: {
+    label: "Current precipitation",
+    sheet: "precip",
+    station: "row",
+    key: ["station_code", "datetime_utc"],
+    columns: {
+      ...stationCols,
+      basin_name: text,
+      datetime_utc: time,
+      precipitation_mm: { ...precip, required: true },
+    },
+  },
+  current_air: {
+    label: "Current air temperature",
+    sheet: "air_temp",
+    station: "row",
+    key: ["station_code", "datetime_utc"],
+    columns: {
+      ...stationCols,
+      datetime_utc: time,
+      air_temp_c: { ...airTemp, required: true },
+    },
+  },
+  forecast_precip: {
+    label: "Precipitation forecast",
+    sheet: "forecast_precip",
+    station: "row",
+    key: ["station_code", "datetime_utc"],
+    columns: {
+      ...stationCols,
+      basin_name: text,
+      datetime_utc: time,
+      precipitation_mm: { ...precip, required: true },
+    },
+  },
+  forecast_air: {
+    label: "Air temperature forecast",
+    sheet: "forecast_air",
+    station: "row",
+    key: ["station_code", "datetime_utc"],
+    columns: {
+      ...stationCols,
+      datetime_utc: time,
+      air_temp_c: { ...airTemp, required: true },
+    },
+  },
+  historical: {
+    label: "Historical observations",
+    sheet: "historical",
+    station: "row_or_file",
+    key: ["station_code", "datetime_utc"],
+    // at least one observed variable per file
+    anyOf: [
+      "water_level_cm",
+      "precipitation_mm",
+      "air_temp_c",
+      "discharge_m3s",
+    ],
+    columns: {
+      ...stationCols,
+      datetime_utc: time,
+      water_level_cm: { ...level, required: false },
+      precipitation_mm: precip,
+      air_temp_c: airTemp,
+      discharge_m3s: num({ unit: "m³/s", min: 0, plausible: [0, 10000] }),
+    },
+  },
+  network: {
+    label: "River network",
+    sheet: "reaches",
+    key: ["from_code", "to_code"],
+    columns: {
+      from_code: { type: "string", required: true },
+      to_code: { type: "string", required: true },
+      length_km: num({ unit: "km", min: 0, plausible: [0.1, 500] }),
+      slope_m_m: num({ unit: "m/m", min: 0, plausible: [0.000001, 0.05] }),
+      n_mann: num({ min: 0, plausible: [0.01, 0.2] }),
+      width_m: num({ unit: "m", min: 0, plausible: [1, 2000] }),
+      depth_m: num({ unit: "m", min: 0, plausible: [0.1, 30] }),
+    },
+  },
+  rating: {
+    label: "Rating curves",
+    sheet: "rating",
+    station: "row",
+    columns: {
+      ...stationCols,
+      h_min_cm: num({ unit: "cm" }),
+      h_max_cm: num({ unit: "cm" }),
+      h0_cm: num({ unit: "cm", plausible: [-1000, 2000] }),
+      a: num({ required: true, min: 0 }),
+      b: num({ required: true, min: 0, plausible: [0.5, 5] }),
+    },
+  },
+  basin: {
+    label: "Basin parameters",
+    sheet: "basins",
+    key: ["basin_name"],
+    columns: {
+      basin_name: { type: "string", required: true },
+      area_km2: num({ unit: "km²", min: 0, plausible: [1, 100000] }),
+      runoff_coeff: num({ min: 0, max: 1 }),
+      baseflow_cms: num({ unit: "m³/s", min: 0 }),
+      t_snow_c: num({ unit: "°C", plausible: [-5, 5] }),
+      t_melt_c: num({ unit: "°C", plausible: [-5, 5] }),
+      ddf_mm_c_day: num({ unit: "mm/°C/day", min: 0, plausible: [0.5, 10] }),
+      whc: num({ min: 0, max: 1 }),
+      cfgi_frozen: num({ min: 0 }),
+      frozen_runoff_max: num({ min: 0, max: 1 }),
+      fc_mm: num({ unit: "mm", min: 0, plausible: [10, 1000] }),
+      beta: num({ min: 0, plausible: [0.5, 10] }),
+      lp: num({ min: 0, max: 1 }),
+      k0_d: num({ unit: "1/day", min: 0, max: 1 }),
+      k1_d: num({ unit: "1/day", min: 0, max: 1 }),
+      k2_d: num({ unit: "1/day", min: 0, max: 1 }),
+      uzl_mm: num({ unit: "mm", min: 0 }),
+      perc_mm_d: num({ unit: "mm/day", min: 0 }),
+      pet_mm_c_d: num({ unit: "mm/°C/day", min: 0 }),
+    },
+  },
+};
+
+/* ---------------- Cell checks ---------------- */
+
+// "YYYY-MM-DD HH:mm[:ss]" (UTC), ISO 8601 with a zone, or an Excel serial
+const DATETIME_RE =
+  /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d\d:?\d\d)?$/i;
+
+function isEmpty(v) {
+  return v === null || v === undefined || String(v).trim() === "";
+}
+
+// problem with a non-empty cell: { level, message } or null
+function checkCell(v, col) {
+  if (col.type === "number") {
+    const n = typeof v === "number" ? v : Number(String(v).trim());
+    if (!Number.isFinite(n)) {
+      return { level: "error", message: "not a number" };
+    }
+    const unit = col.unit ? ` ${col.unit}` : "";
+    if (col.min != null && n < col.min) {
+      return { level: "error", message: `below ${col.min}${unit}` };
+    }
+    if (col.max != null && n > col.max) {
+      return { level: "error", message: `above ${col.max}${unit}` };
+    }
+    const [lo, hi] = col.plausible || [];
+    if ((lo != null && n < lo) || (hi != null && n > hi)) {
+      return {
+        level: "warning",
+        message: `outside the plausible range ${lo}…${hi}${unit}`,
+      };
+    }
+  } else if (col.type === "datetime") {
+    if (v instanceof Date || typeof v === "number") return null;
+    const s = String(v).trim();
+    if (
+      !DATETIME_RE.test(s) ||
+      !Number.isFinite(Date.parse(s.replace(" ", "T")))
+    ) {
+      return {
+        level: "error",
+        message: "not a timestamp (YYYY-MM-DD HH:mm:ss UTC or ISO 8601)",
+      };
+    }
+  }
+  return null;
+}
+
+/* ---------------- Validation ---------------- */
+
+// Checks sheet, columns and every cell of the workbook against the schema.
+// opts.fileName: original name (historical files may be named after the
+// station). Returns { ok, type, file, sheet, rows, columns, errors, warnings,
+// error_count, warning_count }; issues are { row, column, cell, value, message }
+// with spreadsheet row numbers (the header is row 1).
+export function validateWorkbook(filePath, type, opts = {}) {
+  const schema = SCHEMAS[type];
+  if (!schema) throw new Error(`Unknown input type: ${type}.`);
+  const report = {
+    ok: true,
+    type,
+    file: opts.fileName || path.basename(filePath),
+    sheet: schema.sheet,
+    rows: 0,
+    columns: [],
+    errors: [],
+    warnings: [],
+    error_count: 0,
+    warning_count: 0,
+  };
+  const add = (level, issue) => {
+    const list = level === "error" ? report.errors : report.warnings;
+    if (level === "error") report.error_count++;
+    else report.warning_count++;
+    if (list.length < MAX_ISSUES) list.push(issue);
+  };
+  const finish = () => {
+    report.ok = report.error_count === 0;
+    return report;
+  };
+
+  let wb;
+  try {
+    wb = XLSX.readFile(filePath);
+  } catch (e) {
+    add("error", { message: `Not a readable workbook: ${e.message}` });
+    return finish();
+  }
+  const sheet = wb.Sheets[schema.sheet];
+  if (!sheet) {
+    add("error", {
+      message: `Sheet "${schema.sheet}" not found (sheets: ${wb.SheetNames.join(", ") || "none"}).`,
+    });
+    return finish();
+  }
+
+  // header row and its position, for cell references
+  const range = XLSX.utils.decode_range(sheet["!ref"] || "A1:A1");
+  const header = (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(
+    (h) => String(h ?? "").trim()
+  );
+  report.columns = header.filter(Boolean);
+  const cellOf = (i, column) => {
+    const c = header.indexOf(column);
+    return c < 0
+      ? null
+      : XLSX.utils.encode_cell({ r: range.s.r + 1 + i, c: range.s.c + c });
+  };
+
+  for (const [name, col] of Object.entries(schema.columns)) {
+    if (col.required && !header.includes(name)) {
+      add("error", { column: name, message: "required column missing" });
+    }
+  }
+  for (const h of report.columns) {
+    if (!schema.columns[h]) {
+      add("warning", {
+        column: h,
+        cell: cellOf(-1, h),
+        message: "unknown column, ignored",
+      });
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some((c) => header.includes(c))) {
+    add("error", {
+      message: `needs at least one of the columns ${schema.anyOf.join(", ")}`,
+    });
+  }
+  const byFile =
+    schema.station === "row_or_file" && opts.fileName
+      ? path.basename(opts.fileName, path.extname(opts.fileName))
+      : null;
+  if (
+    schema.station &&
+    !byFile &&
+    !STATION_IDS.some((c) => header.includes(c))
+  ) {
+    add("error", {
+      message: `needs a station column (${STATION_IDS.join(", ")})`,
+    });
+  }
+  if (report.error_count) return finish();
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
+  report.rows = rows.length;
+  if (!rows.length) {
+    add("error", { message: `Sheet "${schema.sheet}" has no data rows.` });
+    return finish();
+  }
+
+  const seen = new Map(); // key -> first row
+  rows.forEach((r, i) => {
+    const row = i + 2;
+    for (const [name, col] of Object.entries(schema.columns)) {
+      const v = r[name];
+      if (isEmpty(v)) {
+        if (col.required && header.includes(name)) {
+          add("error", {
+            row,
+            column: name,
+            cell: cellOf(i, name),
+            value: null,
+            message: "empty",
+          });
+        }
+        continue;
+      }
+      const p = checkCell(v, col);
+      if (p) {
+        add(p.level, {
+          row,
+          column: name,
+          cell: cellOf(i, name),
+          value: v,
+          message: p.message,
+        });
+      }
+    }
+    if (schema.station && !byFile && STATION_IDS.every((c) => isEmpty(r[c]))) {
+      add("error", { row, message: "no station identifier" });
+    }
+    if (schema.key) {
+      const k = schema.key.map((c) => String(r[c] ?? "").trim()).join("|");
+      if (seen.has(k)) {
+        add("warning", {
+          row,
+          message: `duplicate of row ${seen.get(k)} (${schema.key.join(", ")}); the later row wins`,
+        });
+      } else seen.set(k, row);
+    }
+  });
+  return finish();
+}
+
+// report of a file that could not be read at all
+export function unreadableReport(type, file, message) {
+  return {
+    ok: false,
+    type,
+    file,
+    sheet: SCHEMAS[type]?.sheet ?? null,
+    rows: 0,
+    columns: [],
+    errors: [{ message }],
+    warnings: [],
+    error_count: 1,
+    warning_count: 0,
+  };
+}
+
+// one-line summary for error messages
+export function reportSummary(report) {
+  const schema = SCHEMAS[report.type];
+  return `${report.file}: ${report.error_count} error(s), ${report.warning_count} warning(s) against the ${schema?.label ?? report.type} schema`;
+}
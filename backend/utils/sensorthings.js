@@ -0,0 +1,322 @@
+// backend/utils/sensorthings.js
+// Read-only OGC SensorThings API (v1.1) view of the stations and their water
+// levels. Things, Locations and FeaturesOfInterest are the stations; each
+// station has an "observed" Datastream (gauge values from the observation
+// store, QC flag as resultQuality) and a "forecast" one (the last forecast
+// run). Ids are strings: the station code, "<code>-observed" /
+// "<code>-forecast" for Datastreams and "<datastream>-<YYYY-MM-DDTHH>" for
+// Observations. Paths may navigate (Things('101')/Datastreams); of the query
+// options $top, $skip and $count are supported.
+import { stationLatLon } from "./geo.js";
+import { hourKey } from "./time.js";
+
+export const STA_VERSION = "v1.1";
+
+export const ENTITY_SETS = [
+  "Things",
+  "Locations",
+  "HistoricalLocations",
+  "Datastreams",
+  "Sensors",
+  "ObservedProperties",
+  "Observations",
+  "FeaturesOfInterest",
+];
+
+const DEFAULT_TOP = 100;
+const MAX_TOP = 10000;
+const QUERY_OPTIONS = ["$top", "$skip", "$count"];
+
+const CONFORMANCE = [
+  "http://www.opengis.net/spec/iot_sensing/1.1/req/datamodel",
+  "http://www.opengis.net/spec/iot_sensing/1.1/req/resource-path/resource-path-to-entities",
+  "http://www.opengis.net/spec/iot_sensing/1.1/req/request-data/top",
+  "http://www.opengis.net/spec/iot_sensing/1.1/req/request-data/skip",
+  "http://www.opengis.net/spec/iot_sensing/1.1/req/request-data/count",
+];
+const OM_MEASUREMENT =
+  "http://www.opengis.net/def/observationType/OGC-OM/2.0/OM_Measurement";
+const CENTIMETRE = {
+  name: "centimetre",
+  symbol: "cm",
+  definition:
+    "http://www.qudt.org/qudt/owl/1.0.0/unit/Instances.html#Centimeter",
+};
+
+function staError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/* ---------------- Entities ---------------- */
+
+// { set, id, body, nav: { name: () => entity | entity[] | null } }
+function entity(set, id, body) {
+  return { set, id, body, nav: {} };
+}
+
+// data: { stations: [stations_meta-like rows], observed / forecast:
+// Map(code -> [{ t, value, flag? , warning_level?, model? }]), issued_at,
+// model_version } -> { set name: [entities] }
+export function buildSensorThings(data) {
+  const sets = Object.fromEntries(ENTITY_SETS.map((s) => [s, []]));
+  const add = (e) => {
+    sets[e.set].push(e);
+    return e;
+  };
+
+  const property = add(
+    entity("ObservedProperties", "water_level", {
+      name: "Water level",
+      definition: "urn:akvamanas:property:water_level",
+      description: "Water level above the gauge datum",
+    })
+  );
+  const sensors = {
+    observed: add(
+      entity("Sensors", "gauge", {
+        name: "Water level gauge",
+        description:
+          "Hourly gauge readings (uploads and telemetry); resultQuality is the quality control flag",
+        encodingType: "text/plain",
+        metadata: "good, filled, suspect, bad or missing",
+      })
+    ),
+    forecast: add(
+      entity("Sensors", "forecast", {
+        name: "AKVAMANAS forecast",
+        description: "Hourly water level forecast, 72 h ahead",
+        encodingType: "text/plain",
+        metadata: data.model_version
+          ? `model ${data.model_version}`
+          : "AKVAMANAS",
+      })
+    ),
+  };
+
+  for (const st of data.stations) {
+    const code = st.station_code;
+    const name = st.station_name || code;
+    const pos = stationLatLon(st);
+    const point = pos
+      ? { type: "Point", coordinates: [pos.lon, pos.lat] }
+      : null;
+
+    const thing = add(
+      entity("Things", code, {
+        name,
+        description: `Water level station ${name}${
+          st.river_name ? ` on ${st.river_name}` : ""
+        }`,
+        properties: {
+          station_code: code,
+          station_kodas: st.station_kodas ?? null,
+          river_name: st.river_name ?? null,
+          basin_name: st.basin_name ?? null,
+        },
+      })
+    );
+    const location = point
+      ? add(
+          entity("Locations", code, {
+            name,
+            description: `Gauge ${name}`,
+            encodingType: "application/geo+json",
+            location: point,
+          })
+        )
+      : null;
+    const feature = point
+      ? add(
+          entity("FeaturesOfInterest", code, {
+            name,
+            description: `Water level at ${name}`,
+            encodingType: "application/geo+json",
+            feature: point,
+          })
+        )
+      : null;
+
+    const streams = [];
+    for (const series of ["observed", "forecast"]) {
+      const points = data[series]?.get(code);
+      if (!points?.length) continue;
+      const forecast = series === "forecast";
+      const first = points[0].t;
+      const last = points[points.length - 1].t;
+      const issued = data.issued_at;
+      const ds = add(
+        entity("Datastreams", `${code}-${series}`, {
+          name: `${name} ${series} water level`,
+          description: forecast
+            ? `Forecast water level at ${name}`
+            : `Observed water level at ${name}`,
+          observationType: OM_MEASUREMENT,
+          unitOfMeasurement: CENTIMETRE,
+          phenomenonTime: `${first}/${last}`,
+          ...(forecast && issued ? { resultTime: `${issued}/${issued}` } : {}),
+          properties: {
+            series,
+            ...(forecast ? { model_version: data.model_version ?? null } : {}),
+          },
+        })
+      );
+      const observations = points.map((p) => {
+        const o = entity(
+          "Observations",
+          `${ds.id}-${hourKey(p.t)}`,
+          forecast
+            ? {
+                phenomenonTime: p.t,
+                resultTime: issued ?? null,
+                result: p.value,
+                parameters: {
+                  warning_level: p.warning_level ?? null,
+                  model: p.model ?? null,
+                },
+              }
+            : {
+                phenomenonTime: p.t,
+                resultTime: p.t,
+                result: p.value,
+                resultQuality: p.flag ?? null,
+              }
+        );
+        o.nav.Datastream = () => ds;
+        o.nav.FeatureOfInterest = () => feature;
+        return add(o);
+      });
+      ds.nav.Thing = () => thing;
+      ds.nav.Sensor = () => sensors[series];
+      ds.nav.ObservedProperty = () => property;
+      ds.nav.Observations = () => observations;
+      streams.push(ds);
+    }
+
+    thing.nav.Locations = () => (location ? [location] : []);
+    thing.nav.HistoricalLocations = () => [];
+    thing.nav.Datastreams = () => streams;
+    if (location) {
+      location.nav.Things = () => [thing];
+      location.nav.HistoricalLocations = () => [];
+    }
+    if (feature) {
+      feature.nav.Observations = () =>
+        streams.flatMap((ds) => ds.nav.Observations());
+    }
+  }
+
+  for (const [series, sensor] of Object.entries(sensors)) {
+    sensor.nav.Datastreams = () =>
+      sets.Datastreams.filter((d) => d.body.properties.series === series);
+  }
+  property.nav.Datastreams = () => sets.Datastreams;
+  return sets;
+}
+
+/* ---------------- Requests ---------------- */
+
+// "Things('101')/Datastreams" -> [{ name: "Things", id: "101" },
+// { name: "Datastreams", id: null }]; ids are quoted ('' for a quote)
+function parsePath(p) {
+  return p
+    .split("/")
+    .filter(Boolean)
+    .map((part) => {
+      const m = part.match(/^(\w+)(?:\((?:'((?:[^']|'')*)'|(\d+))\))?$/);
+      if (!m) throw staError(400, `Invalid path segment: ${part}`);
+      const id = m[2] != null ? m[2].replace(/''/g, "'") : (m[3] ?? null);
+      return { name: m[1], id };
+    });
+}
+
+function pick(list, seg) {
+  const e = list.find((x) => x.id === seg.id);
+  if (!e) throw staError(404, `No ${seg.name}('${seg.id}').`);
+  return e;
+}
+
+function selfLink(base, e) {
+  return `${base}/${e.set}('${encodeURIComponent(e.id.replace(/'/g, "''"))}')`;
+}
+
+function render(e, base) {
+  const self = selfLink(base, e);
+  const out = { "@iot.id": e.id, "@iot.selfLink": self, ...e.body };
+  for (const name of Object.keys(e.nav)) {
+    out[`${name}@iot.navigationLink`] = `${self}/${name}`;
+  }
+  return out;
+}
+
+function queryInt(query, key, fallback) {
+  if (query[key] == null) return fallback;
+  const n = Number(query[key]);
+  if (!Number.isInteger(n) || n < 0) {
+    throw staError(400, `${key} must be a non-negative integer.`);
+  }
+  return n;
+}
+
+// service root document
+export function staServiceRoot(base) {
+  return {
+    value: ENTITY_SETS.map((name) => ({ name, url: `${base}/${name}` })),
+    serverSettings: { conformance: CONFORMANCE },
+  };
+}
+
+// Response body of GET <base>/<resourcePath>?<query>; throws errors with
+// status 400 / 404
+export function staResponse(sets, resourcePath, query, base) {
+  const unsupported = Object.keys(query).filter(
+    (k) => k.startsWith("$") && !QUERY_OPTIONS.includes(k)
+  );
+  if (unsupported.length) {
+    throw staError(
+      400,
+      `Not supported: ${unsupported.join(", ")}. This read-only view supports ${QUERY_OPTIONS.join(", ")}.`
+    );
+  }
+
+  const [first, ...rest] = parsePath(resourcePath);
+  if (!sets[first.name]) throw staError(404, `No entity set ${first.name}.`);
+  let target =
+    first.id != null ? pick(sets[first.name], first) : sets[first.name];
+  for (const [i, seg] of rest.entries()) {
+    if (Array.isArray(target)) {
+      throw staError(400, `${seg.name}: navigation from a collection.`);
+    }
+    const nav = target.nav[seg.name];
+    if (!nav) {
+      // a property of the entity, as the last segment
+      if (i === rest.length - 1 && seg.id == null && seg.name in target.body) {
+        return { [seg.name]: target.body[seg.name] };
+      }
+      throw staError(404, `No ${seg.name} on ${target.set}.`);
+    }
+    target = nav();
+    if (target == null) throw staError(404, `No ${seg.name}.`);
+    if (seg.id != null) {
+      if (!Array.isArray(target)) {
+        throw staError(400, `${seg.name} is a single entity.`);
+      }
+      target = pick(target, seg);
+    }
+  }
+  if (!Array.isArray(target)) return render(target, base);
+
+  const top = Math.min(queryInt(query, "$top", DEFAULT_TOP), MAX_TOP);
+  const skip = queryInt(query, "$skip", 0);
+  const count = String(query.$count ?? "false") === "true";
+  const out = {};
+  if (count) out["@iot.count"] = target.length;
+  out.value = target.slice(skip, skip + top).map((e) => render(e, base));
+  if (skip + top < target.length) {
+    out["@iot.nextLink"] =
+      `${base}/${resourcePath}?$top=${top}&$skip=${skip + top}` +
+      (count ? "&$count=true" : "");
+  }
+  return out;
+}
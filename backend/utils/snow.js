@@ -0,0 +1,100 @@
+// backend/utils/snow.js
+// Degree-day snow accumulation / melt and a frozen-ground index per basin.
+// Stepped as part of the basin model in runoff.js, which also keeps the state.
+
+/* ---------------- Parameters (basin_params.xlsx, optional columns) ---------------- */
+
+export const SNOW_DEFAULTS = {
+  t_snow_c: 1.0, // below: precipitation falls as snow
+  t_melt_c: 0.0, // above: snowpack melts
+  ddf_mm_c_day: 3.0, // degree-day factor
+  whc: 0.1, // liquid water the pack can hold (fraction of SWE)
+  cfgi_frozen: 50, // frozen-ground index at which soil counts as fully frozen
+  frozen_runoff_max: 0.6, // extra share of water that runs off on frozen soil
+};
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function snowParams(row) {
+  const p = { ...SNOW_DEFAULTS };
+  for (const k of Object.keys(SNOW_DEFAULTS)) {
+    const v = num(row?.[k]);
+    if (v != null) p[k] = v;
+  }
+  return p;
+}
+
+export function emptySnowState() {
+  return { swe_mm: 0, liquid_mm: 0, cfgi: 0, t: null };
+}
+
+/* ---------------- One time step ---------------- */
+
+// P (mm over the step), T (°C), dt_h (hours). Returns the new state, the water
+// leaving the pack (rain passing through + released melt) and the frozen
+// fraction of the soil (0..1).
+export function snowStep(state, P, T, prm, dt_h = 1) {
+  const s = { ...emptySnowState(), ...state };
+  const precip = Math.max(P ?? 0, 0);
+  const temp = T ?? 0;
+
+  // partition precipitation
+  let rain = precip,
+    snow = 0;
+  if (temp < prm.t_snow_c) {
+    snow = precip;
+    rain = 0;
+  }
+  s.swe_mm += snow;
+
+  // melt / refreeze
+  const ddf_h = prm.ddf_mm_c_day / 24;
+  if (temp > prm.t_melt_c) {
+    const melt = Math.min(s.swe_mm, ddf_h * (temp - prm.t_melt_c) * dt_h);
+    s.swe_mm -= melt;
+    s.liquid_mm += melt;
+  } else if (s.liquid_mm > 0) {
+    const refreeze = Math.min(
+      s.liquid_mm,
+      0.05 * ddf_h * (prm.t_melt_c - temp) * dt_h
+    );
+    s.liquid_mm -= refreeze;
+    s.swe_mm += refreeze;
+  }
+
+  // rain on snow is held until the pack is saturated
+  s.liquid_mm += rain;
+  const capacity = prm.whc * s.swe_mm;
+  let out = 0;
+  if (s.liquid_mm > capacity) {
+    out = s.liquid_mm - capacity;
+    s.liquid_mm = capacity;
+  }
+  if (s.swe_mm <= 1e-6) {
+    out += s.liquid_mm;
+    s.swe_mm = 0;
+    s.liquid_mm = 0;
+  }
+
+  // continuous frozen-ground index (Molnau & Bissell): decays daily by 0.97,
+  // grows with frost, damped by snow cover (depth_cm ≈ SWE_mm / 3 at density 0.3)
+  const depth_cm = s.swe_mm / 3;
+  const decay = Math.pow(0.97, dt_h / 24);
+  s.cfgi = Math.max(
+    0,
+    decay * s.cfgi - ((temp * dt_h) / 24) * Math.exp(-0.4 * 0.5 * depth_cm)
+  );
+  const frozen = Math.min(Math.max(s.cfgi / prm.cfgi_frozen, 0), 1);
+
+  return { state: s, water_mm: out, frozen_fraction: frozen };
+}
+
+// Share of water that becomes quick runoff once the ground is (partly) frozen.
+export function frozenRunoffCoeff(runoffCoeff, frozen, prm) {
+  const rc = runoffCoeff ?? 0.2;
+  return rc + (1 - rc) * prm.frozen_runoff_max * (frozen ?? 0);
+}
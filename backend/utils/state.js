@@ -0,0 +1,133 @@
+// backend/utils/state.js
+// Durable server state in data/state: app.json holds the input manifest
+// (paths relative to the backend directory, so the tree can move between
+// machines) and the forecast history; last_forecast.json the last forecast
+// as served by /api/forecast/hourly. Every write goes to a temporary file
+// that is flushed to disk and renamed over the old one, so a crash mid-write
+// leaves the previous state intact.
+import fs from "fs";
+import path from "path";
+
+export const STATE_VERSION = 1;
+const STATE_FILE = "app.json";
+const FORECAST_FILE = "last_forecast.json";
+// forecast runs kept in the history (the workbooks stay in output/)
+export const FORECAST_HISTORY = 100;
+
+export function emptyManifest() {
+  return {
+    metadata: null, // stations_metadata.xlsx
+    thresholds: null, // stations_thresholds.xlsx
+    current: { water: null, precip: null, air: null },
+    historical: [], // array of files
+    hydro: { network: null, rating: null, basin: null },
+    forecast: { precip: null, air: null }, // hourly meteo forecasts
+  };
+}
+
+/* ---------------- Files ---------------- */
+
+function writeJsonDurable(filePath, body) {
+  const tmp = `${filePath}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(body, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, filePath);
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/* ---------------- Paths ---------------- */
+
+// manifest with fn applied to every path; paths fn maps to null are dropped
+export function mapManifest(manifest, fn) {
+  const out = emptyManifest();
+  const m = manifest || {};
+  out.metadata = m.metadata ? fn(m.metadata) : null;
+  out.thresholds = m.thresholds ? fn(m.thresholds) : null;
+  for (const group of ["current", "hydro", "forecast"]) {
+    for (const k of Object.keys(out[group])) {
+      const p = m[group]?.[k];
+      out[group][k] = p ? fn(p) : null;
+    }
+  }
+  out.historical = [...new Set((m.historical || []).map(fn).filter(Boolean))];
+  return out;
+}
+
+// forward slashes, so that the file reads the same on every platform
+function toRelative(root, p) {
+  return path.relative(root, p).split(path.sep).join("/");
+}
+
+// absolute and foreign paths ("C:\\Users\\...") are not trusted: only files
+// inside root that still exist come back
+function toAbsolute(root, rel) {
+  const s = String(rel ?? "");
+  if (!s || path.isAbsolute(s) || /^[a-z]:|\\/i.test(s)) return null;
+  const abs = path.resolve(root, s);
+  if (path.relative(root, abs).startsWith("..")) return null;
+  return fs.existsSync(abs) ? abs : null;
+}
+
+/* ---------------- Load / save ---------------- */
+
+// Returns { manifest, forecasts, lastForecast, saved_at, dropped } or null
+// when there is no usable state file. dropped lists the manifest entries whose
+// files are gone.
+export function loadState(dir, root) {
+  const doc = readJson(path.join(dir, STATE_FILE));
+  if (!doc) return null;
+  if (doc.version !== STATE_VERSION) {
+    console.error(
+      `state: ${STATE_FILE} has version ${doc.version}, expected ${STATE_VERSION}; ignored`
+    );
+    return null;
+  }
+  const dropped = [];
+  const manifest = mapManifest(doc.manifest, (rel) => {
+    const abs = toAbsolute(root, rel);
+    if (!abs) dropped.push(rel);
+    return abs;
+  });
+  const forecasts = (doc.forecasts || []).map((f) => ({
+    ...f,
+    path: f.path ? toAbsolute(root, f.path) : null,
+  }));
+  return {
+    manifest,
+    forecasts,
+    lastForecast: readJson(path.join(dir, FORECAST_FILE)),
+    saved_at: doc.saved_at ?? null,
+    dropped,
+  };
+}
+
+// forecasts: [{ created_at, path, model_version, stations }] newest last
+export function saveState(dir, root, { manifest, forecasts = [] }) {
+  fs.mkdirSync(dir, { recursive: true });
+  writeJsonDurable(path.join(dir, STATE_FILE), {
+    version: STATE_VERSION,
+    saved_at: new Date().toISOString(),
+    manifest: mapManifest(manifest, (p) => toRelative(root, p)),
+    forecasts: forecasts.slice(-FORECAST_HISTORY).map((f) => ({
+      ...f,
+      path: f.path ? toRelative(root, f.path) : null,
+    })),
+  });
+}
+
+export function saveLastForecast(dir, forecast) {
+  fs.mkdirSync(dir, { recursive: true });
+  writeJsonDurable(path.join(dir, FORECAST_FILE), forecast);
+}
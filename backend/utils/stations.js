@@ -0,0 +1,151 @@
+// backend/utils/stations.js
+// Station identity registry: stations_meta rows (station_code, station_kodas,
+// station_id, station_name, optional `aliases` column) plus saved aliases map
+// every identifier an input file may carry to the canonical station_code.
+// Names are compared by a loose key that survives mojibake and diacritics.
+import fs from "fs";
+import path from "path";
+
+/* ---------------- Names ---------------- */
+
+// UTF-8 text that was decoded as latin1 somewhere on the way ("JaÅ¡iÅ«nai")
+export function fixMojibake(v) {
+  const s = String(v ?? "");
+  if (!/[\u00c2-\u00c5][\u0080-\u00bf]/.test(s)) return s;
+  const fixed = Buffer.from(s, "latin1").toString("utf8");
+  return fixed.includes("\ufffd") ? s : fixed;
+}
+
+// loose key: mojibake repaired, diacritics and separators dropped, lowercase
+export function nameKey(v) {
+  return fixMojibake(v)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// identifiers compare trimmed and case-insensitively (5101lt = 5101LT)
+function idKey(v) {
+  return String(v ?? "")
+    .trim()
+    .toUpperCase();
+}
+
+/* ---------------- Registry ---------------- */
+
+// meta: stations_meta rows; aliases: { alias: station_code } (saved ones).
+// Returns { stations, byId: Map(idKey -> code), byName: Map(nameKey -> code) }.
+export function buildStationRegistry(meta = [], aliases = {}) {
+  const byId = new Map();
+  const byName = new Map();
+  const stations = [];
+  for (const m of meta) {
+    const code = String(m.station_code ?? "").trim();
+    if (!code) continue;
+    const own = String(m.aliases ?? "")
+      .split(/[;,|]/)
+      .map((a) => a.trim())
+      .filter(Boolean);
+    stations.push({
+      station_code: code,
+      station_kodas: m.station_kodas ?? null,
+      station_id: m.station_id ?? null,
+      station_name: fixMojibake(m.station_name ?? ""),
+      aliases: own,
+    });
+    for (const k of [m.station_code, m.station_kodas, m.station_id]) {
+      if (idKey(k)) byId.set(idKey(k), code);
+    }
+    if (nameKey(m.station_name)) byName.set(nameKey(m.station_name), code);
+    for (const a of own) addAlias(byId, byName, a, code);
+  }
+  const known = new Set(stations.map((s) => s.station_code));
+  for (const [alias, code] of Object.entries(aliases || {})) {
+    const c = String(code ?? "").trim();
+    if (!known.has(c)) continue;
+    addAlias(byId, byName, alias, c);
+    stations.find((s) => s.station_code === c).aliases.push(alias);
+  }
+  return { stations, byId, byName };
+}
+
+function addAlias(byId, byName, alias, code) {
+  if (idKey(alias)) byId.set(idKey(alias), code);
+  if (nameKey(alias)) byName.set(nameKey(alias), code);
+}
+
+// Canonical code for an identifier: code, kodas, id, name or alias.
+export function resolveStationId(registry, v) {
+  if (v == null || !String(v).trim()) return null;
+  return registry.byId.get(idKey(v)) ?? registry.byName.get(nameKey(v)) ?? null;
+}
+
+// Station of an input row: station_code / station_kodas / station_id /
+// station_name columns, then the file name (Druskininkai.xlsx). Returns
+// { code, identifier, resolved }: an unknown code is kept as it is
+// (resolved: false) so that data of stations missing from stations_meta still
+// flows; a row with nothing to go by gets code null.
+export function resolveStationRow(registry, row, fileName = null) {
+  const ids = [
+    row.station_code,
+    row.station_kodas,
+    row.station_id,
+    row.station_name,
+  ].filter((v) => v != null && String(v).trim());
+  if (fileName) ids.push(path.basename(fileName, path.extname(fileName)));
+  for (const v of ids) {
+    const code = resolveStationId(registry, v);
+    if (code) return { code, identifier: String(v).trim(), resolved: true };
+  }
+  const raw = String(row.station_code ?? "").trim();
+  return {
+    code: raw || null,
+    identifier: ids.length ? fixMojibake(String(ids[0]).trim()) : null,
+    resolved: false,
+  };
+}
+
+/* ---------------- Unresolved report ---------------- */
+
+// report: Map(source -> Map(identifier -> { rows, files: Set })); identifiers
+// are counted per row so that the report shows how much data is affected
+export function noteUnresolved(report, source, identifier, file = null) {
+  if (!report) return;
+  if (!report.has(source)) report.set(source, new Map());
+  const m = report.get(source);
+  const key = identifier ?? "(none)";
+  if (!m.has(key)) m.set(key, { rows: 0, files: new Set() });
+  const e = m.get(key);
+  e.rows++;
+  if (file) e.files.add(path.basename(file));
+}
+
+export function unresolvedToJson(report) {
+  const out = {};
+  for (const [source, m] of report || []) {
+    out[source] = [...m]
+      .map(([identifier, e]) => ({
+        identifier,
+        rows: e.rows,
+        files: [...e.files],
+      }))
+      .sort((a, b) => b.rows - a.rows);
+  }
+  return out;
+}
+
+/* ---------------- Saved aliases ---------------- */
+
+export function loadAliases(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+export function saveAliases(filePath, aliases) {
+  fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(aliases, null, 2), "utf8");
+  fs.renameSync(`${filePath}.tmp`, filePath);
+}
@@ -0,0 +1,186 @@
+// backend/utils/telemetry.js
+// Telemetry push: batches of gauge readings (station_code, datetime_utc,
+// variable, value, quality) as JSON or CSV, from data sources that each hold
+// their own API key. Of the source's quality codes only the reject set
+// (SOURCE_REJECTS) is honoured; other codes are not stored, the store's own
+// quality control (qc.js) flags values when they are read. Keys are stored hashed; a batch may carry an
+// Idempotency-Key, under which its result is kept and replayed when the batch
+// is sent again.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+import { OBS_VARIABLES, OBS_ALIASES } from "./observations.js";
+import { decodeText, parseDelimited } from "./formats.js";
+import { hourKey, toUtcMs } from "./time.js";
+
+/* ---------------- Files (inside the telemetry directory) ---------------- */
+
+const SOURCES_FILE = "sources.json"; // { name: { key_sha256, stations, ... } }
+const BATCHES_FILE = "batches.json"; // { name: [{ key, at, result }] }
+const BATCHES_KEPT = 500; // idempotency keys remembered per source
+
+// readings further ahead of the server clock than this are refused
+export const MAX_FUTURE_MS = 3600 * 1000;
+// quality codes of the source that keep a reading out of the store (counted
+// as flagged); any other code is accepted and dropped with the reading
+const SOURCE_REJECTS = new Set(["bad", "missing", "invalid"]);
+
+function readJson(p, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const tmp = `${p}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+}
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/* ---------------- Sources and keys ---------------- */
+
+// sources without their key hashes
+export function listSources(dir) {
+  const all = readJson(path.join(dir, SOURCES_FILE), {});
+  return Object.entries(all).map(([name, s]) => {
+    const { key_sha256, ...rest } = s;
+    return { name, ...rest };
+  });
+}
+
+// Creates the source or gives it a new key; the key is returned only here.
+// stations: codes the source may report for (null: any known station).
+export function issueSourceKey(dir, name, stations = null) {
+  const id = String(name ?? "").trim();
+  if (!/^[\w.-]{1,64}$/.test(id)) {
+    const err = new Error(
+      "Source name must be 1–64 letters, digits, '.', '_' or '-'."
+    );
+    err.status = 400;
+    throw err;
+  }
+  const p = path.join(dir, SOURCES_FILE);
+  const all = readJson(p, {});
+  const key = crypto.randomBytes(24).toString("hex");
+  all[id] = {
+    ...(all[id] || { created_at: new Date().toISOString() }),
+    key_sha256: sha256(key),
+    key_issued_at: new Date().toISOString(),
+    stations: stations?.length ? stations.map((c) => String(c).trim()) : null,
+  };
+  writeJson(p, all);
+  return { name: id, key };
+}
+
+export function removeSource(dir, name) {
+  const p = path.join(dir, SOURCES_FILE);
+  const all = readJson(p, {});
+  if (!all[name]) return false;
+  delete all[name];
+  writeJson(p, all);
+  return true;
+}
+
+// source of an API key, or null
+export function authenticateSource(dir, key) {
+  if (!key) return null;
+  const h = Buffer.from(sha256(String(key)), "hex");
+  const all = readJson(path.join(dir, SOURCES_FILE), {});
+  for (const [name, s] of Object.entries(all)) {
+    const k = Buffer.from(String(s.key_sha256 ?? ""), "hex");
+    if (k.length === h.length && crypto.timingSafeEqual(k, h)) {
+      return { name, ...s };
+    }
+  }
+  return null;
+}
+
+// push statistics on the source: last push time and running reading count
+export function noteSourcePush(dir, name, accepted) {
+  const p = path.join(dir, SOURCES_FILE);
+  const all = readJson(p, {});
+  if (!all[name]) return;
+  all[name].last_push_at = new Date().toISOString();
+  all[name].readings = (all[name].readings || 0) + accepted;
+  writeJson(p, all);
+}
+
+/* ---------------- Idempotency ---------------- */
+
+export function findBatch(dir, source, key) {
+  const all = readJson(path.join(dir, BATCHES_FILE), {});
+  return (all[source] || []).find((b) => b.key === key) ?? null;
+}
+
+export function rememberBatch(dir, source, key, result) {
+  const p = path.join(dir, BATCHES_FILE);
+  const all = readJson(p, {});
+  const list = (all[source] || []).filter((b) => b.key !== key);
+  list.push({ key, at: new Date().toISOString(), result });
+  all[source] = list.slice(-BATCHES_KEPT);
+  writeJson(p, all);
+}
+
+/* ---------------- Readings ---------------- */
+
+// CSV body (Buffer) with a header row, read like the uploaded CSV files
+// (formats.js: encoding, separator, quoted fields)
+export function parseTelemetryCsv(buf) {
+  return parseDelimited(decodeText(buf).text).rows;
+}
+
+// Checks the readings of a batch. opts.resolve(identifier) -> station code or
+// null; opts.stations limits the codes (the source's); opts.latest(code,
+// variable) -> last stored hour key, to count readings that arrive after
+// later ones. Returns { records (for upsertObservations, oldest first),
+// rejected: [{ index, reason }], flagged, late }.
+export function checkReadings(readings, opts = {}) {
+  const now = opts.now ?? Date.now();
+  const allowed = opts.stations ? new Set(opts.stations) : null;
+  const records = [];
+  const rejected = [];
+  let flagged = 0;
+  let late = 0;
+  readings.forEach((r, index) => {
+    const reject = (reason) => rejected.push({ index, reason });
+    if (!r || typeof r !== "object") return reject("not an object");
+    const id = r.station_code ?? r.station;
+    const code = opts.resolve ? opts.resolve(id) : id;
+    if (!code) return reject(`unknown station ${id ?? "(none)"}`);
+    if (allowed && !allowed.has(code)) {
+      return reject(`station ${code} not allowed for this source`);
+    }
+    const name = String(r.variable ?? "").trim();
+    const variable = OBS_ALIASES[name] ?? name;
+    if (!OBS_VARIABLES.includes(variable)) {
+      return reject(`unknown variable ${name || "(none)"}`);
+    }
+    const t = toUtcMs(r.datetime_utc);
+    if (t == null) return reject(`invalid datetime_utc ${r.datetime_utc}`);
+    if (t > now + MAX_FUTURE_MS) return reject("datetime_utc in the future");
+    const value =
+      r.value === null || r.value === undefined || r.value === ""
+        ? NaN
+        : Number(String(r.value).replace(",", "."));
+    if (!Number.isFinite(value)) return reject(`invalid value ${r.value}`);
+    const quality = String(r.quality ?? "")
+      .trim()
+      .toLowerCase();
+    if (SOURCE_REJECTS.has(quality)) {
+      flagged++;
+      return;
+    }
+    const k = hourKey(t);
+    const last = opts.latest?.(code, variable);
+    if (last && k < last) late++;
+    records.push({ station_code: code, t, [variable]: value });
+  });
+  // within a batch the latest reading of an hour wins
+  records.sort((a, b) => a.t - b.t);
+  return { records, rejected, flagged, late };
+}
@@ -0,0 +1,172 @@
+// backend/utils/thresholds.js
+// Flood warning levels from stations_thresholds.xlsx (sheet "thresholds").
+
+/* ---------------- Levels (ascending severity) ---------------- */
+
+export const WARNING_LEVELS = [
+  "normal",
+  "pavojingas",
+  "stichinis",
+  "katastrofinis",
+];
+
+const LEVEL_COLUMNS = {
+  pavojingas: ["pavojingas_level_cm"],
+  stichinis: ["stichinis_level_cm"],
+  // the shipped workbook spells it "katastrovinis"
+  katastrofinis: ["katastrofinis_level_cm", "katastrovinis_level_cm"],
+};
+
+function num(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function levelRank(level) {
+  const i = WARNING_LEVELS.indexOf(level);
+  return i < 0 ? 0 : i;
+}
+
+/* ---------------- Parsing ---------------- */
+
+// rows of sheet "thresholds" -> Map(station_code -> { avg_level_cm, pavojingas, stichinis, katastrofinis })
+export function parseThresholds(rows) {
+  const out = new Map();
+  for (const r of rows) {
+    const code = String(r.station_code ?? "").trim();
+    if (!code) continue;
+    const th = {
+      station_code: code,
+      station_name: r.station_name || "",
+      river_name: r.river_name || "",
+      avg_level_cm: num(r.avg_level_cm),
+      min_level_cm: num(r.min_level_cm),
+      max_level_cm: num(r.max_level_cm),
+    };
+    for (const [level, cols] of Object.entries(LEVEL_COLUMNS)) {
+      th[level] = cols.map((c) => num(r[c])).find((v) => v != null) ?? null;
+    }
+    out.set(code, th);
+  }
+  return out;
+}
+
+/* ---------------- Classification ---------------- */
+
+// highest level whose threshold is reached; thresholds are not always
+// monotonic in the source data, so every level is checked
+export function classifyLevel(wl_cm, th) {
+  if (wl_cm == null || !th) return "normal";
+  let level = "normal";
+  for (const name of WARNING_LEVELS.slice(1)) {
+    if (th[name] != null && wl_cm >= th[name]) level = name;
+  }
+  return level;
+}
+
+// longest stretch of consecutive hours at or above the limit; an hour below
+// it or without a value ends a stretch
+export function longestRun(points, limit) {
+  let longest = 0;
+  let run = 0;
+  let prev = null; // time of the previous hour above the limit
+  for (const p of points) {
+    const t = Date.parse(p.t);
+    if (p.wl_cm == null || p.wl_cm < limit) {
+      if (t !== prev) prev = null;
+      continue;
+    }
+    if (t === prev) continue; // same hour twice (observed and forecast)
+    run = prev != null && t - prev === 3600 * 1000 ? run + 1 : 1;
+    prev = t;
+    longest = Math.max(longest, run);
+  }
+  return longest;
+}
+
+// points: [{ t, wl_cm }] hourly, ascending in time; duration_h of a level is
+// its longest uninterrupted exceedance
+export function summarizeExceedance(points, th) {
+  const summary = {
+    peak_cm: null,
+    peak_time: null,
+    warning_level: "normal",
+    levels: {},
+  };
+  for (const p of points || []) {
+    if (p.wl_cm == null) continue;
+    if (summary.peak_cm == null || p.wl_cm > summary.peak_cm) {
+      summary.peak_cm = p.wl_cm;
+      summary.peak_time = p.t;
+    }
+  }
+  if (!th) return summary;
+
+  for (const name of WARNING_LEVELS.slice(1)) {
+    const limit = th[name];
+    if (limit == null) continue;
+    const hits = (points || []).filter(
+      (p) => p.wl_cm != null && p.wl_cm >= limit
+    );
+    if (!hits.length) continue;
+    summary.levels[name] = {
+      threshold_cm: limit,
+      first_exceedance: hits[0].t,
+      last_exceedance: hits[hits.length - 1].t,
+      duration_h: longestRun(points, limit),
+    };
+    if (levelRank(name) > levelRank(summary.warning_level)) {
+      summary.warning_level = name;
+    }
+  }
+  return summary;
+}
+
+/* ---------------- Forecast annotation ---------------- */
+
+// Tags hourly rows, series points and daily rows with warning levels and
+// returns one exceedance summary per station.
+export function annotateForecast({ rows, table, series }, thresholds) {
+  const exceedances = [];
+  for (const [code, points] of Object.entries(series || {})) {
+    const th = thresholds?.get(code);
+    for (const p of points) p.warning_level = classifyLevel(p.wl_cm, th);
+    const s = summarizeExceedance(points, th);
+    exceedances.push({
+      station_code: code,
+      station_name: points[0]?.station_name || th?.station_name || "",
+      river_name: points[0]?.river_name || th?.river_name || "",
+      ...s,
+    });
+  }
+
+  for (const r of rows || []) {
+    r.warning_level = classifyLevel(
+      r.forecast_water_level_cm,
+      thresholds?.get(String(r.station_code))
+    );
+  }
+
+  const byCode = new Map(exceedances.map((e) => [e.station_code, e]));
+  for (const r of table || []) {
+    const th = thresholds?.get(String(r.station_code));
+    const e = byCode.get(String(r.station_code));
+    r.level_today = classifyLevel(r.wl_today_cm, th);
+    r.level_tomorrow = classifyLevel(r.wl_tomorrow_cm, th);
+    r.level_day_after = classifyLevel(r.wl_day_after_cm, th);
+    r.warning_level = e?.warning_level || "normal";
+    r.peak_cm = e?.peak_cm ?? null;
+    r.peak_time = e?.peak_time ?? null;
+  }
+
+  exceedances.sort((a, b) =>
+    String(a.station_code).localeCompare(b.station_code)
+  );
+  return exceedances;
+}
+
+// plain object for JSON responses (Map does not serialize)
+export function thresholdsToJson(thresholds) {
+  return Object.fromEntries(thresholds || []);
+}
@@ -0,0 +1,24 @@
+// backend/utils/time.js
+// Hour keys and the parsing of datetime cells, shared by the uploads, the
+// observation store, quality control, training, forecasting and the exports.
+
+// "YYYY-MM-DDTHH" — hourly bucket (UTC) of a time in ms
+export function hourKey(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+// datetime_utc cells come as "YYYY-MM-DD HH:mm:ss" (no zone), ISO strings,
+// Date objects or Excel serials (numbers, or numeric text from CSV); all of
+// them are UTC. -> ms, or null
+export function toUtcMs(v) {
+  if (v === null || v === undefined || v === "") return null;
+  if (v instanceof Date) return v.getTime();
+  if (typeof v === "string" && /^\s*\d+(\.\d+)?\s*$/.test(v)) v = Number(v);
+  if (typeof v === "number") {
+    return Number.isFinite(v) ? Math.round((v - 25569) * 86400 * 1000) : null;
+  }
+  let s = String(v).trim().replace(" ", "T");
+  if (!/(Z|[+-]\d\d:?\d\d)$/i.test(s)) s += "Z";
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? t : null;
+}
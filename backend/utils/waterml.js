@@ -0,0 +1,200 @@
+// backend/utils/waterml.js
+// OGC WaterML 2.0 (part 1, timeseries) documents of the observed and forecast
+// water levels: one wml2:Collection with an OM_Observation per station and
+// series, the station as its MonitoringPoint and the values as a
+// MeasurementTimeseries in cm.
+import { stationLatLon } from "./geo.js";
+
+const NS = {
+  wml2: "http://www.opengis.net/waterml/2.0",
+  gml: "http://www.opengis.net/gml/3.2",
+  om: "http://www.opengis.net/om/2.0",
+  sa: "http://www.opengis.net/sampling/2.0",
+  sams: "http://www.opengis.net/samplingSpatial/2.0",
+  xlink: "http://www.w3.org/1999/xlink",
+  xsi: "http://www.w3.org/2001/XMLSchema-instance",
+};
+const SCHEMA_LOCATION =
+  "http://www.opengis.net/waterml/2.0 http://schemas.opengis.net/waterml/2.0/waterml2.xsd";
+
+export const WATERML_SERIES = ["observed", "forecast"];
+
+// QC flag (utils/qc.js) -> WaterML 2.0 quality code
+const QUALITY = {
+  good: "good",
+  filled: "estimate",
+  suspect: "suspect",
+  bad: "poor",
+  missing: "missing",
+};
+const QUALITY_BASE = "http://www.opengis.net/def/waterml/2.0/quality/";
+const INSTANTANEOUS =
+  "http://www.opengis.net/def/waterml/2.0/interpolationType/Continuous";
+
+/* ---------------- Small helpers ---------------- */
+
+function esc(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// gml:id is an NCName: station codes are often plain numbers
+function gmlId(...parts) {
+  return parts.map((p) => String(p).replace(/[^\w.-]/g, "_")).join(".");
+}
+
+function isoTime(t) {
+  return new Date(t).toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+/* ---------------- Document ---------------- */
+
+// the station's MonitoringPoint is written out with its first observation and
+// referenced (by gml:id) from the later ones
+function featureOfInterest(st, seen) {
+  const id = gmlId("mp", st.station_code);
+  if (seen.has(id)) {
+    return [
+      `      <om:featureOfInterest xlink:href="#${id}" xlink:title="${esc(
+        st.station_name || st.station_code
+      )}"/>`,
+    ];
+  }
+  seen.add(id);
+  const pos = stationLatLon(st);
+  const lines = [
+    `      <om:featureOfInterest>`,
+    `        <wml2:MonitoringPoint gml:id="${id}">`,
+    `          <gml:identifier codeSpace="station_code">${esc(
+      st.station_code
+    )}</gml:identifier>`,
+    `          <gml:name>${esc(st.station_name || st.station_code)}</gml:name>`,
+    st.river_name
+      ? `          <sa:sampledFeature xlink:title="${esc(st.river_name)}"/>`
+      : `          <sa:sampledFeature xsi:nil="true"/>`,
+  ];
+  if (pos) {
+    lines.push(
+      `          <sams:shape>`,
+      `            <gml:Point gml:id="${gmlId("pos", st.station_code)}">`,
+      `              <gml:pos srsName="urn:ogc:def:crs:EPSG::4326">${pos.lat} ${pos.lon}</gml:pos>`,
+      `            </gml:Point>`,
+      `          </sams:shape>`
+    );
+  }
+  lines.push(
+    `        </wml2:MonitoringPoint>`,
+    `      </om:featureOfInterest>`
+  );
+  return lines;
+}
+
+function point(p) {
+  const quality = p.flag && p.flag !== "good" ? QUALITY[p.flag] : null;
+  const lines = [
+    `          <wml2:point>`,
+    `            <wml2:MeasurementTVP>`,
+    `              <wml2:time>${isoTime(p.t)}</wml2:time>`,
+    `              <wml2:value>${p.value}</wml2:value>`,
+  ];
+  if (quality) {
+    lines.push(
+      `              <wml2:metadata><wml2:TVPMeasurementMetadata><wml2:quality xlink:href="${QUALITY_BASE}${quality}" xlink:title="${esc(
+        p.flag
+      )}"/></wml2:TVPMeasurementMetadata></wml2:metadata>`
+    );
+  }
+  lines.push(`            </wml2:MeasurementTVP>`, `          </wml2:point>`);
+  return lines;
+}
+
+// one OM_Observation: series "observed" or "forecast", points [{ t, value, flag? }]
+function observation(st, series, points, meta, seen) {
+  const id = (kind) => gmlId(kind, st.station_code, series);
+  const forecast = series === "forecast";
+  const resultTime = forecast
+    ? meta.issued_at || points[0].t
+    : points[points.length - 1].t;
+  const procedure = forecast
+    ? `AKVAMANAS water level forecast${
+        meta.model_version ? ` (model ${meta.model_version})` : ""
+      }`
+    : "Water level gauge";
+  return [
+    `  <wml2:observationMember>`,
+    `    <om:OM_Observation gml:id="${id("obs")}">`,
+    `      <om:phenomenonTime>`,
+    `        <gml:TimePeriod gml:id="${id("pt")}">`,
+    `          <gml:beginPosition>${isoTime(points[0].t)}</gml:beginPosition>`,
+    `          <gml:endPosition>${isoTime(points[points.length - 1].t)}</gml:endPosition>`,
+    `        </gml:TimePeriod>`,
+    `      </om:phenomenonTime>`,
+    `      <om:resultTime>`,
+    `        <gml:TimeInstant gml:id="${id("rt")}">`,
+    `          <gml:timePosition>${isoTime(resultTime)}</gml:timePosition>`,
+    `        </gml:TimeInstant>`,
+    `      </om:resultTime>`,
+    `      <om:procedure xlink:href="urn:akvamanas:procedure:${series}" xlink:title="${esc(
+      procedure
+    )}"/>`,
+    `      <om:observedProperty xlink:href="urn:akvamanas:property:water_level" xlink:title="Water level"/>`,
+    ...featureOfInterest(st, seen),
+    `      <om:result>`,
+    `        <wml2:MeasurementTimeseries gml:id="${id("ts")}">`,
+    `          <wml2:metadata>`,
+    `            <wml2:MeasurementTimeseriesMetadata>`,
+    `              <wml2:temporalExtent xlink:href="#${id("pt")}"/>`,
+    `            </wml2:MeasurementTimeseriesMetadata>`,
+    `          </wml2:metadata>`,
+    `          <wml2:defaultPointMetadata>`,
+    `            <wml2:DefaultTVPMeasurementMetadata>`,
+    forecast
+      ? `              <wml2:quality xlink:href="${QUALITY_BASE}estimate" xlink:title="forecast"/>`
+      : `              <wml2:quality xlink:href="${QUALITY_BASE}good" xlink:title="good"/>`,
+    `              <wml2:uom code="cm"/>`,
+    `              <wml2:interpolationType xlink:href="${INSTANTANEOUS}" xlink:title="Instantaneous"/>`,
+    `            </wml2:DefaultTVPMeasurementMetadata>`,
+    `          </wml2:defaultPointMetadata>`,
+    ...points.flatMap(point),
+    `        </wml2:MeasurementTimeseries>`,
+    `      </om:result>`,
+    `    </om:OM_Observation>`,
+    `  </wml2:observationMember>`,
+  ];
+}
+
+// data: { stations: [stations_meta-like rows], observed / forecast:
+// Map(code -> [{ t, value, flag? }]), issued_at, model_version }; series: which
+// of WATERML_SERIES to write. Stations without values get no member.
+export function buildWaterML(data, series = WATERML_SERIES) {
+  const seen = new Set();
+  const members = [];
+  for (const st of data.stations) {
+    for (const s of series) {
+      const points = data[s]?.get(st.station_code);
+      if (points?.length) members.push(observation(st, s, points, data, seen));
+    }
+  }
+  const ns = Object.entries(NS)
+    .map(([k, v]) => `xmlns:${k}="${v}"`)
+    .join(" ");
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<wml2:Collection ${ns} xsi:schemaLocation="${SCHEMA_LOCATION}" gml:id="akvamanas">`,
+    `  <gml:description>AKVAMANAS ${series.join(" and ")} water levels</gml:description>`,
+    `  <wml2:metadata>`,
+    `    <wml2:DocumentMetadata gml:id="document">`,
+    `      <wml2:generationDate>${isoTime(Date.now())}</wml2:generationDate>`,
+    `      <wml2:version xlink:href="http://www.opengis.net/waterml/2.0" xlink:title="WaterML 2.0"/>`,
+    `      <wml2:generationSystem>AKVAMANAS</wml2:generationSystem>`,
+    `    </wml2:DocumentMetadata>`,
+    `  </wml2:metadata>`,
+    ...members.flat(),
+    `</wml2:Collection>`,
+    ``,
+  ].join("\n");
+}
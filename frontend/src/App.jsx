@@ -8,25 +8,99 @@ import {
   train,
   forecast,
   downloadLatest,
+  calibrateRating,
+  adoptRating,
+  getRoutingCalibration,
+  calibrateRouting,
+  resetRoutingCalibration,
+  getHindcast,
+  runHindcast,
+  listModels,
+  diffModels,
+  promoteModel,
+  rollbackModel,
+  listLearners,
+  getStationRegistry,
+  getUnresolvedStations,
+  addStationAlias,
+  removeStationAlias,
+  getQc,
+  getObservations,
+  getTelemetrySources,
+  addTelemetrySource,
+  removeTelemetrySource,
 } from "./api";
 
 import {
   LineChart,
+  ComposedChart,
+  Area,
   Line,
+  Scatter,
   XAxis,
   YAxis,
   CartesianGrid,
   Tooltip,
   ResponsiveContainer,
+  ReferenceArea,
+  ReferenceLine,
 } from "recharts";
 
+// warning levels in ascending severity (see backend/utils/thresholds.js)
+const LEVELS = ["pavojingas", "stichinis", "katastrofinis"];
+const LEVEL_COLORS = {
+  normal: null,
+  pavojingas: "#f5c518",
+  stichinis: "#ff851b",
+  katastrofinis: "#d62728",
+};
+const LEVEL_BG = {
+  normal: undefined,
+  pavojingas: "#fff6cc",
+  stichinis: "#ffe1c4",
+  katastrofinis: "#ffd0d0",
+};
+
+// every input may also come as CSV / TSV / JSON (backend/utils/formats.js)
+const INPUT_ACCEPT = ".xlsx,.xls,.csv,.tsv,.txt,.json";
+
 export default function App() {
   const [manifest, setManifest] = useState(null);
   const [busy, setBusy] = useState(false);
   const [table, setTable] = useState([]);
   const [series, setSeries] = useState({});
   const [hourly, setHourly] = useState([]); // NEW: flat hourly rows
+  const [exceedances, setExceedances] = useState([]);
+  const [thresholds, setThresholds] = useState({});
   const [status, setStatus] = useState("");
+  const [ratingFit, setRatingFit] = useState([]);
+  const [ratingSegments, setRatingSegments] = useState(1);
+  const [routingCalib, setRoutingCalib] = useState(null);
+  const [calibObjective, setCalibObjective] = useState("rmse");
+  const [assimilation, setAssimilation] = useState({}); // per station, from the last run
+  const [daMethods, setDaMethods] = useState({}); // per-station overrides
+  const [ensembleOn, setEnsembleOn] = useState(false);
+  const [ensembleMembers, setEnsembleMembers] = useState(30);
+  const [ensemble, setEnsemble] = useState(null); // summary of the last run
+  const [hindcast, setHindcast] = useState(null);
+  const [models, setModels] = useState(null); // registry: { active, versions }
+  const [forecastModel, setForecastModel] = useState(""); // "" = active
+  const [learners, setLearners] = useState([]); // [{ name, label, defaults }]
+  const [trainLearners, setTrainLearners] = useState("ridge");
+  const [forecastMethod, setForecastMethod] = useState("auto");
+  const [modelDiff, setModelDiff] = useState(null);
+  const [hindcastEvery, setHindcastEvery] = useState(6);
+  const [hindcastMeteo, setHindcastMeteo] = useState("none");
+  const [hindcastDa, setHindcastDa] = useState(false);
+  const [stations, setStations] = useState([]); // registry: known stations
+  const [aliases, setAliases] = useState({}); // saved alias -> station code
+  const [unresolved, setUnresolved] = useState({}); // source -> identifiers
+  const [uploadResults, setUploadResults] = useState({}); // upload url -> response
+  const [qc, setQc] = useState(null); // quality control of the observations
+  const [stored, setStored] = useState([]); // observation store per station
+  const [sources, setSources] = useState([]); // telemetry push sources
+  const [adminToken, setAdminToken] = useState(""); // not stored anywhere
+  const [issuedKey, setIssuedKey] = useState(null); // { name, key }, shown once
 
   const refreshManifest = async () => {
     const { data } = await getManifest();
@@ -42,19 +116,99 @@ export default function App() {
     }
   };
 
+  const refreshRoutingCalib = async () => {
+    try {
+      const { data } = await getRoutingCalibration();
+      setRoutingCalib(data.calibration || null);
+    } catch {
+      setRoutingCalib(null);
+    }
+  };
+
+  const refreshModels = async () => {
+    try {
+      const { data } = await listModels();
+      setModels(data);
+    } catch {
+      setModels(null);
+    }
+  };
+
+  const refreshLearners = async () => {
+    try {
+      const { data } = await listLearners();
+      setLearners(data.learners || []);
+    } catch {
+      setLearners([]);
+    }
+  };
+
+  const refreshStations = async () => {
+    try {
+      const [reg, unr] = await Promise.all([
+        getStationRegistry(),
+        getUnresolvedStations(),
+      ]);
+      setStations(reg.data.stations || []);
+      setAliases(reg.data.aliases || {});
+      setUnresolved(unr.data.unresolved || {});
+    } catch {
+      setStations([]);
+      setAliases({});
+      setUnresolved({});
+    }
+  };
+
+  const refreshQc = async () => {
+    try {
+      const { data } = await getQc();
+      setQc(data);
+    } catch {
+      setQc(null);
+    }
+    try {
+      const { data } = await getObservations();
+      setStored(data.stations || []);
+    } catch {
+      setStored([]);
+    }
+  };
+
+  const refreshHindcast = async () => {
+    try {
+      const { data } = await getHindcast();
+      setHindcast(data.hindcast || null);
+    } catch {
+      setHindcast(null);
+    }
+  };
+
   useEffect(() => {
     ping();
     refreshManifest();
+    refreshRoutingCalib();
+    refreshHindcast();
+    refreshModels();
+    refreshLearners();
+    refreshStations();
+    refreshQc();
   }, []);
 
   const handleUpload = async (url, file, field = "file") => {
     if (!file) return;
     setBusy(true);
     try {
-      await uploadFile(url, file, field);
+      const data = await uploadFile(url, file, field);
+      setUploadResults((r) => ({ ...r, [url]: data }));
       await refreshManifest();
+      await refreshStations();
+      await refreshQc();
     } catch (e) {
-      alert(e?.response?.data?.error || e.message);
+      // rejected by validation: the report is shown on the card
+      const data = e?.response?.data;
+      if (data?.report || data?.files?.length) {
+        setUploadResults((r) => ({ ...r, [url]: data }));
+      } else alert(data?.error || e.message);
     } finally {
       setBusy(false);
     }
@@ -64,8 +218,76 @@ export default function App() {
     if (!files || files.length === 0) return;
     setBusy(true);
     try {
-      await uploadFiles("/api/upload/historical", files, "files");
+      const data = await uploadFiles("/api/upload/historical", files, "files");
+      setUploadResults((r) => ({ ...r, "/api/upload/historical": data }));
       await refreshManifest();
+      await refreshStations();
+      await refreshQc();
+    } catch (e) {
+      const data = e?.response?.data;
+      if (data?.reports?.length) {
+        setUploadResults((r) => ({ ...r, "/api/upload/historical": data }));
+      } else alert(data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const refreshSources = async () => {
+    try {
+      const { data } = await getTelemetrySources(adminToken);
+      setSources(data.sources || []);
+    } catch (e) {
+      setSources([]);
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const handleIssueKey = async (name, stations) => {
+    setBusy(true);
+    try {
+      const { data } = await addTelemetrySource(name, stations, adminToken);
+      setIssuedKey({ name: data.name, key: data.key });
+      await refreshSources();
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemoveSource = async (name) => {
+    if (!window.confirm(`Remove source ${name}? Its key stops working.`)) {
+      return;
+    }
+    try {
+      await removeTelemetrySource(name, adminToken);
+      setIssuedKey((k) => (k?.name === name ? null : k));
+      await refreshSources();
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const handleAlias = async (alias, station) => {
+    if (!station) return;
+    setBusy(true);
+    try {
+      await addStationAlias(alias, station);
+      await refreshStations();
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemoveAlias = async (alias) => {
+    if (!window.confirm(`Remove alias ${alias}?`)) return;
+    setBusy(true);
+    try {
+      await removeStationAlias(alias);
+      await refreshStations();
     } catch (e) {
       alert(e?.response?.data?.error || e.message);
     } finally {
@@ -77,13 +299,158 @@ export default function App() {
     setBusy(true);
     setStatus("Training...");
     try {
-      const { data } = await train();
-      setStatus(`Trained at: ${data.trainedAt} (stations: ${data.stations})`);
+      const { data } = await train({ learners: trainLearners.split(",") });
+      setStatus(
+        `Trained ${data.version} at: ${data.trainedAt} (stations: ${data.stations})`
+      );
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+      await refreshManifest();
+      await refreshModels();
+    }
+  };
+
+  const handlePromote = async (version) => {
+    setBusy(true);
+    try {
+      await promoteModel(version);
+      setStatus(`Model ${version} is active`);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+      await refreshModels();
+    }
+  };
+
+  const handleRollback = async () => {
+    setBusy(true);
+    try {
+      const { data } = await rollbackModel();
+      setStatus(`Rolled back to model ${data.active}`);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+      await refreshModels();
+    }
+  };
+
+  const handleDiff = async (from, to) => {
+    try {
+      const { data } = await diffModels(from, to);
+      setModelDiff(data.diff);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    }
+  };
+
+  const handleCalibrateRating = async () => {
+    setBusy(true);
+    setStatus("Fitting rating curves...");
+    try {
+      const { data } = await calibrateRating({ segments: ratingSegments });
+      setRatingFit(data.results || []);
+      const ok = (data.results || []).filter((r) => r.ok).length;
+      const rejected = (data.results || []).filter(
+        (r) => r.rejected?.length
+      ).length;
+      setStatus(
+        data.status === "rejected"
+          ? `Rating fit rejected for all ${ok} station(s); nothing to adopt`
+          : `Rating curves fitted (${ok} station(s)${
+              rejected ? `, ${rejected} rejected` : ""
+            })`
+      );
     } catch (e) {
       alert(e?.response?.data?.error || e.message);
     } finally {
       setBusy(false);
+    }
+  };
+
+  const handleAdoptRating = async (force = false) => {
+    if (
+      force &&
+      !window.confirm(
+        "Adopt the rejected fits as well? They fit the data worse than a constant discharge."
+      )
+    ) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const { data } = await adoptRating({ force });
+      const refused = data.refused?.length
+        ? `, ${data.refused.length} rejected fit(s) skipped`
+        : "";
+      setStatus(
+        `Rating curves adopted (${data.adopted?.length || 0}${refused})`
+      );
+      setRatingFit([]);
       await refreshManifest();
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCalibrateRouting = async () => {
+    setBusy(true);
+    setStatus("Calibrating routing model...");
+    try {
+      const { data } = await calibrateRouting({ objective: calibObjective });
+      const c = data.calibration;
+      setRoutingCalib(c);
+      setStatus(
+        `Routing calibrated (${c.objective}: ${c.score.before} → ${c.score.after})`
+      );
+    } catch (e) {
+      // not improved / rejected: shown, but not saved
+      const c = e?.response?.data?.calibration;
+      if (c) {
+        setRoutingCalib({ ...c, saved: false });
+        setStatus(`Routing calibration ${c.status.replace("_", " ")}`);
+      }
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleHindcast = async () => {
+    setBusy(true);
+    setStatus("Running hindcast...");
+    try {
+      const { data } = await runHindcast({
+        every: hindcastEvery,
+        meteo: hindcastMeteo,
+        assimilation: hindcastDa,
+        model_version: forecastModel || undefined,
+        model: forecastMethod,
+      });
+      setHindcast(data.hindcast);
+      setStatus(`Hindcast complete (${data.hindcast.issues} forecasts)`);
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleResetRouting = async () => {
+    setBusy(true);
+    try {
+      await resetRoutingCalibration();
+      setRoutingCalib(null);
+      setStatus("Routing calibration removed");
+    } catch (e) {
+      alert(e?.response?.data?.error || e.message);
+    } finally {
+      setBusy(false);
     }
   };
 
@@ -91,11 +458,29 @@ export default function App() {
     setBusy(true);
     setStatus("Calculating forecast...");
     try {
-      const { data } = await forecast();
+      const { data } = await forecast(
+        Object.keys(daMethods).length ? daMethods : undefined,
+        ensembleOn ? { members: ensembleMembers } : undefined,
+        forecastModel || undefined,
+        forecastMethod
+      );
       setTable(data.table || []);
       setSeries(data.series || {});
       setHourly(data.hourly || []); // NEW
-      setStatus("Forecast complete");
+      setExceedances(data.exceedances || []);
+      setThresholds(data.thresholds || {});
+      setAssimilation(data.assimilation || {});
+      setEnsemble(data.ensemble || null);
+      const sent = data.alerts?.events?.length || 0;
+      const fallback = (data.learner_fallback || [])
+        .map((f) => `${f.station_code} ${f.requested} → ${f.used}`)
+        .join(", ");
+      setStatus(
+        (sent
+          ? `Forecast complete (${sent} alert(s) raised)`
+          : "Forecast complete") +
+          (fallback ? `; not trained, default learner used: ${fallback}` : "")
+      );
     } catch (e) {
       alert(e?.response?.data?.error || e.message);
     } finally {
@@ -147,7 +532,7 @@ export default function App() {
         <Card title="Station metadata">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/metadata", e.target.files?.[0])
             }
@@ -157,13 +542,42 @@ export default function App() {
             Expect <code>stations_metadata.xlsx</code> (sheet{" "}
             <code>stations_meta</code>)
           </Small>
+          <Small>
+            Optional column <code>assimilation</code>: ar1, kalman or none
+          </Small>
+          <Small>
+            Optional column <code>aliases</code>: other names or codes of the
+            station, separated by <code>;</code>
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/metadata"]} />
           <Status ok={!!manifest?.metadata} />
         </Card>
 
+        <Card title="Warning thresholds">
+          <input
+            type="file"
+            accept={INPUT_ACCEPT}
+            onChange={(e) =>
+              handleUpload("/api/upload/thresholds", e.target.files?.[0])
+            }
+            disabled={busy}
+          />
+          <Small>
+            Expect <code>stations_thresholds.xlsx</code> (sheet{" "}
+            <code>thresholds</code>)
+          </Small>
+          <Small>
+            Columns: station_code, pavojingas_level_cm, stichinis_level_cm,
+            katastrofinis_level_cm
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/thresholds"]} />
+          <Status ok={!!manifest?.thresholds} />
+        </Card>
+
         <Card title="Current water levels (hourly)">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/current/water", e.target.files?.[0])
             }
@@ -172,13 +586,14 @@ export default function App() {
           <Small>
             Sheet: <code>water_levels</code>
           </Small>
+          <UploadReport result={uploadResults["/api/upload/current/water"]} />
           <Status ok={!!manifest?.current?.water} />
         </Card>
 
         <Card title="Current precipitation (hourly, optional)">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/current/precip", e.target.files?.[0])
             }
@@ -187,13 +602,14 @@ export default function App() {
           <Small>
             Sheet: <code>precip</code>
           </Small>
+          <UploadReport result={uploadResults["/api/upload/current/precip"]} />
           <Status ok={!!manifest?.current?.precip} />
         </Card>
 
         <Card title="Current air temperature (hourly, optional)">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/current/air", e.target.files?.[0])
             }
@@ -202,13 +618,48 @@ export default function App() {
           <Small>
             Sheet: <code>air_temp</code>
           </Small>
+          <UploadReport result={uploadResults["/api/upload/current/air"]} />
           <Status ok={!!manifest?.current?.air} />
         </Card>
 
+        <Card title="Forecast precipitation (hourly, 72 h)">
+          <input
+            type="file"
+            accept={INPUT_ACCEPT}
+            onChange={(e) =>
+              handleUpload("/api/upload/forecast/precip", e.target.files?.[0])
+            }
+            disabled={busy}
+          />
+          <Small>
+            <code>forecast_precipitation_hourly.xlsx</code> (sheet{" "}
+            <code>forecast_precip</code>)
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/forecast/precip"]} />
+          <Status ok={!!manifest?.forecast?.precip} />
+        </Card>
+
+        <Card title="Forecast air temperature (hourly, 72 h)">
+          <input
+            type="file"
+            accept={INPUT_ACCEPT}
+            onChange={(e) =>
+              handleUpload("/api/upload/forecast/air", e.target.files?.[0])
+            }
+            disabled={busy}
+          />
+          <Small>
+            <code>forecast_air_temperature_hourly.xlsx</code> (sheet{" "}
+            <code>forecast_air</code>)
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/forecast/air"]} />
+          <Status ok={!!manifest?.forecast?.air} />
+        </Card>
+
         <Card title="Historical (multiple files, hourly)">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             multiple
             onChange={(e) => handleUploadHistorical(e.target.files)}
             disabled={busy}
@@ -219,13 +670,28 @@ export default function App() {
           <div style={{ marginTop: 6 }}>
             Total files: <b>{manifest?.historical?.length || 0}</b>
           </div>
+          <Small>
+            Stored: {stored.length} stations,{" "}
+            {stored.reduce((a, s) => a + s.hours, 0)} station-hours
+            {stored.length
+              ? ` (${stored
+                  .map((s) => s.from)
+                  .sort()[0]
+                  .slice(0, 10)} – ${stored
+                  .map((s) => s.to)
+                  .sort()
+                  .at(-1)
+                  .slice(0, 10)})`
+              : ""}
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/historical"]} />
         </Card>
 
         {/* Hydrology auxiliaries */}
         <Card title="River network (reaches)">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/network", e.target.files?.[0])
             }
@@ -238,12 +704,13 @@ export default function App() {
             Columns: from_code, to_code, length_km, slope_m_m, n_mann, width_m,
             depth_m
           </Small>
+          <UploadReport result={uploadResults["/api/upload/network"]} />
         </Card>
 
         <Card title="Rating curves">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/rating", e.target.files?.[0])
             }
@@ -253,12 +720,17 @@ export default function App() {
             Sheet: <code>rating</code>
           </Small>
           <Small>Columns: station_code, h0_cm, a, b</Small>
+          <Small>
+            Segmented (optional): one row per stage range with h_min_cm,
+            h_max_cm
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/rating"]} />
         </Card>
 
         <Card title="Basin parameters">
           <input
             type="file"
-            accept=".xlsx"
+            accept={INPUT_ACCEPT}
             onChange={(e) =>
               handleUpload("/api/upload/basin", e.target.files?.[0])
             }
@@ -268,6 +740,35 @@ export default function App() {
             Sheet: <code>basins</code>
           </Small>
           <Small>Columns: basin_name, runoff_coeff, baseflow_cms</Small>
+          <Small>
+            Runoff model (optional): area_km2, fc_mm, beta, lp, k0_d, k1_d,
+            k2_d, uzl_mm, perc_mm_d, pet_mm_c_d
+          </Small>
+          <Small>
+            Snow (optional): t_snow_c, t_melt_c, ddf_mm_c_day, whc, cfgi_frozen,
+            frozen_runoff_max
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/basin"]} />
+        </Card>
+
+        <Card title="Bundle (ZIP)">
+          <input
+            type="file"
+            accept=".zip"
+            onChange={(e) =>
+              handleUpload("/api/upload/bundle", e.target.files?.[0])
+            }
+            disabled={busy}
+          />
+          <Small>
+            Any of the inputs above in one archive, as xlsx, CSV, TSV or JSON;
+            each file is recognized by its name, sheet or columns
+          </Small>
+          <Small>
+            CSV: <code>,</code> <code>;</code> or tab separated, decimal comma
+            and Windows-1257 encoding are fine
+          </Small>
+          <UploadReport result={uploadResults["/api/upload/bundle"]} />
         </Card>
       </section>
 
@@ -281,9 +782,159 @@ export default function App() {
         >
           Train model
         </button>
+        <label style={{ fontSize: 13 }}>
+          Learners{" "}
+          <select
+            value={trainLearners}
+            onChange={(e) => setTrainLearners(e.target.value)}
+            disabled={busy}
+            title="The first one is used by default; the others can be picked per forecast"
+          >
+            {learners.map((l) => (
+              <option key={l.name} value={l.name}>
+                {l.label}
+              </option>
+            ))}
+            {learners.length > 1 ? (
+              <option value={learners.map((l) => l.name).join(",")}>
+                all ({learners.map((l) => l.name).join(" + ")})
+              </option>
+            ) : null}
+          </select>
+        </label>
+        <button
+          onClick={handleCalibrateRating}
+          disabled={busy || (manifest?.historical?.length ?? 0) === 0}
+          title="Fit rating curves from historical stage–discharge pairs"
+        >
+          Calibrate rating curves
+        </button>
+        <label style={{ fontSize: 13 }}>
+          Segments{" "}
+          <select
+            value={ratingSegments}
+            onChange={(e) => setRatingSegments(Number(e.target.value))}
+            disabled={busy}
+          >
+            {[1, 2, 3].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={handleCalibrateRouting}
+          disabled={
+            busy ||
+            (manifest?.historical?.length ?? 0) === 0 ||
+            !manifest?.hydro?.network ||
+            !manifest?.hydro?.rating
+          }
+          title="Fit reach K/X, basin parameters and carry-over against history"
+        >
+          Calibrate routing
+        </button>
+        <label style={{ fontSize: 13 }}>
+          Objective{" "}
+          <select
+            value={calibObjective}
+            onChange={(e) => setCalibObjective(e.target.value)}
+            disabled={busy}
+          >
+            <option value="rmse">RMSE</option>
+            <option value="nse">NSE</option>
+          </select>
+        </label>
+        <button
+          onClick={handleHindcast}
+          disabled={busy || (manifest?.historical?.length ?? 0) === 0}
+          title="Re-issue forecasts over the historical period and score them"
+        >
+          Run hindcast
+        </button>
+        <label style={{ fontSize: 13 }}>
+          Every{" "}
+          <select
+            value={hindcastEvery}
+            onChange={(e) => setHindcastEvery(Number(e.target.value))}
+            disabled={busy}
+          >
+            {[1, 3, 6, 12, 24].map((n) => (
+              <option key={n} value={n}>
+                {n} h
+              </option>
+            ))}
+          </select>{" "}
+          Meteo{" "}
+          <select
+            value={hindcastMeteo}
+            onChange={(e) => setHindcastMeteo(e.target.value)}
+            disabled={busy}
+          >
+            <option value="none">as known then</option>
+            <option value="observed">observed (perfect)</option>
+          </select>{" "}
+          <input
+            type="checkbox"
+            checked={hindcastDa}
+            onChange={(e) => setHindcastDa(e.target.checked)}
+            disabled={busy}
+          />{" "}
+          error correction
+        </label>
         <button onClick={handleForecast} disabled={busy || !canForecast}>
           Calculate forecast
         </button>
+        <label style={{ fontSize: 13 }}>
+          Model{" "}
+          <select
+            value={forecastModel}
+            onChange={(e) => setForecastModel(e.target.value)}
+            disabled={busy}
+          >
+            <option value="">active ({models?.active || "none"})</option>
+            {(models?.versions || []).map((v) => (
+              <option key={v.version} value={v.version}>
+                {v.version}
+              </option>
+            ))}
+          </select>{" "}
+          Method{" "}
+          <select
+            value={forecastMethod}
+            onChange={(e) => setForecastMethod(e.target.value)}
+            disabled={busy}
+            title="Also used by the hindcast"
+          >
+            <option value="auto">auto</option>
+            <option value="routing">routing</option>
+            {learners.map((l) => (
+              <option key={l.name} value={l.name}>
+                {l.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ fontSize: 13 }}>
+          <input
+            type="checkbox"
+            checked={ensembleOn}
+            onChange={(e) => setEnsembleOn(e.target.checked)}
+            disabled={busy}
+          />{" "}
+          Ensemble{" "}
+          <input
+            type="number"
+            min={2}
+            max={200}
+            value={ensembleMembers}
+            onChange={(e) => setEnsembleMembers(Number(e.target.value))}
+            disabled={busy || !ensembleOn}
+            style={{ width: 60 }}
+            title="Number of members"
+          />
+        </label>
         <button onClick={handleDownload} disabled={busy}>
           Download Excel
         </button>
@@ -296,6 +947,129 @@ export default function App() {
         </button>
       </div>
 
+      {Object.keys(unresolved).length ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Unresolved Stations</h2>
+          <UnresolvedStations
+            unresolved={unresolved}
+            stations={stations}
+            onAlias={handleAlias}
+            disabled={busy}
+          />
+        </>
+      ) : null}
+
+      {Object.keys(aliases).length ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Station Aliases</h2>
+          <StationAliases
+            aliases={aliases}
+            stations={stations}
+            onRemove={handleRemoveAlias}
+            disabled={busy}
+          />
+        </>
+      ) : null}
+
+      {qc && Object.keys(qc.stations || {}).length ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Data Quality</h2>
+          <QcSummary qc={qc} />
+        </>
+      ) : null}
+
+      <h2 style={{ marginTop: 20 }}>Telemetry Sources</h2>
+      <TelemetrySources
+        sources={sources}
+        issued={issuedKey}
+        adminToken={adminToken}
+        onAdminToken={setAdminToken}
+        onList={refreshSources}
+        onIssue={handleIssueKey}
+        onRemove={handleRemoveSource}
+        disabled={busy}
+      />
+
+      {/* Rating curve calibration preview */}
+      {ratingFit?.length ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Rating Curve Calibration</h2>
+          <RatingFitTable rows={ratingFit} />
+          <div
+            style={{
+              display: "grid",
+              gap: 16,
+              gridTemplateColumns: "repeat(auto-fit, minmax(360px, 1fr))",
+              marginTop: 12,
+            }}
+          >
+            {ratingFit
+              .filter((r) => r.ok)
+              .map((r) => (
+                <RatingFitChart key={r.station_code} fit={r} />
+              ))}
+          </div>
+          <div style={{ marginTop: 10, display: "flex", gap: 10 }}>
+            <button onClick={() => handleAdoptRating()} disabled={busy}>
+              Adopt fitted curves
+            </button>
+            {ratingFit.some((r) => r.rejected?.length) ? (
+              <button onClick={() => handleAdoptRating(true)} disabled={busy}>
+                Adopt including rejected
+              </button>
+            ) : null}
+            <button onClick={() => setRatingFit([])} disabled={busy}>
+              Discard
+            </button>
+          </div>
+        </>
+      ) : null}
+
+      {/* Routing calibration in use */}
+      {routingCalib ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Routing Calibration</h2>
+          <RoutingCalibration calib={routingCalib} />
+          {routingCalib.saved === false ? null : (
+            <div style={{ marginTop: 10 }}>
+              <button onClick={handleResetRouting} disabled={busy}>
+                Remove calibration
+              </button>
+            </div>
+          )}
+        </>
+      ) : null}
+
+      {/* Model registry */}
+      {models?.versions?.length ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Model Versions</h2>
+          <ModelVersions
+            models={models}
+            onPromote={handlePromote}
+            onDiff={handleDiff}
+            disabled={busy}
+          />
+          <div style={{ marginTop: 10 }}>
+            <button onClick={handleRollback} disabled={busy}>
+              Roll back
+            </button>
+          </div>
+          {modelDiff ? (
+            <ModelDiff diff={modelDiff} onClose={() => setModelDiff(null)} />
+          ) : null}
+        </>
+      ) : null}
+
+      {/* Hindcast skill */}
+      {hindcast ? (
+        <>
+          <h2 style={{ marginTop: 20 }}>Hindcast Skill</h2>
+          <HindcastSummary hindcast={hindcast} />
+          <HindcastLeadChart hindcast={hindcast} />
+        </>
+      ) : null}
+
       {/* Daily table */}
       <h2 style={{ marginTop: 20 }}>Daily Results</h2>
       {table?.length ? (
@@ -314,10 +1088,57 @@ export default function App() {
         }}
       >
         {Object.entries(series).map(([code, points]) => (
-          <StationChart key={code} code={code} points={points} />
+          <StationChart
+            key={code}
+            code={code}
+            points={points}
+            thresholds={thresholds[code]}
+          />
         ))}
       </div>
 
+      {ensemble ? (
+        <Small>
+          Shaded bands: ensemble of {ensemble.members} members (seed{" "}
+          {ensemble.seed}), 5–95 % and 25–75 % ranges.
+        </Small>
+      ) : null}
+
+      {/* Error correction per station */}
+      {Object.keys(assimilation).length ? (
+        <>
+          <h2 style={{ marginTop: 24 }}>Error Correction</h2>
+          <AssimilationTable
+            rows={assimilation}
+            methods={daMethods}
+            onChange={(code, method) =>
+              setDaMethods((m) => ({ ...m, [code]: method }))
+            }
+            disabled={busy}
+          />
+          <Small>
+            Method changes apply to the next forecast run. Raw model levels are
+            drawn dashed in the charts.
+          </Small>
+        </>
+      ) : null}
+
+      {/* Threshold exceedances */}
+      <h2 style={{ marginTop: 24 }}>Warning Levels</h2>
+      {exceedances?.length ? (
+        <ExceedanceTable rows={exceedances} />
+      ) : (
+        <div style={{ opacity: 0.75 }}>No threshold summary yet.</div>
+      )}
+
+      {/* Ensemble exceedance probabilities */}
+      {ensemble ? (
+        <>
+          <h2 style={{ marginTop: 24 }}>Exceedance Probability</h2>
+          <EnsembleTable ensemble={ensemble} series={series} />
+        </>
+      ) : null}
+
       {/* Hourly table (flat) */}
       <h2 style={{ marginTop: 24 }}>Hourly Table (UTC)</h2>
       {hourly?.length ? (
@@ -363,6 +1184,115 @@ function Status({ ok }) {
   );
 }
 
+// Validation report(s) of the last upload on a card: rejected files were
+// quarantined by the backend, warnings came with accepted ones
+// what a CSV / JSON upload was read as
+function fmtFormat(f) {
+  if (!f) return "";
+  const parts = [f.format.toUpperCase(), f.encoding];
+  if (f.decimal_comma) parts.push("decimal comma");
+  return ` [${parts.join(", ")}]`;
+}
+
+function UploadReport({ result }) {
+  // bundle: one entry per file, with the input type it was taken for
+  const reports = result?.files
+    ? result.files.map((f) => ({
+        ...(f.report ?? unreadable(f)),
+        file: `${f.file} → ${f.type}`,
+      }))
+    : result?.reports || (result?.report ? [result.report] : []);
+  const skipped = result?.skipped || [];
+  // stored values that replaced different ones from another file
+  const conflicts = result?.files
+    ? result.files.flatMap((f) => f.stored?.conflicts || [])
+    : result?.stored?.conflicts || [];
+  if (!reports.length && !skipped.length) return null;
+  return (
+    <div style={{ marginTop: 8, fontSize: 12 }}>
+      {skipped.length ? (
+        <div style={{ opacity: 0.7 }}>
+          Skipped: {skipped.map((s) => `${s.file} (${s.reason})`).join(", ")}
+        </div>
+      ) : null}
+      {conflicts.length ? (
+        <details>
+          <summary style={{ color: "#a23c3c" }}>
+            {conflicts.length} value(s) differ from those of another file
+          </summary>
+          <ConflictTable conflicts={conflicts} />
+        </details>
+      ) : null}
+      {reports.map((r, i) => {
+        const issues = [
+          ...r.errors.map((x) => ({ ...x, level: "error" })),
+          ...r.warnings.map((x) => ({ ...x, level: "warning" })),
+        ];
+        return (
+          <details key={`${r.file}-${i}`} open={!r.ok}>
+            <summary style={{ color: r.ok ? undefined : "#a23c3c" }}>
+              {r.file}: {r.ok ? `${r.rows} rows` : "rejected (quarantined)"}
+              {fmtFormat(r.format)}
+              {r.error_count ? `, ${r.error_count} error(s)` : ""}
+              {r.warning_count ? `, ${r.warning_count} warning(s)` : ""}
+            </summary>
+            {issues.length ? (
+              <table
+                border="1"
+                cellPadding="4"
+                style={{
+                  borderCollapse: "collapse",
+                  width: "100%",
+                  background: "#fff",
+                  marginTop: 4,
+                }}
+              >
+                <thead style={{ background: "#f5f5f7" }}>
+                  <tr>
+                    <th>Cell</th>
+                    <th>Column</th>
+                    <th>Value</th>
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {issues.map((x, j) => (
+                    <tr
+                      key={j}
+                      style={{
+                        background:
+                          x.level === "error"
+                            ? LEVEL_BG.katastrofinis
+                            : LEVEL_BG.pavojingas,
+                      }}
+                    >
+                      <td>{x.cell ?? (x.row ? `row ${x.row}` : "—")}</td>
+                      <td>{x.column ?? "—"}</td>
+                      <td>{x.value == null ? "" : String(x.value)}</td>
+                      <td>{x.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : null}
+          </details>
+        );
+      })}
+    </div>
+  );
+}
+
+// a failure without a validation report (e.g. the file could not be moved)
+function unreadable(f) {
+  return {
+    ok: false,
+    errors: [{ message: f.error }],
+    warnings: [],
+    error_count: 1,
+    warning_count: 0,
+  };
+}
+
 function ResultsTable({ table }) {
   return (
     <div style={{ overflowX: "auto" }}>
@@ -383,6 +1313,9 @@ function ResultsTable({ table }) {
             <th>WL +1 Day (cm)</th>
             <th>WL +2 Day (cm)</th>
             <th>WL +3 Day (cm)</th>
+            <th>Peak (cm)</th>
+            <th>Warning</th>
+            <th>Model</th>
           </tr>
         </thead>
         <tbody>
@@ -391,9 +1324,20 @@ function ResultsTable({ table }) {
               <td>{r.river}</td>
               <td>{r.station}</td>
               <td>{r.date_today}</td>
-              <td>{r.wl_today_cm}</td>
-              <td>{r.wl_tomorrow_cm}</td>
-              <td>{r.wl_day_after_cm}</td>
+              <td style={{ background: LEVEL_BG[r.level_today] }}>
+                {r.wl_today_cm}
+              </td>
+              <td style={{ background: LEVEL_BG[r.level_tomorrow] }}>
+                {r.wl_tomorrow_cm}
+              </td>
+              <td style={{ background: LEVEL_BG[r.level_day_after] }}>
+                {r.wl_day_after_cm}
+              </td>
+              <td>{r.peak_cm}</td>
+              <td style={{ background: LEVEL_BG[r.warning_level] }}>
+                {r.warning_level}
+              </td>
+              <td>{r.model ?? "—"}</td>
             </tr>
           ))}
         </tbody>
@@ -406,12 +1350,28 @@ function ResultsTable({ table }) {
 
 /* ------------ Chart: x = datetime (hour), y = water level (cm) ------------ */
 
-function StationChart({ code, points }) {
+function StationChart({ code, points, thresholds }) {
   if (!points?.length) return null;
   const title = `${points[0]?.river_name || ""} – ${
     points[0]?.station_name || ""
   } (${code})`;
 
+  // keep threshold lines in view; bands run from each level to the next one
+  const levels = LEVELS.filter((l) => thresholds?.[l] != null)
+    .map((l) => ({ name: l, value: thresholds[l] }))
+    .sort((a, b) => a.value - b.value);
+  const values = points
+    .flatMap((p) => [p.wl_cm, p.wl_raw_cm, ...(p.band_90 || [])])
+    .filter((v) => v != null);
+  const corrected = points.some(
+    (p) => p.wl_raw_cm != null && p.wl_raw_cm !== p.wl_cm
+  );
+  const banded = points.some((p) => p.band_90);
+  const lo = Math.min(...values);
+  const hi = Math.max(...values, ...levels.map((l) => l.value));
+  const pad = Math.max((hi - lo) * 0.05, 5);
+  const domain = [Math.floor(lo - pad), Math.ceil(hi + pad)];
+
   return (
     <div
       style={{
@@ -423,7 +1383,7 @@ function StationChart({ code, points }) {
     >
       <div style={{ fontWeight: 600, marginBottom: 8 }}>{title}</div>
       <ResponsiveContainer width="100%" height={260}>
-        <LineChart
+        <ComposedChart
           data={points}
           margin={{ left: 20, right: 20, top: 10, bottom: 10 }}
         >
@@ -441,6 +1401,8 @@ function StationChart({ code, points }) {
           {/* Y axis = water level (cm) */}
           <YAxis
             dataKey="wl_cm"
+            domain={domain}
+            allowDataOverflow
             label={{
               value: "Water level (cm)",
               angle: -90,
@@ -450,6 +1412,11 @@ function StationChart({ code, points }) {
           <Tooltip
             formatter={(value, name) => {
               if (name === "wl_cm") return [`${value} cm`, "Water level"];
+              if (name === "wl_raw_cm") return [`${value} cm`, "Raw model"];
+              if (name === "band_90")
+                return [`${value.join(" – ")} cm`, "Ensemble 5–95 %"];
+              if (name === "band_50")
+                return [`${value.join(" – ")} cm`, "Ensemble 25–75 %"];
               return [value, name];
             }}
             labelFormatter={(_, payload) => {
@@ -457,6 +1424,62 @@ function StationChart({ code, points }) {
               return `${p?.t?.slice(0, 16).replace("T", " ")} UTC`;
             }}
           />
+          {levels.map((l, i) => (
+            <ReferenceArea
+              key={`band-${l.name}`}
+              y1={l.value}
+              y2={levels[i + 1]?.value ?? domain[1]}
+              fill={LEVEL_COLORS[l.name]}
+              fillOpacity={0.12}
+              ifOverflow="hidden"
+            />
+          ))}
+          {levels.map((l) => (
+            <ReferenceLine
+              key={`line-${l.name}`}
+              y={l.value}
+              stroke={LEVEL_COLORS[l.name]}
+              strokeDasharray="4 4"
+              label={{
+                value: l.name,
+                position: "insideTopRight",
+                fontSize: 11,
+              }}
+            />
+          ))}
+          {banded ? (
+            <Area
+              type="monotone"
+              dataKey="band_90"
+              stroke="none"
+              fill="#0074D9"
+              fillOpacity={0.12}
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+          ) : null}
+          {banded ? (
+            <Area
+              type="monotone"
+              dataKey="band_50"
+              stroke="none"
+              fill="#0074D9"
+              fillOpacity={0.22}
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+          ) : null}
+          {corrected ? (
+            <Line
+              type="monotone"
+              dataKey="wl_raw_cm"
+              stroke="#0074D9"
+              strokeDasharray="3 3"
+              strokeOpacity={0.5}
+              dot={false}
+              isAnimationActive={false}
+            />
+          ) : null}
           <Line
             type="monotone"
             dataKey="wl_cm"
@@ -464,7 +1487,7 @@ function StationChart({ code, points }) {
             dot={false}
             isAnimationActive={false}
           />
-        </LineChart>
+        </ComposedChart>
       </ResponsiveContainer>
       <div style={{ fontSize: 12, opacity: 0.7, marginTop: 6 }}>
         x: Laikas &nbsp;|&nbsp; y: Vandens lygis (cm)
@@ -473,6 +1496,930 @@ function StationChart({ code, points }) {
   );
 }
 
+/* ---------------- Rating curve calibration ---------------- */
+
+function fmtCurve(rc) {
+  if (!rc) return "—";
+  const segs = rc.segments?.length ? rc.segments : [rc];
+  return segs
+    .map((s) => {
+      const range =
+        s.h_min_cm != null || s.h_max_cm != null
+          ? `[${s.h_min_cm ?? "−∞"}, ${s.h_max_cm ?? "∞"}) `
+          : "";
+      return `${range}${s.a}·(h−${s.h0_cm})^${s.b}`;
+    })
+    .join("; ");
+}
+
+function RatingFitTable({ rows }) {
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{ borderCollapse: "collapse", width: "100%", fontSize: 13 }}
+      >
+        <thead>
+          <tr>
+            <th>Station</th>
+            <th>Pairs</th>
+            <th>Fitted Q(h)</th>
+            <th>R²</th>
+            <th>RMSE (m³/s)</th>
+            <th>Bias (m³/s)</th>
+            <th>Current Q(h)</th>
+            <th>Verdict</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.station_code}>
+              <td>{r.station_code}</td>
+              <td>{r.n}</td>
+              <td>{r.ok ? fmtCurve(r.curve) : r.error}</td>
+              <td>{r.r2 ?? "—"}</td>
+              <td>{r.rmse_cms ?? "—"}</td>
+              <td>{r.bias_cms ?? "—"}</td>
+              <td>{fmtCurve(r.current)}</td>
+              <td style={{ color: r.rejected?.length ? "#a23c3c" : undefined }}>
+                {!r.ok
+                  ? "—"
+                  : r.rejected?.length
+                    ? `rejected: ${r.rejected.join("; ")}`
+                    : "ok"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function RatingFitChart({ fit }) {
+  return (
+    <div
+      style={{
+        border: "1px solid #eee",
+        borderRadius: 10,
+        padding: 12,
+        background: "#fff",
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 8 }}>
+        {fit.station_code} (R² {fit.r2 ?? "—"})
+      </div>
+      <ResponsiveContainer width="100%" height={260}>
+        <ComposedChart margin={{ left: 20, right: 20, top: 10, bottom: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            type="number"
+            dataKey="h_cm"
+            domain={["dataMin", "dataMax"]}
+            label={{
+              value: "Water level (cm)",
+              position: "insideBottom",
+              offset: -5,
+            }}
+          />
+          <YAxis
+            type="number"
+            label={{ value: "Q (m³/s)", angle: -90, position: "insideLeft" }}
+          />
+          <Tooltip />
+          <Scatter
+            name="observed"
+            data={fit.residuals}
+            dataKey="q_obs"
+            fill="#0074D9"
+            isAnimationActive={false}
+          />
+          <Line
+            name="fitted"
+            data={fit.curve_points}
+            dataKey="q_fit"
+            stroke="#d62728"
+            dot={false}
+            isAnimationActive={false}
+          />
+          {fit.current_points?.length ? (
+            <Line
+              name="current"
+              data={fit.current_points}
+              dataKey="q_fit"
+              stroke="#999"
+              strokeDasharray="4 4"
+              dot={false}
+              isAnimationActive={false}
+            />
+          ) : null}
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function RoutingCalibration({ calib }) {
+  const codes = Object.keys(calib.stations?.after || {});
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div style={{ fontSize: 13 }}>
+        Calibrated {calib.calibratedAt?.slice(0, 16).replace("T", " ")} UTC on{" "}
+        {calib.period?.from?.slice(0, 13)} – {calib.period?.to?.slice(0, 13)} (
+        {calib.objective}: {calib.score?.before} → {calib.score?.after},
+        carry-over {calib.carry})
+        {calib.status && calib.status !== "improved" ? (
+          <div style={{ color: "#a23c3c", marginTop: 4 }}>
+            {calib.status === "rejected" ? "Rejected" : "Not improved"}:{" "}
+            {calib.reason}
+            {calib.saved === false ? "; not saved" : ""}
+          </div>
+        ) : null}
+      </div>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap" }}>
+        <table
+          border="1"
+          cellPadding="6"
+          style={{ borderCollapse: "collapse", fontSize: 13 }}
+        >
+          <thead>
+            <tr>
+              <th>Reach</th>
+              <th>K (h)</th>
+              <th>X</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(calib.reaches || {}).map(([reach, p]) => (
+              <tr key={reach}>
+                <td>{reach}</td>
+                <td>{p.K_h}</td>
+                <td>{p.X}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <table
+          border="1"
+          cellPadding="6"
+          style={{ borderCollapse: "collapse", fontSize: 13 }}
+        >
+          <thead>
+            <tr>
+              <th>Station</th>
+              <th>RMSE before (cm)</th>
+              <th>RMSE after (cm)</th>
+              <th>NSE before</th>
+              <th>NSE after</th>
+            </tr>
+          </thead>
+          <tbody>
+            {codes.map((code) => (
+              <tr key={code}>
+                <td>{code}</td>
+                <td>{calib.stations.before?.[code]?.rmse_cm ?? "—"}</td>
+                <td>{calib.stations.after[code].rmse_cm ?? "—"}</td>
+                <td>{calib.stations.before?.[code]?.nse ?? "—"}</td>
+                <td>{calib.stations.after[code].nse ?? "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Station identities ---------------- */
+
+// aliases saved from the unresolved list (or the API); removing one makes its
+// identifier unresolved again
+function StationAliases({ aliases, stations, onRemove, disabled }) {
+  const nameOf = (code) =>
+    stations.find((s) => s.station_code === code)?.station_name ?? "";
+  return (
+    <table
+      border="1"
+      cellPadding="6"
+      style={{ borderCollapse: "collapse", background: "#fff", fontSize: 13 }}
+    >
+      <thead style={{ background: "#f5f5f7" }}>
+        <tr>
+          <th>Alias</th>
+          <th>Station</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {Object.entries(aliases)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([alias, code]) => (
+            <tr key={alias}>
+              <td>
+                <code>{alias}</code>
+              </td>
+              <td>
+                {code} {nameOf(code)}
+              </td>
+              <td>
+                <button onClick={() => onRemove(alias)} disabled={disabled}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+      </tbody>
+    </table>
+  );
+}
+
+// identifiers in the uploaded files that match no station in stations_meta;
+// picking a station saves the identifier as its alias
+function UnresolvedStations({ unresolved, stations, onAlias, disabled }) {
+  const rows = Object.entries(unresolved).flatMap(([source, list]) =>
+    list.map((u) => ({ source, ...u }))
+  );
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{
+          borderCollapse: "collapse",
+          width: "100%",
+          background: "#fff",
+          fontSize: 13,
+        }}
+      >
+        <thead style={{ background: "#f5f5f7" }}>
+          <tr>
+            <th>Source</th>
+            <th>Identifier</th>
+            <th>Rows</th>
+            <th>Files</th>
+            <th>Alias of</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((u) => (
+            <tr key={`${u.source}|${u.identifier}`}>
+              <td>{u.source}</td>
+              <td>
+                <code>{u.identifier}</code>
+              </td>
+              <td>{u.rows}</td>
+              <td>{u.files.join(", ")}</td>
+              <td>
+                <select
+                  value=""
+                  onChange={(e) => onAlias(u.identifier, e.target.value)}
+                  disabled={disabled || u.identifier === "(none)"}
+                >
+                  <option value="">—</option>
+                  {stations.map((s) => (
+                    <option key={s.station_code} value={s.station_code}>
+                      {s.station_code} {s.station_name}
+                    </option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/* ---------------- Telemetry sources ---------------- */
+
+// Data sources allowed to push readings to /api/telemetry, each with its own
+// API key (X-API-Key header); issuing a key for an existing name replaces it
+function TelemetrySources({
+  sources,
+  issued,
+  adminToken,
+  onAdminToken,
+  onList,
+  onIssue,
+  onRemove,
+  disabled,
+}) {
+  const [name, setName] = useState("");
+  const [stations, setStations] = useState("");
+  return (
+    <div style={{ fontSize: 13 }}>
+      {sources.length ? (
+        <table
+          border="1"
+          cellPadding="6"
+          style={{
+            borderCollapse: "collapse",
+            width: "100%",
+            background: "#fff",
+          }}
+        >
+          <thead style={{ background: "#f5f5f7" }}>
+            <tr>
+              <th>Source</th>
+              <th>Stations</th>
+              <th>Key issued</th>
+              <th>Last push</th>
+              <th>Readings</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sources.map((s) => (
+              <tr key={s.name}>
+                <td>{s.name}</td>
+                <td>{s.stations?.join(", ") || "all"}</td>
+                <td>{s.key_issued_at?.slice(0, 16).replace("T", " ")}</td>
+                <td>{s.last_push_at?.slice(0, 16).replace("T", " ") ?? "—"}</td>
+                <td>{s.readings ?? 0}</td>
+                <td>
+                  <button
+                    onClick={() => onIssue(s.name, s.stations)}
+                    disabled={disabled}
+                  >
+                    New key
+                  </button>{" "}
+                  <button onClick={() => onRemove(s.name)} disabled={disabled}>
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <Small>No sources listed; they are shown with the admin token.</Small>
+      )}
+      <div style={{ marginTop: 8 }}>
+        <input
+          type="password"
+          placeholder="admin token"
+          value={adminToken}
+          onChange={(e) => onAdminToken(e.target.value)}
+          style={{ width: 140 }}
+        />{" "}
+        <button onClick={onList} disabled={disabled || !adminToken}>
+          List sources
+        </button>{" "}
+        <input
+          placeholder="source name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />{" "}
+        <input
+          placeholder="stations (comma separated, empty: all)"
+          value={stations}
+          onChange={(e) => setStations(e.target.value)}
+          style={{ width: 260 }}
+        />{" "}
+        <button
+          onClick={() =>
+            onIssue(
+              name,
+              stations
+                .split(",")
+                .map((c) => c.trim())
+                .filter(Boolean)
+            )
+          }
+          disabled={disabled || !name.trim()}
+        >
+          Issue key
+        </button>
+      </div>
+      {issued ? (
+        <div
+          style={{
+            marginTop: 8,
+            padding: 8,
+            background: LEVEL_BG.pavojingas,
+          }}
+        >
+          Key for <b>{issued.name}</b> (shown only now):{" "}
+          <code>{issued.key}</code>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/* ---------------- Quality control ---------------- */
+
+const QC_VARS = {
+  water_level_cm: "Water level",
+  precipitation_mm: "Precipitation",
+  air_temp_c: "Air temp.",
+};
+const QC_BG = {
+  filled: "#e3f2fd",
+  suspect: LEVEL_BG.pavojingas,
+  bad: LEVEL_BG.katastrofinis,
+  missing: "#eeeeee",
+};
+
+// flag counts per station and variable; rejected values are not used for
+// training or forecasting, filled ones are
+function QcSummary({ qc }) {
+  const cell = (c) =>
+    ["filled", "suspect", "bad", "missing"]
+      .filter((f) => c?.[f])
+      .map((f) => `${c[f]} ${f}`)
+      .join(", ") || "ok";
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{
+          borderCollapse: "collapse",
+          width: "100%",
+          background: "#fff",
+          fontSize: 13,
+        }}
+      >
+        <thead style={{ background: "#f5f5f7" }}>
+          <tr>
+            <th>Station</th>
+            {Object.values(QC_VARS).map((l) => (
+              <th key={l}>{l}</th>
+            ))}
+            <th>Unfilled gaps (water level)</th>
+            <th>Filled from upstream</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(qc.stations).map(([code, s]) => (
+            <tr key={code}>
+              <td>{code}</td>
+              {Object.keys(QC_VARS).map((v) => (
+                <td key={v} title={`${s[v]?.good ?? 0} good`}>
+                  {cell(s[v])}
+                </td>
+              ))}
+              <td>
+                {(s.water_level_cm?.gaps || [])
+                  .map((g) => `${g.from}–${g.to} (${g.hours} h)`)
+                  .join(", ") || "—"}
+              </td>
+              <td>
+                {s.upstream_fill
+                  ? `${s.upstream_fill.from} (lag ${s.upstream_fill.lag_h} h, r ${s.upstream_fill.r})`
+                  : "—"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {qc.issues?.length || qc.filled?.length ? (
+        <details style={{ marginTop: 8, fontSize: 13 }}>
+          <summary>
+            Flagged values: {qc.issue_count} rejected, {qc.filled?.length ?? 0}{" "}
+            filled
+          </summary>
+          <table
+            border="1"
+            cellPadding="4"
+            style={{
+              borderCollapse: "collapse",
+              background: "#fff",
+              marginTop: 4,
+            }}
+          >
+            <thead style={{ background: "#f5f5f7" }}>
+              <tr>
+                <th>Time (UTC)</th>
+                <th>Station</th>
+                <th>Variable</th>
+                <th>Value</th>
+                <th>Flag</th>
+                <th>Test</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...(qc.issues || []), ...(qc.filled || [])]
+                .sort((a, b) => a.t.localeCompare(b.t))
+                .map((x, i) => (
+                  <tr key={i} style={{ background: QC_BG[x.flag] }}>
+                    <td>{x.t.slice(0, 16).replace("T", " ")}</td>
+                    <td>{x.station_code}</td>
+                    <td>{QC_VARS[x.variable] ?? x.variable}</td>
+                    <td>{x.value}</td>
+                    <td>{x.flag}</td>
+                    <td>{x.test ?? ""}</td>
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        </details>
+      ) : null}
+      {qc.conflicts?.length ? (
+        <details style={{ marginTop: 8, fontSize: 13 }}>
+          <summary>
+            Conflicting values: {qc.conflicts.length} (files disagree on the
+            same station and hour)
+          </summary>
+          <ConflictTable conflicts={qc.conflicts} />
+        </details>
+      ) : null}
+    </div>
+  );
+}
+
+// values of an hour that two files disagree on; the later one is stored
+function ConflictTable({ conflicts }) {
+  return (
+    <table
+      border="1"
+      cellPadding="4"
+      style={{ borderCollapse: "collapse", background: "#fff", marginTop: 4 }}
+    >
+      <thead style={{ background: "#f5f5f7" }}>
+        <tr>
+          <th>Time (UTC)</th>
+          <th>Station</th>
+          <th>Variable</th>
+          <th>Stored</th>
+          <th>File</th>
+          <th>Replaced</th>
+          <th>Earlier file</th>
+        </tr>
+      </thead>
+      <tbody>
+        {conflicts.map((x, i) => (
+          <tr key={i}>
+            <td>{x.t.slice(0, 16).replace("T", " ")}</td>
+            <td>{x.station_code}</td>
+            <td>{QC_VARS[x.variable] ?? x.variable}</td>
+            <td>{x.value}</td>
+            <td>{x.file}</td>
+            <td>{x.previous}</td>
+            <td>{x.previous_file}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/* ---------------- Model registry ---------------- */
+
+function ModelVersions({ models, onPromote, onDiff, disabled }) {
+  const fmt = (t) => (t ? t.slice(0, 16).replace("T", " ") : "—");
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{
+          borderCollapse: "collapse",
+          width: "100%",
+          background: "#fff",
+          fontSize: 13,
+        }}
+      >
+        <thead style={{ background: "#f5f5f7" }}>
+          <tr>
+            <th>Version</th>
+            <th>Created (UTC)</th>
+            <th>Parent</th>
+            <th>Files / rows</th>
+            <th>Period</th>
+            <th>Stations</th>
+            <th>Validation RMSE (cm)</th>
+            <th>Note</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {models.versions
+            .slice()
+            .reverse()
+            .map((v) => (
+              <tr
+                key={v.version}
+                style={{ background: v.active ? "#e8f5e9" : undefined }}
+              >
+                <td>
+                  {v.version}
+                  {v.active ? " (active)" : ""}
+                </td>
+                <td>{fmt(v.createdAt)}</td>
+                <td>{v.parent ?? "—"}</td>
+                <td>
+                  {v.files} / {v.rows ?? "—"}
+                </td>
+                <td>
+                  {v.period
+                    ? `${fmt(v.period.from)} – ${fmt(v.period.to)}`
+                    : "—"}
+                </td>
+                <td>{v.stations}</td>
+                <td>{v.validation_rmse_cm ?? "—"}</td>
+                <td>{v.note ?? ""}</td>
+                <td style={{ whiteSpace: "nowrap" }}>
+                  <button
+                    onClick={() => onPromote(v.version)}
+                    disabled={disabled || v.active}
+                  >
+                    Promote
+                  </button>{" "}
+                  <button
+                    onClick={() => onDiff(v.version, models.active)}
+                    disabled={disabled || v.active || !models.active}
+                    title="Compare with the active version"
+                  >
+                    Diff vs active
+                  </button>
+                </td>
+              </tr>
+            ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ModelDiff({ diff, onClose }) {
+  const fmt = (v) => (v == null ? "—" : Number(v.toPrecision(5)));
+  return (
+    <div style={{ marginTop: 12 }}>
+      <div style={{ fontWeight: 600, marginBottom: 6 }}>
+        Coefficients {diff.from} → {diff.to}{" "}
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table
+          border="1"
+          cellPadding="6"
+          style={{ borderCollapse: "collapse", fontSize: 13 }}
+        >
+          <thead style={{ background: "#f5f5f7" }}>
+            <tr>
+              <th>Station</th>
+              <th>Status</th>
+              <th>Feature</th>
+              <th>{diff.from}</th>
+              <th>{diff.to}</th>
+              <th>Δ</th>
+              <th>Validation RMSE (cm)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(diff.stations).flatMap(([code, s]) =>
+              s.coef.map((c, i) => (
+                <tr key={`${code}-${c.feature}`}>
+                  {i === 0 ? (
+                    <>
+                      <td rowSpan={s.coef.length}>{code}</td>
+                      <td rowSpan={s.coef.length}>{s.status}</td>
+                    </>
+                  ) : null}
+                  <td>{c.feature}</td>
+                  <td>{fmt(c.from)}</td>
+                  <td>{fmt(c.to)}</td>
+                  <td>{fmt(c.delta)}</td>
+                  {i === 0 ? (
+                    <td rowSpan={s.coef.length}>
+                      {s.validation_rmse_cm.from ?? "—"} →{" "}
+                      {s.validation_rmse_cm.to ?? "—"}
+                    </td>
+                  ) : null}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Hindcast skill scores ---------------- */
+
+function HindcastSummary({ hindcast }) {
+  const stations = Object.entries(hindcast.stations || {});
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ fontSize: 13 }}>
+        {hindcast.issues} forecasts ({hindcast.model}) issued every{" "}
+        {hindcast.every_h} h from {hindcast.period?.from?.slice(0, 13)} to{" "}
+        {hindcast.period?.to?.slice(0, 13)} UTC; meteo: {hindcast.meteo}; error
+        correction: {hindcast.assimilation}
+      </div>
+      <div style={{ overflowX: "auto" }}>
+        <table
+          border="1"
+          cellPadding="6"
+          style={{
+            borderCollapse: "collapse",
+            width: "100%",
+            background: "#fff",
+            fontSize: 13,
+          }}
+        >
+          <thead style={{ background: "#f5f5f7" }}>
+            <tr>
+              <th>Station</th>
+              <th>Model</th>
+              <th>n</th>
+              <th>NSE</th>
+              <th>KGE</th>
+              <th>RMSE (cm)</th>
+              <th>Bias (cm)</th>
+              <th>Peak timing (h)</th>
+              <th>Peak error (cm)</th>
+              {LEVELS.map((l) => (
+                <th key={l}>{l}: hit / miss / false</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {stations.map(([code, s]) => (
+              <tr key={code}>
+                <td>
+                  {s.station_name} ({code})
+                </td>
+                <td>{s.model ?? "—"}</td>
+                <td>{s.overall.n}</td>
+                <td>{s.overall.nse ?? "—"}</td>
+                <td>{s.overall.kge ?? "—"}</td>
+                <td>{s.overall.rmse_cm ?? "—"}</td>
+                <td>{s.overall.bias_cm ?? "—"}</td>
+                <td>
+                  {s.peak.n
+                    ? `${s.peak.mean_timing_h} (|${s.peak.mean_abs_timing_h}|)`
+                    : "—"}
+                </td>
+                <td>{s.peak.mean_error_cm ?? "—"}</td>
+                {LEVELS.map((l) => {
+                  const c = s.contingency?.[l];
+                  return (
+                    <td key={l} title={c ? `POD ${c.pod} FAR ${c.far}` : ""}>
+                      {c ? `${c.hits} / ${c.misses} / ${c.false_alarms}` : "—"}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <Small>
+        Peak timing: forecast minus observed peak hour (positive = late), mean
+        and mean absolute. Threshold counts: level reached within the verified
+        horizon of each forecast.
+      </Small>
+    </div>
+  );
+}
+
+const SKILL_METRICS = {
+  rmse_cm: "RMSE (cm)",
+  bias_cm: "Bias (cm)",
+  nse: "NSE",
+  kge: "KGE",
+};
+const STATION_COLORS = [
+  "#0074D9",
+  "#FF4136",
+  "#2ECC40",
+  "#FF851B",
+  "#B10DC9",
+  "#39CCCC",
+  "#85144b",
+  "#3D9970",
+];
+
+function HindcastLeadChart({ hindcast }) {
+  const [metric, setMetric] = useState("rmse_cm");
+  const codes = Object.keys(hindcast.stations || {});
+  // one row per lead hour, one column per station
+  const byLead = new Map();
+  for (const code of codes) {
+    for (const r of hindcast.stations[code].by_lead) {
+      if (!byLead.has(r.lead_h)) byLead.set(r.lead_h, { lead_h: r.lead_h });
+      byLead.get(r.lead_h)[code] = r[metric];
+    }
+  }
+  const data = [...byLead.values()].sort((a, b) => a.lead_h - b.lead_h);
+  return (
+    <div
+      style={{
+        border: "1px solid #eee",
+        borderRadius: 10,
+        padding: 12,
+        background: "#fff",
+        marginTop: 12,
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 8 }}>
+        Skill by lead time{" "}
+        <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+          {Object.entries(SKILL_METRICS).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <ResponsiveContainer width="100%" height={280}>
+        <LineChart
+          data={data}
+          margin={{ left: 20, right: 20, top: 10, bottom: 10 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="lead_h"
+            label={{
+              value: "Lead time (h)",
+              position: "insideBottom",
+              offset: -5,
+            }}
+          />
+          <YAxis
+            label={{
+              value: SKILL_METRICS[metric],
+              angle: -90,
+              position: "insideLeft",
+            }}
+          />
+          <Tooltip labelFormatter={(v) => `Lead ${v} h`} />
+          {codes.map((code, i) => (
+            <Line
+              key={code}
+              type="monotone"
+              dataKey={code}
+              name={`${hindcast.stations[code].station_name} (${code})`}
+              stroke={STATION_COLORS[i % STATION_COLORS.length]}
+              dot={false}
+              connectNulls
+              isAnimationActive={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/* ---------------- Error correction (assimilation) ---------------- */
+
+function AssimilationTable({ rows, methods, onChange, disabled }) {
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{ borderCollapse: "collapse", fontSize: 13 }}
+      >
+        <thead>
+          <tr>
+            <th>Station</th>
+            <th>Method</th>
+            <th>Last error (cm)</th>
+            <th>Correction (cm)</th>
+            <th>Status</th>
+            <th>Decay φ / h</th>
+            <th>Next run</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(rows).map(([code, a]) => (
+            <tr key={code}>
+              <td>{code}</td>
+              <td>{a.method}</td>
+              <td>{a.errors?.at(-1)?.err_cm ?? "—"}</td>
+              <td>{a.correction_cm ?? "—"}</td>
+              <td>
+                {a.status ?? "—"}
+                {a.reason ? <Small> — {a.reason}</Small> : null}
+              </td>
+              <td>{a.phi ?? "—"}</td>
+              <td>
+                <select
+                  value={methods[code] ?? a.method}
+                  onChange={(e) => onChange(code, e.target.value)}
+                  disabled={disabled}
+                >
+                  <option value="ar1">AR(1)</option>
+                  <option value="kalman">Kalman</option>
+                  <option value="none">none</option>
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 /* ---------------- Hourly flat table ---------------- */
 
 function HourlyTable({ rows }) {
@@ -495,6 +2442,8 @@ function HourlyTable({ rows }) {
             <th>Station</th>
             <th>Code</th>
             <th>WL (cm)</th>
+            <th>Raw WL (cm)</th>
+            <th>Warning</th>
           </tr>
         </thead>
         <tbody>
@@ -505,7 +2454,11 @@ function HourlyTable({ rows }) {
               <td>{r.river_name}</td>
               <td>{r.station_name}</td>
               <td>{r.station_code}</td>
-              <td>{r.forecast_water_level_cm}</td>
+              <td style={{ background: LEVEL_BG[r.warning_level] }}>
+                {r.forecast_water_level_cm}
+              </td>
+              <td>{r.raw_water_level_cm ?? "—"}</td>
+              <td>{r.warning_level}</td>
             </tr>
           ))}
         </tbody>
@@ -513,3 +2466,123 @@ function HourlyTable({ rows }) {
     </div>
   );
 }
+
+/* ---------------- Threshold exceedance summary ---------------- */
+
+function ExceedanceTable({ rows }) {
+  const fmt = (t) => (t ? `${t.slice(0, 16).replace("T", " ")} UTC` : "");
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{
+          borderCollapse: "collapse",
+          width: "100%",
+          background: "#fff",
+        }}
+      >
+        <thead style={{ background: "#f5f5f7" }}>
+          <tr>
+            <th>River</th>
+            <th>Station</th>
+            <th>Level</th>
+            <th>Peak (cm)</th>
+            <th>Peak time</th>
+            {LEVELS.map((l) => (
+              <th key={l}>{l}: first / hours</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.station_code}>
+              <td>{r.river_name}</td>
+              <td>
+                {r.station_name} ({r.station_code})
+              </td>
+              <td style={{ background: LEVEL_BG[r.warning_level] }}>
+                {r.warning_level}
+              </td>
+              <td>{r.peak_cm}</td>
+              <td>{fmt(r.peak_time)}</td>
+              {LEVELS.map((l) => (
+                <td
+                  key={l}
+                  style={{ background: LEVEL_BG[r.levels?.[l] && l] }}
+                >
+                  {r.levels?.[l]
+                    ? `${fmt(r.levels[l].first_exceedance)} / ${
+                        r.levels[l].duration_h
+                      } h`
+                    : "—"}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/* ---------------- Ensemble exceedance probabilities ---------------- */
+
+function EnsembleTable({ ensemble, series }) {
+  const pct = (v) => (v == null ? "—" : `${Math.round(v * 100)} %`);
+  return (
+    <div style={{ overflowX: "auto" }}>
+      <table
+        border="1"
+        cellPadding="6"
+        style={{
+          borderCollapse: "collapse",
+          width: "100%",
+          background: "#fff",
+        }}
+      >
+        <thead style={{ background: "#f5f5f7" }}>
+          <tr>
+            <th>River</th>
+            <th>Station</th>
+            {LEVELS.map((l) => (
+              <th key={l}>P({l})</th>
+            ))}
+            <th>Median at end (cm)</th>
+            <th>5–95 % at end (cm)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(ensemble.stations || {}).map(([code, st]) => {
+            const p0 = series?.[code]?.[0];
+            const last = st.hourly?.[st.hourly.length - 1];
+            return (
+              <tr key={code}>
+                <td>{p0?.river_name}</td>
+                <td>
+                  {p0?.station_name} ({code})
+                </td>
+                {LEVELS.map((l) => (
+                  <td
+                    key={l}
+                    style={{
+                      background:
+                        st.exceedance?.[l] > 0 ? LEVEL_BG[l] : undefined,
+                    }}
+                  >
+                    {pct(st.exceedance?.[l])}
+                  </td>
+                ))}
+                <td>{last?.q50 ?? "—"}</td>
+                <td>{last ? `${last.q05} – ${last.q95}` : "—"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <Small>
+        Share of members reaching each level at any time within the horizon.
+      </Small>
+    </div>
+  );
+}
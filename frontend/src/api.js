@@ -18,6 +18,11 @@ export const getHealth = () => API.get("/api/health");
 export const getManifest = () => API.get("/api/manifest");
 
 // --- Upload helpers ---
+// upload responses carry `report` (`reports` for historical): schema
+// validation with { ok, errors, warnings } as [{ row, column, cell, value, message }];
+// rejected files come back as 400 with the report and are quarantined
+// CSV / TSV / JSON are converted first (report.format); a ZIP sent to
+// /api/upload/bundle returns `files`: [{ file, type, ok, report }] and `skipped`
 export const uploadFile = async (url, file, field = "file") => {
   const fd = new FormData();
   fd.append(field, file);
@@ -36,9 +41,87 @@ export const uploadFiles = async (url, files, field = "files") => {
   return data;
 };
 
+// --- Quality control of observations ---
+// per station and variable: counts per flag (good, filled, suspect, bad,
+// missing) and unfilled gaps; issues: rejected values; filled: replaced ones;
+// conflicts: values two files disagree on
+export const getQc = (station) =>
+  API.get("/api/qc", { params: station ? { station } : {} });
+
+// --- Observation store ---
+// per station: hours stored, period and value counts per variable
+export const getObservations = () => API.get("/api/observations");
+
+// --- Station identities ---
+// upload responses carry `unresolved`: [{ identifier, rows, files }]
+export const getStationRegistry = () => API.get("/api/stations/registry");
+export const getUnresolvedStations = () => API.get("/api/stations/unresolved");
+// station: any identifier of a known station (code, kodas, id, name)
+export const addStationAlias = (alias, station) =>
+  API.post("/api/stations/aliases", { alias, station_code: station });
+export const removeStationAlias = (alias) =>
+  API.delete(`/api/stations/aliases/${encodeURIComponent(alias)}`);
+
+// --- Telemetry push sources ---
+// listing, issuing and removing keys need the server's ADMIN_TOKEN
+const adminHeaders = (token) => ({ headers: { "X-Admin-Token": token } });
+export const getTelemetrySources = (token) =>
+  API.get("/api/telemetry/sources", adminHeaders(token));
+// returns { name, key }; the key is shown only once
+export const addTelemetrySource = (name, stations, token) =>
+  API.post("/api/telemetry/sources", { name, stations }, adminHeaders(token));
+export const removeTelemetrySource = (name, token) =>
+  API.delete(
+    `/api/telemetry/sources/${encodeURIComponent(name)}`,
+    adminHeaders(token)
+  );
+
 // --- Train / forecast / download ---
-export const train = () => API.post("/api/train");
-export const forecast = () => API.post("/api/forecast");
+// opts: { promote?: boolean, note?, learners?: ["ridge", "gbt"], params? }
+export const train = (opts = {}) => API.post("/api/train", opts);
+export const listLearners = () => API.get("/api/learners");
+// assimilation: "ar1" | "kalman" | "none" for all stations, or { code: method }
+// ensemble: undefined, or { members, seed }
+// modelVersion: registry version ("v3"); the active one when empty
+// model: "auto" | "routing" | learner name for all stations, or { code: model }
+export const forecast = (assimilation, ensemble, modelVersion, model) =>
+  API.post("/api/forecast", {
+    ...(assimilation ? { assimilation } : {}),
+    ...(ensemble ? { ensemble } : {}),
+    ...(modelVersion ? { model_version: modelVersion } : {}),
+    ...(model ? { model } : {}),
+  });
+
+// --- Model registry ---
+export const listModels = () => API.get("/api/models");
+export const diffModels = (from, to) =>
+  API.get("/api/models/diff", { params: { from, to } });
+export const promoteModel = (version) =>
+  API.post(`/api/models/${encodeURIComponent(version)}/promote`);
+export const rollbackModel = () => API.post("/api/models/rollback");
+
+// --- Rating curve calibration ---
+// opts: { stations?, segments?, breaks_cm? }
+export const calibrateRating = (opts = {}) =>
+  API.post("/api/calibrate/rating", opts);
+// force: also adopt fits the backend rejected (R² ≤ 0, exponent at its bound)
+export const adoptRating = ({ stations, force } = {}) =>
+  API.post("/api/calibrate/rating/adopt", { stations, force });
+
+// --- Routing calibration (K/X, carry-over, basin parameters) ---
+// opts: { objective?: "rmse" | "nse", max_evals?, reset?, force? }; a result
+// that is not improved comes back with 422 and is saved only with force
+export const getRoutingCalibration = () => API.get("/api/calibrate/routing");
+export const calibrateRouting = (opts = {}) =>
+  API.post("/api/calibrate/routing", opts);
+export const resetRoutingCalibration = () =>
+  API.delete("/api/calibrate/routing");
+
+// --- Hindcast (backtesting with skill scores) ---
+// opts: { from?, to?, every?, horizon?, meteo?: "none" | "observed", assimilation?,
+//   model_version?, model? }
+export const getHindcast = () => API.get("/api/hindcast");
+export const runHindcast = (opts = {}) => API.post("/api/hindcast", opts);
 
 // Note: this returns a Blob; caller should trigger a download
 export const downloadLatest = async () =>